@@ -6,6 +6,12 @@ var Domain = require('./lib/domain'),
   AggregateConcurrencyError = require('./lib/errors/aggregateConcurrencyError'),
   AggregateDestroyedError = require('./lib/errors/aggregateDestroyedError'),
   ConcurrencyError = require('./lib/errors/concurrencyError'),
+  CommandNotFoundError = require('./lib/errors/commandNotFoundError'),
+  CommandTimeoutError = require('./lib/errors/commandTimeoutError'),
+  errorCodes = require('./lib/errors/errorCodes'),
+  validation = require('./lib/validation'),
+  eventstore = require('./lib/eventStore'),
+  aggregatelock = require('./lib/lock'),
   _ = require('lodash'),
   fs = require('fs'),
   path = require('path');
@@ -43,7 +49,17 @@ domain.errors = {
   BusinessRuleError: BusinessRuleError,
   AggregateConcurrencyError: AggregateConcurrencyError,
   AggregateDestroyedError: AggregateDestroyedError,
-  ConcurrencyError: ConcurrencyError
+  ConcurrencyError: ConcurrencyError,
+  CommandNotFoundError: CommandNotFoundError,
+  CommandTimeoutError: CommandTimeoutError
 };
 
+domain.errorCodes = errorCodes;
+
+domain.Validator = validation.Validator;
+
+domain.EventStore = eventstore.EventStore;
+
+domain.AggregateLock = aggregatelock.Lock;
+
 module.exports = domain;
@@ -2,7 +2,8 @@
 
 var debug = require('debug')('domain:commandDispatcher'),
   _ = require('lodash'),
-  dotty = require('dotty');
+  dotty = require('dotty'),
+  CommandNotFoundError = require('./errors/commandNotFoundError');
 
 /**
  * CommandDispatcher constructor
@@ -83,10 +84,17 @@ CommandDispatcher.prototype = {
   /**
    * Dispatches a command.
    * @param {Object}   cmd      The passed command.
+   * @param {Object}   options  The handling options like: { dryRun: true } [optional]
    * @param {Function} callback The function, that will be called when this action is completed.
    *                            `function(err, evts){}`
    */
-  dispatch: function (cmd, callback) {
+  dispatch: function (cmd, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
     if (!cmd || !_.isObject(cmd)) {
       var err = new Error('Please pass a valid command!');
       debug(err);
@@ -104,12 +112,12 @@ CommandDispatcher.prototype = {
     var commandHandler = this.tree.getCommandHandler(target);
     
     if (!commandHandler) {
-      var err = new Error('No command handler found for ' + target.name);
+      var err = new CommandNotFoundError('No command handler found for ' + target.name);
       debug(err);
       return callback(err);
     }
     
-    commandHandler.handle(cmd, callback);
+    commandHandler.handle(cmd, options, callback);
   }
   
 };
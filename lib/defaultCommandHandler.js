@@ -9,6 +9,7 @@ var Definition = require('./definitionBase'),
   uuid = require('node-uuid').v4,
   ConcurrencyError = require('./errors/concurrencyError'),
   AggregateDestroyedError = require('./errors/aggregateDestroyedError'),
+  CommandTimeoutError = require('./errors/commandTimeoutError'),
   AggregateConcurrencyError = require('./errors/aggregateConcurrencyError');
 
 /**
@@ -31,6 +32,9 @@ function DefaultCommandHandler (meta) {
 
   this.id = uuid().toString();
   this.queue = {};
+  this.lockedAggregates = {};
+  this.lockTokens = {};
+  this.lockHeartbeats = {};
 }
 
 util.inherits(DefaultCommandHandler, Definition);
@@ -76,13 +80,161 @@ _.extend(DefaultCommandHandler.prototype, {
     this.aggregateLock = aggregateLock;
   },
 
+  /**
+   * Injects the idempotencyStore, that remembers the results of the handled commands.
+   * @param {Object} idempotencyStore The idempotencyStore object to inject.
+   */
+  useIdempotencyStore: function (idempotencyStore) {
+    if (!idempotencyStore || !_.isObject(idempotencyStore)) {
+      var err = new Error('Please pass a valid idempotencyStore!');
+      debug(err);
+      throw err;
+    }
+    this.idempotencyStore = idempotencyStore;
+  },
+
+  /**
+   * Returns the remembered result, if the passed command has already been handled.
+   * @param {Object}   cmd      The passed command.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, entry){}` entry is like: { id: 'cmdId', events: [], aggregateData: {}, meta: {} } or null
+   */
+  getHandledCommand: function (cmd, callback) {
+    if (!this.idempotencyStore || !dotty.exists(cmd, this.definitions.command.id)) {
+      return callback(null, null);
+    }
+
+    this.idempotencyStore.get(dotty.get(cmd, this.definitions.command.id), callback);
+  },
+
+  /**
+   * Marks the passed command as in progress, so a concurrent duplicate is not handled a second time.
+   * If the command is already in progress, it waits until that attempt has finished
+   * and calls back with its remembered result, or reserves the command if that attempt has failed.
+   * If the timeout of the command elapses while waiting, it calls back with a CommandTimeoutError.
+   * @param {Object}   cmd      The passed command.
+   * @param {Object}   options  The handling options like: { dryRun: true }
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, handled, reserved){}` handled is the remembered entry or null
+   */
+  reserveCommand: function (cmd, options, callback) {
+    var self = this;
+
+    if (!this.idempotencyStore || !dotty.exists(cmd, this.definitions.command.id)) {
+      return callback(null, null, false);
+    }
+
+    if (options.dryRun) {
+      // a dry run does not mark the command, it only returns the remembered result
+      return this.getHandledCommand(cmd, function (err, handled) {
+        if (err) {
+          debug(err);
+          return callback(err);
+        }
+        callback(null, handled && !handled.inProgress ? handled : null, false);
+      });
+    }
+
+    var id = dotty.get(cmd, this.definitions.command.id);
+    var timeout = this.getCommandTimeout(cmd);
+    var startedAt = Date.now();
+
+    (function reserve () {
+      self.idempotencyStore.reserve({ id: id, inProgress: true, reservedAt: new Date() }, function (err, reserved) {
+        if (err) {
+          debug(err);
+          return callback(err);
+        }
+
+        if (reserved) {
+          return callback(null, null, true);
+        }
+
+        self.idempotencyStore.get(id, function (err, entry) {
+          if (err) {
+            debug(err);
+            return callback(err);
+          }
+
+          if (!entry) {
+            // the other attempt has failed (or its marker has expired) in the meantime
+            return reserve();
+          }
+
+          if (!entry.inProgress) {
+            return callback(null, entry, false);
+          }
+
+          if (timeout > 0 && Date.now() - startedAt >= timeout) {
+            err = new CommandTimeoutError('Command is still handled by a previous attempt after ' + timeout + 'ms!', {
+              timeout: timeout
+            });
+            debug(err);
+            return callback(err);
+          }
+
+          debug('command is already in progress, so wait for its result');
+          setTimeout(reserve, self.idempotencyStore.pollInterval || 50);
+        });
+      });
+    })();
+  },
+
+  /**
+   * Removes the in progress marker of the passed command, so it can be handled again.
+   * @param {Object}   cmd      The passed command.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err){}`
+   */
+  releaseCommand: function (cmd, callback) {
+    if (!this.idempotencyStore || !dotty.exists(cmd, this.definitions.command.id)) {
+      return callback(null);
+    }
+
+    this.idempotencyStore.remove(dotty.get(cmd, this.definitions.command.id), callback);
+  },
+
+  /**
+   * Remembers the result of the passed command, so it will not be handled twice.
+   * @param {Object}   cmd           The handled command.
+   * @param {Array}    evts          The resulting events.
+   * @param {Object}   aggregateData The resulting aggregate data.
+   * @param {Object}   meta          The meta infos.
+   * @param {Function} callback      The function, that will be called when this action is completed.
+   *                                 `function(err){}`
+   */
+  rememberHandledCommand: function (cmd, evts, aggregateData, meta, callback) {
+    if (!this.idempotencyStore || !dotty.exists(cmd, this.definitions.command.id)) {
+      return callback(null);
+    }
+
+    var entry = {
+      id: dotty.get(cmd, this.definitions.command.id),
+      // remember the events like they are published
+      events: _.map(evts || [], function (evt) {
+        return evt.payload && evt.id ? evt.payload : evt;
+      }),
+      aggregateData: aggregateData,
+      meta: meta,
+      handledAt: new Date()
+    };
+
+    this.idempotencyStore.save(entry, callback);
+  },
+
   /**
    * Queues the passed command and its callback.
    * @param {String}   aggId The passed aggregate id.
    * @param {Object}   cmd   The command to be queued.
+   * @param {Object}   options The handling options of this command. [optional]
    * @param {Function} clb   The callback of this command.
    */
-  queueCommand: function (aggId, cmd, clb) {
+  queueCommand: function (aggId, cmd, options, clb) {
+    if (_.isFunction(options)) {
+      clb = options;
+      options = {};
+    }
+
     if (!aggId || !_.isString(aggId)) {
       var err = new Error('Please pass a valid aggregate id!');
       debug(err);
@@ -100,7 +252,8 @@ _.extend(DefaultCommandHandler.prototype, {
     }
 
     this.queue[aggId] = this.queue[aggId] || [];
-    this.queue[aggId].push({ command: cmd, callback: clb })
+    this.queue[aggId].push({ command: cmd, options: options || {}, callback: clb })
+    this.reportQueueLength(aggId);
   },
 
   /**
@@ -138,13 +291,23 @@ _.extend(DefaultCommandHandler.prototype, {
     _.remove(this.queue[aggId], function (c) {
       return c.command === cmd;
     });
+    this.reportQueueLength(aggId);
+  },
+
+  /**
+   * Returns true if the aggregateLock waits until the aggregate is free, instead of reserving it and checking before committing.
+   * @returns {Boolean}
+   */
+  isBlockingLock: function () {
+    return this.aggregateLock.mode === 'blocking';
   },
 
   /**
    * Locks the aggregate.
+   * In blocking mode it waits until the aggregate is free and remembers the fencing token.
    * @param {String}   aggregateId The passed aggregateId.
    * @param {Function} callback    The function, that will be called when this action is completed.
-   *                               `function(err){}`
+   *                               `function(err, token){}` token is only set in blocking mode
    */
   lockAggregate: function (aggregateId, callback) {
     if (!aggregateId || !_.isString(aggregateId)) {
@@ -157,16 +320,86 @@ _.extend(DefaultCommandHandler.prototype, {
       debug(err);
       throw err;
     }
-    this.aggregateLock.reserve(this.id, aggregateId, callback);
+
+    var self = this;
+
+    if (this.isBlockingLock()) {
+      this.aggregateLock.acquire(this.id, aggregateId, function (err, token) {
+        if (err) {
+          return callback(err);
+        }
+        self.lockedAggregates[aggregateId] = true;
+        self.lockTokens[aggregateId] = token;
+        self.startLockHeartbeat(aggregateId);
+        callback(null, token);
+      });
+      return;
+    }
+
+    this.aggregateLock.reserve(this.id, aggregateId, function (err) {
+      if (!err) {
+        self.lockedAggregates[aggregateId] = true;
+        self.startLockHeartbeat(aggregateId);
+      }
+      callback(err);
+    });
+  },
+
+  /**
+   * Renews periodically the lease of the reservation of an aggregate, so a long running workflow
+   * does not lose its reservation. Only needed if the aggregateLock has a ttl.
+   * @param {String} aggregateId The passed aggregateId.
+   */
+  startLockHeartbeat: function (aggregateId) {
+    var self = this;
+
+    if (!this.aggregateLock.ttl || !this.aggregateLock.heartbeatInterval || this.lockHeartbeats[aggregateId]) {
+      return;
+    }
+
+    this.lockHeartbeats[aggregateId] = setInterval(function () {
+      debug('renew aggregate lock of ' + aggregateId);
+      self.aggregateLock.renew(self.id, aggregateId, function (err) {
+        if (err) {
+          debug(err);
+        }
+      });
+    }, this.aggregateLock.heartbeatInterval);
+
+    // the heartbeat should not keep the process alive
+    if (this.lockHeartbeats[aggregateId].unref) {
+      this.lockHeartbeats[aggregateId].unref();
+    }
+  },
+
+  /**
+   * Stops the renewal of the lease of the reservation of an aggregate.
+   * @param {String} aggregateId The passed aggregateId.
+   */
+  stopLockHeartbeat: function (aggregateId) {
+    if (!this.lockHeartbeats[aggregateId]) {
+      return;
+    }
+
+    clearInterval(this.lockHeartbeats[aggregateId]);
+    delete this.lockHeartbeats[aggregateId];
   },
 
   /**
    * Loads the aggregate.
    * @param {String}   aggregateId The passed aggregateId.
+   * @param {Object}   options     Options like: { revision: 42, timestamp: new Date() } [optional]
+   *                               Loads the aggregate only up to the passed revision and/or timestamp.
    * @param {Function} callback    The function, that will be called when this action is completed.
    *                               `function(err, aggregate, stream, isNewSnapshotNeeded){}`
    */
-  loadAggregate: function (aggregateId, callback) {
+  loadAggregate: function (aggregateId, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
     if (!aggregateId || !_.isString(aggregateId)) {
       var err = new Error('Please pass a valid aggregateId!');
       debug(err);
@@ -195,14 +428,32 @@ _.extend(DefaultCommandHandler.prototype, {
 
     var self = this;
 
+    var revMax = -1;
+    if (options.revision !== undefined && options.revision !== null) {
+      // the aggregate revision equals the amount of events, revMax of the eventstore is exclusive
+      revMax = options.revision;
+    }
+
+    var until = null;
+    if (options.timestamp) {
+      until = new Date(options.timestamp);
+    }
+
     var startLoading = Date.now();
 
-    this.eventStore.getFromSnapshot(query, function(err, snapshot, stream) {
+    function loaded (err, snapshot, stream, isSnapshotDiscarded) {
       if (err) {
         return callback(err);
       }
 
-      var events = _.map(stream.events, function (streamEvent) {
+      var streamEvents = stream.events;
+      if (until) {
+        streamEvents = _.filter(streamEvents, function (streamEvent) {
+          return new Date(streamEvent.commitStamp) <= until;
+        });
+      }
+
+      var events = _.map(streamEvents, function (streamEvent) {
         return streamEvent.payload;
       });
 
@@ -213,11 +464,56 @@ _.extend(DefaultCommandHandler.prototype, {
       }
       debug('needed ' + loadingTime + 'ms to load events' + addon + ' from the eventstore');
 
+      var lastSnapshotAt = null;
+      if (snapshot && snapshot.commitStamp) {
+        lastSnapshotAt = new Date(snapshot.commitStamp);
+      } else if (streamEvents.length > 0 && streamEvents[0].commitStamp) {
+        lastSnapshotAt = new Date(streamEvents[0].commitStamp);
+      }
+
       var aggregate = self.aggregate.create(aggregateId);
 
-      var isNewSnapShotNeeded = self.aggregate.loadFromHistory(aggregate, snapshot, events, loadingTime);
+      var isNewSnapShotNeeded = self.aggregate.loadFromHistory(aggregate, snapshot, events, loadingTime, lastSnapshotAt);
+
+      // replace the discarded snapshot by a compatible one
+      callback(null, aggregate, stream, isNewSnapShotNeeded || !!isSnapshotDiscarded);
+    }
+
+    function loadedFromSnapshot (err, snapshot, stream) {
+      if (err) {
+        return loaded(err);
+      }
+
+      if (!snapshot || !self.aggregate.discardIncompatibleSnapshots || self.aggregate.isSnapshotCompatible(snapshot)) {
+        return loaded(null, snapshot, stream);
+      }
 
-      callback(null, aggregate, stream, isNewSnapShotNeeded);
+      debug('snapshot of version ' + snapshot.version + ' can not be converted, so discard it and load all events');
+      self.eventStore.getEventStream(query, 0, revMax, function (err, stream) {
+        loaded(err, null, stream, true);
+      });
+    }
+
+    if (revMax === -1 && !until) {
+      return this.eventStore.getFromSnapshot(query, loadedFromSnapshot);
+    }
+
+    this.eventStore.getFromSnapshot(query, revMax, function (err, snapshot, stream) {
+      if (err) {
+        return loaded(err);
+      }
+
+      var isSnapshotTooNew = snapshot && ((revMax > -1 && snapshot.revision >= revMax) ||
+                                          (until && new Date(snapshot.commitStamp) > until));
+
+      if (!isSnapshotTooNew) {
+        return loadedFromSnapshot(null, snapshot, stream);
+      }
+
+      debug('snapshot is newer than requested, so load all events');
+      self.eventStore.getEventStream(query, 0, revMax, function (err, stream) {
+        loaded(err, null, stream);
+      });
     });
   },
 
@@ -270,11 +566,106 @@ _.extend(DefaultCommandHandler.prototype, {
           return;
         }
         debug('snapshot created');
+        if (self.instrumentation) {
+          self.instrumentation.snapshotCreated({
+            aggregateId: aggregate.id,
+            aggregate: self.aggregate.name,
+            context: self.aggregate.context ? self.aggregate.context.name : undefined,
+            revision: query.revision
+          });
+        }
         if (callback) callback(null);
       });
     });
   },
 
+  /**
+   * Creates a new snapshot with the actual aggregate version for each instance of the aggregate.
+   * The aggregates are loaded from all their events, the existing snapshots are ignored.
+   * The events are found by the aggregate (and context) name, so they have to be defined in the command definition.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, aggregateIds){}` aggregateIds are the ids of the snapshotted aggregates
+   */
+  rebuildSnapshots: function (callback) {
+    var hasAggregateName = !!this.definitions.command.aggregate;
+    var hasContextName = !!this.definitions.command.context;
+
+    if (!hasAggregateName) {
+      // the events of all aggregates would be replayed into this aggregate
+      var err = new Error('The events of the aggregate "' + this.aggregate.name + '" can not be found without an aggregate name in the command definition!');
+      debug(err);
+      return callback(err);
+    }
+
+    var query = {};
+
+    if (hasAggregateName) {
+      query.aggregate = this.aggregate.name;
+    }
+
+    if (hasContextName) {
+      query.context = this.aggregate.context.name;
+    }
+
+    var self = this;
+    var pageSize = 1000;
+    var aggregateIds = [];
+    var collected = {};
+
+    function collectAggregateIds (skip, callback) {
+      self.eventStore.getEvents(query, skip, pageSize, function (err, evts) {
+        if (err) {
+          return callback(err);
+        }
+
+        _.each(evts, function (evt) {
+          if (!collected[evt.aggregateId]) {
+            collected[evt.aggregateId] = true;
+            aggregateIds.push(evt.aggregateId);
+          }
+        });
+
+        if (evts.length < pageSize) {
+          return callback(null);
+        }
+
+        collectAggregateIds(skip + pageSize, callback);
+      });
+    }
+
+    collectAggregateIds(0, function (err) {
+      if (err) {
+        debug(err);
+        return callback(err);
+      }
+
+      debug('rebuild snapshots of ' + aggregateIds.length + ' aggregate(s)');
+
+      async.eachSeries(aggregateIds, function (aggregateId, callback) {
+        self.eventStore.getEventStream(_.extend({ aggregateId: aggregateId }, query), 0, -1, function (err, stream) {
+          if (err) {
+            return callback(err);
+          }
+
+          var events = _.map(stream.events, function (streamEvent) {
+            return streamEvent.payload;
+          });
+
+          var aggregate = self.aggregate.create(aggregateId);
+          self.aggregate.loadFromHistory(aggregate, null, events);
+
+          self.createSnapshot(aggregate, stream, callback);
+        });
+      }, function (err) {
+        if (err) {
+          debug(err);
+          return callback(err);
+        }
+        callback(null, aggregateIds);
+      });
+    });
+  },
+
   /**
    * Returns an error if the aggregate is destroyed.
    * @param {AggregateModel} aggregate The passed aggregate.
@@ -408,6 +799,8 @@ _.extend(DefaultCommandHandler.prototype, {
 
   /**
    * Checks if the aggregate lock is ok.
+   * In blocking mode it verifies the fencing token, so nothing is committed if the lease has elapsed in the meantime.
+   * The token is also passed to the event store with the stream, to cover a lease elapsing between this check and the commit.
    * @param {String}   aggregateId The passed aggregateId.
    * @param {Function} callback    The function, that will be called when this action is completed.
    *                               `function(err){}`
@@ -426,6 +819,23 @@ _.extend(DefaultCommandHandler.prototype, {
 
     var self = this;
 
+    if (this.isBlockingLock()) {
+      this.aggregateLock.verify(aggregateId, this.lockTokens[aggregateId], function (err, isValid) {
+        if (err) {
+          return callback(err);
+        }
+
+        if (isValid) {
+          return callback(null);
+        }
+
+        err = new ConcurrencyError('The fencing token is outdated, the aggregate has been locked by an other command handler!');
+        debug(err);
+        callback(err);
+      });
+      return;
+    }
+
     this.aggregateLock.getAll(aggregateId, function (err, workerIds) {
       if (err) {
         return callback(err);
@@ -459,7 +869,48 @@ _.extend(DefaultCommandHandler.prototype, {
       throw err;
     }
 
-    this.aggregateLock.resolve(aggregateId, callback);
+
+    var self = this;
+
+    this.stopLockHeartbeat(aggregateId);
+
+    if (this.isBlockingLock()) {
+      this.aggregateLock.release(this.id, aggregateId, this.lockTokens[aggregateId], function (err) {
+        if (!err) {
+          delete self.lockedAggregates[aggregateId];
+          delete self.lockTokens[aggregateId];
+        }
+        callback(err);
+      });
+      return;
+    }
+
+    this.aggregateLock.resolve(aggregateId, function (err) {
+      if (!err) {
+        delete self.lockedAggregates[aggregateId];
+      }
+      callback(err);
+    });
+  },
+
+  /**
+   * Resolves all aggregate locks that are still held by this command handler.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err){}`
+   */
+  resolveAllAggregateLocks: function (callback) {
+    if (!callback || !_.isFunction(callback)) {
+      var err = new Error('Please pass a valid callback!');
+      debug(err);
+      throw err;
+    }
+
+    var self = this;
+
+    async.each(_.keys(this.lockedAggregates), function (aggregateId, callback) {
+      debug('resolve aggregate lock of ' + aggregateId);
+      self.resolveAggregateLock(aggregateId, callback);
+    }, callback);
   },
 
   /**
@@ -493,25 +944,309 @@ _.extend(DefaultCommandHandler.prototype, {
       return callback(null, []);
     }
 
-    stream.addEvents(uncommitedEvents);
-
-    stream.commit(function (err, stream) {
+    this.eventStore.commit(stream, uncommitedEvents, function (err, committedEvents) {
       if (err) {
         return callback(err);
       }
 
-      callback(null, stream.eventsToDispatch);
+      callback(null, committedEvents);
     });
   },
 
+  /**
+   * Injects the function that is called before a command is handled again because of a concurrency problem.
+   * @param {Function} fn The function.
+   *                      `function(info){}` info is like: { command: {}, aggregateId: 'id', attempt: 1, retryIn: 100, error: err }
+   */
+  onConcurrencyRetry: function (fn) {
+    if (!fn || !_.isFunction(fn)) {
+      var err = new Error('Please pass a valid function!');
+      debug(err);
+      throw err;
+    }
+    this.concurrencyRetryListener = fn;
+  },
+
+  /**
+   * Injects the instrumentation that is informed about the workflow steps, the queue and the snapshots.
+   * @param {Object} instrumentation The instrumentation object like:
+   *                                 { startStep: function (step, info) { return function end (err) {}; },
+   *                                   queueChanged: function (info) {}, snapshotCreated: function (info) {} }
+   */
+  useInstrumentation: function (instrumentation) {
+    if (!instrumentation || !_.isObject(instrumentation)) {
+      var err = new Error('Please pass a valid instrumentation!');
+      debug(err);
+      throw err;
+    }
+    this.instrumentation = instrumentation;
+  },
+
+  /**
+   * Injects the scheduler that creates the needed snapshots in the background.
+   * @param {SnapshotScheduler} scheduler The snapshot scheduler object.
+   */
+  useSnapshotScheduler: function (scheduler) {
+    if (!scheduler || !_.isObject(scheduler)) {
+      var err = new Error('Please pass a valid snapshot scheduler!');
+      debug(err);
+      throw err;
+    }
+    this.snapshotScheduler = scheduler;
+  },
+
+  /**
+   * Returns the infos about the passed command used for the instrumentation.
+   * @param {String} aggId The passed aggregate id.
+   * @param {Object} cmd   The passed command.
+   * @returns {Object}
+   */
+  getInstrumentationInfo: function (aggId, cmd) {
+    return {
+      command: cmd,
+      aggregateId: aggId,
+      aggregate: this.aggregate ? this.aggregate.name : undefined,
+      context: this.aggregate && this.aggregate.context ? this.aggregate.context.name : undefined
+    };
+  },
+
+  /**
+   * Informs the instrumentation about the start of a workflow step.
+   * @param {String} step    The name of the step.
+   * @param {String} aggId   The passed aggregate id.
+   * @param {Object} cmd     The passed command.
+   * @param {Object} options The handling options (can contain the span of the command).
+   * @returns {Function} The function to be called at the end of the step.
+   *                     `function(err){}`
+   */
+  startStep: function (step, aggId, cmd, options) {
+    if (!this.instrumentation) {
+      return function () {};
+    }
+    var info = this.getInstrumentationInfo(aggId, cmd);
+    info.span = options ? options.span : undefined;
+    return this.instrumentation.startStep(step, info);
+  },
+
+  /**
+   * Informs the instrumentation about the current length of the queue of an aggregate.
+   * @param {String} aggId The passed aggregate id.
+   */
+  reportQueueLength: function (aggId) {
+    if (!this.instrumentation) {
+      return;
+    }
+    this.instrumentation.queueChanged({
+      aggregateId: aggId,
+      aggregate: this.aggregate ? this.aggregate.name : undefined,
+      context: this.aggregate && this.aggregate.context ? this.aggregate.context.name : undefined,
+      length: this.queue[aggId] ? this.queue[aggId].length : 0
+    });
+  },
+
+  /**
+   * Returns the time in ms to wait before the next attempt to handle a command that failed because of a concurrency problem.
+   * The delay grows exponentially with each attempt and is randomized (full jitter).
+   * @param {Number} attempt   The number of the attempts already made.
+   * @param {Number} startedAt The timestamp of the first attempt.
+   * @returns {Number} null if no more attempt should be made.
+   */
+  getRetryDelay: function (attempt, startedAt) {
+    var policy = _.defaults({}, this.options.concurrencyRetryPolicy, {
+      maxAttempts: 10,
+      initialDelay: 100,
+      maxDelay: this.options.retryOnConcurrencyTimeout || 800,
+      factor: 2,
+      deadline: 0
+    });
+
+    if (attempt >= policy.maxAttempts) {
+      return null;
+    }
+
+    var retryIn = randomBetween(0, Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.factor, attempt - 1)));
+
+    if (policy.deadline > 0 && Date.now() + retryIn - startedAt > policy.deadline) {
+      return null;
+    }
+
+    return retryIn;
+  },
+
+  /**
+   * Returns the timeout in ms for the passed command.
+   * The timeout of the command definition wins over the commandTimeout (options).
+   * @param {Object} cmd The passed command.
+   * @returns {Number} 0 if the command should not time out.
+   */
+  getCommandTimeout: function (cmd) {
+    var timeout = this.options.commandTimeout || 0;
+
+    if (!this.aggregate || !_.isFunction(this.aggregate.getCommand)) {
+      return timeout;
+    }
+
+    var cmdName = dotty.get(cmd, this.definitions.command.name);
+    var version = 0;
+    if (!!this.definitions.command.version) {
+      version = dotty.get(cmd, this.definitions.command.version) || 0;
+    }
+
+    if (!cmdName || !_.isString(cmdName) || !_.isNumber(version)) {
+      return timeout;
+    }
+
+    var command = this.aggregate.getCommand(cmdName, version);
+    if (command && _.isNumber(command.timeout)) {
+      return command.timeout;
+    }
+
+    return timeout;
+  },
+
   /**
    * Executes the default workflow to handle a command.
+   * On a concurrency problem the workflow is executed again, depending on the concurrencyRetryPolicy (options).
+   * If the command is not handled within its timeout, the workflow is aborted with a CommandTimeoutError.
+   * A commit that has already started is not aborted, so its events are always returned to be dispatched.
    * @param {String}   aggId    The passed aggregate id.
    * @param {Object}   cmd      The passed command.
+   * @param {Object}   options  The handling options like: { dryRun: true } [optional]
+   *                            If dryRun is set, nothing will be committed and the uncommitted events are returned.
    * @param {Function} callback The function, that will be called when this action is completed.
    *                            `function(err, eventsToDispatch){}`
    */
-  workflow: function (aggId, cmd, callback) {
+  workflow: function (aggId, cmd, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
+    var self = this;
+
+    var attempt = 0;
+    var startedAt = Date.now();
+
+    var timedOut = false;
+    var committing = false;
+    var timer = null;
+    var timeout = this.getCommandTimeout(cmd);
+
+    function arm (delay) {
+      timer = setTimeout(function () {
+        timedOut = true;
+
+        var err = new CommandTimeoutError('Command has not been handled within ' + timeout + 'ms!', {
+          aggregateId: aggId,
+          timeout: timeout
+        });
+        debug(err);
+
+        var concatenatedId = self.getConcatenatedId(aggId, cmd);
+        if (!self.lockedAggregates[concatenatedId]) {
+          return callback(err);
+        }
+
+        self.resolveAggregateLock(concatenatedId, function (errLock) {
+          if (errLock) {
+            debug(errLock);
+          }
+          callback(err);
+        });
+      }, delay);
+    }
+
+    if (timeout > 0) {
+      options = _.extend({}, options, {
+        isCancelled: function () { return timedOut; },
+        // a started commit can not be cancelled anymore, so the committed events are never dropped
+        beginCommit: function () {
+          if (timedOut) {
+            return false;
+          }
+          committing = true;
+          clearTimeout(timer);
+          return true;
+        }
+      });
+
+      arm(timeout);
+    }
+
+    (function run () {
+      if (timedOut) {
+        return;
+      }
+
+      attempt++;
+
+      self.runWorkflow(aggId, cmd, options, function (err, eventsToDispatch, aggregateData, meta) {
+        if (timedOut) {
+          debug('command has already timed out, so ignore the result');
+          return;
+        }
+
+        if (!(err instanceof ConcurrencyError)) {
+          clearTimeout(timer);
+          return callback.apply(callback, _.toArray(arguments));
+        }
+
+        var retryIn = self.getRetryDelay(attempt, startedAt);
+
+        if (retryIn === null) {
+          var elapsed = Date.now() - startedAt;
+          var error = new AggregateConcurrencyError('Aggregate is still locked by an other command handler after ' + attempt + ' attempts!', {
+            aggregateId: aggId,
+            attempts: attempt,
+            elapsed: elapsed
+          });
+          debug(error);
+          clearTimeout(timer);
+          return callback(error, null, aggregateData, meta);
+        }
+
+        debug('retry in ' + retryIn + 'ms');
+
+        if (committing) {
+          // the commit has failed, so the timeout is armed again with the remaining time
+          committing = false;
+          arm(Math.max(0, timeout - (Date.now() - startedAt)));
+        }
+
+        if (self.concurrencyRetryListener) {
+          self.concurrencyRetryListener({
+            command: cmd,
+            aggregateId: aggId,
+            aggregate: meta ? meta.aggregate : undefined,
+            context: meta ? meta.context : undefined,
+            attempt: attempt,
+            retryIn: retryIn,
+            error: err
+          });
+        }
+
+        setTimeout(run, retryIn);
+      });
+    })();
+  },
+
+  /**
+   * Executes the default workflow to handle a command once, without retrying on concurrency problems.
+   * @param {String}   aggId    The passed aggregate id.
+   * @param {Object}   cmd      The passed command.
+   * @param {Object}   options  The handling options like: { dryRun: true } [optional]
+   *                            If dryRun is set, nothing will be committed and the uncommitted events are returned.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, eventsToDispatch){}`
+   */
+  runWorkflow: function (aggId, cmd, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
     if (!aggId || !_.isString(aggId)) {
       var err = new Error('Please pass a valid aggregate id!');
       debug(err);
@@ -531,6 +1266,7 @@ _.extend(DefaultCommandHandler.prototype, {
     var self = this;
 
     var agg = null;
+    var lockToken = null;
     var meta = {
       aggregateId: aggId,
       aggregate: this.aggregate ? this.aggregate.name : undefined,
@@ -539,10 +1275,24 @@ _.extend(DefaultCommandHandler.prototype, {
 
     var concatenatedId = this.getConcatenatedId(aggId, cmd);
 
+    // informs the instrumentation about the duration of the step
+    function step (name, fn) {
+      return function () {
+        var args = _.toArray(arguments);
+        var clb = args.pop();
+        var end = self.startStep(name, aggId, cmd, options);
+        args.push(function (err) {
+          end(err);
+          clb.apply(clb, _.toArray(arguments));
+        });
+        fn.apply(null, args);
+      };
+    }
+
     async.waterfall([
 
       // validate command
-      function (clb) {
+      step('validateCommand', function (clb) {
         debug('validate command');
 
         var valErr = null;
@@ -552,7 +1302,7 @@ _.extend(DefaultCommandHandler.prototype, {
           valErr = e;
         }
         clb(valErr);
-      },
+      }),
 
 //      // check aggregate lock
 //      function (clb) {
@@ -561,40 +1311,62 @@ _.extend(DefaultCommandHandler.prototype, {
 //      },
 
       // lock aggregate
-      function (clb) {
+      step('lockAggregate', function (clb) {
         debug('lock aggregate');
-        self.lockAggregate(concatenatedId, clb);
-      },
+        self.lockAggregate(concatenatedId, function (err, token) {
+          lockToken = token;
+
+          if (!err && token && options.isCancelled && options.isCancelled()) {
+            // the command has timed out while waiting, so pass the aggregate to the next one right away
+            debug('command has timed out while waiting for the aggregate');
+            return self.resolveAggregateLock(concatenatedId, function () {
+              clb(new CommandTimeoutError('Command has been cancelled!'));
+            });
+          }
+
+          clb(err);
+        });
+      }),
 
       // load aggregate
-      function (clb) {
+      step('loadAggregate', function (clb) {
         debug('load aggregate');
         self.loadAggregate(aggId, clb);
-      },
+      }),
 
       // check if new snapshot is needed
-      function (aggregate, stream, isNewSnapShotNeeded, clb) {
+      step('checkSnapshot', function (aggregate, stream, isNewSnapShotNeeded, clb) {
         agg = aggregate; // save it temporary so we can use it in the callback
 
         debug('check if new snapshot is needed');
-        if (isNewSnapShotNeeded) {
-          self.createSnapshot(aggregate, stream);
+        if (isNewSnapShotNeeded && !options.dryRun) {
+          if (self.snapshotScheduler) {
+            // capture the loaded state, the aggregate and the stream will change while handling the command
+            var aggregateData = aggregate.toJSON();
+            var snapshotAggregate = { id: aggregate.id, toJSON: function () { return aggregateData; } };
+            var snapshotStream = { lastRevision: stream.lastRevision };
+            self.snapshotScheduler.schedule(concatenatedId, function (callback) {
+              self.createSnapshot(snapshotAggregate, snapshotStream, callback);
+            });
+          } else {
+            self.createSnapshot(aggregate, stream);
+          }
         }
         clb(null, aggregate, stream);
-      },
+      }),
 
       // verify aggregate
-      function (aggregate, stream, clb) {
+      step('verifyAggregate', function (aggregate, stream, clb) {
         debug('verify aggregate');
         var err = self.verifyAggregate(aggregate, cmd);
         if (err) {
           return clb(err);
         }
         clb(null, aggregate, stream);
-      },
+      }),
 
       // handle command and check business rules
-      function (aggregate, stream, clb) {
+      step('handleCommand', function (aggregate, stream, clb) {
         debug('handle command');
         self.letHandleCommandByAggregate(aggregate, cmd, function (err) { // err is a business rule error
           if (err) {
@@ -602,23 +1374,55 @@ _.extend(DefaultCommandHandler.prototype, {
           }
           clb(null, aggregate, stream);
         });
-      },
+      }),
 
       // check aggregate lock
-      function (aggregate, stream, clb) {
+      step('checkAggregateLock', function (aggregate, stream, clb) {
+        if (options.isCancelled && options.isCancelled()) {
+          debug('command has timed out, so do not commit the new aggregate events');
+          return clb(new CommandTimeoutError('Command has been cancelled!'));
+        }
+
         debug('check aggregate lock');
         self.checkAggregateLock(concatenatedId, function (err) {
           clb(err, aggregate, stream);
         });
-      },
+      }),
 
       // commit new aggregate events
-      function (aggregate, stream, clb) {
+      step('commit', function (aggregate, stream, clb) {
+        if (options.beginCommit && !options.beginCommit()) {
+          debug('command has timed out, so do not commit the new aggregate events');
+          return clb(new CommandTimeoutError('Command has been cancelled!'));
+        }
+
+        if (options.dryRun) {
+          debug('dry run, so do not commit the new aggregate events');
+          return clb(null, aggregate.getUncommittedEvents());
+        }
+
+        if (lockToken) {
+          // lets the event store reject the commit, if an other command handler has locked the aggregate in the meantime
+          stream.fencingToken = lockToken;
+        }
+
         debug('commit new aggregate events');
         self.commit(aggregate, stream, clb);
-      }
+      })
 
     ], function (err, eventsToDispatch) {
+      if (options.isCancelled && options.isCancelled()) {
+        var cancelErr = err || new CommandTimeoutError('Command has been cancelled!');
+        if (lockToken && self.lockTokens[concatenatedId] === lockToken) {
+          // the aggregate has been passed to this command after it has timed out (blocking mode)
+          return self.resolveAggregateLock(concatenatedId, function () {
+            callback(cancelErr);
+          });
+        }
+        // the lock has already been resolved and maybe reserved by the next command
+        return callback(cancelErr);
+      }
+
       // unlock...
       debug('unlock aggregate');
 
@@ -634,16 +1438,6 @@ _.extend(DefaultCommandHandler.prototype, {
 
         if (err) {
           debug(err);
-
-          if (err instanceof ConcurrencyError) {
-            var retryIn = randomBetween(0, self.options.retryOnConcurrencyTimeout); // could be overwritten in a custom commandHandler?
-            debug('retry in ' + retryIn + 'ms');
-            setTimeout(function() {
-              self.workflow(aggId, cmd, callback);
-            }, retryIn);
-            return;
-          }
-
           return callback(err, null, agg ? agg.toJSON() : null, meta);
         }
 
@@ -675,10 +1469,17 @@ _.extend(DefaultCommandHandler.prototype, {
   /**
    * Handles the passed command
    * @param {Object}   cmd      The passed command
+   * @param {Object}   options  The handling options like: { dryRun: true } [optional]
    * @param {Function} callback The function, that will be called when this action is completed.
    *                            `function(err, evts){}`
    */
-  handle: function (cmd, callback) {
+  handle: function (cmd, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
     if (!cmd || !_.isObject(cmd)) {
       var err = new Error('Please pass a valid command!');
       debug(err);
@@ -697,7 +1498,7 @@ _.extend(DefaultCommandHandler.prototype, {
 
       var isFirst = !self.getNextCommandInQueue(concatenatedId);
 
-      self.queueCommand(concatenatedId, cmd, callback);
+      self.queueCommand(concatenatedId, cmd, options, callback);
 
       if (!isFirst) {
         return;
@@ -707,28 +1508,70 @@ _.extend(DefaultCommandHandler.prototype, {
         var concId = self.getConcatenatedId(aggregateId, c);
         var cmdEntry = self.getNextCommandInQueue(concId);
         if (cmdEntry) {
-          self.workflow(aggregateId, cmdEntry.command, function (err, evts, aggData, meta) {
+          var done = function (err, evts, aggData, meta) {
             self.removeCommandFromQueue(concId, cmdEntry.command);
             handleNext(aggregateId, cmdEntry.command);
             cmdEntry.callback(err, evts, aggData, meta);
+          };
+
+          self.workflow(aggregateId, cmdEntry.command, cmdEntry.options, function (err, evts, aggData, meta) {
+            if (err || cmdEntry.options.dryRun) {
+              return done(err, evts, aggData, meta);
+            }
+
+            self.rememberHandledCommand(cmdEntry.command, evts, aggData, meta, function (errRemember) {
+              if (errRemember) {
+                // the events are already committed, so do not reject the command
+                debug(errRemember);
+              }
+              done(null, evts, aggData, meta);
+            });
           });
         }
       })(aggId, cmd);
     }
 
-    if (dotty.exists(cmd, this.definitions.command.aggregateId)) {
-      return _handle(dotty.get(cmd, this.definitions.command.aggregateId));
-    }
-
-    debug('no aggregateId in command, so generate a new one');
-
-    this.eventStore.getNewId(function (err, id) {
+    // the command is marked as in progress before an aggregateId is generated,
+    // so a concurrent duplicate of a create command does not create a second aggregate
+    this.reserveCommand(cmd, options, function (err, handled, reserved) {
       if (err) {
-        debug(err);
         return callback(err);
       }
 
-      return _handle(id);
+      if (handled) {
+        debug('command has already been handled, so return the remembered result');
+        return callback(null, handled.events, handled.aggregateData, _.extend({}, handled.meta, { duplicate: true }));
+      }
+
+      if (reserved) {
+        callback = _.wrap(callback, function (clb, err, evts, aggData, meta) {
+          if (!err) {
+            return clb(null, evts, aggData, meta);
+          }
+
+          self.releaseCommand(cmd, function (errRelease) {
+            if (errRelease) {
+              debug(errRelease);
+            }
+            clb(err, evts, aggData, meta);
+          });
+        });
+      }
+
+      if (dotty.exists(cmd, self.definitions.command.aggregateId)) {
+        return _handle(dotty.get(cmd, self.definitions.command.aggregateId));
+      }
+
+      debug('no aggregateId in command, so generate a new one');
+
+      self.eventStore.getNewId(function (err, id) {
+        if (err) {
+          debug(err);
+          return callback(err);
+        }
+
+        return _handle(id);
+      });
     });
   }
 
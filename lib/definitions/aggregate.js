@@ -8,7 +8,10 @@ var Definition = require('../definitionBase'),
   dotty = require('dotty'),
   DefaultCommandHandler = require('../defaultCommandHandler'),
   uuid = require('node-uuid').v4,
-  async = require('async');
+  async = require('async'),
+  snapshotStrategies = require('../snapshotStrategies'),
+  BusinessRuleError = require('../errors/businessRuleError'),
+  CommandNotFoundError = require('../errors/commandNotFoundError');
 
 /**
  * Aggregate constructor
@@ -23,6 +26,8 @@ function Aggregate (meta, modelInitValues) {
 
   this.version = meta.version || 0;
 
+  this.discardIncompatibleSnapshots = meta.discardIncompatibleSnapshots || false;
+
   this.defaultCommandPayload = meta.defaultCommandPayload || '';
   this.defaultEventPayload = meta.defaultEventPayload || '';
   this.defaultPreConditionPayload = meta.defaultPreConditionPayload || '';
@@ -32,8 +37,14 @@ function Aggregate (meta, modelInitValues) {
   this.businessRules = [];
   this.preConditions = [];
   this.commandHandlers = [];
+  this.eventUpcasters = [];
+  this.schemas = [];
+  this.eventSchemas = [];
+  this.stateSchemas = [];
 
   this.snapshotConversions = {};
+  this.snapshotConversionSteps = [];
+  this.snapshotStrategies = [];
 
   this.idGenerator(function () {
     return uuid().toString();
@@ -47,6 +58,23 @@ function Aggregate (meta, modelInitValues) {
 
 util.inherits(Aggregate, Definition);
 
+/**
+ * Adds the passed json schema to the passed list, if it is not already in.
+ * @param {Array}  schemas The list of schemas.
+ * @param {Object} schema  The json schema.
+ */
+function addSchemaTo (schemas, schema) {
+  if (!schema || !_.isObject(schema) || !schema.title) {
+    var err = new Error('Please inject a valid schema object with a title!');
+    debug(err);
+    throw err;
+  }
+
+  if (schemas.indexOf(schema) < 0) {
+    schemas.push(schema);
+  }
+}
+
 /**
  * Returns the apply function for the AggregateModel.
  * @param {Aggregate}      aggregate      The aggregate object.
@@ -262,6 +290,55 @@ _.extend(Aggregate.prototype, {
     }
   },
 
+  /**
+   * Add eventUpcaster module.
+   * @param {EventUpcaster} eventUpcaster The eventUpcaster module to be injected.
+   */
+  addEventUpcaster: function (eventUpcaster) {
+    if (!eventUpcaster || !_.isObject(eventUpcaster) || !_.isFunction(eventUpcaster.upcast)) {
+      var err = new Error('Please inject a valid eventUpcaster object!');
+      debug(err);
+      throw err;
+    }
+
+    if (this.eventUpcasters.indexOf(eventUpcaster) < 0) {
+      this.eventUpcasters.push(eventUpcaster);
+    }
+  },
+
+  /**
+   * Adds a json schema to this aggregate. Only needed if the definitions are added in code (see domain.addContext).
+   * If the title matches a command name, the command is validated. Otherwise the schema can be referenced by the others.
+   * @param   {Object}    schema The json schema.
+   * @returns {Aggregate}        to be able to chain...
+   */
+  addSchema: function (schema) {
+    addSchemaTo(this.schemas, schema);
+    return this;
+  },
+
+  /**
+   * Adds a json schema for the payload of the event whose name matches the title.
+   * Only needed if the definitions are added in code (see domain.addContext).
+   * @param   {Object}    schema The json schema.
+   * @returns {Aggregate}        to be able to chain...
+   */
+  addEventSchema: function (schema) {
+    addSchemaTo(this.eventSchemas, schema);
+    return this;
+  },
+
+  /**
+   * Adds a json schema for the aggregate state.
+   * Only needed if the definitions are added in code (see domain.addContext).
+   * @param   {Object}    schema The json schema.
+   * @returns {Aggregate}        to be able to chain...
+   */
+  addStateSchema: function (schema) {
+    addSchemaTo(this.stateSchemas, schema);
+    return this;
+  },
+
   /**
    * Returns the command modules by command name.
    * @param {String} name The command name.
@@ -279,6 +356,23 @@ _.extend(Aggregate.prototype, {
     });
   },
 
+  /**
+   * Returns the event modules by event name.
+   * @param {String} name The event name.
+   * @returns {Array}
+   */
+  getEventsByName: function (name) {
+    if (!name || !_.isString(name)) {
+      var err = new Error('Please pass a valid string as name!');
+      debug(err);
+      throw err;
+    }
+
+    return _.filter(this.events, function (evt) {
+      return evt.name === name;
+    });
+  },
+
   /**
    * Returns the command module by command name and command version.
    * @param {String} name    The command name.
@@ -395,6 +489,40 @@ _.extend(Aggregate.prototype, {
     return this.defaultCommandHandler;
   },
 
+  /**
+   * Returns all eventUpcaster modules.
+   * @returns {Array}
+   */
+  getEventUpcasters: function () {
+    return this.eventUpcasters;
+  },
+
+  /**
+   * Returns the eventUpcaster module by event name and the version it upcasts from.
+   * @param {String} name        The event name.
+   * @param {Number} fromVersion The event version. [optional; default 0]
+   * @returns {EventUpcaster}
+   */
+  getEventUpcaster: function (name, fromVersion) {
+    if (!name || !_.isString(name)) {
+      var err = new Error('Please pass a valid string as name!');
+      debug(err);
+      throw err;
+    }
+
+    fromVersion = fromVersion || 0;
+
+    if (!_.isNumber(fromVersion)) {
+      var err = new Error('Please pass a valid number as version!');
+      debug(err);
+      throw err;
+    }
+
+    return _.find(this.eventUpcasters, function (upcaster) {
+      return upcaster.name === name && upcaster.fromVersion === fromVersion;
+    });
+  },
+
   /**
    * Returns a new aggregate model, to be used in the command and event functions.
    * @param {String} id The aggregate id.
@@ -431,7 +559,7 @@ _.extend(Aggregate.prototype, {
 
     var command = this.getCommand(cmdName, version);
     if (!command) {
-      var err = new Error('Command "' + cmdName + '" not found!');
+      var err = new CommandNotFoundError('Command "' + cmdName + '" not found!');
       debug(err);
       throw err;
     }
@@ -439,6 +567,56 @@ _.extend(Aggregate.prototype, {
     return command.validate(cmd);
   },
 
+  /**
+   * Injects the validator function for the aggregate state.
+   * @param {Function} validator The validator function that should be injected
+   */
+  defineValidation: function (validator) {
+    if (!_.isFunction(validator)) {
+      var err = new Error('Please pass in a function');
+      debug(err);
+      throw err;
+    }
+    this.validator = validator;
+  },
+
+  /**
+   * Validates the payloads of the passed events and the resulting aggregate state.
+   * @param {AggregateModel} aggregateModel The aggregate object.
+   * @param {Array}          events         The new events.
+   * @returns {ValidationError}
+   */
+  validateState: function (aggregateModel, events) {
+    var self = this;
+    var err = null;
+
+    _.find(events || [], function (evt) {
+      var evtName = dotty.get(evt, self.definitions.event.name);
+
+      var version = 0;
+      if (!!self.definitions.event.version) {
+        version = dotty.get(evt, self.definitions.event.version);
+      }
+
+      var event = self.getEvent(evtName, version);
+      if (event && event.validate) {
+        err = event.validate(evt);
+      }
+      return !!err;
+    });
+
+    if (err) {
+      return err;
+    }
+
+    if (!this.validator) {
+      debug('no validation rule for the state of ' + this.name);
+      return null;
+    }
+
+    return this.validator(aggregateModel.toJSON());
+  },
+
   /**
    * Checks for aggregate-specific pre-conditions.
    * @param {Object}         cmd            The command that was handled.
@@ -487,7 +665,7 @@ _.extend(Aggregate.prototype, {
 
       var command = self.getCommand(cmdName, version);
       if (!command) {
-        var err = new Error('Command "' + cmdName + '" not found!');
+        var err = new CommandNotFoundError('Command "' + cmdName + '" not found!');
         debug(err);
         throw err;
       }
@@ -533,7 +711,7 @@ _.extend(Aggregate.prototype, {
 
     var command = this.getCommand(cmdName, version);
     if (!command) {
-      var err = new Error('Command "' + cmdName + '" not found!');
+      var err = new CommandNotFoundError('Command "' + cmdName + '" not found!');
       debug(err);
       return callback(err);
     }
@@ -554,49 +732,95 @@ _.extend(Aggregate.prototype, {
       // attach apply function
       aggregateModel.apply = applyHelper(self, aggregateModel, cmd);
 
-      debug('handle command');
-      command.handle(cmd, aggregateModel);
+      function handled (err, isRejection) {
+        // remove apply function
+        delete aggregateModel.apply;
 
-      // remove apply function
-      delete aggregateModel.apply;
+        if (err) {
+          debug(err);
 
-      var uncommittedEvents = aggregateModel.getUncommittedEvents();
+          // only a rejection reason that is not an error (i.e. a string) is converted to a business rule violation,
+          // any other error (i.e. a TypeError) is passed as it is and reported as internal error
+          if (isRejection && !(err instanceof Error)) {
+            err = new BusinessRuleError(_.isString(err) ? err : err.message);
+          }
 
-      async.each(uncommittedEvents, function (evt, callback) {
-        var isEvtIdDefined = !!dotty.get(evt, self.definitions.event.id);
-        if (isEvtIdDefined) {
-          debug('event id already defined');
-          return callback(null);
+          // clean up...
+          aggregateModel.reset(previousModel.toJSON());
+          aggregateModel.clearUncommittedEvents();
+          return callback(err);
         }
 
-        // generate new id for event
-        debug('generate new id for event');
-        self.getNewId(function (err, id) {
+        var uncommittedEvents = aggregateModel.getUncommittedEvents();
+
+        async.each(uncommittedEvents, function (evt, callback) {
+          var isEvtIdDefined = !!dotty.get(evt, self.definitions.event.id);
+          if (isEvtIdDefined) {
+            debug('event id already defined');
+            return callback(null);
+          }
+
+          // generate new id for event
+          debug('generate new id for event');
+          self.getNewId(function (err, id) {
+            if (err) {
+              return callback(err);
+            }
+
+            dotty.put(evt, self.definitions.event.id, id);
+            callback(null);
+          });
+        }, function (err) {
           if (err) {
             return callback(err);
           }
 
-          dotty.put(evt, self.definitions.event.id, id);
-          callback(null);
-        });
-      }, function (err) {
-        if (err) {
-          return callback(err);
-        }
+          // validate event payloads and aggregate state
+          debug('validate event payloads and aggregate state');
+          var valErr = self.validateState(aggregateModel, uncommittedEvents);
+          if (valErr) {
+            debug(valErr);
 
-        // check business rules
-        debug('check business rules');
-        self.checkBusinessRules(aggregateModel, previousModel, uncommittedEvents, cmd, function (err) {
-          if (!err) {
-            return callback(null);
+            // clean up...
+            aggregateModel.reset(previousModel.toJSON());
+            aggregateModel.clearUncommittedEvents();
+            return callback(valErr);
           }
 
-          // clean up...
-          aggregateModel.reset(previousModel.toJSON());
-          aggregateModel.clearUncommittedEvents();
-          callback(err);
+          // check business rules
+          debug('check business rules');
+          self.checkBusinessRules(aggregateModel, previousModel, uncommittedEvents, cmd, function (err) {
+            if (!err) {
+              return callback(null);
+            }
+
+            // clean up...
+            aggregateModel.reset(previousModel.toJSON());
+            aggregateModel.clearUncommittedEvents();
+            callback(err);
+          });
         });
-      });
+      }
+
+      debug('handle command');
+      var res;
+      try {
+        res = command.handle(cmd, aggregateModel);
+      } catch (err) {
+        return handled(err || new Error('Command "' + cmdName + '" has thrown!'));
+      }
+
+      if (res && _.isFunction(res.then)) {
+        // seams to be an async command function, so wait for the returned promise
+        res.then(function () {
+          handled(null);
+        }, function (err) {
+          handled(err || new BusinessRuleError(), true);
+        });
+        return;
+      }
+
+      handled(null);
     });
   },
 
@@ -641,6 +865,37 @@ _.extend(Aggregate.prototype, {
     });
   },
 
+  /**
+   * Upcasts the passed event (stored with an older version) to the newest version,
+   * by chaining all matching eventUpcasters.
+   * @param {Object} evt The event that should be upcasted.
+   * @returns {Object}
+   */
+  upcast: function (evt) {
+    var evtName = dotty.get(evt, this.definitions.event.name);
+    if (!evtName) {
+      return evt;
+    }
+
+    var version = 0;
+    if (!!this.definitions.event.version) {
+      version = dotty.get(evt, this.definitions.event.version) || 0;
+    }
+
+    var upcaster = this.getEventUpcaster(evtName, version);
+    while (upcaster) {
+      debug('upcast event "' + evtName + '" from version ' + upcaster.fromVersion + ' to ' + upcaster.toVersion);
+      evt = upcaster.upcast(evt);
+      version = upcaster.toVersion;
+      if (!!this.definitions.event.version) {
+        dotty.put(evt, this.definitions.event.version, version);
+      }
+      upcaster = this.getEventUpcaster(evtName, version);
+    }
+
+    return evt;
+  },
+
   /**
    * Loads the aggregateModel with the data of the snapshot and the events.
    * And returns true if a new snapshot should be done.
@@ -648,9 +903,11 @@ _.extend(Aggregate.prototype, {
    * @param {Object}          snapshot       The snapshot object.
    * @param {Array}           events         The events that should be applied.
    * @param {Number}          loadingTime    The loading time in ms of the eventstore data.
+   * @param {Date}            lastSnapshotAt The date of the last snapshot or of the first event,
+   *                                         if there is no snapshot. [optional]
    * @returns {boolean}
    */
-  loadFromHistory: function (aggregateModel, snapshot, events, loadingTime) {
+  loadFromHistory: function (aggregateModel, snapshot, events, loadingTime, lastSnapshotAt) {
     var self = this;
 
     var isSnapshotNeeded = false;
@@ -661,13 +918,25 @@ _.extend(Aggregate.prototype, {
       if (snapshot.version === this.version) {
         aggregateModel.set(snapshot.data);
       } else {
-        if (!this.snapshotConversions[snapshot.version]) {
+        var conversions = this.getSnapshotConversions(snapshot.version);
+        if (!conversions) {
           var err = new Error('No snapshot conversion defined!');
           debug(err);
           throw err;
         }
         debug('convert snapshot from history');
-        this.snapshotConversions[snapshot.version](snapshot.data, aggregateModel);
+        var data = snapshot.data;
+        _.each(conversions, function (conversion, i) {
+          debug('convert snapshot from version ' + conversion.fromVersion + ' to ' + conversion.toVersion);
+          if (i === conversions.length - 1) {
+            conversion.convert(data, aggregateModel);
+            return;
+          }
+          // intermediate versions are converted in a temporary model
+          var intermediateModel = new AggregateModel(aggregateModel.id);
+          conversion.convert(data, intermediateModel);
+          data = intermediateModel.toJSON();
+        });
         isSnapshotNeeded = true;
       }
       aggregateModel.setRevision(snapshot.revision);
@@ -684,12 +953,24 @@ _.extend(Aggregate.prototype, {
         return res;
       }, 0);
 
+      if (this.eventUpcasters.length > 0) {
+        events = _.map(events, function (evt) {
+          return self.upcast(evt);
+        });
+      }
+
       this.apply(events, aggregateModel);
 
       aggregateModel.setRevision(maxRevision);
 
       if (!isSnapshotNeeded) {
-        isSnapshotNeeded = this.isSnapshotNeeded(loadingTime, events, aggregateModel.toJSON());
+        var aggregateData = aggregateModel.toJSON();
+        isSnapshotNeeded = this.isSnapshotNeeded(loadingTime, events, aggregateData, {
+          revision: maxRevision,
+          snapshotRevision: snapshot ? snapshot.revision : 0,
+          snapshotData: snapshot ? snapshot.data : null,
+          lastSnapshotAt: lastSnapshotAt || null
+        });
       }
     }
 
@@ -698,12 +979,31 @@ _.extend(Aggregate.prototype, {
 
   /**
    * Returns true if a new snapshot should be done.
+   * If snapshot strategies are defined, a snapshot is done as soon as one of them says so.
    * @param {Number} loadingTime    The loading time in ms of the eventstore data.
    * @param {Array}  events         The loaded events.
    * @param {Object} aggregateModel The aggregate json object. [could be used for other algorithms]
+   * @param {Object} info           More infos like: { revision: 120, snapshotRevision: 100, snapshotData: {}, lastSnapshotAt: Date } [optional]
    * @returns {boolean}
    */
-  isSnapshotNeeded: function (loadingTime, events, aggregateModel) {
+  isSnapshotNeeded: function (loadingTime, events, aggregateModel, info) {
+    var self = this;
+
+    if (this.snapshotStrategies.length > 0) {
+      info = _.extend({}, info, {
+        loadingTime: loadingTime,
+        events: events || [],
+        eventNames: _.map(events || [], function (evt) {
+          return dotty.get(evt, self.definitions.event.name);
+        }),
+        aggregateData: aggregateModel
+      });
+
+      return _.some(this.snapshotStrategies, function (strategy) {
+        return !!strategy(info);
+      });
+    }
+
     var snapshotThreshold = 100;
     if (this.options.snapshotThreshold) {
       snapshotThreshold = this.options.snapshotThreshold;
@@ -716,6 +1016,34 @@ _.extend(Aggregate.prototype, {
     return events.length >= snapshotThreshold;
   },
 
+  /**
+   * Adds a strategy to identify if a snapshot is needed to be done.
+   * Built-in strategies are: 'revisions', 'events', 'size' and 'age'.
+   * @param {String || Function} strategy The name of a built-in strategy or a function containing the algorithm.
+   *                                      `function(info){}` info is like:
+   *                                      { loadingTime: 12, events: [], eventNames: [], revision: 120,
+   *                                        snapshotRevision: 100, lastSnapshotAt: Date, aggregateData: {} }
+   * @param {Object}             options  The options of the built-in strategy like: { every: 100 } [optional]
+   * @returns {Aggregate}
+   */
+  defineSnapshotStrategy: function (strategy, options) {
+    if (_.isString(strategy)) {
+      if (!snapshotStrategies[strategy]) {
+        var err = new Error('Snapshot strategy "' + strategy + '" not found!');
+        debug(err);
+        throw err;
+      }
+      strategy = snapshotStrategies[strategy](options);
+    }
+
+    if (!_.isFunction(strategy)) {
+      throw new Error('Please pass in a function or the name of a strategy');
+    }
+
+    this.snapshotStrategies.push(strategy);
+    return this;
+  },
+
   /**
    * Defines the algorithm to identify if a snapshot is needed to be done.
    * @param {Function} fn Function containing the algorithm. Should return true or false.
@@ -730,22 +1058,97 @@ _.extend(Aggregate.prototype, {
     return this;
   },
 
+  /**
+   * Returns the chain of conversions to convert a snapshot of the passed version to the actual aggregate version.
+   * A conversion defined with { version: x } converts directly to the actual version and is preferred,
+   * otherwise the conversion steps are chained (i.e. 1 -> 2 -> 4).
+   * The chains are searched breadth first, so the shortest one is found and a dead end (i.e. 1 -> 3) is skipped.
+   * @param {Number} version The version of the snapshot.
+   * @returns {Array} the conversions like: [{ fromVersion: 1, toVersion: 2, convert: fn }] or null if there is no chain
+   */
+  getSnapshotConversions: function (version) {
+    var self = this;
+
+    if (version === this.version) {
+      return [];
+    }
+
+    var visited = {};
+    visited[version] = true;
+    var queue = [{ version: version, conversions: [] }];
+
+    while (queue.length > 0) {
+      var current = queue.shift();
+      var fromVersion = current.version;
+
+      var candidates = _.sortBy(_.filter(this.snapshotConversionSteps, function (step) {
+        return step.fromVersion === fromVersion && step.toVersion <= self.version;
+      }), function (step) {
+        return -step.toVersion;
+      });
+
+      if (this.snapshotConversions[fromVersion]) {
+        candidates.unshift({ fromVersion: fromVersion, toVersion: this.version, convert: this.snapshotConversions[fromVersion] });
+      }
+
+      for (var i = 0; i < candidates.length; i++) {
+        var conversions = current.conversions.concat([candidates[i]]);
+
+        if (candidates[i].toVersion === this.version) {
+          return conversions;
+        }
+
+        if (!visited[candidates[i].toVersion]) {
+          visited[candidates[i].toVersion] = true;
+          queue.push({ version: candidates[i].toVersion, conversions: conversions });
+        }
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Returns true if the passed snapshot has the actual aggregate version or can be converted to it.
+   * @param {Object} snapshot The snapshot object.
+   * @returns {boolean}
+   */
+  isSnapshotCompatible: function (snapshot) {
+    return snapshot.version === this.version || !!this.getSnapshotConversions(snapshot.version);
+  },
+
   /**
    * Defines a new conversion function for older snapshot versions.
-   * @param {Object}   meta Meta infos like: { name: 'name', version: 10 }
+   * @param {Object}   meta Meta infos like: { version: 10 } to convert directly to the actual version
+   *                        or { fromVersion: 1, toVersion: 2 } to define a conversion step that will be chained
+   *                        (toVersion is optional, default fromVersion + 1)
    * @param {Function} fn   Function containing the conversion rule
    *                        `function(snapshotData, aggregateModel){}`
    * @returns {Aggregate}
    */
   defineSnapshotConversion: function (meta, fn) {
-    if (!_.isObject(meta) || meta.version === undefined || meta.version === null || !_.isNumber(meta.version)) {
+    var isStep = _.isObject(meta) && meta.fromVersion !== undefined && meta.fromVersion !== null;
+    var version = isStep ? meta.fromVersion : (_.isObject(meta) ? meta.version : undefined);
+
+    if (version === undefined || version === null || !_.isNumber(version)) {
       throw new Error('Please pass in a version');
     }
     if (!_.isFunction(fn)) {
       throw new Error('Please pass in a function');
     }
 
-    this.snapshotConversions[meta.version] = fn;
+    if (!isStep) {
+      this.snapshotConversions[version] = fn;
+      return this;
+    }
+
+    var toVersion = meta.toVersion !== undefined && meta.toVersion !== null ? meta.toVersion : version + 1;
+
+    if (!_.isNumber(toVersion) || toVersion <= version) {
+      throw new Error('Please pass in a toVersion greater than the fromVersion');
+    }
+
+    this.snapshotConversionSteps.push({ fromVersion: version, toVersion: toVersion, convert: fn });
     return this;
   }
 
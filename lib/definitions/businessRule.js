@@ -75,6 +75,19 @@ _.extend(BusinessRule.prototype, {
         });
       } else {
         var err = this.businessRuleFn(changed, previous, events, command);
+        if (err && _.isFunction(err.then)) {
+          // seams to be an async function, so wait for the returned promise
+          callbacked = true;
+          err.then(function (res) {
+            if (res) {
+              return handleError(res);
+            }
+            callback(null);
+          }, function (err) {
+            handleError(err || '');
+          });
+          return;
+        }
         if (err) {
           return handleError(err);
         }
@@ -10,7 +10,7 @@ var Definition = require('../definitionBase'),
 
 /**
  * Command constructor
- * @param {Object}   meta  Meta infos like: { name: 'name', version: 1, payload: 'some.path' }
+ * @param {Object}   meta  Meta infos like: { name: 'name', version: 1, payload: 'some.path', timeout: 5000 }
  * @param {Function} cmdFn Function handle
  *                         `function(cmd, aggregateModel){}`
  * @constructor
@@ -28,6 +28,7 @@ function Command (meta, cmdFn) {
 
   this.version = meta.version || 0;
   this.payload = meta.payload || null;
+  this.timeout = meta.timeout;
   if (meta.existing) {
     this.existing = true;
   } else if (meta.existing === false) {
@@ -142,15 +143,15 @@ _.extend(Command.prototype, {
    * Handles the passed command
    * @param {Object}         cmd            The command object.
    * @param {AggregateModel} aggregateModel The aggregate object.
+   * @returns {Promise} Only if the command function is asynchronous.
    */
   handle: function (cmd, aggregateModel) {
     if (!this.payload || this.payload === '') {
-      this.cmdFn(_.cloneDeep(cmd), aggregateModel);
-      return;
+      return this.cmdFn(_.cloneDeep(cmd), aggregateModel);
     }
 
     var payload = dotty.get(cmd, this.payload);
-    this.cmdFn(_.cloneDeep(payload), aggregateModel);
+    return this.cmdFn(_.cloneDeep(payload), aggregateModel);
   }
 
 });
@@ -11,6 +11,7 @@ var DefaultCommandHandler = require('../defaultCommandHandler'),
  * @param {Object}   meta      Meta infos like: { name: 'name', version: 1 }
  * @param {Function} cmdHndlFn Function handle
  *                             `function(aggId, cmd, commandHandler, callback){}`
+ *                             or `function(aggId, cmd, commandHandler){}` returning a promise resolving the events
  * @constructor
  */
 function CommandHandler (meta, cmdHndlFn) {
@@ -38,15 +39,29 @@ _.extend(CommandHandler.prototype, {
   /**
    * Handles the passed command
    * @param {Object}   cmd      The passed command
+   * @param {Object}   options  The handling options like: { dryRun: true } [optional]
+   *                            A dry run is not supported by custom command handlers.
    * @param {Function} callback The function, that will be called when this action is completed.
    *                            `function(err, evts){}`
    */
-  handle: function (cmd, callback) {
+  handle: function (cmd, options, callback) {
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
     debug('called a custom command handler');
     console.log('Is your use case not solvable without a custom command handling? Sagas? Micro-Services?');
     
     var self = this;
 
+    if (options.dryRun) {
+      var err = new Error('A dry run is not supported by custom command handlers!');
+      debug(err);
+      return callback(err);
+    }
+
     function _handle (aggId) {
       var concatenatedId = self.getConcatenatedId(aggId, cmd);
       
@@ -62,11 +77,31 @@ _.extend(CommandHandler.prototype, {
         var concId = self.getConcatenatedId(aggregateId, c);
         var cmdEntry = self.getNextCommandInQueue(concId);
         if (cmdEntry) {
-          self.cmdHndlFn(aggregateId, cmdEntry.command, self, function (err, evts, aggData, meta) {
+          var callbacked = false;
+
+          var handled = function (err, evts, aggData, meta) {
+            if (callbacked) {
+              return;
+            }
+            callbacked = true;
             self.removeCommandFromQueue(concId, cmdEntry.command);
             handleNext(aggregateId, cmdEntry.command);
             cmdEntry.callback(err, evts, aggData, meta);
-          });
+          };
+
+          var res = self.cmdHndlFn(aggregateId, cmdEntry.command, self, handled);
+
+          if (res && _.isFunction(res.then)) {
+            // seams to be an async function
+            res.then(function (evts) {
+              if (self.cmdHndlFn.length < 4) {
+                // no callback in signature, so the resolved value are the events
+                handled(null, evts);
+              }
+            }, function (err) {
+              handled(err || new Error('Command handler has been rejected without reason!'));
+            });
+          }
         }
       })(aggId, cmd);
     }
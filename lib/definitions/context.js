@@ -17,6 +17,7 @@ function Context (meta) {
   meta = meta || {};
   
   this.aggregates = [];
+  this.schemas = [];
 }
 
 util.inherits(Context, Definition);
@@ -39,6 +40,24 @@ _.extend(Context.prototype, {
     }
   },
 
+  /**
+   * Adds a json schema to this context, that can be referenced by the schemas of its aggregates.
+   * Only needed if the definitions are added in code (see domain.addContext).
+   * @param   {Object}  schema the json schema, the title is the name of the schema
+   * @returns {Context}        to be able to chain...
+   */
+  addSchema: function (schema) {
+    if (!schema || !_.isObject(schema) || !schema.title) {
+      throw new Error('Please pass a valid schema with a title!');
+    }
+
+    if (this.schemas.indexOf(schema) < 0) {
+      this.schemas.push(schema);
+    }
+
+    return this;
+  },
+
   /**
    * Returns the aggregate with the requested name.
    * @param {String} name command name
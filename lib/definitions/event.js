@@ -51,6 +51,37 @@ _.extend(Event.prototype, {
     
     var payload = dotty.get(evt, this.payload);
     this.evtFn(_.cloneDeep(payload), aggregateModel);
+  },
+
+  /**
+   * Injects the validator function for the event payload.
+   * @param {Function} validator The validator function that should be injected
+   */
+  defineValidation: function (validator) {
+    if (!_.isFunction(validator)) {
+      var err = new Error('Please pass in a function');
+      debug(err);
+      throw err;
+    }
+    this.validator = validator;
+  },
+
+  /**
+   * Validates the payload of the passed event (the data that is passed to the event function).
+   * @param {Object} evt The event object
+   * @returns {ValidationError}
+   */
+  validate: function (evt) {
+    if (!this.validator) {
+      debug('no validation rule for ' + this.name);
+      return;
+    }
+
+    if (!this.payload || this.payload === '') {
+      return this.validator(evt);
+    }
+
+    return this.validator(dotty.get(evt, this.payload));
   }
   
 });
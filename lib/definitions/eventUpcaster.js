@@ -0,0 +1,55 @@
+'use strict';
+
+var Definition = require('../definitionBase'),
+  util = require('util'),
+  _ = require('lodash'),
+  debug = require('debug')('domain:eventUpcaster');
+
+/**
+ * EventUpcaster constructor
+ * @param {Object}   meta      Meta infos like: { name: 'name', fromVersion: 1, toVersion: 2 }
+ * @param {Function} upcastFn  Function handle
+ *                             `function(evt){}` should return the upcasted event
+ * @constructor
+ */
+function EventUpcaster (meta, upcastFn) {
+  Definition.call(this, meta);
+
+  meta = meta || {};
+
+  if (!upcastFn || !_.isFunction(upcastFn)) {
+    var err = new Error('Upcast function not injected!');
+    debug(err);
+    throw err;
+  }
+
+  this.fromVersion = meta.fromVersion || 0;
+  this.toVersion = meta.toVersion === undefined || meta.toVersion === null ? this.fromVersion + 1 : meta.toVersion;
+
+  if (!_.isNumber(this.fromVersion) || !_.isNumber(this.toVersion) || this.toVersion <= this.fromVersion) {
+    var err = new Error('Please pass a toVersion greater than the fromVersion!');
+    debug(err);
+    throw err;
+  }
+
+  this.upcastFn = upcastFn;
+}
+
+util.inherits(EventUpcaster, Definition);
+
+_.extend(EventUpcaster.prototype, {
+
+  /**
+   * Upcasts the passed event.
+   * @param {Object} evt The event object.
+   * @returns {Object} the upcasted event
+   */
+  upcast: function (evt) {
+    var cloned = _.cloneDeep(evt);
+    var res = this.upcastFn(cloned);
+    return res || cloned;
+  }
+
+});
+
+module.exports = EventUpcaster;
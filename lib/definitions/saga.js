@@ -0,0 +1,208 @@
+'use strict';
+
+var Definition = require('../definitionBase'),
+  util = require('util'),
+  _ = require('lodash'),
+  dotty = require('dotty'),
+  debug = require('debug')('domain:saga');
+
+/**
+ * Calls the passed function, that can be synchronous, asynchronous (with callback) or can return a promise.
+ * @param {Function} fn       The function to be called.
+ * @param {Array}    args     The arguments without the callback.
+ * @param {Function} callback The function, that will be called when this action is completed.
+ *                            `function(err){}`
+ */
+function callFn (fn, args, callback) {
+  var callbacked = false;
+
+  function done (err) {
+    if (callbacked) {
+      return;
+    }
+    callbacked = true;
+    callback(err || null);
+  }
+
+  try {
+    if (fn.length === args.length + 1) {
+      fn.apply(fn, args.concat([done]));
+      return;
+    }
+
+    var res = fn.apply(fn, args);
+    if (res && _.isFunction(res.then)) {
+      // seams to be an async function, so wait for the returned promise
+      res.then(function () {
+        done(null);
+      }, function (err) {
+        done(err || new Error('Saga function has been rejected without reason!'));
+      });
+      return;
+    }
+    done(null);
+  } catch (err) {
+    debug(err);
+    done(err);
+  }
+}
+
+/**
+ * Saga constructor
+ * @param {Object}   meta   Meta infos like: { name: 'eventName', version: 1, aggregate: 'aggr', context: 'ctx',
+ *                                             id: 'path.to.correlation.id', existing: false, priority: 1 }
+ * @param {Function} sagaFn Function handle
+ *                          `function(evt, saga, callback){}`
+ * @constructor
+ */
+function Saga (meta, sagaFn) {
+  Definition.call(this, meta);
+
+  meta = meta || {};
+
+  if (!sagaFn || !_.isFunction(sagaFn)) {
+    var err = new Error('Saga function not injected!');
+    debug(err);
+    throw err;
+  }
+
+  this.version = meta.version || 0;
+  this.aggregate = meta.aggregate || null;
+  this.context = meta.context || null;
+  this.id = meta.id || null;
+  this.existing = meta.existing || false;
+  this.priority = meta.priority || Infinity;
+
+  this.sagaFn = sagaFn;
+}
+
+util.inherits(Saga, Definition);
+
+_.extend(Saga.prototype, {
+
+  /**
+   * Returns true if this saga reacts on the passed event.
+   * @param {Object} evt The event object.
+   * @returns {boolean}
+   */
+  canHandle: function (evt) {
+    if (!evt || !_.isObject(evt)) {
+      return false;
+    }
+
+    if (dotty.get(evt, this.definitions.event.name) !== this.name) {
+      return false;
+    }
+
+    if (!!this.definitions.event.version && (dotty.get(evt, this.definitions.event.version) || 0) !== this.version) {
+      return false;
+    }
+
+    if (this.aggregate && !!this.definitions.event.aggregate &&
+        dotty.get(evt, this.definitions.event.aggregate) !== this.aggregate) {
+      return false;
+    }
+
+    if (this.context && !!this.definitions.event.context &&
+        dotty.get(evt, this.definitions.event.context) !== this.context) {
+      return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Returns the saga id (the correlation id) of the passed event.
+   * @param {Object} evt The event object.
+   * @returns {String}
+   */
+  getSagaId: function (evt) {
+    var id = dotty.get(evt, this.id || this.definitions.event.correlationId);
+    if (id === undefined || id === null) {
+      return null;
+    }
+    return id.toString();
+  },
+
+  /**
+   * Returns the key to identify this saga definition.
+   * @returns {String}
+   */
+  getKey: function () {
+    return this.name + '_v' + this.version;
+  },
+
+  /**
+   * Lets the saga react on the passed event.
+   * @param {Object}    evt      The event object.
+   * @param {SagaModel} saga     The saga object.
+   * @param {Function}  callback The function, that will be called when this action is completed.
+   *                             `function(err){}`
+   */
+  handle: function (evt, saga, callback) {
+    callFn(this.sagaFn, [_.cloneDeep(evt), saga], callback);
+  },
+
+  /**
+   * Defines the function that will be called, when the timeout of a saga (defined by this definition) elapses.
+   * @param {Function} fn Function handle
+   *                      `function(saga, callback){}`
+   * @returns {Saga}
+   */
+  defineTimeoutHandler: function (fn) {
+    if (!_.isFunction(fn)) {
+      throw new Error('Please pass in a function');
+    }
+
+    this.timeoutFn = fn;
+    return this;
+  },
+
+  /**
+   * Defines the compensation function that will be called, when a command sent by this saga is rejected.
+   * @param {Function} fn Function handle
+   *                      `function(err, cmd, saga, callback){}`
+   * @returns {Saga}
+   */
+  defineCompensation: function (fn) {
+    if (!_.isFunction(fn)) {
+      throw new Error('Please pass in a function');
+    }
+
+    this.compensationFn = fn;
+    return this;
+  },
+
+  /**
+   * Lets the saga react on its elapsed timeout.
+   * @param {SagaModel} saga     The saga object.
+   * @param {Function}  callback The function, that will be called when this action is completed.
+   *                             `function(err){}`
+   */
+  handleTimeout: function (saga, callback) {
+    if (!this.timeoutFn) {
+      debug('no timeout handler defined for ' + this.getKey());
+      return callback(null);
+    }
+    callFn(this.timeoutFn, [saga], callback);
+  },
+
+  /**
+   * Lets the saga compensate a rejected command.
+   * @param {Error}     err      The error of the rejected command.
+   * @param {Object}    cmd      The rejected command.
+   * @param {SagaModel} saga     The saga object.
+   * @param {Function}  callback The function, that will be called when this action is completed.
+   *                             `function(err){}`
+   */
+  compensate: function (err, cmd, saga, callback) {
+    if (!this.compensationFn) {
+      debug('no compensation defined for ' + this.getKey());
+      return callback(null);
+    }
+    callFn(this.compensationFn, [err, _.cloneDeep(cmd), saga], callback);
+  }
+
+});
+
+module.exports = Saga;
@@ -5,42 +5,29 @@ var debug = require('debug')('domain'),
   util = require('util'),
   EventEmitter = require('events').EventEmitter,
   _ = require('lodash'),
-  eventstore = require('eventstore'),
+  eventstore = require('./eventStore'),
   aggregatelock = require('./lock'),
+  validation = require('./validation'),
+  sagastore = require('./sagaStore'),
+  idempotencystore = require('./idempotencyStore'),
   structureLoader = require('./structure/structureLoader'),
+  Context = require('./definitions/context'),
+  Saga = require('./definitions/saga'),
   attachLookupFunctions = require('./structure/treeExtender'),
   ValidationError = require('./errors/validationError'),
   BusinessRuleError = require('./errors/businessRuleError'),
   AggregateConcurrencyError = require('./errors/aggregateConcurrencyError'),
   AggregateDestroyedError = require('./errors/aggregateDestroyedError'),
+  ConcurrencyError = require('./errors/concurrencyError'),
+  CommandNotFoundError = require('./errors/commandNotFoundError'),
+  CommandTimeoutError = require('./errors/commandTimeoutError'),
+  errorCodes = require('./errors/errorCodes'),
   CommandDispatcher = require('./commandDispatcher'),
+  SagaDispatcher = require('./sagaDispatcher'),
+  SnapshotScheduler = require('./snapshotScheduler'),
   uuid = require('node-uuid').v4,
   dotty = require('dotty');
 
-var isValidEventStore = function (obj) {
-
-    // TODO: check each method's signature?
-    return !!obj && _.every([obj.init, obj.on, obj.getNewId, obj.getFromSnapshot, obj.createSnapshot, obj.setEventToDispatched],
-        function (o) {
-            return _.isFunction(o)
-        });
-};
-
-var createEventStore = function (options) {
-
-    if ( _.isFunction(options)) {
-        // This is a factory method.
-        var eventStore = options();
-        if (!isValidEventStore(eventStore)) {
-            var err = new Error('"options.eventStore" is not a valid event store factory');
-            debug(err);
-            throw err;
-        }
-        return eventStore;
-    }
-    return eventstore(options);
-};
-
 var isValidAggregateLock = function (obj) {
 
     // TODO: check each method's signature?
@@ -64,6 +51,48 @@ var createAggregateLock = function (options) {
     return aggregatelock.create(options);
 }
 
+/**
+ * Returns the stable error code of the passed error.
+ * @param {Error} err The error.
+ * @returns {String}
+ */
+var getErrorCode = function (err) {
+  if (err instanceof ValidationError) return errorCodes.VALIDATION_FAILED;
+  if (err instanceof BusinessRuleError) return errorCodes.BUSINESS_RULE_VIOLATED;
+  if (err instanceof AggregateDestroyedError) return errorCodes.AGGREGATE_DESTROYED;
+  if (err instanceof AggregateConcurrencyError) return errorCodes.AGGREGATE_CONCURRENCY;
+  if (err instanceof ConcurrencyError) return errorCodes.CONCURRENCY;
+  if (err instanceof CommandNotFoundError) return errorCodes.COMMAND_NOT_FOUND;
+  if (err instanceof CommandTimeoutError) return errorCodes.COMMAND_TIMEOUT;
+  return errorCodes.INTERNAL_ERROR;
+};
+
+/**
+ * Returns a promise that settles with the result of the passed action.
+ * @param {Function} action The action to be executed.
+ *                          `function(callback){}`
+ * @returns {Promise}
+ */
+var toPromise = function (action) {
+  return new Promise(function (resolve, reject) {
+    action(function (err, res) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(res);
+    });
+  });
+};
+
+/**
+ * Returns true if promises should be returned instead of calling back.
+ * @param {Function} callback The passed callback.
+ * @returns {boolean}
+ */
+var isPromiseWanted = function (callback) {
+  return !callback && typeof Promise === 'function';
+};
+
 /**
  * Domain constructor
  * @param {Object} options The options.
@@ -74,24 +103,77 @@ function Domain(options) {
 
   options = options || {};
 
-  if (!options.domainPath) {
-    var err = new Error('Please provide domainPath in options');
+  options.retryOnConcurrencyTimeout = options.retryOnConcurrencyTimeout || 800;
+
+  options.concurrencyRetryPolicy = _.defaults(options.concurrencyRetryPolicy || {}, {
+    maxAttempts: 10,
+    initialDelay: 100,
+    maxDelay: options.retryOnConcurrencyTimeout,
+    factor: 2,
+    deadline: 0
+  });
+
+  options.commandRejectedEventName = options.commandRejectedEventName || 'commandRejected';
+
+  options.commandRejectionPolicy = options.commandRejectionPolicy || 'domainErrors';
+
+  if (!_.isFunction(options.commandRejectionPolicy) &&
+      !_.contains(['domainErrors', 'allErrors'], options.commandRejectionPolicy)) {
+    var err = new Error('Please provide a valid commandRejectionPolicy in options');
     debug(err);
     throw err;
   }
 
-  options.retryOnConcurrencyTimeout = options.retryOnConcurrencyTimeout || 800;
-
-  options.commandRejectedEventName = options.commandRejectedEventName || 'commandRejected';
+  if (options.formatValidationMessage && !_.isFunction(options.formatValidationMessage)) {
+    var err = new Error('Please provide a valid formatValidationMessage function in options');
+    debug(err);
+    throw err;
+  }
 
   options.snapshotThreshold = options.snapshotThreshold || 100;
 
-  this.eventStore = createEventStore(options.eventStore);
+  options.backgroundSnapshots = options.backgroundSnapshots || false;
+
+  options.backgroundSnapshotInterval = options.backgroundSnapshotInterval || 1000;
+
+  options.commandTimeout = options.commandTimeout || 0;
+
+  options.closeTimeout = options.closeTimeout || 10000;
+
+  options.sagaTimeoutCheckInterval = options.sagaTimeoutCheckInterval || 1000;
+
+  options.redispatchUndispatched = options.redispatchUndispatched || false;
+
+  options.redispatchUndispatchedInterval = options.redispatchUndispatchedInterval || 0;
+
+  this.eventStore = eventstore.create(options.eventStore);
 
   this.aggregateLock = createAggregateLock(options.aggregateLock);
 
+  this.validatorEngine = validation.create(options.validator);
+
+  this.sagaStore = sagastore.create(options.sagaStore);
+
+  if (options.idempotencyStore) {
+    this.idempotencyStore = idempotencystore.create(options.idempotencyStore);
+  }
+
   this.options = options;
 
+  this.pendingCommands = 0;
+  this.closing = false;
+
+  this.commandMiddlewares = [];
+  this.eventMiddlewares = [];
+
+  this.instrumentations = [];
+
+  this.addedDefinitions = {
+    contexts: [],
+    sagas: [],
+    schemas: []
+  };
+
   this.definitions = {
     command: {
       id: 'id',
@@ -181,7 +263,15 @@ _.extend(Domain.prototype, {
     }
 
     this.getNewId = function (callback) {
-      callback(null, fn());
+      var id = fn();
+      if (id && _.isFunction(id.then)) {
+        // seams to be an async function, so wait for the returned promise
+        id.then(function (id) {
+          callback(null, id);
+        }, callback);
+        return;
+      }
+      callback(null, id);
     };
 
     return this;
@@ -201,7 +291,14 @@ _.extend(Domain.prototype, {
 
     if (fn.length === 1) {
       fn = _.wrap(fn, function(func, evt, callback) {
-        func(evt);
+        var res = func(evt);
+        if (res && _.isFunction(res.then)) {
+          // seams to be an async function, so wait for the returned promise
+          res.then(function () {
+            callback(null);
+          }, callback);
+          return;
+        }
         callback(null);
       });
     }
@@ -211,6 +308,330 @@ _.extend(Domain.prototype, {
     return this;
   },
 
+  /**
+   * Throws an error if the domain is already initialized, so no definitions can be added anymore.
+   */
+  checkNotInitialized: function () {
+    if (this.tree) {
+      var err = new Error('Already initialized, please add the definitions before calling init!');
+      debug(err);
+      throw err;
+    }
+  },
+
+  /**
+   * Adds a context with its aggregates, commands, events, etc. defined in code,
+   * so they do not need to be loaded from the domainPath.
+   * @param   {Context} context the context, i.e. created with require('cqrs-domain').defineContext({ name: 'shop' })
+   * @returns {Domain}          to be able to chain...
+   */
+  addContext: function (context) {
+    if (!context || !(context instanceof Context)) {
+      var err = new Error('Please pass a valid context!');
+      debug(err);
+      throw err;
+    }
+
+    this.checkNotInitialized();
+
+    if (this.addedDefinitions.contexts.indexOf(context) < 0) {
+      this.addedDefinitions.contexts.push(context);
+    }
+
+    return this;
+  },
+
+  /**
+   * Adds a saga defined in code.
+   * @param   {Saga}   saga the saga, i.e. created with require('cqrs-domain').defineSaga({ name: 'orderPlaced' }, fn)
+   * @returns {Domain}      to be able to chain...
+   */
+  addSaga: function (saga) {
+    if (!saga || !(saga instanceof Saga)) {
+      var err = new Error('Please pass a valid saga!');
+      debug(err);
+      throw err;
+    }
+
+    this.checkNotInitialized();
+
+    if (this.addedDefinitions.sagas.indexOf(saga) < 0) {
+      this.addedDefinitions.sagas.push(saga);
+    }
+
+    return this;
+  },
+
+  /**
+   * Adds a general json schema defined in code, that can be referenced by all the other schemas.
+   * @param   {Object} schema the json schema, the title is the name of the schema
+   * @returns {Domain}        to be able to chain...
+   */
+  addSchema: function (schema) {
+    if (!schema || !_.isObject(schema) || !schema.title) {
+      var err = new Error('Please pass a valid schema with a title!');
+      debug(err);
+      throw err;
+    }
+
+    this.checkNotInitialized();
+
+    if (this.addedDefinitions.schemas.indexOf(schema) < 0) {
+      this.addedDefinitions.schemas.push(schema);
+    }
+
+    return this;
+  },
+
+  /**
+   * Adds a middleware, that will be called before a command is dispatched.
+   * The middlewares are called in the order they have been added.
+   * @param   {Function} fn the middleware function
+   *                        `function(cmd, target, next){}` target is like: { name: 'cmdName', aggregateId: 'id', version: 0, aggregate: 'aggr', context: 'ctx' }
+   *                        call `next()` to continue, `next(err)` to reject the command
+   *                        or `next(null, function(err, evts, aggregateData, meta){})` to get the result
+   * @returns {Domain}      to be able to chain...
+   */
+  use: function (fn) {
+    if (!fn || !_.isFunction(fn)) {
+      var err = new Error('Please pass a valid function!');
+      debug(err);
+      throw err;
+    }
+
+    this.commandMiddlewares.push(fn);
+
+    return this;
+  },
+
+  /**
+   * Adds a middleware, that will be called before an event is passed to the onEvent handler.
+   * The middlewares are called in the order they have been added.
+   * @param   {Function} fn the middleware function
+   *                        `function(evt, next){}` call `next()` to continue or `next(err)` to not publish the event
+   * @returns {Domain}      to be able to chain...
+   */
+  useForEvents: function (fn) {
+    if (!fn || !_.isFunction(fn)) {
+      var err = new Error('Please pass a valid function!');
+      debug(err);
+      throw err;
+    }
+
+    this.eventMiddlewares.push(fn);
+
+    return this;
+  },
+
+  /**
+   * Adds an instrumentation adapter, i.e. to collect metrics or to trace the handling of the commands.
+   * All functions of the adapter are optional:
+   * - step(info), queue(info), retry(info), snapshot(info), rejection(info) are called like the events of the domain
+   * - startSpan(name, attributes, parentSpan) has to return a span object with an end(err) function
+   * @param   {Object} adapter the instrumentation adapter
+   * @returns {Domain}         to be able to chain...
+   */
+  useInstrumentation: function (adapter) {
+    if (!adapter || !_.isObject(adapter)) {
+      var err = new Error('Please pass a valid instrumentation adapter!');
+      debug(err);
+      throw err;
+    }
+
+    var self = this;
+
+    ['step', 'queue', 'retry', 'snapshot', 'rejection'].forEach(function (name) {
+      if (_.isFunction(adapter[name])) {
+        self.on(name, function (info) {
+          try {
+            adapter[name](info);
+          } catch (err) {
+            debug(err);
+          }
+        });
+      }
+    });
+
+    this.instrumentations.push(adapter);
+
+    return this;
+  },
+
+  /**
+   * Starts a span in all instrumentation adapters that support tracing.
+   * @param {String} name       the name of the span
+   * @param {Object} attributes the attributes of the span
+   * @param {Object} parent     the parent span, returned by this function [optional]
+   * @returns {Object} the span like: { spans: [], end: function (err) {} } or null if no adapter supports tracing
+   */
+  startSpan: function (name, attributes, parent) {
+    var tracers = _.filter(this.instrumentations, function (adapter) {
+      return _.isFunction(adapter.startSpan);
+    });
+
+    if (tracers.length === 0) {
+      return null;
+    }
+
+    var spans = _.map(tracers, function (tracer) {
+      var parentSpan = parent ? _.find(parent.spans, function (s) { return s.tracer === tracer; }) : null;
+      return { tracer: tracer, span: tracer.startSpan(name, attributes, parentSpan ? parentSpan.span : undefined) };
+    });
+
+    return {
+      spans: spans,
+      end: function (err) {
+        spans.forEach(function (s) {
+          if (s.span && _.isFunction(s.span.end)) {
+            try {
+              s.span.end(err);
+            } catch (e) {
+              debug(e);
+            }
+          }
+        });
+      }
+    };
+  },
+
+  /**
+   * Returns the attributes describing the passed command, used for the instrumentation.
+   * @param {Object} cmd the command object
+   * @returns {Object}
+   */
+  getCommandAttributes: function (cmd) {
+    var attributes = {
+      commandId: dotty.get(cmd, this.definitions.command.id),
+      commandName: dotty.get(cmd, this.definitions.command.name),
+      aggregateId: dotty.get(cmd, this.definitions.command.aggregateId)
+    };
+
+    if (this.definitions.command.aggregate) {
+      attributes.aggregate = dotty.get(cmd, this.definitions.command.aggregate);
+    }
+
+    if (this.definitions.command.context) {
+      attributes.context = dotty.get(cmd, this.definitions.command.context);
+    }
+
+    return attributes;
+  },
+
+  /**
+   * Called by the command handlers at the start of each workflow step.
+   * Emits a step event with the duration at the end of the step.
+   * @param {String} step the name of the step
+   * @param {Object} info the infos like: { command: {}, aggregateId: 'id', aggregate: 'name', context: 'name', span: {} }
+   * @returns {Function} the function to be called at the end of the step
+   *                     `function(err){}`
+   */
+  startStep: function (step, info) {
+    var self = this;
+
+    var startedAt = Date.now();
+    var attributes = _.extend(this.getCommandAttributes(info.command), _.pick(info, 'aggregateId', 'aggregate', 'context'));
+    var span = this.startSpan(step, attributes, info.span);
+
+    return function (err) {
+      if (span) span.end(err);
+
+      self.emit('step', {
+        step: step,
+        duration: Date.now() - startedAt,
+        command: info.command,
+        aggregateId: info.aggregateId,
+        aggregate: info.aggregate,
+        context: info.context,
+        error: err || null
+      });
+    };
+  },
+
+  /**
+   * Calls all command middlewares one after the other.
+   * @param {Object}   cmd      the command object
+   * @param {Function} callback the function that will be called when this action has finished
+   *                            `function(err, afterHandlers){}` afterHandlers are the functions to be called with the result
+   */
+  applyCommandMiddlewares: function (cmd, callback) {
+    var afterHandlers = [];
+
+    if (this.commandMiddlewares.length === 0) {
+      return callback(null, afterHandlers);
+    }
+
+    var target = this.commandDispatcher.getTargetInformation(cmd);
+
+    async.eachSeries(this.commandMiddlewares, function (fn, callback) {
+      var called = false;
+      function next (err, after) {
+        if (called) {
+          return;
+        }
+        called = true;
+        if (_.isFunction(after)) {
+          // the inner middlewares will get the result first
+          afterHandlers.unshift(after);
+        }
+        callback(err || null);
+      }
+
+      try {
+        fn(cmd, target, next);
+      } catch (err) {
+        debug(err);
+        next(err);
+      }
+    }, function (err) {
+      if (err) {
+        debug(err);
+      }
+      callback(err, afterHandlers);
+    });
+  },
+
+  /**
+   * Passes the event through all event middlewares to the onEvent handler.
+   * If a middleware calls next with an error (or throws), the event is filtered:
+   * it is not passed to the onEvent handler and the 'eventFiltered' event is emitted.
+   * @param {Object}   evt      the event object
+   * @param {Function} callback the function that will be called when this action has finished
+   *                            `function(err, published){}` published is false for a filtered event
+   */
+  publishEvent: function (evt, callback) {
+    var self = this;
+
+    async.eachSeries(this.eventMiddlewares, function (fn, callback) {
+      var called = false;
+      function next (err) {
+        if (called) {
+          return;
+        }
+        called = true;
+        callback(err || null);
+      }
+
+      try {
+        fn(evt, next);
+      } catch (err) {
+        debug(err);
+        next(err);
+      }
+    }, function (err) {
+      if (err) {
+        debug(err);
+        self.emit('eventFiltered', { event: evt, error: err });
+        return callback(null, false);
+      }
+      self.onEventHandle(evt, function (err) {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, true);
+      });
+    });
+  },
+
   /**
    * Converts an error to the commandRejected event
    * @param {Object} cmd The command that was handled.
@@ -248,36 +669,68 @@ _.extend(Domain.prototype, {
       dotty.put(evt, this.definitions.event.context, dotty.get(cmd, this.definitions.command.context));
     }
 
-    if (err instanceof ValidationError || err instanceof BusinessRuleError ||
-      err instanceof AggregateDestroyedError || err instanceof AggregateConcurrencyError) {
-      dotty.put(evt, this.definitions.event.payload, {
-        command: cmd,
-        reason: {
-          name: err.name,
-          message: err.message,
-          more: err.more
-        }
-      });
-    } else if (err instanceof Error) {
-//      dotty.put(evt, this.definitions.event.payload, {
-//        command: cmd,
-//        reason: {
-//          name: err.name,
-//          message: err.message
-//        }
-//      });
-      evt = null;
-    } else {
-//      dotty.put(evt, this.definitions.event.payload, {
-//        command: cmd,
-//        reason: err
-//      });
-      evt = null;
+    var reason = this.getRejectionReason(cmd, err);
+    if (!reason) {
+      return null;
     }
 
+    dotty.put(evt, this.definitions.event.payload, {
+      command: cmd,
+      reason: reason
+    });
+
     return evt;
   },
 
+  /**
+   * Converts an error to the reason of the commandRejected event, depending on the commandRejectionPolicy (options).
+   * The stack trace is never part of the reason.
+   * @param {Object} cmd The command that was handled.
+   * @param {Error}  err The error that occurs.
+   * @returns {Object} The reason like: { code: 'BUSINESS_RULE_VIOLATED', name: 'BusinessRuleError', message: 'msg', more: {} }
+   *                   or null if no commandRejected event should be generated.
+   */
+  getRejectionReason: function (cmd, err) {
+    var isDomainError = err instanceof ValidationError || err instanceof BusinessRuleError ||
+      err instanceof AggregateDestroyedError || err instanceof AggregateConcurrencyError ||
+      err instanceof CommandTimeoutError;
+
+    var reason;
+    if (isDomainError) {
+      reason = {
+        code: getErrorCode(err),
+        name: err.name,
+        message: err.message,
+        more: err.more
+      };
+    } else if (err instanceof CommandNotFoundError || err instanceof ConcurrencyError) {
+      reason = {
+        code: getErrorCode(err),
+        name: err.name,
+        message: err.message
+      };
+    } else {
+      // the message of an unknown error could contain sensitive infos
+      reason = {
+        code: errorCodes.INTERNAL_ERROR,
+        name: 'Error',
+        message: 'An internal error occurred!'
+      };
+    }
+
+    var policy = this.options.commandRejectionPolicy;
+
+    if (_.isFunction(policy)) {
+      return policy(err, cmd, reason) || null;
+    }
+
+    if (policy === 'allErrors' || isDomainError) {
+      return reason;
+    }
+
+    return null;
+  },
+
   /**
    * Returns the domain information.
    * @returns {Object}
@@ -293,38 +746,74 @@ _.extend(Domain.prototype, {
   },
 
   /**
-   * Returns the tv4 instance.
+   * Returns the validator engine (see options.validator).
    * @returns {Object}
    */
-  getTv4: function () {
-    if (!this.tv4) {
+  getValidator: function () {
+    if (!this.validator) {
       var err = new Error('Not initialized!');
       debug(err);
       throw err;
     }
 
-    return this.tv4;
+    return this.validator;
+  },
+
+  /**
+   * Returns the tv4 instance, if tv4 is used as validator engine.
+   * @returns {Object}
+   */
+  getTv4: function () {
+    var engine = this.getValidator().getEngine();
+
+    if (!engine || !_.isFunction(engine.validateMultiple)) {
+      var err = new Error('The validator engine is not tv4, use getValidator!');
+      debug(err);
+      throw err;
+    }
+
+    return engine;
   },
 
   /**
    * Call this function to initialize the domain.
    * @param {Function} callback the function that will be called when this action has finished [optional]
    *                            `function(err){}`
+   * @returns {Promise} if no callback is passed
    */
   init: function (callback) {
 
     var self = this;
 
-    async.series([
-      // load domain files...
-      function (callback) {
+    if (isPromiseWanted(callback)) {
+      return toPromise(function (clb) {
+        self.init(clb);
+      });
+    }
+
+    if (!this.options.domainPath &&
+        this.addedDefinitions.contexts.length === 0 &&
+        this.addedDefinitions.sagas.length === 0) {
+      var err = new Error('Please provide domainPath in options or add the definitions with addContext!');
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    async.series([
+      // load domain files...
+      function (callback) {
         debug('load domain files..');
-        structureLoader(self.options.domainPath, function (err, tree) {
+        structureLoader(self.options.domainPath, {
+          definitions: self.addedDefinitions,
+          validator: self.validatorEngine,
+          formatValidationMessage: self.options.formatValidationMessage
+        }, function (err, tree) {
           if (err) {
             return callback(err);
           }
           self.tree = attachLookupFunctions(tree);
-          self.tv4 = tree.tv4Instance;
+          self.validator = tree.validator;
           callback(null);
         });
       },
@@ -362,6 +851,21 @@ _.extend(Domain.prototype, {
             });
 
             self.aggregateLock.connect(callback);
+          },
+
+          // prepare sagaStore...
+          function (callback) {
+            debug('prepare sagaStore...');
+            self.sagaStore.connect(function (err) { callback(err); });
+          },
+
+          // prepare idempotencyStore...
+          function (callback) {
+            if (!self.idempotencyStore) {
+              return callback(null);
+            }
+            debug('prepare idempotencyStore...');
+            self.idempotencyStore.connect(function (err) { callback(err); });
           }
         ], callback);
       },
@@ -371,14 +875,73 @@ _.extend(Domain.prototype, {
         debug('inject all needed dependencies...');
 
         self.commandDispatcher = new CommandDispatcher(self.tree, self.definitions.command);
-        self.tree.defineOptions({ retryOnConcurrencyTimeout: self.options.retryOnConcurrencyTimeout })
+        self.tree.defineOptions({
+                   retryOnConcurrencyTimeout: self.options.retryOnConcurrencyTimeout,
+                   concurrencyRetryPolicy: self.options.concurrencyRetryPolicy,
+                   commandTimeout: self.options.commandTimeout
+                 })
                  .defineCommand(self.definitions.command)
                  .defineEvent(self.definitions.event)
                  .idGenerator(self.getNewId)
                  .useEventStore(self.eventStore)
-                 .useAggregateLock(self.aggregateLock);
+                 .useAggregateLock(self.aggregateLock)
+                 .onConcurrencyRetry(function (info) {
+                   self.emit('retry', info);
+                 })
+                 .useInstrumentation({
+                   startStep: function (step, info) {
+                     return self.startStep(step, info);
+                   },
+                   queueChanged: function (info) {
+                     self.emit('queue', info);
+                   },
+                   snapshotCreated: function (info) {
+                     self.emit('snapshot', info);
+                   }
+                 });
+
+        if (self.idempotencyStore) {
+          self.tree.useIdempotencyStore(self.idempotencyStore);
+        }
+
+        if (self.options.backgroundSnapshots) {
+          debug('create snapshots in the background...');
+          self.snapshotScheduler = new SnapshotScheduler({ interval: self.options.backgroundSnapshotInterval });
+          self.tree.useSnapshotScheduler(self.snapshotScheduler);
+          self.snapshotScheduler.start();
+        }
+
+        self.sagaDispatcher = new SagaDispatcher(self.tree, self.sagaStore);
+
+        if (self.tree.getSagas().length > 0) {
+          debug('start checking saga timeouts...');
+          self.sagaTimeoutChecker = setInterval(function () {
+            self.checkSagaTimeouts(function (err) { if (err) { debug(err); } });
+          }, self.options.sagaTimeoutCheckInterval);
+          if (self.sagaTimeoutChecker.unref) self.sagaTimeoutChecker.unref();
+        }
+
+        if (self.options.redispatchUndispatchedInterval > 0) {
+          debug('start redispatching undispatched events periodically...');
+          self.redispatcher = setInterval(function () {
+            // only events older than the interval, so the events of the commands in progress are not published twice
+            self.redispatchUndispatched({ olderThan: self.options.redispatchUndispatchedInterval }, function (err) {
+              if (err) { debug(err); }
+            });
+          }, self.options.redispatchUndispatchedInterval);
+          if (self.redispatcher.unref) self.redispatcher.unref();
+        }
 
         callback(null);
+      },
+
+      // redispatch undispatched events...
+      function (callback) {
+        if (!self.options.redispatchUndispatched) {
+          return callback(null);
+        }
+        debug('redispatch undispatched events...');
+        self.redispatchUndispatched(function (err) { callback(err); });
       }
     ], function (err) {
       if (err) {
@@ -391,10 +954,36 @@ _.extend(Domain.prototype, {
   /**
    * Call this function to let the domain handle it.
    * @param {Object}   cmd      the command object
+   * @param {Object}   options  the handling options like: { dryRun: true } [optional]
+   *                            on a dry run nothing will be committed or published,
+   *                            evts are the events that would have been generated
    * @param {Function} callback the function that will be called when this action has finished [optional]
    *                            `function(err, evts, aggregateData, meta){}` evts is of type Array, aggregateData and meta are an object
+   * @returns {Promise} if no callback is passed, resolves with `{ events: [], aggregateData: {}, meta: {} }`,
+   *                    the error it rejects with has the same properties (i.e. err.events are the commandRejected events)
    */
-  handle: function (cmd, callback) {
+  handle: function (cmd, options, callback) {
+    var self = this;
+
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
+    if (isPromiseWanted(callback)) {
+      return toPromise(function (clb) {
+        self.handle(cmd, options, function (err, evts, aggregateData, meta) {
+          if (err && _.isObject(err)) {
+            err.events = evts;
+            err.aggregateData = aggregateData;
+            err.meta = meta;
+          }
+          clb(err, { events: evts, aggregateData: aggregateData, meta: meta });
+        });
+      });
+    }
+
     if (!cmd || !_.isObject(cmd) || !dotty.exists(cmd, this.definitions.command.name)) {
       var err = new Error('Please pass a valid command!');
       debug(err);
@@ -402,14 +991,64 @@ _.extend(Domain.prototype, {
       return;
     }
 
-    var self = this;
+    // the commands of the sagas are still accepted, they belong to the pending commands
+    if (this.closing && !options.fromSaga) {
+      var err = new Error('Domain is closing, no more commands are accepted!');
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    this.pendingCommands++;
+
+    var span = this.startSpan('handle', this.getCommandAttributes(cmd));
+    if (span) {
+      // the command handlers create the spans of the workflow steps as children of this span
+      options = _.extend({}, options, { span: span });
+    }
+
+    var afterHandlers = [];
+    var clb = callback;
+    callback = function () {
+      var args = _.toArray(arguments);
+      if (span) span.end(args[0]);
+      afterHandlers.forEach(function (after) {
+        try {
+          after.apply(after, args);
+        } catch (err) {
+          debug(err);
+        }
+      });
+      if (clb) clb.apply(clb, args);
+      self.finishPendingCommand();
+    };
+
+    function dispatch (done) {
+      self.applyCommandMiddlewares(cmd, function (err, afters) {
+        afterHandlers = afters;
+        if (err) {
+          return done(err);
+        }
+        self.commandDispatcher.dispatch(cmd, options, done);
+      });
+    }
+
     process.nextTick(function () {
-      self.commandDispatcher.dispatch(cmd, function (err, eventsToDispatch, aggregateData, meta) {
+      dispatch(function (err, eventsToDispatch, aggregateData, meta) {
         if (err) {
           debug(err);
           var cmdRejEvt = self.createCommandRejectedEvent(cmd, err);
+
+          self.emit('rejection', {
+            command: cmd,
+            error: err,
+            code: getErrorCode(err),
+            reason: cmdRejEvt ? dotty.get(cmdRejEvt, self.definitions.event.payload).reason : null
+          });
           if (cmdRejEvt) {
-            self.onEventHandle(cmdRejEvt, function (err) { if (err) { debug(err); } });
+            if (!options.dryRun) {
+              self.publishEvent(cmdRejEvt, function (err) { if (err) { debug(err); } });
+            }
 
             if (callback) callback(err, [cmdRejEvt], aggregateData, meta);
             return;
@@ -428,61 +1067,535 @@ _.extend(Domain.prototype, {
           return;
         }
 
-        async.each(eventsToDispatch, function (evt, callback) {
-          function setEventToDispatched (e, clb) {
-            if (!evt.payload || !evt.id) {
-              evts.push(e);
-              return callback(null);
+        if (meta && meta.duplicate) {
+          debug('command has already been handled, so do not publish the events again');
+          if (callback) callback(null, eventsToDispatch, aggregateData, meta);
+          return;
+        }
+
+        if (options.dryRun) {
+          debug('dry run, so do not publish any event');
+          if (callback) callback(null, eventsToDispatch, aggregateData, meta);
+          return;
+        }
+
+        var filtered = [];
+
+        // the events of a custom command handler may not be stored ones (without id and payload)
+        evts = _.map(eventsToDispatch, function (evt) {
+          return evt.payload && evt.id ? evt.payload : evt;
+        });
+
+        async.each(evts, function (evt, callback) {
+          if (!self.onEventHandle) {
+            return callback(null);
+          }
+          debug('publish an event');
+          self.publishEvent(evt, function (err, published) {
+            if (err) {
+              debug(err);
+              return callback(err);
             }
-            debug('set event to dispatched');
-            self.eventStore.setEventToDispatched(e, function (err) {
+            if (!published) filtered.push(evt);
+            callback(null);
+          });
+        }, function (err) {
+          if (err) {
+            debug(err);
+            if (callback) callback(err, evts, aggregateData, meta);
+            return;
+          }
+
+          self.dispatchToSagas(_.difference(evts, filtered), function (err) {
+            if (err) {
+              // the command has already been committed, so do not fail it,
+              // the events stay undispatched, so redispatchUndispatched will pass them to the sagas again
+              debug(err);
+              if (callback) callback(null, evts, aggregateData, meta);
+              return;
+            }
+
+            // a filtered event is marked as dispatched too, it would be filtered again on redispatch
+            async.each(_.filter(eventsToDispatch, function (evt) {
+              return evt.payload && evt.id;
+            }), function (evt, callback) {
+              debug('set event to dispatched');
+              self.eventStore.setEventToDispatched(evt, callback);
+            }, function (err) {
               if (err) {
-                return callback(err);
+                debug(err);
               }
-              evts.push(e.payload);
-              clb(null);
+              if (callback) callback(err || null, evts, aggregateData, meta);
             });
-          }
+          });
+        });
+      });
+    });
+  },
 
-          if (self.onEventHandle) {
-            debug('publish an event');
-            if (evt.payload && evt.id) {
-              self.onEventHandle(evt.payload, function (err) {
-                if (err) {
-                  debug(err);
-                  return callback(err);
-                }
-                setEventToDispatched(evt, function (err) {
-                  if (err) {
-                    return callback(err);
-                  }
-                  callback(null);
-                });
-              });
-            } else {
-              // seams that custom command handler has done some strange stuff!!!
-              self.onEventHandle(evt, function (err) {
-                if (err) {
-                  debug(err);
-                  return callback(err);
-                }
-                evts.push(evt);
-                callback(null);
-              });
-            }
+  /**
+   * Loads the state of an aggregate without handling any command. (read-only)
+   * @param {String}   context   the name of the context
+   * @param {String}   aggregate the name of the aggregate
+   * @param {String}   id        the aggregate id
+   * @param {Object}   options   options like: { revision: 42 } or { timestamp: new Date() } [optional]
+   *                             to load the aggregate as it was at that revision or point in time
+   * @param {Function} callback  the function that will be called when this action has finished [optional]
+   *                             `function(err, aggregateData, revision){}` aggregateData is null if there are no events
+   * @returns {Promise} if no callback is passed, resolves with `{ aggregateData: {}, revision: 42 }`
+   */
+  getAggregate: function (context, aggregate, id, options, callback) {
+    var self = this;
+
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
+    if (isPromiseWanted(callback)) {
+      return toPromise(function (clb) {
+        self.getAggregate(context, aggregate, id, options, function (err, aggregateData, revision) {
+          clb(err, { aggregateData: aggregateData, revision: revision });
+        });
+      });
+    }
+
+    if (!this.tree) {
+      var err = new Error('Not initialized!');
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    if (!id || !_.isString(id)) {
+      var err = new Error('Please pass a valid aggregate id!');
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    var ctx = this.tree.getContext(context);
+    var aggr = ctx ? ctx.getAggregate(aggregate) : null;
+
+    if (!aggr) {
+      var err = new Error('No aggregate found for ' + context + '.' + aggregate);
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    aggr.defaultCommandHandler.loadAggregate(id, options, function (err, aggregateModel) {
+      if (err) {
+        debug(err);
+        if (callback) callback(err);
+        return;
+      }
+
+      var revision = aggregateModel.getRevision();
+
+      if (callback) callback(null, revision === 0 ? null : aggregateModel.toJSON(), revision);
+    });
+  },
+
+  /**
+   * Call this function to create a new snapshot with the actual aggregate version for each instance of an aggregate,
+   * i.e. after the version of the aggregate has been bumped. The existing snapshots are ignored,
+   * the aggregates are loaded from all their events.
+   * @param {String}   context   the name of the context
+   * @param {String}   aggregate the name of the aggregate
+   * @param {Function} callback  the function that will be called when this action has finished [optional]
+   *                             `function(err, aggregateIds){}` aggregateIds are the ids of the snapshotted aggregates
+   * @returns {Promise} if no callback is passed
+   */
+  rebuildSnapshots: function (context, aggregate, callback) {
+    var self = this;
+
+    if (isPromiseWanted(callback)) {
+      return toPromise(function (clb) {
+        self.rebuildSnapshots(context, aggregate, clb);
+      });
+    }
+
+    if (!this.tree) {
+      var err = new Error('Not initialized!');
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    var ctx = this.tree.getContext(context);
+    var aggr = ctx ? ctx.getAggregate(aggregate) : null;
+
+    if (!aggr) {
+      var err = new Error('No aggregate found for ' + context + '.' + aggregate);
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    aggr.defaultCommandHandler.rebuildSnapshots(function (err, aggregateIds) {
+      if (err) {
+        debug(err);
+      }
+      if (callback) callback(err, aggregateIds);
+    });
+  },
+
+  /**
+   * Dispatches the passed events to the sagas and sends the resulting commands.
+   * @param {Array}    evts     the events
+   * @param {Function} callback the function that will be called when this action has finished
+   *                            `function(err){}`
+   */
+  dispatchToSagas: function (evts, callback) {
+    var self = this;
+
+    if (!this.sagaDispatcher || this.tree.getSagas().length === 0) {
+      return callback(null);
+    }
+
+    async.eachSeries(evts, function (evt, callback) {
+      self.sagaDispatcher.dispatch(evt, function (err, commandsToSend) {
+        if (err) {
+          debug(err);
+          return callback(err);
+        }
+        self.sendSagaCommands(commandsToSend);
+        callback(null);
+      });
+    }, callback);
+  },
+
+  /**
+   * Sends the commands of the sagas and lets the saga compensate if a command is rejected.
+   * @param {Array} commandsToSend the entries like: { command: {}, saga: sagaDefinition, sagaId: 'id' }
+   */
+  sendSagaCommands: function (commandsToSend) {
+    var self = this;
+
+    if (!commandsToSend || commandsToSend.length === 0) {
+      return;
+    }
+
+    commandsToSend.forEach(function (entry) {
+      debug('send command of saga ' + entry.sagaId);
+      self.handle(entry.command, { fromSaga: true }, function (err) {
+        if (!err) {
+          return;
+        }
+
+        // the compensation counts as pending command, so drain will wait for it
+        self.pendingCommands++;
+        self.sagaDispatcher.compensate(entry, err, function (err, cmds) {
+          if (err) {
+            debug(err);
           } else {
-            setEventToDispatched(evt, callback);
+            self.sendSagaCommands(cmds);
           }
-        }, function (err) {
+          self.finishPendingCommand();
+        });
+      });
+    });
+  },
+
+  /**
+   * Decrements the pending commands and emits 'drain' if there are no more pending commands.
+   */
+  finishPendingCommand: function () {
+    this.pendingCommands--;
+    if (this.pendingCommands === 0) {
+      this.emit('drain');
+    }
+  },
+
+  /**
+   * Call this function to let the sagas react on their elapsed timeouts.
+   * This is done automatically every sagaTimeoutCheckInterval (options) ms.
+   * @param {Function} callback the function that will be called when this action has finished [optional]
+   *                            `function(err){}`
+   * @returns {Promise} if no callback is passed
+   */
+  checkSagaTimeouts: function (callback) {
+    var self = this;
+
+    if (isPromiseWanted(callback)) {
+      return toPromise(function (clb) {
+        self.checkSagaTimeouts(clb);
+      });
+    }
+
+    if (!this.sagaDispatcher) {
+      var err = new Error('Not initialized!');
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    this.sagaDispatcher.checkTimeouts(function (err, commandsToSend) {
+      if (err) {
+        debug(err);
+        if (callback) callback(err);
+        return;
+      }
+      self.sendSagaCommands(commandsToSend);
+      if (callback) callback(null);
+    });
+  },
+
+  /**
+   * Call this function to publish the events that have been committed but not dispatched,
+   * i.e. because the process crashed before. The events will be published in order, marked as dispatched
+   * and dispatched to the sagas.
+   * @param {Object}   options  options like: { olderThan: 5000 } [optional]
+   *                            to only redispatch the events committed at least that many ms ago
+   * @param {Function} callback the function that will be called when this action has finished [optional]
+   *                            `function(err, evts){}` evts are the redispatched events
+   * @returns {Promise} if no callback is passed
+   */
+  redispatchUndispatched: function (options, callback) {
+    var self = this;
+
+    if (_.isFunction(options)) {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+
+    if (isPromiseWanted(callback)) {
+      return toPromise(function (clb) {
+        self.redispatchUndispatched(options, clb);
+      });
+    }
+
+    if (!this.tree) {
+      var err = new Error('Not initialized!');
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    if (this.redispatching) {
+      debug('already redispatching');
+      if (callback) callback(null, []);
+      return;
+    }
+
+    this.redispatching = true;
+
+    function done (err, evts) {
+      self.redispatching = false;
+      if (callback) callback(err, evts);
+    }
+
+    this.eventStore.getUndispatchedEvents(function (err, undispatched) {
+      if (err) {
+        debug(err);
+        return done(err);
+      }
+
+      if (options.olderThan) {
+        var until = Date.now() - options.olderThan;
+        undispatched = _.filter(undispatched, function (evt) {
+          return !evt.commitStamp || new Date(evt.commitStamp).getTime() <= until;
+        });
+      }
+
+      undispatched = _.sortBy(undispatched, function (evt) {
+        return evt.commitStamp ? new Date(evt.commitStamp).getTime() : 0;
+      });
+
+      debug('redispatch ' + undispatched.length + ' undispatched event(s)');
+
+      var evts = [];
+
+      async.eachSeries(undispatched, function (evt, callback) {
+        // an event is only set to dispatched after the sagas have handled it
+        function dispatchToSagas (published) {
+          self.dispatchToSagas(published ? [evt.payload] : [], function (err) {
+            if (err) {
+              debug(err);
+              return callback(err);
+            }
+            self.eventStore.setEventToDispatched(evt, function (err) {
+              if (err) {
+                debug(err);
+                return callback(err);
+              }
+              evts.push(evt.payload);
+              callback(null);
+            });
+          });
+        }
+
+        if (!self.onEventHandle) {
+          return dispatchToSagas(true);
+        }
+
+        self.publishEvent(evt.payload, function (err, published) {
           if (err) {
             debug(err);
+            return callback(err);
+          }
+          dispatchToSagas(published);
+        });
+      }, function (err) {
+        done(err, evts);
+      });
+    });
+  },
+
+  /**
+   * Call this function to wait until all pending commands are handled.
+   * Calls back with an error if the closeTimeout (options) elapses before.
+   * @param {Function} callback the function that will be called when this action has finished [optional]
+   *                            `function(err){}`
+   * @returns {Promise} if no callback is passed
+   */
+  drain: function (callback) {
+    var self = this;
+
+    if (isPromiseWanted(callback)) {
+      return toPromise(function (clb) {
+        self.drain(clb);
+      });
+    }
+
+    if (this.pendingCommands === 0) {
+      if (callback) callback(null);
+      return;
+    }
+
+    debug('wait for ' + this.pendingCommands + ' pending command(s)');
+
+    var timeout;
+
+    function drained () {
+      clearTimeout(timeout);
+      if (callback) callback(null);
+    }
+
+    this.once('drain', drained);
+
+    timeout = setTimeout(function () {
+      self.removeListener('drain', drained);
+      var err = new Error('Timeout while waiting for ' + self.pendingCommands + ' pending command(s)!');
+      debug(err);
+      if (callback) callback(err);
+    }, this.options.closeTimeout);
+  },
+
+  /**
+   * Call this function to shut down the domain gracefully.
+   * No more commands will be accepted, pending commands will be handled (until the closeTimeout elapses),
+   * the aggregate locks that are still held will be resolved and eventStore and aggregateLock will be disconnected.
+   * @param {Function} callback the function that will be called when this action has finished [optional]
+   *                            `function(err){}`
+   * @returns {Promise} if no callback is passed
+   */
+  close: function (callback) {
+    var self = this;
+
+    if (isPromiseWanted(callback)) {
+      return toPromise(function (clb) {
+        self.close(clb);
+      });
+    }
+
+    this.closing = true;
+
+    if (this.sagaTimeoutChecker) {
+      clearInterval(this.sagaTimeoutChecker);
+      this.sagaTimeoutChecker = null;
+    }
+
+    if (this.redispatcher) {
+      clearInterval(this.redispatcher);
+      this.redispatcher = null;
+    }
+
+    if (this.snapshotScheduler) {
+      this.snapshotScheduler.stop();
+    }
+
+    async.series([
+
+      // wait for pending commands...
+      function (callback) {
+        debug('wait for pending commands...');
+        self.drain(function (err) {
+          if (err) {
+            debug('close anyway');
           }
+          callback(null);
+        });
+      },
 
-          if (callback) {
-            callback(err, evts, aggregateData, meta);
+      // create scheduled snapshots...
+      function (callback) {
+        if (!self.snapshotScheduler) {
+          return callback(null);
+        }
+        debug('create scheduled snapshots...');
+        self.snapshotScheduler.flush(function (err) {
+          if (err) {
+            debug(err);
           }
+          callback(null);
         });
-      });
+      },
+
+      // resolve aggregate locks...
+      function (callback) {
+        debug('resolve aggregate locks...');
+        if (!self.tree) {
+          return callback(null);
+        }
+        async.each(self.tree.getCommandHandlers(), function (cmdHndl, callback) {
+          cmdHndl.resolveAllAggregateLocks(callback);
+        }, callback);
+      },
+
+      // disconnect infrastructure...
+      function (callback) {
+        debug('disconnect infrastructure...');
+        async.parallel([
+
+          // disconnect eventStore...
+          function (callback) {
+            debug('disconnect eventStore...');
+            self.eventStore.disconnect(function (err) { callback(err); });
+          },
+
+          // disconnect aggregateLock...
+          function (callback) {
+            debug('disconnect aggregateLock...');
+            self.aggregateLock.disconnect(function (err) { callback(err); });
+          },
+
+          // disconnect sagaStore...
+          function (callback) {
+            debug('disconnect sagaStore...');
+            self.sagaStore.disconnect(function (err) { callback(err); });
+          },
+
+          // disconnect idempotencyStore...
+          function (callback) {
+            if (!self.idempotencyStore) {
+              return callback(null);
+            }
+            debug('disconnect idempotencyStore...');
+            self.idempotencyStore.disconnect(function (err) { callback(err); });
+          }
+        ], callback);
+      }
+    ], function (err) {
+      if (err) {
+        debug(err);
+      } else {
+        self.emit('closed');
+      }
+      if (callback) callback(err);
     });
   }
 
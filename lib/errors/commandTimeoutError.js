@@ -0,0 +1,29 @@
+'use strict';
+
+// Grab the util module that's bundled with Node
+var util = require('util');
+
+// Create a new custom Error constructor
+function CommandTimeoutError(msg, more) {
+  // Pass the constructor to V8's
+  // captureStackTrace to clean up the output
+  Error.captureStackTrace(this, CommandTimeoutError);
+
+  // If defined, store a custom error message
+  if (msg) {
+    this.message = msg;
+  }
+
+  // If defined, store more infos
+  if (more) {
+    this.more = more;
+  }
+}
+
+// Extend our custom Error from Error
+util.inherits(CommandTimeoutError, Error);
+
+// Give our custom error a name property. Helpful for logging the error later.
+CommandTimeoutError.prototype.name = CommandTimeoutError.name;
+
+module.exports = CommandTimeoutError;
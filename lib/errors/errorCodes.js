@@ -0,0 +1,29 @@
+'use strict';
+
+// The stable codes used in the reason of the commandRejected events.
+// Never change the values, the clients depend on them!
+module.exports = {
+  // the command is not valid (json schema or custom validator)
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+
+  // a pre-condition or business rule is not fulfilled or the command function has failed
+  BUSINESS_RULE_VIOLATED: 'BUSINESS_RULE_VIOLATED',
+
+  // the aggregate has already been destroyed
+  AGGREGATE_DESTROYED: 'AGGREGATE_DESTROYED',
+
+  // the command has been sent for an old revision of the aggregate
+  AGGREGATE_CONCURRENCY: 'AGGREGATE_CONCURRENCY',
+
+  // the aggregate has been changed in the meantime by an other process
+  CONCURRENCY: 'CONCURRENCY',
+
+  // no command handler (or command) has been found for the command
+  COMMAND_NOT_FOUND: 'COMMAND_NOT_FOUND',
+
+  // the command has not been handled within the defined timeout
+  COMMAND_TIMEOUT: 'COMMAND_TIMEOUT',
+
+  // any other error, i.e. the event store or the aggregate lock failed
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
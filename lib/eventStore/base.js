@@ -0,0 +1,173 @@
+'use strict';
+
+var util = require('util'),
+  EventEmitter = require('events').EventEmitter,
+  _ = require('lodash'),
+  uuid = require('node-uuid').v4;
+
+/**
+ * EventStore constructor
+ * This is the contract the domain talks to, every event store adapter has to implement it.
+ *
+ * A stored event looks like:
+ *   { id: 'evtId', aggregateId: 'aggId', aggregate: 'order', context: 'sale',
+ *     streamRevision: 0, commitStamp: new Date(), payload: { my: 'event' } }
+ * A stream looks like:
+ *   { aggregateId: 'aggId', aggregate: 'order', context: 'sale', events: [], lastRevision: 0 }
+ *   lastRevision is the streamRevision of the last event (0 based), -1 if there are no events
+ *   and the revision of the snapshot if there are no events after the snapshot.
+ *   The domain does not touch the stream, it just passes it back to commit, so an adapter can keep its own infos on it.
+ *   Only with a blocking aggregate lock the domain sets stream.fencingToken before committing (see supportsFencing).
+ * A snapshot looks like:
+ *   { id: 'snapId', aggregateId: 'aggId', aggregate: 'order', context: 'sale',
+ *     revision: 0, version: 1, commitStamp: new Date(), data: { my: 'state' } }
+ *
+ * @param {Object} options The options can have information like host, port, etc. [optional]
+ */
+function EventStore(options) {
+  options = options || {};
+
+  EventEmitter.call(this);
+
+  this.options = options;
+}
+
+util.inherits(EventStore, EventEmitter);
+
+function implementError (callback) {
+  var err = new Error('Please implement this function!');
+  if (callback) callback(err);
+  throw err;
+}
+
+_.extend(EventStore.prototype, {
+
+  /**
+   * Initiate communication with the event store.
+   * Emits 'connect' when connected and 'disconnect' when the connection is lost.
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err){}`
+   */
+  init: implementError,
+
+  /**
+   * Terminate communication with the event store.
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err){}`
+   */
+  disconnect: implementError,
+
+  /**
+   * Use this function to obtain a new id.
+   * @param  {Function} callback The function, that will be called when this action is completed.
+   *                             `function(err, id){}` id is of type String.
+   */
+  getNewId: function (callback) {
+    var id = uuid().toString();
+    if (callback) callback(null, id);
+  },
+
+  /**
+   * Loads the latest snapshot and the stream of the events after it.
+   * @param {Object}   query    The query like: { aggregateId: 'aggId', aggregate: 'order', context: 'sale' }
+   *                            aggregate and context are optional.
+   * @param {Number}   revMax   The maximal stream revision (exclusive), -1 means all. [optional]
+   *                            The snapshot must not contain events from this revision on.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, snapshot, stream){}` snapshot is null if there is none
+   */
+  getFromSnapshot: function (query, revMax, callback) {
+    implementError(_.isFunction(revMax) ? revMax : callback);
+  },
+
+  /**
+   * Loads the stream of the events of an aggregate.
+   * @param {Object}   query    The query like: { aggregateId: 'aggId', aggregate: 'order', context: 'sale' }
+   * @param {Number}   revMin   The minimal stream revision (inclusive). [optional]
+   * @param {Number}   revMax   The maximal stream revision (exclusive), -1 means all. [optional]
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, stream){}`
+   */
+  getEventStream: function (query, revMin, revMax, callback) {
+    implementError(_.find([revMin, revMax, callback], _.isFunction));
+  },
+
+  /**
+   * Loads the events of all aggregates matching the query in the order they have been committed.
+   * @param {Object}   query    The query like: { aggregate: 'order', context: 'sale' } all optional
+   * @param {Number}   skip     The amount of events to skip.
+   * @param {Number}   limit    The maximal amount of events to load, -1 means all.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, events){}` events are stored events
+   */
+  getEvents: function (query, skip, limit, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Appends the events to the stream.
+   * Calls back with a ConcurrencyError if other events have been committed to the stream since it has been loaded.
+   * The committed events are stored as undispatched and added to the stream (events and lastRevision are updated).
+   * If the adapter supports fencing and the stream has a fencingToken, it calls back with a ConcurrencyError
+   * if a commit with a greater token has already been made to the stream.
+   * @param {Object}   stream   The stream loaded with getFromSnapshot or getEventStream.
+   * @param {Array}    events   The events (payloads) to append.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, committedEvents){}` committedEvents are stored events
+   */
+  commit: function (stream, events, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Returns true if commit rejects the outdated fencing tokens of a blocking aggregate lock.
+   * @returns {Boolean}
+   */
+  supportsFencing: function () {
+    return false;
+  },
+
+  /**
+   * Saves a snapshot.
+   * @param {Object}   snapshot The snapshot like:
+   *                            { aggregateId: 'aggId', aggregate: 'order', context: 'sale',
+   *                              revision: 0, version: 1, data: { my: 'state' } }
+   *                            id and commitStamp are set by the adapter.
+   * @param {Function} callback The function, that will be called when this action is completed. [optional]
+   *                            `function(err){}`
+   */
+  createSnapshot: function (snapshot, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Loads all committed events that have not been set to dispatched.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, events){}` events are stored events
+   */
+  getUndispatchedEvents: function (callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Marks an event as dispatched.
+   * @param {Object|String} evtOrId  The stored event or its id.
+   * @param {Function}      callback The function, that will be called when this action is completed. [optional]
+   *                                 `function(err){}`
+   */
+  setEventToDispatched: function (evtOrId, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * NEVER USE THIS FUNCTION!!! ONLY FOR TESTS!
+   * clears the complete store...
+   * @param {Function} callback the function that will be called when this action has finished [optional]
+   */
+  clear: function (callback) {
+    implementError(callback);
+  }
+
+});
+
+module.exports = EventStore;
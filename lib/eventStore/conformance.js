@@ -0,0 +1,397 @@
+'use strict';
+
+var assert = require('assert'),
+  _ = require('lodash');
+
+/**
+ * Defines the mocha tests every event store adapter has to pass.
+ * Use it in your own test file like:
+ *   require('cqrs-domain/testing').eventStoreConformance('my event store', function () {
+ *     return new MyEventStore({ host: 'localhost' });
+ *   });
+ * The store is cleared (with store.clear) before each test, so never use it against a productive database.
+ * The tests of the fencing tokens are skipped, if the adapter does not support them (see supportsFencing).
+ * @param {String}   name        The name of the adapter, used in the test description.
+ * @param {Function} createStore The function returning a new (not initialized) instance of the adapter.
+ *                               `function(){}`
+ */
+module.exports = function (name, createStore) {
+
+  describe('event store conformance of ' + name, function () {
+
+    var store;
+    var query = { aggregateId: 'agg1', aggregate: 'order', context: 'sale' };
+
+    function commitTo (query, payloads, callback) {
+      store.getFromSnapshot(query, -1, function (err, snapshot, stream) {
+        if (err) {
+          return callback(err);
+        }
+        store.commit(stream, payloads, callback);
+      });
+    }
+
+    before(function (done) {
+      store = createStore();
+      store.init(done);
+    });
+
+    beforeEach(function (done) {
+      store.clear(done);
+    });
+
+    after(function (done) {
+      store.disconnect(done);
+    });
+
+    it('it should implement the contract', function () {
+
+      _.each(['init', 'disconnect', 'getNewId', 'getFromSnapshot', 'getEventStream', 'getEvents', 'commit',
+              'createSnapshot', 'getUndispatchedEvents', 'setEventToDispatched', 'clear', 'on'], function (fn) {
+        assert.equal(typeof store[fn], 'function', fn + ' is not a function');
+      });
+
+    });
+
+    describe('calling getNewId', function () {
+
+      it('it should callback with a new id', function (done) {
+
+        store.getNewId(function (err, id) {
+          assert.ifError(err);
+          assert.equal(typeof id, 'string');
+          done();
+        });
+
+      });
+
+    });
+
+    describe('calling getFromSnapshot for a new aggregate', function () {
+
+      it('it should callback without snapshot and with an empty stream', function (done) {
+
+        store.getFromSnapshot(query, -1, function (err, snapshot, stream) {
+          assert.ifError(err);
+          assert.ok(!snapshot);
+          assert.equal(stream.events.length, 0);
+          assert.equal(stream.lastRevision, -1);
+          done();
+        });
+
+      });
+
+    });
+
+    describe('calling commit', function () {
+
+      it('it should callback with the committed events', function (done) {
+
+        commitTo(query, [{ name: 'first' }, { name: 'second' }], function (err, evts) {
+          assert.ifError(err);
+          assert.equal(evts.length, 2);
+          assert.ok(evts[0].id);
+          assert.notEqual(evts[0].id, evts[1].id);
+          assert.equal(evts[0].aggregateId, 'agg1');
+          assert.equal(evts[0].streamRevision, 0);
+          assert.equal(evts[1].streamRevision, 1);
+          assert.ok(evts[0].commitStamp);
+          assert.deepEqual(evts[0].payload, { name: 'first' });
+          assert.deepEqual(evts[1].payload, { name: 'second' });
+          done();
+        });
+
+      });
+
+      it('it should update the stream', function (done) {
+
+        store.getFromSnapshot(query, -1, function (err, snapshot, stream) {
+          assert.ifError(err);
+          store.commit(stream, [{ name: 'first' }, { name: 'second' }], function (err) {
+            assert.ifError(err);
+            assert.equal(stream.lastRevision, 1);
+            assert.equal(stream.events.length, 2);
+            done();
+          });
+        });
+
+      });
+
+      it('it should continue the revisions of the stream', function (done) {
+
+        commitTo(query, [{ name: 'first' }], function (err) {
+          assert.ifError(err);
+          commitTo(query, [{ name: 'second' }], function (err, evts) {
+            assert.ifError(err);
+            assert.equal(evts[0].streamRevision, 1);
+            done();
+          });
+        });
+
+      });
+
+      it('it should keep the streams of the aggregates apart', function (done) {
+
+        commitTo(query, [{ name: 'first' }], function (err) {
+          assert.ifError(err);
+          commitTo(_.defaults({ aggregateId: 'agg2' }, query), [{ name: 'other' }], function (err, evts) {
+            assert.ifError(err);
+            assert.equal(evts[0].streamRevision, 0);
+            store.getEventStream(query, 0, -1, function (err, stream) {
+              assert.ifError(err);
+              assert.equal(stream.events.length, 1);
+              assert.deepEqual(stream.events[0].payload, { name: 'first' });
+              done();
+            });
+          });
+        });
+
+      });
+
+      describe('on a stream that has been changed in the meantime', function () {
+
+        it('it should callback with a ConcurrencyError', function (done) {
+
+          store.getFromSnapshot(query, -1, function (err, snapshot, outdated) {
+            assert.ifError(err);
+            commitTo(query, [{ name: 'first' }], function (err) {
+              assert.ifError(err);
+              store.commit(outdated, [{ name: 'second' }], function (err) {
+                assert.ok(err, 'expected an error');
+                assert.equal(err.name, 'ConcurrencyError');
+                store.getEventStream(query, 0, -1, function (err, stream) {
+                  assert.ifError(err);
+                  assert.equal(stream.events.length, 1);
+                  done();
+                });
+              });
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling commit with a fencing token', function () {
+
+      before(function () {
+        if (!_.isFunction(store.supportsFencing) || !store.supportsFencing()) {
+          this.skip();
+        }
+      });
+
+      function commitWithToken (token, payloads, callback) {
+        store.getFromSnapshot(query, -1, function (err, snapshot, stream) {
+          if (err) {
+            return callback(err);
+          }
+          stream.fencingToken = token;
+          store.commit(stream, payloads, callback);
+        });
+      }
+
+      it('it should accept a growing token', function (done) {
+
+        commitWithToken(1, [{ name: 'first' }], function (err) {
+          assert.ifError(err);
+          commitWithToken(2, [{ name: 'second' }], function (err, evts) {
+            assert.ifError(err);
+            assert.equal(evts[0].streamRevision, 1);
+            done();
+          });
+        });
+
+      });
+
+      it('it should callback with a ConcurrencyError for a token lower than a committed one', function (done) {
+
+        commitWithToken(2, [{ name: 'first' }], function (err) {
+          assert.ifError(err);
+          commitWithToken(1, [{ name: 'outdated' }], function (err) {
+            assert.ok(err, 'expected an error');
+            assert.equal(err.name, 'ConcurrencyError');
+            store.getEventStream(query, 0, -1, function (err, stream) {
+              assert.ifError(err);
+              assert.equal(stream.events.length, 1);
+              done();
+            });
+          });
+        });
+
+      });
+
+      it('it should keep the tokens of the aggregates apart', function (done) {
+
+        commitWithToken(2, [{ name: 'first' }], function (err) {
+          assert.ifError(err);
+          store.getFromSnapshot(_.defaults({ aggregateId: 'agg2' }, query), -1, function (err, snapshot, stream) {
+            assert.ifError(err);
+            stream.fencingToken = 1;
+            store.commit(stream, [{ name: 'other' }], function (err) {
+              assert.ifError(err);
+              done();
+            });
+          });
+        });
+
+      });
+
+    });
+
+    describe('calling getEventStream', function () {
+
+      beforeEach(function (done) {
+        commitTo(query, [{ name: 'e0' }, { name: 'e1' }, { name: 'e2' }, { name: 'e3' }], done);
+      });
+
+      it('it should callback with all events ordered by revision', function (done) {
+
+        store.getEventStream(query, 0, -1, function (err, stream) {
+          assert.ifError(err);
+          assert.deepEqual(_.pluck(_.pluck(stream.events, 'payload'), 'name'), ['e0', 'e1', 'e2', 'e3']);
+          assert.equal(stream.lastRevision, 3);
+          done();
+        });
+
+      });
+
+      it('it should respect revMin (inclusive) and revMax (exclusive)', function (done) {
+
+        store.getEventStream(query, 1, 3, function (err, stream) {
+          assert.ifError(err);
+          assert.deepEqual(_.pluck(_.pluck(stream.events, 'payload'), 'name'), ['e1', 'e2']);
+          assert.equal(stream.lastRevision, 2);
+          done();
+        });
+
+      });
+
+    });
+
+    describe('having snapshots', function () {
+
+      beforeEach(function (done) {
+        commitTo(query, [{ name: 'e0' }, { name: 'e1' }, { name: 'e2' }, { name: 'e3' }], function (err) {
+          assert.ifError(err);
+          store.createSnapshot(_.extend({ revision: 1, version: 1, data: { state: 1 } }, query), function (err) {
+            assert.ifError(err);
+            setTimeout(function () {
+              store.createSnapshot(_.extend({ revision: 3, version: 1, data: { state: 3 } }, query), done);
+            }, 5);
+          });
+        });
+      });
+
+      describe('calling getFromSnapshot', function () {
+
+        it('it should callback with the latest snapshot and the events after it', function (done) {
+
+          store.getFromSnapshot(query, -1, function (err, snapshot, stream) {
+            assert.ifError(err);
+            assert.ok(snapshot.id);
+            assert.equal(snapshot.revision, 3);
+            assert.equal(snapshot.version, 1);
+            assert.deepEqual(snapshot.data, { state: 3 });
+            assert.ok(snapshot.commitStamp);
+            assert.equal(stream.events.length, 0);
+            assert.equal(stream.lastRevision, 3);
+            done();
+          });
+
+        });
+
+        it('it should not use a snapshot containing events from revMax on', function (done) {
+
+          store.getFromSnapshot(query, 3, function (err, snapshot, stream) {
+            assert.ifError(err);
+            assert.equal(snapshot.revision, 1);
+            assert.deepEqual(_.pluck(_.pluck(stream.events, 'payload'), 'name'), ['e2']);
+            done();
+          });
+
+        });
+
+        it('it should return a stream to commit to', function (done) {
+
+          store.getFromSnapshot(query, -1, function (err, snapshot, stream) {
+            assert.ifError(err);
+            store.commit(stream, [{ name: 'e4' }], function (err, evts) {
+              assert.ifError(err);
+              assert.equal(evts[0].streamRevision, 4);
+              done();
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling getEvents', function () {
+
+      beforeEach(function (done) {
+        commitTo(query, [{ name: 'e0' }, { name: 'e1' }], function (err) {
+          assert.ifError(err);
+          setTimeout(function () {
+            commitTo(_.defaults({ aggregateId: 'agg2' }, query), [{ name: 'e2' }], function (err) {
+              assert.ifError(err);
+              commitTo({ aggregateId: 'agg3', aggregate: 'invoice', context: 'sale' }, [{ name: 'other' }], done);
+            });
+          }, 5);
+        });
+      });
+
+      it('it should callback with the matching events in the order they have been committed', function (done) {
+
+        store.getEvents({ aggregate: 'order', context: 'sale' }, 0, -1, function (err, evts) {
+          assert.ifError(err);
+          assert.deepEqual(_.pluck(_.pluck(evts, 'payload'), 'name'), ['e0', 'e1', 'e2']);
+          assert.deepEqual(_.pluck(evts, 'aggregateId'), ['agg1', 'agg1', 'agg2']);
+          done();
+        });
+
+      });
+
+      it('it should respect skip and limit', function (done) {
+
+        store.getEvents({ aggregate: 'order', context: 'sale' }, 1, 1, function (err, evts) {
+          assert.ifError(err);
+          assert.deepEqual(_.pluck(_.pluck(evts, 'payload'), 'name'), ['e1']);
+          done();
+        });
+
+      });
+
+    });
+
+    describe('calling getUndispatchedEvents', function () {
+
+      it('it should callback with the committed events not set to dispatched', function (done) {
+
+        commitTo(query, [{ name: 'e0' }, { name: 'e1' }, { name: 'e2' }], function (err, evts) {
+          assert.ifError(err);
+          store.setEventToDispatched(evts[0], function (err) {
+            assert.ifError(err);
+            store.setEventToDispatched(evts[1].id, function (err) {
+              assert.ifError(err);
+              store.getUndispatchedEvents(function (err, undispatched) {
+                assert.ifError(err);
+                assert.equal(undispatched.length, 1);
+                assert.equal(undispatched[0].id, evts[2].id);
+                assert.deepEqual(undispatched[0].payload, { name: 'e2' });
+                done();
+              });
+            });
+          });
+        });
+
+      });
+
+    });
+
+  });
+
+};
@@ -0,0 +1,186 @@
+'use strict';
+
+var util = require('util'),
+  Store = require('../base'),
+  _ = require('lodash'),
+  debug = require('debug')('domain:eventStore:eventstore'),
+  eventstore = require('eventstore'),
+  ConcurrencyError = require('../../errors/concurrencyError');
+
+/**
+ * Eventstore constructor
+ * Adapter for the [eventstore](https://github.com/adrai/node-eventstore) package,
+ * so all of its databases (mongodb, redis, tingodb, azuretable, ...) can be used.
+ * @param {Object} options The options passed to the eventstore package like: { type: 'mongodb', host: 'localhost' }
+ *                         or an existing eventstore instance like: { eventstore: es } [optional]
+ */
+function Eventstore(options) {
+  options = options || {};
+
+  Store.call(this, options);
+
+  var self = this;
+
+  this.es = options.eventstore || eventstore(options);
+
+  this.es.on('connect', function () {
+    self.emit('connect');
+  });
+
+  this.es.on('disconnect', function () {
+    self.emit('disconnect');
+  });
+}
+
+util.inherits(Eventstore, Store);
+
+_.extend(Eventstore.prototype, {
+
+  init: function (callback) {
+    this.es.init(function (err) {
+      if (callback) callback(err);
+    });
+  },
+
+  disconnect: function (callback) {
+    if (_.isFunction(this.es.disconnect)) {
+      return this.es.disconnect(function (err) {
+        if (callback) callback(err);
+      });
+    }
+    if (this.es.store && _.isFunction(this.es.store.disconnect)) {
+      return this.es.store.disconnect(function (err) {
+        if (callback) callback(err);
+      });
+    }
+    if (callback) callback(null);
+  },
+
+  getNewId: function (callback) {
+    this.es.getNewId(callback);
+  },
+
+  getFromSnapshot: function (query, revMax, callback) {
+    if (_.isFunction(revMax)) {
+      callback = revMax;
+      revMax = -1;
+    }
+
+    if (revMax === -1) {
+      return this.es.getFromSnapshot(query, revMax, callback);
+    }
+
+    var self = this;
+
+    if (revMax === 0) {
+      return this.es.getEventStream(query, 0, 0, function (err, stream) {
+        callback(err, null, stream);
+      });
+    }
+
+    // the eventstore package also returns a snapshot of revision revMax, but it contains one event too much
+    this.es.getFromSnapshot(query, revMax - 1, function (err, snapshot) {
+      if (err) {
+        return callback(err);
+      }
+
+      var revMin = snapshot ? snapshot.revision + 1 : 0;
+
+      self.es.getEventStream(query, revMin, revMax, function (err, stream) {
+        if (err) {
+          return callback(err);
+        }
+
+        if (revMin > 0 && stream.lastRevision === -1) {
+          stream.lastRevision = revMin - 1;
+        }
+
+        callback(null, snapshot, stream);
+      });
+    });
+  },
+
+  getEventStream: function (query, revMin, revMax, callback) {
+    this.es.getEventStream.apply(this.es, arguments);
+  },
+
+  getEvents: function (query, skip, limit, callback) {
+    this.es.getEvents(query, skip, limit, callback);
+  },
+
+  /**
+   * Commits the events to the stream.
+   * The concurrency check is best-effort only: reading the current revision and committing are two separate steps,
+   * so two processes can both pass it. Use an aggregate lock if several processes handle the same aggregate.
+   * @param {Object}   stream   The loaded stream.
+   * @param {Array}    events   The events to commit.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, committedEvents){}`
+   */
+  commit: function (stream, events, callback) {
+    function commit () {
+      stream.addEvents(events);
+
+      stream.commit(function (err, stream) {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, stream.eventsToDispatch || []);
+      });
+    }
+
+    if (!_.isFunction(this.es.getEventStream)) {
+      return commit();
+    }
+
+    var query = { aggregateId: stream.aggregateId };
+
+    if (stream.aggregate) {
+      query.aggregate = stream.aggregate;
+    }
+
+    if (stream.context) {
+      query.context = stream.context;
+    }
+
+    // not all databases of the eventstore package detect a concurrent commit on their own
+    this.es.getEventStream(query, stream.lastRevision + 1, -1, function (err, newer) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (newer.events.length > 0) {
+        err = new ConcurrencyError('The stream of aggregate ' + stream.aggregateId + ' has been changed in the meantime!');
+        debug(err);
+        return callback(err);
+      }
+
+      commit();
+    });
+  },
+
+  createSnapshot: function (snapshot, callback) {
+    this.es.createSnapshot(snapshot, callback);
+  },
+
+  getUndispatchedEvents: function (callback) {
+    if (!_.isFunction(this.es.getUndispatchedEvents)) {
+      var err = new Error('The eventStore does not support getUndispatchedEvents!');
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+    this.es.getUndispatchedEvents(callback);
+  },
+
+  setEventToDispatched: function (evtOrId, callback) {
+    this.es.setEventToDispatched(evtOrId, callback);
+  },
+
+  clear: function (callback) {
+    this.es.store.clear(callback);
+  }
+
+});
+
+module.exports = Eventstore;
@@ -0,0 +1,245 @@
+'use strict';
+
+var util = require('util'),
+  Store = require('../base'),
+  _ = require('lodash'),
+  debug = require('debug')('domain:eventStore:inmemory'),
+  ConcurrencyError = require('../../errors/concurrencyError');
+
+function normalizeArgs (revMin, revMax, callback) {
+  if (_.isFunction(revMin)) {
+    return { revMin: 0, revMax: -1, callback: revMin };
+  }
+  if (_.isFunction(revMax)) {
+    return { revMin: revMin, revMax: -1, callback: revMax };
+  }
+  return { revMin: revMin, revMax: revMax, callback: callback };
+}
+
+function isSameStream (obj, query) {
+  return obj.aggregateId === query.aggregateId &&
+         (obj.aggregate || null) === (query.aggregate || null) &&
+         (obj.context || null) === (query.context || null);
+}
+
+function getStreamKey (query) {
+  return [query.context || '', query.aggregate || '', query.aggregateId].join(':');
+}
+
+function InMemory(options) {
+  Store.call(this, options);
+  this.events = [];
+  this.snapshots = [];
+  this.undispatched = {};
+  this.fencingTokens = {};
+}
+
+util.inherits(InMemory, Store);
+
+_.extend(InMemory.prototype, {
+
+  init: function (callback) {
+    this.emit('connect');
+    if (callback) callback(null);
+  },
+
+  disconnect: function (callback) {
+    this.emit('disconnect');
+    if (callback) callback(null);
+  },
+
+  getStreamEvents: function (query) {
+    return _.filter(this.events, function (evt) {
+      return isSameStream(evt, query);
+    });
+  },
+
+  createStream: function (query, events, lastRevision) {
+    var stream = {
+      aggregateId: query.aggregateId,
+      aggregate: query.aggregate,
+      context: query.context,
+      events: _.cloneDeep(events),
+      lastRevision: lastRevision
+    };
+    if (events.length > 0) {
+      stream.lastRevision = _.last(events).streamRevision;
+    }
+    return stream;
+  },
+
+  getFromSnapshot: function (query, revMax, callback) {
+    if (_.isFunction(revMax)) {
+      callback = revMax;
+      revMax = -1;
+    }
+
+    if (!query || !query.aggregateId) {
+      var err = new Error('An aggregateId should be passed!');
+      debug(err);
+      return callback(err);
+    }
+
+    var snapshots = _.filter(this.snapshots, function (snap) {
+      return isSameStream(snap, query) && (revMax === -1 || snap.revision < revMax);
+    });
+
+    // the newest one with the highest revision
+    var snap = _.last(_.sortBy(snapshots, 'revision')) || null;
+    var revMin = snap ? snap.revision + 1 : 0;
+
+    this.getEventStream(query, revMin, revMax, function (err, stream) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, snap ? _.cloneDeep(snap) : null, stream);
+    });
+  },
+
+  getEventStream: function (query, revMin, revMax, callback) {
+    var args = normalizeArgs(revMin, revMax, callback);
+
+    if (!query || !query.aggregateId) {
+      var err = new Error('An aggregateId should be passed!');
+      debug(err);
+      return args.callback(err);
+    }
+
+    var events = _.filter(this.getStreamEvents(query), function (evt) {
+      return evt.streamRevision >= args.revMin && (args.revMax === -1 || evt.streamRevision < args.revMax);
+    });
+
+    args.callback(null, this.createStream(query, events, args.revMin - 1));
+  },
+
+  getEvents: function (query, skip, limit, callback) {
+    query = query || {};
+
+    var events = _.filter(this.events, function (evt) {
+      return _.every(_.keys(query), function (key) {
+        return evt[key] === query[key];
+      });
+    });
+
+    events = events.slice(skip || 0);
+    if (limit !== undefined && limit !== null && limit !== -1) {
+      events = events.slice(0, limit);
+    }
+
+    callback(null, _.cloneDeep(events));
+  },
+
+  commit: function (stream, events, callback) {
+    var self = this;
+
+    var current = this.getStreamEvents(stream);
+    var currentRevision = current.length > 0 ? _.last(current).streamRevision : -1;
+
+    if (currentRevision !== stream.lastRevision) {
+      var err = new ConcurrencyError('The stream of aggregate ' + stream.aggregateId + ' has been changed in the meantime!');
+      debug(err);
+      return callback(err);
+    }
+
+    var streamKey = getStreamKey(stream);
+    var hasFencingToken = stream.fencingToken !== undefined && stream.fencingToken !== null;
+
+    if (hasFencingToken && stream.fencingToken < (this.fencingTokens[streamKey] || 0)) {
+      var err = new ConcurrencyError('The fencing token of aggregate ' + stream.aggregateId + ' is outdated!');
+      debug(err);
+      return callback(err);
+    }
+
+    this.getNewId(function (err, commitId) {
+      if (err) {
+        return callback(err);
+      }
+
+      var commitStamp = new Date();
+
+      var committed = _.map(events, function (payload, i) {
+        return {
+          id: commitId + i,
+          aggregateId: stream.aggregateId,
+          aggregate: stream.aggregate,
+          context: stream.context,
+          streamRevision: stream.lastRevision + 1 + i,
+          commitId: commitId,
+          commitSequence: i,
+          commitStamp: commitStamp,
+          payload: _.cloneDeep(payload)
+        };
+      });
+
+      _.each(committed, function (evt) {
+        self.events.push(evt);
+        self.undispatched[evt.id] = true;
+      });
+
+      if (hasFencingToken) {
+        self.fencingTokens[streamKey] = stream.fencingToken;
+      }
+
+      stream.events = (stream.events || []).concat(_.cloneDeep(committed));
+      stream.lastRevision += committed.length;
+
+      callback(null, _.cloneDeep(committed));
+    });
+  },
+
+  supportsFencing: function () {
+    return true;
+  },
+
+  createSnapshot: function (snapshot, callback) {
+    var self = this;
+
+    if (!snapshot || !snapshot.aggregateId) {
+      var err = new Error('An aggregateId should be passed!');
+      debug(err);
+      if (callback) callback(err);
+      return;
+    }
+
+    this.getNewId(function (err, id) {
+      if (err) {
+        if (callback) callback(err);
+        return;
+      }
+
+      var snap = _.cloneDeep(snapshot);
+      snap.id = id;
+      snap.commitStamp = new Date();
+
+      self.snapshots.push(snap);
+      if (callback) callback(null);
+    });
+  },
+
+  getUndispatchedEvents: function (callback) {
+    var self = this;
+
+    var events = _.filter(this.events, function (evt) {
+      return !!self.undispatched[evt.id];
+    });
+
+    callback(null, _.cloneDeep(events));
+  },
+
+  setEventToDispatched: function (evtOrId, callback) {
+    var id = _.isObject(evtOrId) ? evtOrId.id : evtOrId;
+    delete this.undispatched[id];
+    if (callback) callback(null);
+  },
+
+  clear: function (callback) {
+    this.events = [];
+    this.snapshots = [];
+    this.undispatched = {};
+    this.fencingTokens = {};
+    if (callback) callback(null);
+  }
+
+});
+
+module.exports = InMemory;
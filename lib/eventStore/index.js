@@ -0,0 +1,84 @@
+'use strict';
+
+var debug = require('debug')('domain:eventStore'),
+  _ = require('lodash'),
+  Base = require('./base'),
+  InMemory = require('./databases/inmemory'),
+  Eventstore = require('./databases/eventstore');
+
+var contract = ['init', 'disconnect', 'getNewId', 'getFromSnapshot', 'getEventStream', 'getEvents', 'commit',
+                'createSnapshot', 'getUndispatchedEvents', 'setEventToDispatched', 'on'];
+
+/**
+ * Returns true if the passed object implements the event store adapter contract.
+ * @param {Object} obj The object to check.
+ * @returns {Boolean}
+ */
+function isAdapter (obj) {
+  if (obj instanceof Base) {
+    return true;
+  }
+  // an instance of the eventstore package has a similar interface, but commits via the stream
+  return !!obj && !_.isFunction(obj.useEventPublisher) && _.every(contract, function (fn) {
+    return _.isFunction(obj[fn]);
+  });
+}
+
+/**
+ * Returns true if the passed object looks like an instance of the eventstore package.
+ * @param {Object} obj The object to check.
+ * @returns {Boolean}
+ */
+function isEventstore (obj) {
+  // TODO: check each method's signature?
+  return !!obj && _.every([obj.init, obj.on, obj.getNewId, obj.getFromSnapshot, obj.createSnapshot, obj.setEventToDispatched],
+    function (o) {
+      return _.isFunction(o);
+    });
+}
+
+module.exports = {
+  EventStore: Base,
+
+  InMemory: InMemory,
+
+  Eventstore: Eventstore,
+
+  isAdapter: isAdapter,
+
+  /**
+   * Creates the event store adapter.
+   * @param {Object|Function} options The options like: { type: 'mongodb', host: 'localhost' } [optional]
+   *                                  type can be 'inmemory' (default), an own adapter class or any database
+   *                                  supported by the eventstore package (mongodb, redis, tingodb, azuretable).
+   *                                  Or a factory function returning an adapter or an eventstore instance.
+   * @returns {EventStore}
+   */
+  create: function (options) {
+    if (_.isFunction(options)) {
+      // This is a factory method.
+      var store = options();
+      if (isAdapter(store)) {
+        return store;
+      }
+      if (isEventstore(store)) {
+        return new Eventstore({ eventstore: store });
+      }
+      var err = new Error('"options.eventStore" is not a valid event store factory');
+      debug(err);
+      throw err;
+    }
+
+    options = options || {};
+
+    if (_.isFunction(options.type)) {
+      return new options.type(options);
+    }
+
+    if (!options.type || options.type.toLowerCase() === 'inmemory') {
+      return new InMemory(options);
+    }
+
+    return new Eventstore(options);
+  }
+};
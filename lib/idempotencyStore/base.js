@@ -0,0 +1,134 @@
+'use strict';
+
+var util = require('util'),
+  EventEmitter = require('events').EventEmitter,
+  _ = require('lodash'),
+  uuid = require('node-uuid').v4;
+
+/**
+ * Store constructor
+ * @param {Object} options The options can have information like host, port, etc. [optional]
+ *                         and the retention: the amount of ms a handled command will be remembered (default 1 day),
+ *                         the reservationTimeout: the amount of ms a command is marked as in progress (default 1 minute)
+ *                         and the pollInterval: the amount of ms between the checks of a waiting duplicate (default 50)
+ */
+function Store(options) {
+  options = options || {};
+
+  this.retention = options.retention || 24 * 60 * 60 * 1000;
+  this.reservationTimeout = options.reservationTimeout || 60 * 1000;
+  this.pollInterval = options.pollInterval || 50;
+
+  EventEmitter.call(this);
+}
+
+util.inherits(Store, EventEmitter);
+
+function implementError (callback) {
+  var err = new Error('Please implement this function!');
+  if (callback) callback(err);
+  throw err;
+}
+
+_.extend(Store.prototype, {
+
+  /**
+   * Initiate communication with the store.
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err, store){}`
+   */
+  connect: implementError,
+
+  /**
+   * Terminate communication with the store.
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err){}`
+   */
+  disconnect: implementError,
+
+  /**
+   * Use this function to obtain a new id.
+   * @param  {Function} callback The function, that will be called when this action is completed.
+   *                             `function(err, id){}` id is of type String.
+   */
+  getNewId: function (callback) {
+    var id = uuid().toString();
+    if (callback) callback(null, id);
+  },
+
+  /**
+   * Returns true if the passed entry is older than the retention
+   * or if the passed in progress marker is older than the reservationTimeout.
+   * @param  {Object}  entry The entry like: { id: 'cmdId', handledAt: Date, ... } or { id: 'cmdId', inProgress: true, reservedAt: Date }
+   * @returns {boolean}
+   */
+  isExpired: function (entry) {
+    if (entry.inProgress) {
+      return new Date(entry.reservedAt).getTime() + this.reservationTimeout < Date.now();
+    }
+    return new Date(entry.handledAt).getTime() + this.retention < Date.now();
+  },
+
+  /**
+   * Use this function to load the result of an already handled command.
+   * Expired entries are ignored.
+   * @param  {String}   id       The id of the command.
+   * @param  {Function} callback The function, that will be called when this action is completed.
+   *                             `function(err, entry){}` entry is like: { id: 'cmdId', events: [], aggregateData: {}, meta: {}, handledAt: Date } or null
+   */
+  get: function (id, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Use this function to mark a command as in progress.
+   * This has to be atomic: the marker is only saved if there is no (not expired) entry with the same id.
+   * @param  {Object}   entry    The marker like: { id: 'cmdId', inProgress: true, reservedAt: Date }
+   * @param  {Function} callback The function, that will be called when this action is completed.
+   *                             `function(err, reserved){}` reserved is false if there is already an entry
+   */
+  reserve: function (entry, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Use this function to remove the entry of a command, i.e. the in progress marker of a failed command.
+   * @param  {String}   id       The id of the command.
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err){}`
+   */
+  remove: function (id, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Use this function to save the result of a handled command (replaces its in progress marker).
+   * @param  {Object}   entry    The entry like: { id: 'cmdId', events: [], aggregateData: {}, meta: {}, handledAt: Date }
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err){}`
+   */
+  save: function (entry, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Use this function to remove all entries older than the retention.
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err){}`
+   */
+  removeExpired: function (callback) {
+    implementError(callback);
+  },
+
+  /**
+   * NEVER USE THIS FUNCTION!!! ONLY FOR TESTS!
+   * clears the complete store...
+   * @param {Function} callback the function that will be called when this action has finished [optional]
+   */
+  clear: function (callback) {
+    implementError(callback);
+  }
+
+});
+
+module.exports = Store;
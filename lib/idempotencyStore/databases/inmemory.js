@@ -0,0 +1,76 @@
+'use strict';
+
+var util = require('util'),
+  Store = require('../base'),
+  _ = require('lodash');
+
+function InMemory(options) {
+  Store.call(this, options);
+  this.store = {};
+}
+
+util.inherits(InMemory, Store);
+
+_.extend(InMemory.prototype, {
+
+  connect: function (callback) {
+    this.emit('connect');
+    if (callback) callback(null, this);
+  },
+
+  disconnect: function (callback) {
+    this.emit('disconnect');
+    if (callback) callback(null);
+  },
+
+  get: function (id, callback) {
+    var entry = this.store[id];
+    if (entry && this.isExpired(entry)) {
+      delete this.store[id];
+      entry = null;
+    }
+    if (callback) callback(null, entry ? _.cloneDeep(entry) : null);
+  },
+
+  reserve: function (entry, callback) {
+    var existing = this.store[entry.id];
+    if (existing && !this.isExpired(existing)) {
+      if (callback) callback(null, false);
+      return;
+    }
+    this.store[entry.id] = _.cloneDeep(entry);
+    if (callback) callback(null, true);
+  },
+
+  remove: function (id, callback) {
+    delete this.store[id];
+    if (callback) callback(null);
+  },
+
+  save: function (entry, callback) {
+    var self = this;
+    // free the memory of the expired entries...
+    this.removeExpired(function () {
+      self.store[entry.id] = _.cloneDeep(entry);
+      if (callback) callback(null);
+    });
+  },
+
+  removeExpired: function (callback) {
+    var self = this;
+    _.each(_.keys(this.store), function (id) {
+      if (self.isExpired(self.store[id])) {
+        delete self.store[id];
+      }
+    });
+    if (callback) callback(null);
+  },
+
+  clear: function (callback) {
+    this.store = {};
+    if (callback) callback(null);
+  }
+
+});
+
+module.exports = InMemory;
@@ -3,16 +3,41 @@
 var util = require('util'),
   EventEmitter = require('events').EventEmitter,
   _ = require('lodash'),
+  debug = require('debug')('domain:lock'),
   uuid = require('node-uuid').v4;
 
 /**
  * Lock constructor
  * @param {Object} options The options can have information like host, port, etc. [optional]
+ *                         ttl:               the lease time in ms of a reservation, 0 means no expiry (default: 0)
+ *                         heartbeatInterval: the interval in ms to renew the lease of a running workflow (default: ttl / 3)
+ *                         mode:              'reserve' (default) to reserve and check before committing or
+ *                                            'blocking' to wait until the aggregate is free (see acquire)
+ *                         waitTimeout:       the time in ms to wait for the aggregate in blocking mode (default: 10000)
  */
 function Lock(options) {
   options = options || {};
 
   EventEmitter.call(this);
+
+  this.ttl = options.ttl || 0;
+  this.heartbeatInterval = options.heartbeatInterval || Math.floor(this.ttl / 3);
+  this.mode = options.mode || 'reserve';
+  this.waitTimeout = options.waitTimeout || 10000;
+
+  var err;
+
+  if (this.mode !== 'reserve' && this.mode !== 'blocking') {
+    err = new Error('Lock mode "' + this.mode + '" does not exist, use "reserve" or "blocking"!');
+    debug(err);
+    throw err;
+  }
+
+  if (this.mode === 'blocking' && !this.supportsBlocking()) {
+    err = new Error('This lock implementation does not support the blocking mode!');
+    debug(err);
+    throw err;
+  }
 }
 
 util.inherits(Lock, EventEmitter);
@@ -60,8 +85,39 @@ _.extend(Lock.prototype, {
     implementError(callback);
   },
 
+  /**
+   * Returns the date when a reservation made now expires.
+   * @returns {Date} null if the reservations do not expire.
+   */
+  getExpirationDate: function () {
+    if (!this.ttl) return null;
+    return new Date(Date.now() + this.ttl);
+  },
+
+  /**
+   * Returns true if the passed expiration date of a reservation has elapsed.
+   * @param {Date|Number|String} expiresAt The expiration date of the reservation.
+   * @returns {Boolean}
+   */
+  isExpired: function (expiresAt) {
+    if (!expiresAt) return false;
+    return new Date(expiresAt).getTime() <= Date.now();
+  },
+
+  /**
+   * Use this function to renew the lease of the reservation of an aggregate.
+   * @param  {String}   workerId    The id of the worker.
+   * @param  {String}   aggregateId The id of the aggregate
+   * @param  {Function} callback    The function, that will be called when this action is completed. [optional]
+   *                                `function(err){}`
+   */
+  renew: function (workerId, aggregateId, callback) {
+    implementError(callback);
+  },
+
   /**
    * Use this function to get get all the worker that reserve an aggregate.
+   * Expired reservations are not part of the result.
    * @param  {String}   aggregateId The id of the aggregate
    * @param  {Function} callback    The function, that will be called when this action is completed.
    *                                `function(err, workerIds){}` workerIds is of type Array.
@@ -80,6 +136,52 @@ _.extend(Lock.prototype, {
     implementError(callback);
   },
 
+  /**
+   * Returns true if the lock implements acquire, release and verify for the blocking mode.
+   * @returns {Boolean}
+   */
+  supportsBlocking: function () {
+    return false;
+  },
+
+  /**
+   * Use this function to wait until the aggregate is free and lock it (blocking mode).
+   * The workers get the aggregate in the order they called acquire (FIFO).
+   * Calls back with a ConcurrencyError if the aggregate is not free within waitTimeout ms.
+   * @param  {String}   workerId    The id of the worker.
+   * @param  {String}   aggregateId The id of the aggregate
+   * @param  {Function} callback    The function, that will be called when this action is completed.
+   *                                `function(err, token){}` token is the fencing token, a number that grows with each lock of the aggregate.
+   */
+  acquire: function (workerId, aggregateId, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Use this function to free the aggregate for the next waiting worker (blocking mode).
+   * Nothing happens if the passed token is outdated.
+   * @param  {String}   workerId    The id of the worker.
+   * @param  {String}   aggregateId The id of the aggregate
+   * @param  {Number}   token       The fencing token returned by acquire.
+   * @param  {Function} callback    The function, that will be called when this action is completed. [optional]
+   *                                `function(err){}`
+   */
+  release: function (workerId, aggregateId, token, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Use this function to check if the fencing token still holds the aggregate (blocking mode),
+   * i.e. the lease could have elapsed and the aggregate has been passed to the next worker.
+   * @param  {String}   aggregateId The id of the aggregate
+   * @param  {Number}   token       The fencing token returned by acquire.
+   * @param  {Function} callback    The function, that will be called when this action is completed.
+   *                                `function(err, isValid){}`
+   */
+  verify: function (aggregateId, token, callback) {
+    implementError(callback);
+  },
+
   /**
    * NEVER USE THIS FUNCTION!!! ONLY FOR TESTS!
    * clears the complete store...
@@ -0,0 +1,547 @@
+'use strict';
+
+var assert = require('assert'),
+  async = require('async'),
+  _ = require('lodash');
+
+/**
+ * Defines the mocha tests every aggregate lock implementation has to pass.
+ * Use it in your own test file like:
+ *   require('cqrs-domain/testing').lockConformance('my lock', function (options) {
+ *     return new MyLock(_.extend({ host: 'localhost' }, options));
+ *   });
+ * The lock is cleared (with lock.clear) before each test, so never use it against a productive database.
+ * The tests of the blocking mode are skipped, if the lock does not support it (see supportsBlocking).
+ * @param {String}   name       The name of the implementation, used in the test description.
+ * @param {Function} createLock The function returning a new (not connected) instance of the lock.
+ *                              The passed options contain the settings of the test, i.e. { ttl: 200 } or { mode: 'blocking', waitTimeout: 200 }
+ *                              `function(options){}`
+ */
+module.exports = function (name, createLock) {
+
+  describe('aggregate lock conformance of ' + name, function () {
+
+    var lock;
+
+    before(function (done) {
+      lock = createLock({});
+      lock.connect(function (err) { done(err); });
+    });
+
+    beforeEach(function (done) {
+      lock.clear(function (err) { done(err); });
+    });
+
+    after(function (done) {
+      if (!lock) return done();
+      lock.disconnect(function (err) { done(err); });
+    });
+
+    it('it should implement the contract', function () {
+
+      _.each(['connect', 'disconnect', 'getNewId', 'reserve', 'renew', 'getAll', 'resolve', 'clear', 'on'], function (fn) {
+        assert.equal(typeof lock[fn], 'function', fn + ' is not a function');
+      });
+
+    });
+
+    describe('calling getNewId', function () {
+
+      it('it should callback with a new id', function (done) {
+
+        lock.getNewId(function (err, id) {
+          assert.ifError(err);
+          assert.equal(typeof id, 'string');
+          done();
+        });
+
+      });
+
+    });
+
+    describe('calling getAll of an aggregate without reservations', function () {
+
+      it('it should callback with an empty array', function (done) {
+
+        lock.getAll('aggregateId1', function (err, workerIds) {
+          assert.ifError(err);
+          assert.deepEqual(workerIds, []);
+          done();
+        });
+
+      });
+
+    });
+
+    describe('calling reserve', function () {
+
+      it('it should add the worker to the reservations of the aggregate', function (done) {
+
+        lock.reserve('workerId1', 'aggregateId1', function (err) {
+          assert.ifError(err);
+          lock.getAll('aggregateId1', function (err, workerIds) {
+            assert.ifError(err);
+            assert.deepEqual(workerIds, ['workerId1']);
+            done();
+          });
+        });
+
+      });
+
+      it('it should keep the order of the reservations', function (done) {
+
+        async.eachSeries(['workerId1', 'workerId2', 'workerId3'], function (workerId, callback) {
+          setTimeout(function () {
+            lock.reserve(workerId, 'aggregateId1', callback);
+          }, 2);
+        }, function (err) {
+          assert.ifError(err);
+          lock.getAll('aggregateId1', function (err, workerIds) {
+            assert.ifError(err);
+            assert.deepEqual(workerIds, ['workerId1', 'workerId2', 'workerId3']);
+            done();
+          });
+        });
+
+      });
+
+      describe('concurrently', function () {
+
+        it('it should keep all the reservations', function (done) {
+
+          var workerIds = _.map(_.range(10), function (i) { return 'workerId' + i; });
+
+          async.each(workerIds, function (workerId, callback) {
+            lock.reserve(workerId, 'aggregateId1', callback);
+          }, function (err) {
+            assert.ifError(err);
+            lock.getAll('aggregateId1', function (err, reserved) {
+              assert.ifError(err);
+              assert.equal(reserved.length, workerIds.length);
+              assert.deepEqual(_.sortBy(reserved), _.sortBy(workerIds));
+              done();
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling resolve', function () {
+
+      beforeEach(function (done) {
+        async.series([
+          function (callback) { lock.reserve('workerId1', 'aggregateId1', callback); },
+          function (callback) { lock.reserve('workerId2', 'aggregateId1', callback); },
+          function (callback) { lock.reserve('workerId3', 'aggregateId2', callback); }
+        ], function (err) { done(err); });
+      });
+
+      it('it should remove all reservations of the aggregate', function (done) {
+
+        lock.resolve('aggregateId1', function (err) {
+          assert.ifError(err);
+          lock.getAll('aggregateId1', function (err, workerIds) {
+            assert.ifError(err);
+            assert.deepEqual(workerIds, []);
+            done();
+          });
+        });
+
+      });
+
+      it('it should not remove the reservations of the other aggregates', function (done) {
+
+        lock.resolve('aggregateId1', function (err) {
+          assert.ifError(err);
+          lock.getAll('aggregateId2', function (err, workerIds) {
+            assert.ifError(err);
+            assert.deepEqual(workerIds, ['workerId3']);
+            done();
+          });
+        });
+
+      });
+
+      it('it should allow to reserve the aggregate again', function (done) {
+
+        lock.resolve('aggregateId1', function (err) {
+          assert.ifError(err);
+          lock.reserve('workerId4', 'aggregateId1', function (err) {
+            assert.ifError(err);
+            lock.getAll('aggregateId1', function (err, workerIds) {
+              assert.ifError(err);
+              assert.deepEqual(workerIds, ['workerId4']);
+              done();
+            });
+          });
+        });
+
+      });
+
+      describe('of an aggregate without reservations', function () {
+
+        it('it should callback without error', function (done) {
+
+          lock.resolve('notReserved', function (err) {
+            assert.ifError(err);
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling clear', function () {
+
+      it('it should remove all reservations', function (done) {
+
+        async.series([
+          function (callback) { lock.reserve('workerId1', 'aggregateId1', callback); },
+          function (callback) { lock.reserve('workerId2', 'aggregateId2', callback); },
+          function (callback) { lock.clear(callback); }
+        ], function (err) {
+          assert.ifError(err);
+          async.map(['aggregateId1', 'aggregateId2'], function (aggregateId, callback) {
+            lock.getAll(aggregateId, callback);
+          }, function (err, results) {
+            assert.ifError(err);
+            assert.deepEqual(results, [[], []]);
+            done();
+          });
+        });
+
+      });
+
+    });
+
+    describe('calling disconnect and connect again', function () {
+
+      it('it should emit disconnect and connect and still work', function (done) {
+
+        var emitted = [];
+
+        function onDisconnect () { emitted.push('disconnect'); }
+        function onConnect () { emitted.push('connect'); }
+
+        lock.once('disconnect', onDisconnect);
+        lock.once('connect', onConnect);
+
+        lock.reserve('workerId1', 'aggregateId1', function (err) {
+          assert.ifError(err);
+          lock.disconnect(function (err) {
+            assert.ifError(err);
+            lock.connect(function (err) {
+              assert.ifError(err);
+              assert.deepEqual(emitted, ['disconnect', 'connect']);
+              lock.getAll('aggregateId1', function (err, workerIds) {
+                assert.ifError(err);
+                assert.deepEqual(workerIds, ['workerId1']);
+                done();
+              });
+            });
+          });
+        });
+
+      });
+
+    });
+
+    describe('having a ttl', function () {
+
+      var ttlLock;
+
+      before(function (done) {
+        ttlLock = createLock({ ttl: 200 });
+        assert.equal(ttlLock.ttl, 200);
+        ttlLock.connect(function (err) { done(err); });
+      });
+
+      beforeEach(function (done) {
+        ttlLock.clear(function (err) { done(err); });
+      });
+
+      after(function (done) {
+        if (!ttlLock) return done();
+        ttlLock.disconnect(function (err) { done(err); });
+      });
+
+      it('it should not return a reservation whose lease has elapsed', function (done) {
+
+        ttlLock.reserve('workerId1', 'aggregateId1', function (err) {
+          assert.ifError(err);
+          setTimeout(function () {
+            ttlLock.reserve('workerId2', 'aggregateId1', function (err) {
+              assert.ifError(err);
+              ttlLock.getAll('aggregateId1', function (err, workerIds) {
+                assert.ifError(err);
+                assert.deepEqual(workerIds, ['workerId2']);
+                done();
+              });
+            });
+          }, 250);
+        });
+
+      });
+
+      it('it should still return a reservation whose lease has been renewed', function (done) {
+
+        ttlLock.reserve('workerId1', 'aggregateId1', function (err) {
+          assert.ifError(err);
+          setTimeout(function () {
+            ttlLock.renew('workerId1', 'aggregateId1', function (err) {
+              assert.ifError(err);
+              setTimeout(function () {
+                ttlLock.getAll('aggregateId1', function (err, workerIds) {
+                  assert.ifError(err);
+                  assert.deepEqual(workerIds, ['workerId1']);
+                  done();
+                });
+              }, 150);
+            });
+          }, 150);
+        });
+
+      });
+
+    });
+
+    describe('in blocking mode', function () {
+
+      var blockingLock;
+
+      before(function (done) {
+        if (!_.isFunction(lock.supportsBlocking) || !lock.supportsBlocking()) {
+          return this.skip();
+        }
+        blockingLock = createLock({ mode: 'blocking', waitTimeout: 200 });
+        blockingLock.connect(function (err) { done(err); });
+      });
+
+      beforeEach(function (done) {
+        blockingLock.clear(function (err) { done(err); });
+      });
+
+      after(function (done) {
+        if (!blockingLock) return done();
+        blockingLock.disconnect(function (err) { done(err); });
+      });
+
+      it('it should implement the contract', function () {
+
+        _.each(['acquire', 'release', 'verify'], function (fn) {
+          assert.equal(typeof blockingLock[fn], 'function', fn + ' is not a function');
+        });
+
+      });
+
+      describe('calling acquire of a free aggregate', function () {
+
+        it('it should callback with a valid fencing token', function (done) {
+
+          blockingLock.acquire('workerId1', 'aggregateId1', function (err, token) {
+            assert.ifError(err);
+            assert.ok(token);
+            blockingLock.verify('aggregateId1', token, function (err, isValid) {
+              assert.ifError(err);
+              assert.strictEqual(isValid, true);
+              done();
+            });
+          });
+
+        });
+
+        it('it should not wait for the other aggregates', function (done) {
+
+          blockingLock.acquire('workerId1', 'aggregateId1', function (err) {
+            assert.ifError(err);
+            blockingLock.acquire('workerId2', 'aggregateId2', function (err, token) {
+              assert.ifError(err);
+              assert.ok(token);
+              done();
+            });
+          });
+
+        });
+
+      });
+
+      describe('calling acquire of a locked aggregate', function () {
+
+        it('it should wait until the aggregate has been released', function (done) {
+
+          blockingLock.acquire('workerId1', 'aggregateId1', function (err, token1) {
+            assert.ifError(err);
+
+            var released = false;
+
+            blockingLock.acquire('workerId2', 'aggregateId1', function (err, token2) {
+              assert.ifError(err);
+              assert.ok(released, 'acquired before the release');
+              assert.ok(token2 > token1, 'the fencing token has not grown');
+              blockingLock.verify('aggregateId1', token1, function (err, isValid) {
+                assert.ifError(err);
+                assert.strictEqual(isValid, false);
+                done();
+              });
+            });
+
+            setTimeout(function () {
+              released = true;
+              blockingLock.release('workerId1', 'aggregateId1', token1);
+            }, 50);
+          });
+
+        });
+
+        it('it should pass the aggregate in the order of the calls', function (done) {
+
+          var order = [];
+
+          blockingLock.acquire('workerId1', 'aggregateId1', function (err, token) {
+            assert.ifError(err);
+
+            async.eachSeries(['workerId2', 'workerId3', 'workerId4'], function (workerId, callback) {
+              blockingLock.acquire(workerId, 'aggregateId1', function (err, token) {
+                assert.ifError(err);
+                order.push(workerId);
+                if (order.length === 3) {
+                  assert.deepEqual(order, ['workerId2', 'workerId3', 'workerId4']);
+                  return done();
+                }
+                setTimeout(function () {
+                  blockingLock.release(workerId, 'aggregateId1', token);
+                }, 5);
+              });
+              setTimeout(callback, 5);
+            }, function () {
+              blockingLock.release('workerId1', 'aggregateId1', token);
+            });
+          });
+
+        });
+
+        it('it should callback with a ConcurrencyError after waitTimeout', function (done) {
+
+          blockingLock.acquire('workerId1', 'aggregateId1', function (err, token1) {
+            assert.ifError(err);
+
+            var start = Date.now();
+
+            blockingLock.acquire('workerId2', 'aggregateId1', function (err) {
+              assert.ok(err, 'expected an error');
+              assert.equal(err.name, 'ConcurrencyError');
+              assert.ok(Date.now() - start >= 150, 'did not wait');
+
+              // the timed out worker has left the queue
+              blockingLock.release('workerId1', 'aggregateId1', token1, function (err) {
+                assert.ifError(err);
+                blockingLock.acquire('workerId3', 'aggregateId1', function (err, token3) {
+                  assert.ifError(err);
+                  assert.ok(token3 > token1);
+                  done();
+                });
+              });
+            });
+          });
+
+        });
+
+      });
+
+      describe('calling release with an outdated token', function () {
+
+        it('it should not release the aggregate', function (done) {
+
+          blockingLock.acquire('workerId1', 'aggregateId1', function (err, token1) {
+            assert.ifError(err);
+            blockingLock.release('workerId1', 'aggregateId1', token1, function (err) {
+              assert.ifError(err);
+              blockingLock.acquire('workerId2', 'aggregateId1', function (err, token2) {
+                assert.ifError(err);
+                blockingLock.release('workerId1', 'aggregateId1', token1, function (err) {
+                  assert.ifError(err);
+                  blockingLock.verify('aggregateId1', token2, function (err, isValid) {
+                    assert.ifError(err);
+                    assert.strictEqual(isValid, true);
+                    done();
+                  });
+                });
+              });
+            });
+          });
+
+        });
+
+      });
+
+      describe('having a ttl', function () {
+
+        var ttlLock;
+
+        before(function (done) {
+          ttlLock = createLock({ mode: 'blocking', waitTimeout: 1000, ttl: 200 });
+          ttlLock.connect(function (err) { done(err); });
+        });
+
+        beforeEach(function (done) {
+          ttlLock.clear(function (err) { done(err); });
+        });
+
+        after(function (done) {
+          if (!ttlLock) return done();
+          ttlLock.disconnect(function (err) { done(err); });
+        });
+
+        it('it should pass the aggregate to the next worker when the lease has elapsed', function (done) {
+
+          ttlLock.acquire('workerId1', 'aggregateId1', function (err, token1) {
+            assert.ifError(err);
+
+            var start = Date.now();
+
+            ttlLock.acquire('workerId2', 'aggregateId1', function (err, token2) {
+              assert.ifError(err);
+              assert.ok(Date.now() - start >= 150, 'did not wait for the lease');
+              assert.ok(token2 > token1);
+              ttlLock.verify('aggregateId1', token1, function (err, isValid) {
+                assert.ifError(err);
+                assert.strictEqual(isValid, false);
+                done();
+              });
+            });
+          });
+
+        });
+
+        it('it should keep the aggregate locked while the lease is renewed', function (done) {
+
+          ttlLock.acquire('workerId1', 'aggregateId1', function (err, token1) {
+            assert.ifError(err);
+            setTimeout(function () {
+              ttlLock.renew('workerId1', 'aggregateId1', function (err) {
+                assert.ifError(err);
+                setTimeout(function () {
+                  ttlLock.verify('aggregateId1', token1, function (err, isValid) {
+                    assert.ifError(err);
+                    assert.strictEqual(isValid, true);
+                    done();
+                  });
+                }, 150);
+              });
+            }, 150);
+          });
+
+        });
+
+      });
+
+    });
+
+  });
+
+};
@@ -61,21 +61,51 @@ _.extend(AzureTable.prototype, {
       date: eg.DateTime(new Date())
     };
 
+    var expiresAt = this.getExpirationDate();
+    if (expiresAt) {
+      entity.expiresAt = eg.DateTime(expiresAt);
+    }
+
     this.client.insertEntity(this.options.lockTableName, entity, function (err) {
       if (callback) callback(err);
     });
   },
 
+  renew: function (workerId, aggregateId, callback) {
+    var expiresAt = this.getExpirationDate();
+
+    if (!expiresAt) {
+      if (callback) callback(null);
+      return;
+    }
+
+    var entity = {
+      PartitionKey: eg.String(aggregateId),
+      RowKey: eg.String(workerId),
+      expiresAt: eg.DateTime(expiresAt)
+    };
+
+    this.client.mergeEntity(this.options.lockTableName, entity, function (err) {
+      if (callback) callback(err);
+    });
+  },
+
   getAll: function (aggregateId, callback) {
+    var self = this;
+
     var query = new azure.TableQuery();
 
     var options = {
       autoResolveProperties: true,
       entityResolver: function (entity) {
-        return entity.workerId._;
+        return {
+          workerId: entity.workerId._,
+          date: entity.date ? entity.date._ : null,
+          expiresAt: entity.expiresAt ? entity.expiresAt._ : null
+        };
       }
     };
-    query.select('workerId');
+    query.select('workerId', 'date', 'expiresAt');
     query.where('PartitionKey eq ?', aggregateId);
 
     this.client.queryEntities(this.options.lockTableName, query, null, options, function (err, result) {
@@ -85,9 +115,11 @@ _.extend(AzureTable.prototype, {
         return callback(err);
       }
 
-      res = _.sortBy(result.entries, "date");
+      res = _.filter(_.sortBy(result.entries, 'date'), function (entry) {
+        return !self.isExpired(entry.expiresAt);
+      });
 
-      callback(null, res);
+      callback(null, _.pluck(res, 'workerId'));
     });
   },
 
@@ -126,12 +126,20 @@ _.extend(Couch.prototype, {
   },
 
   reserve: function(workerId, aggregateId, callback) {
-    this.db.save(workerId, { _id: workerId, aggregateId: aggregateId, collectionName: this.collectionName }, function (err) {
+    this.db.save(workerId, { _id: workerId, aggregateId: aggregateId, collectionName: this.collectionName, expiresAt: this.getExpirationDate() }, function (err) {
+      if (callback) callback(err);
+    });
+  },
+
+  renew: function(workerId, aggregateId, callback) {
+    this.db.merge(workerId, { expiresAt: this.getExpirationDate() }, function (err) {
       if (callback) callback(err);
     });
   },
 
   getAll: function(aggregateId, callback) {
+    var self = this;
+
     this.db.view('aggregatelock/findByAggregateId', { key: { collectionName: this.collectionName, aggregateId: aggregateId } }, function (err, docs) {
       var res = [];
       
@@ -141,6 +149,13 @@ _.extend(Couch.prototype, {
 
       for (var i = 0, len = docs.length; i < len; i++) {
         var id = docs[i].value._id;
+
+        if (self.isExpired(docs[i].value.expiresAt)) {
+          // remove the reservation of a crashed worker
+          self.db.remove(id, docs[i].value._rev, function () {});
+          continue;
+        }
+
         var found = _.find(res, function (r) {
           return r === id;
         });
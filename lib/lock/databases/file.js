@@ -0,0 +1,434 @@
+'use strict';
+
+var util = require('util'),
+  Lock = require('../base'),
+  _ = require('lodash'),
+  async = require('async'),
+  fs = require('fs'),
+  path = require('path'),
+  os = require('os'),
+  uuid = require('node-uuid').v4,
+  debug = require('debug')('domain:lock:file');
+
+// the time in ms to wait before trying again to create a lock file held by an other process
+var retryDelay = 5;
+
+/**
+ * Returns true if the process with the passed pid is still running (on this host).
+ * @param {Number} pid The process id.
+ * @returns {Boolean}
+ */
+function isAlive (pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // the process exists, but belongs to an other user
+    return err.code === 'EPERM';
+  }
+}
+
+function ensureDir (dir, callback) {
+  fs.mkdir(dir, function (err) {
+    if (!err || err.code === 'EEXIST') {
+      return callback(null);
+    }
+    if (err.code !== 'ENOENT') {
+      return callback(err);
+    }
+    ensureDir(path.dirname(dir), function (err) {
+      if (err) {
+        return callback(err);
+      }
+      ensureDir(dir, callback);
+    });
+  });
+}
+
+/**
+ * File constructor
+ * Stores the reservations of each aggregate in a json file in a shared directory,
+ * so several processes on the same host can use the same lock.
+ * Each change of a reservation file is guarded by an atomically created lock file.
+ * @param {Object} options The options like:
+ *                         { path: '/var/lock/domain', staleTimeout: 10000 } [optional]
+ *                         path:         the shared directory (default: os.tmpdir() + '/aggregatelock')
+ *                         staleTimeout: the time in ms after which a left over lock file is removed (default: 10000)
+ */
+function File(options) {
+  Lock.call(this, options);
+
+  var defaults = {
+    path: path.join(os.tmpdir(), 'aggregatelock'),
+    staleTimeout: 10000
+  };
+
+  _.defaults(options, defaults);
+
+  this.options = options;
+}
+
+util.inherits(File, Lock);
+
+_.extend(File.prototype, {
+
+  connect: function (callback) {
+    var self = this;
+
+    ensureDir(this.options.path, function (err) {
+      if (err) {
+        debug(err);
+        if (callback) callback(err, self);
+        return;
+      }
+      self.emit('connect');
+      if (callback) callback(null, self);
+    });
+  },
+
+  disconnect: function (callback) {
+    this.emit('disconnect');
+    if (callback) callback(null);
+  },
+
+  getFilePath: function (aggregateId, extension) {
+    return path.join(this.options.path, encodeURIComponent(aggregateId) + extension);
+  },
+
+  /**
+   * Returns true if the reservation has expired or its process has ended.
+   * @param {Object} entry The reservation.
+   * @returns {Boolean}
+   */
+  isStale: function (entry) {
+    return this.isExpired(entry.expiresAt) || !isAlive(entry.pid);
+  },
+
+  /**
+   * Creates the lock file of an aggregate, waits if an other process holds it.
+   * The lock file is written completely to a temporary file and then linked atomically.
+   * A lock file is stale and will be removed if its process has ended or if it is older than staleTimeout.
+   * @param {String}   aggregateId The id of the aggregate.
+   * @param {Function} callback    The function, that will be called when this action is completed.
+   *                               `function(err, id){}` id identifies the created lock file, pass it to unlockFile
+   */
+  lockFile: function (aggregateId, callback) {
+    var self = this;
+    var lockPath = this.getFilePath(aggregateId, '.lock');
+    var id = uuid().toString();
+    var tmpPath = lockPath + '.' + id + '.tmp';
+    var content = JSON.stringify({ id: id, pid: process.pid, createdAt: Date.now() });
+
+    function link () {
+      fs.link(tmpPath, lockPath, function (err) {
+        if (!err) {
+          return fs.unlink(tmpPath, function () {
+            callback(null, id);
+          });
+        }
+        if (err.code !== 'EEXIST') {
+          debug(err);
+          return fs.unlink(tmpPath, function () {
+            callback(err);
+          });
+        }
+
+        self.readLockFile(lockPath, function (err, lockFile) {
+          if (err) {
+            return fs.unlink(tmpPath, function () {
+              callback(err);
+            });
+          }
+
+          if (!lockFile) {
+            // removed in the meantime
+            return link();
+          }
+
+          if (!self.isLockFileStale(lockFile)) {
+            return setTimeout(link, retryDelay);
+          }
+
+          debug('remove stale lock file ' + lockPath);
+          self.removeLockFile(lockPath, lockFile.id, function (err, takenOver) {
+            if (err) {
+              return fs.unlink(tmpPath, function () {
+                callback(err);
+              });
+            }
+            if (takenOver) {
+              // an other process removes the stale lock file, do not retry until it is done
+              return setTimeout(link, retryDelay);
+            }
+            link();
+          });
+        });
+      });
+    }
+
+    fs.writeFile(tmpPath, content, function (err) {
+      if (err) {
+        debug(err);
+        return callback(err);
+      }
+      link();
+    });
+  },
+
+  /**
+   * Reads the lock file.
+   * @param {String}   lockPath The path of the lock file.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, lockFile){}` lockFile is like { id: 'id', pid: 123, modifiedAt: 1500000000000 }
+   *                            or null if there is no lock file
+   */
+  readLockFile: function (lockPath, callback) {
+    fs.stat(lockPath, function (err, stats) {
+      if (err) {
+        return callback(err.code === 'ENOENT' ? null : err, null);
+      }
+
+      fs.readFile(lockPath, 'utf8', function (err, data) {
+        if (err) {
+          return callback(err.code === 'ENOENT' ? null : err, null);
+        }
+
+        var info = {};
+        try {
+          info = JSON.parse(data);
+        } catch (e) {
+          // not written by this implementation
+        }
+
+        callback(null, {
+          // a lock file without id is identified by its inode and modification time
+          id: info.id || stats.ino + '-' + stats.mtime.getTime(),
+          pid: info.pid,
+          modifiedAt: stats.mtime.getTime()
+        });
+      });
+    });
+  },
+
+  isLockFileStale: function (lockFile) {
+    if (lockFile.modifiedAt + this.options.staleTimeout <= Date.now()) {
+      return true;
+    }
+    return !!lockFile.pid && !isAlive(lockFile.pid);
+  },
+
+  /**
+   * Removes the lock file, but only if it is still the one with the passed id.
+   * Every removal of a lock file is guarded by a takeover file created for its id,
+   * so if several processes want to remove the same stale lock file, only one of them does
+   * and none of them removes the fresh lock file created in the meantime.
+   * @param {String}   lockPath The path of the lock file.
+   * @param {String}   id       The id of the lock file to remove.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, takenOver){}` takenOver is true if an other process is removing it
+   */
+  removeLockFile: function (lockPath, id, callback) {
+    var self = this;
+    var takeoverPath = lockPath + '.' + id + '.takeover';
+    var content = JSON.stringify({ pid: process.pid, createdAt: Date.now() });
+
+    fs.writeFile(takeoverPath, content, { flag: 'wx' }, function (err) {
+      if (err) {
+        if (err.code !== 'EEXIST') {
+          debug(err);
+          return callback(err);
+        }
+
+        // an other process removes it, only clean up a takeover file left by a crashed process
+        return self.readLockFile(takeoverPath, function (err, takeover) {
+          if (err || !takeover) {
+            return callback(err || null, false);
+          }
+          if (!self.isLockFileStale(takeover)) {
+            return callback(null, true);
+          }
+          fs.unlink(takeoverPath, function () {
+            callback(null, false);
+          });
+        });
+      }
+
+      function done (err) {
+        fs.unlink(takeoverPath, function () {
+          callback(err || null, false);
+        });
+      }
+
+      // nobody else can remove the lock file with this id now, so it is still there or gone for good
+      self.readLockFile(lockPath, function (err, lockFile) {
+        if (err || !lockFile || lockFile.id !== id) {
+          return done(err);
+        }
+        fs.unlink(lockPath, function (err) {
+          done(err && err.code !== 'ENOENT' ? err : null);
+        });
+      });
+    });
+  },
+
+  unlockFile: function (aggregateId, id, callback) {
+    this.removeLockFile(this.getFilePath(aggregateId, '.lock'), id, function (err) {
+      if (err) {
+        debug(err);
+      }
+      callback(null);
+    });
+  },
+
+  read: function (aggregateId, callback) {
+    fs.readFile(this.getFilePath(aggregateId, '.json'), 'utf8', function (err, data) {
+      if (err) {
+        if (err.code === 'ENOENT') {
+          return callback(null, []);
+        }
+        return callback(err);
+      }
+      try {
+        callback(null, JSON.parse(data));
+      } catch (e) {
+        callback(e);
+      }
+    });
+  },
+
+  write: function (aggregateId, entries, callback) {
+    var filePath = this.getFilePath(aggregateId, '.json');
+
+    if (entries.length === 0) {
+      return fs.unlink(filePath, function (err) {
+        callback(err && err.code !== 'ENOENT' ? err : null);
+      });
+    }
+
+    // write a temporary file and rename it, so the readers never see a half written file
+    var tmpPath = filePath + '.' + process.pid + '.tmp';
+    fs.writeFile(tmpPath, JSON.stringify(entries), function (err) {
+      if (err) {
+        return callback(err);
+      }
+      fs.rename(tmpPath, filePath, callback);
+    });
+  },
+
+  /**
+   * Changes the reservations of an aggregate while holding its lock file.
+   * @param {String}   aggregateId The id of the aggregate.
+   * @param {Function} fn          The function returning the changed reservations.
+   *                               `function(entries){}`
+   * @param {Function} callback    The function, that will be called when this action is completed.
+   *                               `function(err){}`
+   */
+  update: function (aggregateId, fn, callback) {
+    var self = this;
+
+    this.lockFile(aggregateId, function (err, id) {
+      if (err) {
+        return callback(err);
+      }
+
+      function done (err) {
+        self.unlockFile(aggregateId, id, function () {
+          callback(err || null);
+        });
+      }
+
+      self.read(aggregateId, function (err, entries) {
+        if (err) {
+          return done(err);
+        }
+        self.write(aggregateId, fn(entries), done);
+      });
+    });
+  },
+
+  reserve: function(workerId, aggregateId, callback) {
+    var entry = { workerId: workerId, pid: process.pid, expiresAt: this.getExpirationDate() };
+
+    this.update(aggregateId, function (entries) {
+      return entries.concat([entry]);
+    }, function (err) {
+      if (callback) callback(err);
+    });
+  },
+
+  renew: function(workerId, aggregateId, callback) {
+    var expiresAt = this.getExpirationDate();
+
+    this.update(aggregateId, function (entries) {
+      _.each(entries, function (entry) {
+        if (entry.workerId === workerId) entry.expiresAt = expiresAt;
+      });
+      return entries;
+    }, function (err) {
+      if (callback) callback(err);
+    });
+  },
+
+  getAll: function(aggregateId, callback) {
+    var self = this;
+
+    this.read(aggregateId, function (err, entries) {
+      if (err) {
+        return callback(err);
+      }
+
+      var isStale = _.bind(self.isStale, self);
+
+      if (!_.some(entries, isStale)) {
+        return callback(null, _.pluck(entries, 'workerId'));
+      }
+
+      // remove the reservations of crashed workers
+      var valid;
+      self.update(aggregateId, function (entries) {
+        valid = _.reject(entries, isStale);
+        return valid;
+      }, function (err) {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, _.pluck(valid, 'workerId'));
+      });
+    });
+  },
+
+  resolve: function(aggregateId, callback) {
+    this.update(aggregateId, function () {
+      return [];
+    }, function (err) {
+      if (callback) callback(err);
+    });
+  },
+
+  clear: function (callback) {
+    var dir = this.options.path;
+
+    fs.readdir(dir, function (err, files) {
+      if (err) {
+        if (callback) callback(err.code === 'ENOENT' ? null : err);
+        return;
+      }
+
+      var toRemove = _.filter(files, function (file) {
+        return /\.(json|lock|tmp|takeover)$/.test(file);
+      });
+
+      async.each(toRemove, function (file, callback) {
+        fs.unlink(path.join(dir, file), function () {
+          callback(null);
+        });
+      }, function () {
+        if (callback) callback(null);
+      });
+    });
+  }
+
+});
+
+module.exports = File;
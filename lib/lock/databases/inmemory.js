@@ -2,11 +2,16 @@
 
 var util = require('util'),
   Lock = require('../base'),
-  _ = require('lodash');
+  _ = require('lodash'),
+  ConcurrencyError = require('../../errors/concurrencyError');
 
 function InMemory(options) {
   Lock.call(this, options);
   this.store = {};
+  this.holders = {};
+  this.waiting = {};
+  this.tokens = {};
+  this.expiryTimers = {};
 }
 
 util.inherits(InMemory, Lock);
@@ -25,21 +30,134 @@ _.extend(InMemory.prototype, {
 
   reserve: function(workerId, aggregateId, callback) {
     this.store[aggregateId] = this.store[aggregateId] || [];
-    this.store[aggregateId].push(workerId);
+    this.store[aggregateId].push({ workerId: workerId, expiresAt: this.getExpirationDate() });
+    if (callback) callback(null);
+  },
+
+  renew: function(workerId, aggregateId, callback) {
+    var expiresAt = this.getExpirationDate();
+    _.each(this.store[aggregateId], function (entry) {
+      if (entry.workerId === workerId) entry.expiresAt = expiresAt;
+    });
+    var holder = this.holders[aggregateId];
+    if (holder && holder.workerId === workerId) {
+      holder.expiresAt = expiresAt;
+      this.dequeue(aggregateId);
+    }
     if (callback) callback(null);
   },
 
   getAll: function(aggregateId, callback) {
-    if (callback) callback(null, this.store[aggregateId] || []);
+    var self = this;
+
+    if (this.store[aggregateId]) {
+      _.remove(this.store[aggregateId], function (entry) {
+        return self.isExpired(entry.expiresAt);
+      });
+      if (this.store[aggregateId].length === 0) delete this.store[aggregateId];
+    }
+
+    if (callback) callback(null, _.pluck(this.store[aggregateId] || [], 'workerId'));
   },
 
   resolve: function(aggregateId, callback) {
     if (this.store[aggregateId] !== undefined) delete this.store[aggregateId];
+    if (this.holders[aggregateId]) {
+      delete this.holders[aggregateId];
+      this.dequeue(aggregateId);
+    }
+    if (callback) callback(null);
+  },
+
+  supportsBlocking: function () {
+    return true;
+  },
+
+  acquire: function(workerId, aggregateId, callback) {
+    var self = this;
+
+    var waiter = { workerId: workerId, callback: callback };
+
+    waiter.timer = setTimeout(function () {
+      _.pull(self.waiting[aggregateId], waiter);
+      var err = new ConcurrencyError('Aggregate is still locked by an other command handler after waiting ' + self.waitTimeout + 'ms!');
+      callback(err);
+    }, this.waitTimeout);
+
+    this.waiting[aggregateId] = this.waiting[aggregateId] || [];
+    this.waiting[aggregateId].push(waiter);
+
+    this.dequeue(aggregateId);
+  },
+
+  /**
+   * Passes the aggregate to the next waiting worker, if it is free.
+   * If it is held with a lease, it checks again when the lease elapses.
+   * @param {String} aggregateId The id of the aggregate
+   */
+  dequeue: function (aggregateId) {
+    var self = this;
+
+    clearTimeout(this.expiryTimers[aggregateId]);
+    delete this.expiryTimers[aggregateId];
+
+    var holder = this.holders[aggregateId];
+    if (holder && this.isExpired(holder.expiresAt)) {
+      delete this.holders[aggregateId];
+      holder = null;
+    }
+
+    var waiting = this.waiting[aggregateId];
+
+    if (!waiting || waiting.length === 0) {
+      delete this.waiting[aggregateId];
+      return;
+    }
+
+    if (!holder) {
+      var next = waiting.shift();
+      clearTimeout(next.timer);
+
+      var token = this.tokens[aggregateId] = (this.tokens[aggregateId] || 0) + 1;
+      holder = this.holders[aggregateId] = { workerId: next.workerId, token: token, expiresAt: this.getExpirationDate() };
+
+      process.nextTick(function () {
+        next.callback(null, token);
+      });
+    }
+
+    if (waiting.length > 0 && holder.expiresAt) {
+      // pass the aggregate to the next one, if the lease of the holder elapses
+      this.expiryTimers[aggregateId] = setTimeout(function () {
+        self.dequeue(aggregateId);
+      }, new Date(holder.expiresAt).getTime() - Date.now());
+    }
+  },
+
+  release: function(workerId, aggregateId, token, callback) {
+    var holder = this.holders[aggregateId];
+    if (holder && holder.token === token) {
+      delete this.holders[aggregateId];
+      this.dequeue(aggregateId);
+    }
     if (callback) callback(null);
   },
 
+  verify: function(aggregateId, token, callback) {
+    var holder = this.holders[aggregateId];
+    callback(null, !!holder && holder.token === token && !this.isExpired(holder.expiresAt));
+  },
+
   clear: function (callback) {
+    _.each(this.waiting, function (waiting) {
+      _.each(waiting, function (waiter) { clearTimeout(waiter.timer); });
+    });
+    _.each(this.expiryTimers, function (timer) { clearTimeout(timer); });
     this.store = {};
+    this.holders = {};
+    this.waiting = {};
+    this.tokens = {};
+    this.expiryTimers = {};
     if (callback) callback(null);
   }
 
@@ -4,7 +4,52 @@ var util = require('util'),
   Lock = require('../base'),
   _ = require('lodash'),
   async = require('async'),
-  redis = require('redis');
+  uuid = require('node-uuid').v4,
+  redis = require('redis'),
+  ConcurrencyError = require('../../errors/concurrencyError');
+
+// keeps the waiter alive (and enqueues it again, if it has been removed as dead i.e. after a long pause),
+// removes the waiters that gave up or crashed from the head of the queue
+// and passes the aggregate to the first waiter, if it is free
+// KEYS: queue, holder, token counter
+// ARGV: request id, worker id, ttl, prefix of the waiter keys, ttl of the waiter key
+var acquireScript = [
+  'local waiter = ARGV[4] .. ARGV[1]',
+  'if redis.call("exists", waiter) == 0 then redis.call("rpush", KEYS[1], ARGV[1]) end',
+  'redis.call("set", waiter, ARGV[2], "PX", ARGV[5])',
+  'while true do',
+  '  local head = redis.call("lindex", KEYS[1], 0)',
+  '  if not head or redis.call("exists", ARGV[4] .. head) == 1 then break end',
+  '  redis.call("lpop", KEYS[1])',
+  'end',
+  'if redis.call("exists", KEYS[2]) == 1 then return 0 end',
+  'if redis.call("lindex", KEYS[1], 0) ~= ARGV[1] then return 0 end',
+  'redis.call("lpop", KEYS[1])',
+  'redis.call("del", waiter)',
+  'local token = redis.call("incr", KEYS[3])',
+  'if tonumber(ARGV[3]) > 0 then',
+  '  redis.call("set", KEYS[2], token .. ":" .. ARGV[2], "PX", ARGV[3])',
+  'else',
+  '  redis.call("set", KEYS[2], token .. ":" .. ARGV[2])',
+  'end',
+  'return token'
+].join('\n');
+
+// KEYS: holder
+// ARGV: token
+var releaseScript = [
+  'local holder = redis.call("get", KEYS[1])',
+  'if holder and string.match(holder, "^(%d+):") == ARGV[1] then redis.call("del", KEYS[1]) end',
+  'return 1'
+].join('\n');
+
+// KEYS: holder
+// ARGV: worker id, ttl
+var renewScript = [
+  'local holder = redis.call("get", KEYS[1])',
+  'if holder and string.match(holder, "^%d+:(.*)$") == ARGV[1] then redis.call("pexpire", KEYS[1], ARGV[2]) end',
+  'return 1'
+].join('\n');
 
 function Redis(options) {
   Lock.call(this, options);
@@ -13,7 +58,9 @@ function Redis(options) {
     host: 'localhost',
     port: 6379,
     prefix: 'aggregatelock',
-    max_attempts: 1
+    max_attempts: 1,
+    // the interval in ms to check if the aggregate is free (blocking mode)
+    pollInterval: 20
   };
 
   _.defaults(options, defaults);
@@ -116,25 +163,181 @@ _.extend(Redis.prototype, {
   reserve: function(workerId, aggregateId, callback) {
     var prefixedId = this.prefix + ':' + aggregateId;
 
-    this.client.rpush(prefixedId, workerId, function (err) {
-      if (callback) callback(err);
-    });
+    if (!this.ttl) {
+      this.client.rpush(prefixedId, workerId, function (err) {
+        if (callback) callback(err);
+      });
+      return;
+    }
+
+    this.client.multi()
+      .set(prefixedId + ':' + workerId, 'lease', 'PX', this.ttl)
+      .rpush(prefixedId, workerId)
+      .pexpire(prefixedId, this.ttl)
+      .exec(function (err) {
+        if (callback) callback(err);
+      });
+  },
+
+  renew: function(workerId, aggregateId, callback) {
+    var prefixedId = this.prefix + ':' + aggregateId;
+
+    if (!this.ttl) {
+      if (callback) callback(null);
+      return;
+    }
+
+    if (this.mode === 'blocking') {
+      this.client.eval(renewScript, 1, this.prefix + ':holder:' + aggregateId, workerId, this.ttl, function (err) {
+        if (callback) callback(err);
+      });
+      return;
+    }
+
+    this.client.multi()
+      .pexpire(prefixedId + ':' + workerId, this.ttl)
+      .pexpire(prefixedId, this.ttl)
+      .exec(function (err) {
+        if (callback) callback(err);
+      });
   },
 
   getAll: function(aggregateId, callback) {
+    var self = this;
+
     var prefixedId = this.prefix + ':' + aggregateId;
 
-    this.client.lrange(prefixedId, 0, -1, callback);
+    if (!this.ttl) {
+      this.client.lrange(prefixedId, 0, -1, callback);
+      return;
+    }
+
+    this.client.lrange(prefixedId, 0, -1, function (err, workerIds) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (workerIds.length === 0) {
+        return callback(null, workerIds);
+      }
+
+      var leaseKeys = _.map(workerIds, function (workerId) { return prefixedId + ':' + workerId; });
+
+      self.client.mget(leaseKeys, function (err, leases) {
+        if (err) {
+          return callback(err);
+        }
+
+        var res = [];
+        _.each(workerIds, function (workerId, i) {
+          if (leases[i]) {
+            res.push(workerId);
+          } else {
+            // remove the reservation of a crashed worker
+            self.client.lrem(prefixedId, 0, workerId, function () {});
+          }
+        });
+
+        callback(null, res);
+      });
+    });
   },
 
   resolve: function(aggregateId, callback) {
     var prefixedId = this.prefix + ':' + aggregateId;
 
-    this.client.del(prefixedId, function (err) {
+    if (this.mode === 'blocking') {
+      this.client.del(this.prefix + ':holder:' + aggregateId, function (err) {
+        if (callback) callback(err);
+      });
+      return;
+    }
+
+    if (!this.ttl) {
+      this.client.del(prefixedId, function (err) {
+        if (callback) callback(err);
+      });
+      return;
+    }
+
+    var self = this;
+
+    this.client.lrange(prefixedId, 0, -1, function (err, workerIds) {
+      if (err) {
+        if (callback) callback(err);
+        return;
+      }
+
+      var keys = _.map(workerIds, function (workerId) { return prefixedId + ':' + workerId; });
+      keys.push(prefixedId);
+
+      self.client.del(keys, function (err) {
+        if (callback) callback(err);
+      });
+    });
+  },
+
+  supportsBlocking: function () {
+    return true;
+  },
+
+  acquire: function(workerId, aggregateId, callback) {
+    var self = this;
+
+    var requestId = uuid().toString();
+    var queueKey = this.prefix + ':queue:' + aggregateId;
+    var holderKey = this.prefix + ':holder:' + aggregateId;
+    var tokenKey = this.prefix + ':token:' + aggregateId;
+    var waiterPrefix = this.prefix + ':waiter:';
+    var pollInterval = this.options.pollInterval;
+    // the waiter key marks this request as alive, so a crashed process does not block the queue longer than this
+    var waiterTtl = this.options.waiterTtl || this.waitTimeout + pollInterval * 10;
+    var giveUpAt = Date.now() + this.waitTimeout;
+
+    (function poll () {
+      self.client.eval(acquireScript, 3, queueKey, holderKey, tokenKey, requestId, workerId, self.ttl, waiterPrefix, waiterTtl, function (err, token) {
+        if (err) {
+          return callback(err);
+        }
+
+        token = parseInt(token, 10);
+        if (token > 0) {
+          return callback(null, token);
+        }
+
+        if (Date.now() < giveUpAt) {
+          return setTimeout(poll, pollInterval);
+        }
+
+        self.client.multi()
+          .lrem(queueKey, 0, requestId)
+          .del(waiterPrefix + requestId)
+          .exec(function (err) {
+            if (err) {
+              return callback(err);
+            }
+            err = new ConcurrencyError('Aggregate is still locked by an other command handler after waiting ' + self.waitTimeout + 'ms!');
+            callback(err);
+          });
+      });
+    })();
+  },
+
+  release: function(workerId, aggregateId, token, callback) {
+    this.client.eval(releaseScript, 1, this.prefix + ':holder:' + aggregateId, String(token), function (err) {
       if (callback) callback(err);
     });
   },
 
+  verify: function(aggregateId, token, callback) {
+    this.client.get(this.prefix + ':holder:' + aggregateId, function (err, holder) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, !!holder && holder.split(':')[0] === String(token));
+    });
+  },
+
   clear: function (callback) {
     var self = this;
     async.parallel([
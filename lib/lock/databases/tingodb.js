@@ -54,17 +54,32 @@ _.extend(Tingo.prototype, {
   },
 
   reserve: function(workerId, aggregateId, callback) {
-    this.lock.save({ _id: workerId, aggregateId: aggregateId, date: new Date() }, { safe: true }, function (err) {
+    this.lock.save({ _id: workerId, aggregateId: aggregateId, date: new Date(), expiresAt: this.getExpirationDate() }, { safe: true }, function (err) {
+      if (callback) callback(err);
+    });
+  },
+
+  renew: function(workerId, aggregateId, callback) {
+    this.lock.update({ _id: workerId, aggregateId: aggregateId }, { $set: { expiresAt: this.getExpirationDate() } }, { safe: true }, function (err) {
       if (callback) callback(err);
     });
   },
 
   getAll: function(aggregateId, callback) {
+    var self = this;
+
     this.lock.find({ aggregateId: aggregateId }, { sort: { date: 1 } }).toArray(function (err, res) {
       if (err) {
         return callback(err);
       }
-      callback(null, _.map(res, function (entry) { return entry._id; }));
+
+      var expired = _.filter(res, function (entry) { return self.isExpired(entry.expiresAt); });
+      if (expired.length > 0) {
+        // remove the reservations of crashed workers
+        self.lock.remove({ _id: { $in: _.pluck(expired, '_id') } }, { safe: true }, function () {});
+      }
+
+      callback(null, _.map(_.difference(res, expired), function (entry) { return entry._id; }));
     });
   },
 
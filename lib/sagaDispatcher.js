@@ -0,0 +1,224 @@
+'use strict';
+
+var debug = require('debug')('domain:sagaDispatcher'),
+  _ = require('lodash'),
+  async = require('async'),
+  SagaModel = require('./sagaModel');
+
+/**
+ * SagaDispatcher constructor
+ * @param {Object} tree      The tree object.
+ * @param {Object} sagaStore The saga store object.
+ * @constructor
+ */
+function SagaDispatcher (tree, sagaStore) {
+  if (!tree || !_.isObject(tree) || !_.isFunction(tree.getSagas)) {
+    var err = new Error('Please pass a valid tree!');
+    debug(err);
+    throw err;
+  }
+
+  if (!sagaStore || !_.isObject(sagaStore)) {
+    var err = new Error('Please pass a valid saga store!');
+    debug(err);
+    throw err;
+  }
+
+  this.tree = tree;
+  this.sagaStore = sagaStore;
+
+  // sagas are handled one after the other, so the saga state is never overwritten by a parallel handling
+  this.queue = async.queue(function (task, callback) {
+    task(callback);
+  }, 1);
+}
+
+SagaDispatcher.prototype = {
+
+  /**
+   * Returns all saga definitions that react on the passed event.
+   * @param {Object} evt The event object.
+   * @returns {Array}
+   */
+  getSagas: function (evt) {
+    var sagas = _.filter(this.tree.getSagas(), function (saga) {
+      return saga.canHandle(evt);
+    });
+
+    return _.sortBy(sagas, function (saga) {
+      return saga.priority;
+    });
+  },
+
+  /**
+   * Returns the saga definition by its key.
+   * @param {String} key The key of the saga definition.
+   * @returns {Saga}
+   */
+  getSagaByKey: function (key) {
+    return _.find(this.tree.getSagas(), function (saga) {
+      return saga.getKey() === key;
+    });
+  },
+
+  /**
+   * Loads the saga, lets the passed action work with it and saves it afterwards.
+   * @param {Saga}     sagaDef  The saga definition.
+   * @param {String}   sagaId   The saga id.
+   * @param {Boolean}  existing If true, the action will only be executed if the saga already exists.
+   * @param {Function} action   The action to be executed.
+   *                            `function(saga, callback){}`
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, commandsToSend){}`
+   */
+  process: function (sagaDef, sagaId, existing, action, callback) {
+    var self = this;
+
+    this.queue.push(function (done) {
+      self.sagaStore.get(sagaId, function (err, data) {
+        if (err) {
+          debug(err);
+          return done(err);
+        }
+
+        if (!data && existing) {
+          debug('saga ' + sagaId + ' does not exist, so skip ' + sagaDef.getKey());
+          return done(null, []);
+        }
+
+        var saga = new SagaModel(sagaId, data);
+        var previousTimeout = saga.getTimeoutAt() ? saga.getTimeoutAt().getTime() : null;
+
+        action(saga, function (err) {
+          if (err) {
+            debug(err);
+            return done(err);
+          }
+
+          var commandsToSend = _.map(saga.getCommandsToSend(), function (cmd) {
+            return { command: cmd, saga: sagaDef, sagaId: sagaId };
+          });
+
+          if (saga.isDestroyed()) {
+            debug('remove saga ' + sagaId);
+            return self.sagaStore.remove(sagaId, function (err) {
+              done(err, commandsToSend);
+            });
+          }
+
+          if (saga.getTimeoutAt() && saga.getTimeoutAt().getTime() !== previousTimeout) {
+            saga.timeoutBy = sagaDef.getKey();
+          }
+
+          debug('save saga ' + sagaId);
+          self.sagaStore.save(saga.toStoreObject(), function (err) {
+            done(err, commandsToSend);
+          });
+        });
+      });
+    }, callback);
+  },
+
+  /**
+   * Dispatches an event to all sagas that react on it.
+   * @param {Object}   evt      The event object.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, commandsToSend){}`
+   */
+  dispatch: function (evt, callback) {
+    if (!evt || !_.isObject(evt)) {
+      var err = new Error('Please pass a valid event!');
+      debug(err);
+      throw err;
+    }
+
+    if (!callback || !_.isFunction(callback)) {
+      var err = new Error('Please pass a valid callback!');
+      debug(err);
+      throw err;
+    }
+
+    var self = this;
+    var commandsToSend = [];
+
+    async.eachSeries(this.getSagas(evt), function (sagaDef, callback) {
+      var sagaId = sagaDef.getSagaId(evt);
+      if (!sagaId) {
+        debug('no saga id found in event for ' + sagaDef.getKey());
+        return callback(null);
+      }
+
+      self.process(sagaDef, sagaId, sagaDef.existing, function (saga, clb) {
+        sagaDef.handle(evt, saga, clb);
+      }, function (err, cmds) {
+        if (err) {
+          return callback(err);
+        }
+        commandsToSend = commandsToSend.concat(cmds);
+        callback(null);
+      });
+    }, function (err) {
+      callback(err, commandsToSend);
+    });
+  },
+
+  /**
+   * Lets the saga, that sent the rejected command, compensate it.
+   * @param {Object}   entry    The sent entry like: { command: {}, saga: sagaDefinition, sagaId: 'id' }
+   * @param {Error}    err      The error of the rejected command.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, commandsToSend){}`
+   */
+  compensate: function (entry, err, callback) {
+    debug('compensate command of saga ' + entry.sagaId);
+    this.process(entry.saga, entry.sagaId, true, function (saga, clb) {
+      entry.saga.compensate(err, entry.command, saga, clb);
+    }, callback);
+  },
+
+  /**
+   * Lets all sagas, whose timeout has elapsed, react on it.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, commandsToSend){}`
+   */
+  checkTimeouts: function (callback) {
+    var self = this;
+    var commandsToSend = [];
+
+    this.sagaStore.getTimeoutedSagas(function (err, sagas) {
+      if (err) {
+        debug(err);
+        return callback(err);
+      }
+
+      async.eachSeries(sagas, function (data, callback) {
+        var sagaDef = self.getSagaByKey(data.timeoutBy);
+        if (!sagaDef) {
+          debug('no saga definition found for timeout of saga ' + data.id);
+          return callback(null);
+        }
+
+        self.process(sagaDef, data.id, true, function (saga, clb) {
+          if (!saga.getTimeoutAt() || saga.getTimeoutAt() > new Date()) {
+            // seams to be handled in the meantime
+            return clb(null);
+          }
+          debug('timeout of saga ' + saga.id + ' elapsed');
+          saga.removeTimeout();
+          sagaDef.handleTimeout(saga, clb);
+        }, function (err, cmds) {
+          if (err) {
+            return callback(err);
+          }
+          commandsToSend = commandsToSend.concat(cmds);
+          callback(null);
+        });
+      }, function (err) {
+        callback(err, commandsToSend);
+      });
+    });
+  }
+
+};
+
+module.exports = SagaDispatcher;
@@ -0,0 +1,178 @@
+'use strict';
+
+var debug = require('debug')('domain:saga'),
+  dotty = require('dotty'),
+  _ = require('lodash'),
+  jsondate = require('jsondate');
+
+/**
+ * Saga constructor
+ * @param {String} id   The saga id.
+ * @param {Object} data The persisted saga data like: { id: 'id', data: {}, timeoutAt: Date, timeoutBy: 'key' } [optional]
+ * @constructor
+ */
+function SagaModel (id, data) {
+  if (!id || !_.isString(id)) {
+    var err = new Error('No id injected!');
+    debug(err);
+    throw err;
+  }
+
+  this.id = id;
+
+  data = data || {};
+
+  this.attributes = _.cloneDeep(data.data || {});
+  this.attributes.id = this.id;
+
+  this.timeoutAt = data.timeoutAt ? new Date(data.timeoutAt) : null;
+  this.timeoutBy = data.timeoutBy || null;
+
+  this.isNew = !data.id;
+  this.destroyed = false;
+
+  this.commandsToSend = [];
+}
+
+SagaModel.prototype = {
+
+  /**
+   * Marks this saga as destroyed. (the workflow is completed, it will be removed from the store)
+   */
+  destroy: function () {
+    this.destroyed = true;
+  },
+
+  /**
+   * Returns true if this saga is destroyed.
+   * @returns {boolean}
+   */
+  isDestroyed: function () {
+    return this.destroyed;
+  },
+
+  /**
+   * Adds a command that should be sent to the domain, after this saga has been saved.
+   * @param {Object} cmd The command object.
+   */
+  addCommandToSend: function (cmd) {
+    if (!cmd || !_.isObject(cmd)) {
+      var err = new Error('Please pass a valid command!');
+      debug(err);
+      throw err;
+    }
+    this.commandsToSend.push(cmd);
+  },
+
+  /**
+   * Returns all commands that should be sent.
+   * @returns {Array}
+   */
+  getCommandsToSend: function () {
+    return this.commandsToSend;
+  },
+
+  /**
+   * Defines a timeout for this saga.
+   * @param {Date || Number} date The point in time or the amount of ms from now.
+   *
+   * @example:
+   *     saga.defineTimeout(60 * 1000);
+   *     // or
+   *     saga.defineTimeout(new Date(2015, 0, 1));
+   */
+  defineTimeout: function (date) {
+    if (_.isNumber(date)) {
+      date = new Date(Date.now() + date);
+    }
+    if (!_.isDate(date)) {
+      var err = new Error('Please pass a valid date or amount of ms!');
+      debug(err);
+      throw err;
+    }
+    this.timeoutAt = date;
+  },
+
+  /**
+   * Removes the timeout of this saga.
+   */
+  removeTimeout: function () {
+    this.timeoutAt = null;
+    this.timeoutBy = null;
+  },
+
+  /**
+   * Returns the point in time this saga will time out.
+   * @returns {Date}
+   */
+  getTimeoutAt: function () {
+    return this.timeoutAt;
+  },
+
+  /**
+   * The toJSON function will be called when JSON.stringify().
+   * @return {Object} A clean Javascript object containing all attributes.
+   */
+  toJSON: function () {
+    return jsondate.parse(JSON.stringify(this.attributes));
+  },
+
+  /**
+   * Sets attributes for the saga.
+   *
+   * @example:
+   *     saga.set('orderId', '1234');
+   *     // or
+   *     saga.set({
+   *          orderId: '1234',
+   *          paid: false
+   *     });
+   */
+  set: function (data) {
+    if (arguments.length === 2) {
+      dotty.put(this.attributes, arguments[0], arguments[1]);
+    } else if (_.isObject(data)) {
+      for (var m in data) {
+        dotty.put(this.attributes, m, data[m]);
+      }
+    }
+  },
+
+  /**
+   * Gets an attribute of the saga.
+   * @param  {String} attr The attribute name.
+   * @return {Object}      The result value.
+   *
+   * @example:
+   *     saga.get('orderId'); // returns '1234'
+   */
+  get: function (attr) {
+    return dotty.get(this.attributes, attr);
+  },
+
+  /**
+   * Returns `true` if the attribute contains a value that is not null
+   * or undefined.
+   * @param  {String} attr The attribute name.
+   * @return {Boolean}     The result value.
+   */
+  has: function (attr) {
+    return (this.get(attr) !== null && this.get(attr) !== undefined);
+  },
+
+  /**
+   * Returns the object that will be persisted in the saga store.
+   * @returns {Object}
+   */
+  toStoreObject: function () {
+    return {
+      id: this.id,
+      data: this.toJSON(),
+      timeoutAt: this.timeoutAt,
+      timeoutBy: this.timeoutBy
+    };
+  }
+
+};
+
+module.exports = SagaModel;
@@ -0,0 +1,102 @@
+'use strict';
+
+var util = require('util'),
+  EventEmitter = require('events').EventEmitter,
+  _ = require('lodash'),
+  uuid = require('node-uuid').v4;
+
+/**
+ * Store constructor
+ * @param {Object} options The options can have information like host, port, etc. [optional]
+ */
+function Store(options) {
+  options = options || {};
+
+  EventEmitter.call(this);
+}
+
+util.inherits(Store, EventEmitter);
+
+function implementError (callback) {
+  var err = new Error('Please implement this function!');
+  if (callback) callback(err);
+  throw err;
+}
+
+_.extend(Store.prototype, {
+
+  /**
+   * Initiate communication with the store.
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err, store){}`
+   */
+  connect: implementError,
+
+  /**
+   * Terminate communication with the store.
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err){}`
+   */
+  disconnect: implementError,
+
+  /**
+   * Use this function to obtain a new id.
+   * @param  {Function} callback The function, that will be called when this action is completed.
+   *                             `function(err, id){}` id is of type String.
+   */
+  getNewId: function (callback) {
+    var id = uuid().toString();
+    if (callback) callback(null, id);
+  },
+
+  /**
+   * Use this function to load a saga.
+   * @param  {String}   id       The id of the saga.
+   * @param  {Function} callback The function, that will be called when this action is completed.
+   *                             `function(err, saga){}` saga is like: { id: 'id', data: {}, timeoutAt: Date, timeoutBy: 'key' } or null
+   */
+  get: function (id, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Use this function to save a saga.
+   * @param  {Object}   saga     The saga like: { id: 'id', data: {}, timeoutAt: Date, timeoutBy: 'key' }
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err){}`
+   */
+  save: function (saga, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Use this function to remove a saga.
+   * @param  {String}   id       The id of the saga.
+   * @param  {Function} callback The function, that will be called when this action is completed. [optional]
+   *                             `function(err){}`
+   */
+  remove: function (id, callback) {
+    implementError(callback);
+  },
+
+  /**
+   * Use this function to get all sagas whose timeout has elapsed.
+   * @param  {Function} callback The function, that will be called when this action is completed.
+   *                             `function(err, sagas){}` sagas is of type Array.
+   */
+  getTimeoutedSagas: function (callback) {
+    implementError(callback);
+  },
+
+  /**
+   * NEVER USE THIS FUNCTION!!! ONLY FOR TESTS!
+   * clears the complete store...
+   * @param {Function} callback the function that will be called when this action has finished [optional]
+   */
+  clear: function (callback) {
+    implementError(callback);
+  }
+
+});
+
+module.exports = Store;
@@ -0,0 +1,55 @@
+'use strict';
+
+var util = require('util'),
+  Store = require('../base'),
+  _ = require('lodash');
+
+function InMemory(options) {
+  Store.call(this, options);
+  this.store = {};
+}
+
+util.inherits(InMemory, Store);
+
+_.extend(InMemory.prototype, {
+
+  connect: function (callback) {
+    this.emit('connect');
+    if (callback) callback(null, this);
+  },
+
+  disconnect: function (callback) {
+    this.emit('disconnect');
+    if (callback) callback(null);
+  },
+
+  get: function (id, callback) {
+    if (callback) callback(null, this.store[id] ? _.cloneDeep(this.store[id]) : null);
+  },
+
+  save: function (saga, callback) {
+    this.store[saga.id] = _.cloneDeep(saga);
+    if (callback) callback(null);
+  },
+
+  remove: function (id, callback) {
+    if (this.store[id] !== undefined) delete this.store[id];
+    if (callback) callback(null);
+  },
+
+  getTimeoutedSagas: function (callback) {
+    var now = new Date();
+    var res = _.filter(_.values(this.store), function (saga) {
+      return saga.timeoutAt && new Date(saga.timeoutAt) <= now;
+    });
+    if (callback) callback(null, _.cloneDeep(res));
+  },
+
+  clear: function (callback) {
+    this.store = {};
+    if (callback) callback(null);
+  }
+
+});
+
+module.exports = InMemory;
@@ -0,0 +1,145 @@
+'use strict';
+
+var _ = require('lodash'),
+  debug = require('debug')('domain:snapshotScheduler'),
+  async = require('async');
+
+/**
+ * SnapshotScheduler constructor
+ * Collects the snapshots to be done and creates them periodically in the background,
+ * so they are not created on the command path.
+ * @param {Object} options The options like: { interval: 1000 } [optional]
+ * @constructor
+ */
+function SnapshotScheduler (options) {
+  options = options || {};
+
+  this.interval = options.interval || 1000;
+
+  this.pending = {};
+  this.flushing = false;
+  this.waiting = [];
+}
+
+SnapshotScheduler.prototype = {
+
+  /**
+   * Schedules a snapshot. A later scheduled snapshot for the same key replaces the pending one.
+   * @param {String}   key  The key identifying the aggregate, i.e. the concatenated aggregate id.
+   * @param {Function} task The function that creates the snapshot.
+   *                        `function(callback){}`
+   */
+  schedule: function (key, task) {
+    if (!key || !_.isString(key)) {
+      var err = new Error('Please pass a valid key!');
+      debug(err);
+      throw err;
+    }
+    if (!task || !_.isFunction(task)) {
+      var err = new Error('Please pass a valid task!');
+      debug(err);
+      throw err;
+    }
+
+    debug('schedule snapshot for ' + key);
+    this.pending[key] = task;
+  },
+
+  /**
+   * Returns the amount of pending snapshots.
+   * @returns {Number}
+   */
+  getPendingCount: function () {
+    return _.keys(this.pending).length;
+  },
+
+  /**
+   * Creates all pending snapshots one after the other.
+   * A failing snapshot does not stop the others.
+   * If it is already flushing, it flushes again afterwards and calls back when that one is completed,
+   * so no snapshot is written anymore after calling back.
+   * @param {Function} callback The function, that will be called when this action is completed. [optional]
+   *                            `function(err){}` err is the last error that occurred
+   */
+  flush: function (callback) {
+    var self = this;
+
+    if (this.flushing) {
+      debug('already flushing, flush again afterwards');
+      if (callback) this.waiting.push(callback);
+      return;
+    }
+
+    var tasks = this.pending;
+    this.pending = {};
+
+    var keys = _.keys(tasks);
+    if (keys.length === 0) {
+      if (callback) callback(null);
+      return;
+    }
+
+    this.flushing = true;
+
+    debug('create ' + keys.length + ' scheduled snapshot(s)');
+
+    var lastErr = null;
+
+    async.eachSeries(keys, function (key, callback) {
+      tasks[key](function (err) {
+        if (err) {
+          debug(err);
+          lastErr = err;
+        }
+        callback(null);
+      });
+    }, function () {
+      self.flushing = false;
+
+      var waiting = self.waiting;
+      self.waiting = [];
+
+      if (callback) callback(lastErr);
+
+      if (waiting.length > 0) {
+        self.flush(function (err) {
+          _.each(waiting, function (callback) {
+            callback(err);
+          });
+        });
+      }
+    });
+  },
+
+  /**
+   * Starts creating the pending snapshots periodically.
+   */
+  start: function () {
+    var self = this;
+
+    if (this.timer) {
+      return;
+    }
+
+    debug('start creating scheduled snapshots periodically...');
+    this.timer = setInterval(function () {
+      self.flush();
+    }, this.interval);
+    if (this.timer.unref) this.timer.unref();
+  },
+
+  /**
+   * Stops creating the pending snapshots periodically.
+   */
+  stop: function () {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+};
+
+module.exports = SnapshotScheduler;
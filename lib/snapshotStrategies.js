@@ -0,0 +1,102 @@
+'use strict';
+
+var _ = require('lodash'),
+  debug = require('debug')('domain:snapshotStrategies');
+
+/**
+ * Throws an error if the passed value is not a positive number.
+ * @param {Number} value The value to check.
+ * @param {String} name  The name of the option.
+ */
+function checkPositiveNumber (value, name) {
+  if (!_.isNumber(value) || value <= 0) {
+    var err = new Error('Please pass a valid ' + name + '!');
+    debug(err);
+    throw err;
+  }
+}
+
+/**
+ * Each strategy factory returns a function that gets the snapshot infos like:
+ * { loadingTime: 12, events: [], eventNames: [], revision: 120, snapshotRevision: 100,
+ *   lastSnapshotAt: Date, aggregateData: {}, snapshotData: {} }
+ * snapshotData is the data of the loaded snapshot or null
+ * and returns true if a new snapshot should be done.
+ */
+module.exports = {
+
+  /**
+   * Snapshots every time the aggregate passes a multiple of the passed amount of revisions.
+   * @param {Object} options The options like: { every: 100 }
+   * @returns {Function}
+   */
+  revisions: function (options) {
+    options = options || {};
+    checkPositiveNumber(options.every, 'amount of revisions (every)');
+
+    return function (info) {
+      var snapshotRevision = info.snapshotRevision || 0;
+      return Math.floor(info.revision / options.every) > Math.floor(snapshotRevision / options.every);
+    };
+  },
+
+  /**
+   * Snapshots as soon as one of the passed events has been applied since the last snapshot.
+   * @param {Object} options The options like: { names: ['orderClosed'] }
+   * @returns {Function}
+   */
+  events: function (options) {
+    options = options || {};
+    if (!_.isArray(options.names) || options.names.length === 0) {
+      var err = new Error('Please pass valid event names!');
+      debug(err);
+      throw err;
+    }
+
+    return function (info) {
+      return _.some(info.eventNames, function (name) {
+        return _.contains(options.names, name);
+      });
+    };
+  },
+
+  /**
+   * Snapshots as soon as the serialized aggregate state reaches the passed amount of bytes
+   * and afterwards each time it has grown by that amount since the last snapshot.
+   * @param {Object} options The options like: { maxBytes: 8192 }
+   * @returns {Function}
+   */
+  size: function (options) {
+    options = options || {};
+    checkPositiveNumber(options.maxBytes, 'amount of bytes (maxBytes)');
+
+    return function (info) {
+      if (!info.aggregateData) {
+        return false;
+      }
+      var bytes = Buffer.byteLength(JSON.stringify(info.aggregateData));
+      var snapshotBytes = info.snapshotData ? Buffer.byteLength(JSON.stringify(info.snapshotData)) : 0;
+      // a state that has already reached maxBytes would otherwise be snapshotted on every load
+      return bytes >= options.maxBytes && bytes - snapshotBytes >= options.maxBytes;
+    };
+  },
+
+  /**
+   * Snapshots as soon as the last snapshot (or the first event, if there is no snapshot)
+   * is older than the passed amount of ms.
+   * @param {Object} options The options like: { ms: 3600000 }
+   * @returns {Function}
+   */
+  age: function (options) {
+    options = options || {};
+    checkPositiveNumber(options.ms, 'amount of ms');
+
+    return function (info) {
+      if (!info.lastSnapshotAt || !info.events || info.events.length === 0) {
+        return false;
+      }
+      return Date.now() - new Date(info.lastSnapshotAt).getTime() >= options.ms;
+    };
+  }
+
+};
@@ -2,7 +2,6 @@
 
 var debug = require('debug')('domain:structureLoader'),
   _ = require('lodash'),
-  tv4Module = require('tv4'),
   structureParser = require('./structureParser'),
   Context = require('./../definitions/context'),
   Aggregate = require('./../definitions/aggregate'),
@@ -11,7 +10,11 @@ var debug = require('debug')('domain:structureLoader'),
   BusinessRule = require('./../definitions/businessRule'),
   PreCondition = require('./../definitions/preCondition'),
   CommandHandler = require('./../definitions/commandHandler'),
+  EventUpcaster = require('./../definitions/eventUpcaster'),
+  Saga = require('./../definitions/saga'),
   getValidator = require('./../validator'),
+  validation = require('./../validation'),
+  programmaticBase = '$definitions',
   generalContext;
 
 function isSchema (item) {
@@ -74,6 +77,22 @@ function isCommandHandler (item) {
   return item.value instanceof CommandHandler;
 }
 
+function isEventUpcaster (item) {
+  if (item.fileType !== 'js') {
+    return false;
+  }
+
+  return item.value instanceof EventUpcaster;
+}
+
+function isSaga (item) {
+  if (item.fileType !== 'js') {
+    return false;
+  }
+
+  return item.value instanceof Saga;
+}
+
 function defineNameOfSchema (item) {
   var name = item.value.title;
   if (!name) {
@@ -115,8 +134,8 @@ function defineName (item, invert) {
   item.name = name;
 }
 
-function scan (items) {
-  var res = {
+function createResult () {
+  return {
     schemas: [],
     contexts: [],
     aggregates: [],
@@ -124,8 +143,14 @@ function scan (items) {
     events: [],
     preConditions: [],
     businessRules: [],
-    commandHandlers: []
+    commandHandlers: [],
+    eventUpcasters: [],
+    sagas: []
   };
+}
+
+function scan (items) {
+  var res = createResult();
 
   items.forEach(function (item) {
     if (isSchema(item)) {
@@ -190,6 +215,22 @@ function scan (items) {
       res.commandHandlers.push(item);
       return;
     }
+
+    if (isEventUpcaster(item)) {
+      debug('found eventUpcaster at: ' + item.path);
+      defineName(item);
+      item.value.name = item.name;
+      res.eventUpcasters.push(item);
+      return;
+    }
+
+    if (isSaga(item)) {
+      debug('found saga at: ' + item.path);
+      defineName(item);
+      item.value.name = item.name;
+      res.sagas.push(item);
+      return;
+    }
   });
 
   return res;
@@ -198,7 +239,7 @@ function scan (items) {
 function analyze (dir, callback) {
   structureParser(dir, function (items) {
     return _.filter(items, function (i) {
-      return isSchema(i) || isContext(i) || isAggregate(i) || isCommand(i) || isEvent(i) || isBusinessRule(i) || isPreCondition(i) || isCommandHandler(i);
+      return isSchema(i) || isContext(i) || isAggregate(i) || isCommand(i) || isEvent(i) || isBusinessRule(i) || isPreCondition(i) || isCommandHandler(i) || isEventUpcaster(i) || isSaga(i);
     });
   }, function (err, items) {
     if (err) {
@@ -211,6 +252,86 @@ function analyze (dir, callback) {
   });
 }
 
+/**
+ * Returns the definitions added in code (see domain.addContext) in the same structure as the scanned files,
+ * so they are wired by the same reorder logic.
+ * Each definition gets a virtual location like: $definitions.context.aggregate.commands
+ * @param {Object} definitions The definitions like: { contexts: [], sagas: [], schemas: [] }
+ * @returns {Object}
+ */
+function collect (definitions) {
+  var res = createResult();
+
+  function addItem (what, value, dottiedBase, needsName) {
+    if (needsName && !value.name) {
+      var err = new Error('Please define a name for each ' + what.substring(0, what.length - 1) + ' in ' + dottiedBase + '!');
+      debug(err);
+      throw err;
+    }
+
+    res[what].push({
+      path: dottiedBase,
+      dottiedBase: dottiedBase,
+      fileType: what === 'schemas' ? 'json' : 'js',
+      name: what === 'schemas' ? value.title : value.name,
+      value: value
+    });
+  }
+
+  _.each(definitions.schemas, function (schema) {
+    // general schema
+    addItem('schemas', schema, '');
+  });
+
+  _.each(definitions.sagas, function (saga) {
+    addItem('sagas', saga, programmaticBase + '.sagas');
+  });
+
+  _.each(definitions.contexts, function (ctx) {
+    var ctxBase = programmaticBase + '.' + ctx.name;
+    addItem('contexts', ctx, ctxBase, true);
+
+    _.each(ctx.schemas, function (schema) {
+      addItem('schemas', schema, ctxBase);
+    });
+
+    _.each(ctx.getAggregates(), function (aggr) {
+      var aggrBase = ctxBase + '.' + aggr.name;
+      addItem('aggregates', aggr, aggrBase, true);
+
+      _.each(aggr.getCommands(), function (cmd) {
+        addItem('commands', cmd, aggrBase + '.commands', true);
+      });
+      _.each(aggr.getEvents(), function (evt) {
+        addItem('events', evt, aggrBase + '.events', true);
+      });
+      _.each(aggr.getBusinessRules(), function (rule) {
+        addItem('businessRules', rule, aggrBase + '.businessRules');
+      });
+      _.each(aggr.getCommandHandlers(), function (cmdHndl) {
+        addItem('commandHandlers', cmdHndl, aggrBase + '.commandHandlers');
+      });
+      _.each(aggr.getEventUpcasters(), function (upcaster) {
+        addItem('eventUpcasters', upcaster, aggrBase + '.eventUpcasters');
+      });
+
+      _.each(aggr.schemas, function (schema) {
+        var isCommandSchema = aggr.getCommandsByName(schema.title).length > 0;
+        // a command schema or a schema shared in this aggregate
+        addItem('schemas', schema, isCommandSchema ? aggrBase + '.validationRules' : aggrBase);
+      });
+      _.each(aggr.eventSchemas, function (schema) {
+        addItem('schemas', schema, aggrBase + '.validationRules.events');
+      });
+      _.each(aggr.stateSchemas, function (schema) {
+        addItem('schemas', schema, aggrBase + '.validationRules.state');
+      });
+    });
+  });
+
+  return res;
+}
+
 function reorderAggregates (obj, ordered) {
   obj.aggregates.forEach(function (aggItem) {
     var foundCtx = _.find(obj.contexts, function (ctx) {
@@ -277,6 +398,17 @@ function reorderCommandHandlers (obj, ordered) {
   reorderDefault(obj, ordered, 'commandHandler');
 }
 
+function reorderEventUpcasters (obj, ordered) {
+  reorderDefault(obj, ordered, 'eventUpcaster');
+}
+
+function reorderSagas (obj, ordered) {
+  // sagas are not bound to an aggregate or context, they can react on events of all of them
+  return _.map(obj.sagas, function (sagaItem) {
+    return sagaItem.value;
+  });
+}
+
 function preorderPreConditions (obj, ordered) {
   obj.preConditions.forEach(function (objItem) {
     var foundAggr = _.find(obj.aggregates, function (aggr) {
@@ -332,8 +464,9 @@ function reorderPreConditions (obj, ordered) {
   });
 }
 
-function reorderValidationRules (obj, ordered) {
-  var tv4 = tv4Module.freshApi();
+function reorderValidationRules (obj, ordered, options) {
+  var validator = options.validator || validation.create();
+  var validatorOptions = { formatMessage: options.formatValidationMessage };
   obj.schemas.forEach(function (schemaItem) {
 
     var foundCtx = _.find(obj.contexts, function (ctx) {
@@ -354,13 +487,13 @@ function reorderValidationRules (obj, ordered) {
 
     if (!schemaItem.context || (schemaItem.context === '_general' && schemaItem.dottiedBase === '')) {
       // it's a general schema
-      tv4.addSchema('/' + schemaItem.name, schemaItem.value);
+      validator.addSchema('/' + schemaItem.name, schemaItem.value);
       return;
     }
 
     if (foundCtx && foundCtx.dottiedBase === schemaItem.dottiedBase) {
       // it's a context schema
-      tv4.addSchema('/' + schemaItem.name, schemaItem.value);
+      validator.addSchema('/' + schemaItem.name, schemaItem.value);
       return;
     }
 
@@ -372,7 +505,28 @@ function reorderValidationRules (obj, ordered) {
 
     if (foundAggr.dottiedBase === schemaItem.dottiedBase) {
       // it's an aggregate schema
-      tv4.addSchema('/' + schemaItem.name, schemaItem.value);
+      validator.addSchema('/' + schemaItem.name, schemaItem.value);
+      return;
+    }
+
+    // the folder tells what is validated, so a command, an event and the aggregate can have the same name
+    var folder = _.last(schemaItem.dottiedBase.split('.'));
+
+    if (folder === 'state') {
+      // it's an aggregate state schema
+      ordered[schemaItem.context].getAggregate(schemaItem.aggregate).defineValidation(getValidator(validator, schemaItem.value, validatorOptions));
+      return;
+    }
+
+    if (folder === 'events') {
+      var events = ordered[schemaItem.context].getAggregate(schemaItem.aggregate).getEventsByName(schemaItem.name);
+      if (events.length === 0) {
+        debug('no event found for schema: ' + schemaItem.path);
+      }
+      events.forEach(function (evt) {
+        // it's an event payload schema
+        evt.defineValidation(getValidator(validator, schemaItem.value, validatorOptions));
+      });
       return;
     }
 
@@ -384,16 +538,16 @@ function reorderValidationRules (obj, ordered) {
         var commands = ordered[schemaItem.context].getAggregate(schemaItem.aggregate).getCommandsByName(schemaItem.name);
         commands.forEach(function (cmd) {
           // it's a command schema
-          cmd.defineValidation(getValidator(tv4, schemaItem.value));
+          cmd.defineValidation(getValidator(validator, schemaItem.value, validatorOptions));
         });
       }
     });
   });
 
-  return tv4;
+  return validator;
 }
 
-function reorder (obj) {
+function reorder (obj, options) {
   var ordered = {};
 
   reorderAggregates(obj, ordered);
@@ -406,25 +560,62 @@ function reorder (obj) {
 
   reorderCommandHandlers(obj, ordered);
 
-  var tv4Instance = reorderValidationRules(obj, ordered);
-  ordered.tv4Instance = tv4Instance;
+  reorderEventUpcasters(obj, ordered);
+
+  var sagas = reorderSagas(obj, ordered);
+  ordered.sagas = sagas;
+
+  ordered.validator = reorderValidationRules(obj, ordered, options);
 
   reorderPreConditions(obj, ordered);
 
   return ordered;
 }
 
-function load (dir, callback) {
+/**
+ * Loads the domain structure.
+ * @param {String}   dir      The domain path. [optional, if definitions are passed]
+ * @param {Object}   options  The options like: { validator: engine, formatValidationMessage: function (error, data) {},
+ *                            definitions: { contexts: [], sagas: [], schemas: [] } } [optional]
+ *                            validator:   the validator engine, by default a new tv4 engine is created
+ *                            definitions: the definitions added in code, they are merged with the ones found in dir
+ * @param {Function} callback The function, that will be called when this action is completed.
+ *                            `function(err, tree){}`
+ */
+function load (dir, options, callback) {
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
   generalContext = new Context({ name: '_general' });
 
+  function structure (dividedByTypes) {
+    var structured;
+    try {
+      var collected = collect(options.definitions || {});
+      _.each(collected, function (items, what) {
+        dividedByTypes[what] = dividedByTypes[what].concat(items);
+      });
+      structured = reorder(dividedByTypes, options);
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback(null, structured);
+  }
+
+  if (!dir) {
+    return structure(createResult());
+  }
+
   analyze(dir, function (err, dividedByTypes) {
     if (err) {
       return callback(err);
     }
 
-    var structured = reorder(dividedByTypes);
-
-    callback(err, structured);
+    structure(dividedByTypes);
   });
 }
 
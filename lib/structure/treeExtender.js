@@ -99,6 +99,33 @@ module.exports = function (tree) {
       return null;
     },
 
+    getCommandHandlers: function () {
+      if (!tree || _.isEmpty(tree)) {
+        debug('no tree injected');
+        return [];
+      }
+
+      var handlers = [];
+      this.getContexts().forEach(function (ctx) {
+        ctx.getAggregates().forEach(function (aggr) {
+          if (aggr.defaultCommandHandler) {
+            handlers.push(aggr.defaultCommandHandler);
+          }
+          handlers = handlers.concat(aggr.getCommandHandlers());
+        });
+      });
+      return handlers;
+    },
+
+    getSagas: function () {
+      if (!tree || _.isEmpty(tree)) {
+        debug('no tree injected');
+        return [];
+      }
+
+      return tree.sagas || [];
+    },
+
     getCommandHandler: function (query) {
       if (!tree || _.isEmpty(tree)) {
         debug('no tree injected');
@@ -161,8 +188,16 @@ module.exports = function (tree) {
           aggr.getBusinessRules().forEach(function (buRu) {
             buRu.defineOptions(options);
           });
+
+          aggr.getEventUpcasters().forEach(function (upcaster) {
+            upcaster.defineOptions(options);
+          });
         });
       });
+
+      this.getSagas().forEach(function (saga) {
+        saga.defineOptions(options);
+      });
       return this;
     },
 
@@ -199,6 +234,10 @@ module.exports = function (tree) {
           });
         });
       });
+
+      this.getSagas().forEach(function (saga) {
+        saga.defineCommand(definition);
+      });
       return this;
     },
 
@@ -237,8 +276,16 @@ module.exports = function (tree) {
           aggr.getBusinessRules().forEach(function (buRu) {
             buRu.defineEvent(definition);
           });
+
+          aggr.getEventUpcasters().forEach(function (upcaster) {
+            upcaster.defineEvent(definition);
+          });
         });
       });
+
+      this.getSagas().forEach(function (saga) {
+        saga.defineEvent(definition);
+      });
       return this;
     },
 
@@ -280,6 +327,79 @@ module.exports = function (tree) {
       return this;
     },
 
+    useIdempotencyStore: function (idempotencyStore) {
+      if (!tree || _.isEmpty(tree)) {
+        debug('no tree injected');
+        return this;
+      }
+
+      this.getContexts().forEach(function (ctx) {
+        ctx.getAggregates().forEach(function (aggr) {
+          if (aggr.defaultCommandHandler) {
+            aggr.defaultCommandHandler.useIdempotencyStore(idempotencyStore);
+          }
+        });
+      });
+      return this;
+    },
+
+    onConcurrencyRetry: function (fn) {
+      if (!tree || _.isEmpty(tree)) {
+        debug('no tree injected');
+        return this;
+      }
+
+      this.getContexts().forEach(function (ctx) {
+        ctx.getAggregates().forEach(function (aggr) {
+          if (aggr.defaultCommandHandler) {
+            aggr.defaultCommandHandler.onConcurrencyRetry(fn);
+          }
+          aggr.getCommandHandlers().forEach(function (cmdHndl) {
+            cmdHndl.onConcurrencyRetry(fn);
+          });
+        });
+      });
+      return this;
+    },
+
+    useInstrumentation: function (instrumentation) {
+      if (!tree || _.isEmpty(tree)) {
+        debug('no tree injected');
+        return this;
+      }
+
+      this.getContexts().forEach(function (ctx) {
+        ctx.getAggregates().forEach(function (aggr) {
+          if (aggr.defaultCommandHandler) {
+            aggr.defaultCommandHandler.useInstrumentation(instrumentation);
+          }
+          aggr.getCommandHandlers().forEach(function (cmdHndl) {
+            cmdHndl.useInstrumentation(instrumentation);
+          });
+        });
+      });
+      return this;
+    },
+
+    useSnapshotScheduler: function (scheduler) {
+      if (!tree || _.isEmpty(tree)) {
+        debug('no tree injected');
+        return this;
+      }
+
+      this.getContexts().forEach(function (ctx) {
+        ctx.getAggregates().forEach(function (aggr) {
+          if (aggr.defaultCommandHandler) {
+            aggr.defaultCommandHandler.useSnapshotScheduler(scheduler);
+          }
+          aggr.getCommandHandlers().forEach(function (cmdHndl) {
+            cmdHndl.useSnapshotScheduler(scheduler);
+          });
+        });
+      });
+      return this;
+    },
+
     idGenerator: function (getNewId) {
       if (!getNewId || !_.isFunction(getNewId)) {
         var err = new Error('Please pass a valid function!');
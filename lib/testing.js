@@ -0,0 +1,358 @@
+'use strict';
+
+var debug = require('debug')('domain:testing'),
+  _ = require('lodash'),
+  dotty = require('dotty'),
+  uuid = require('node-uuid').v4,
+  structureLoader = require('./structure/structureLoader'),
+  attachLookupFunctions = require('./structure/treeExtender'),
+  validation = require('./validation'),
+  eventStoreConformance = require('./eventStore/conformance'),
+  lockConformance = require('./lock/conformance'),
+  CommandNotFoundError = require('./errors/commandNotFoundError');
+
+/**
+ * Returns true if all the values of expected are found in actual (deep).
+ * @param {Object} actual   The actual object.
+ * @param {Object} expected The expected (partial) object.
+ * @returns {Boolean}
+ */
+function matches (actual, expected) {
+  return _.where([actual], expected).length === 1;
+}
+
+/**
+ * Returns an error describing the failed expectation.
+ * @param {String} message  The message.
+ * @param {Object} expected The expected value.
+ * @param {Object} actual   The actual value.
+ * @returns {Error}
+ */
+function expectationError (message, expected, actual) {
+  var err = new Error(message + ': expected ' + JSON.stringify(expected) + ' but got ' + JSON.stringify(actual));
+  err.expected = expected;
+  err.actual = actual;
+  err.showDiff = true;
+  return err;
+}
+
+/**
+ * Returns an error if the actual error does not match the expected one.
+ * @param {Error}           err     The actual error.
+ * @param {String|Function} name    The expected error name or error class, i.e. 'BusinessRuleError'.
+ * @param {String|RegExp}   message The expected message. [optional]
+ * @returns {Error}
+ */
+function checkError (err, name, message) {
+  if (!err) {
+    return expectationError('Expected the command to be rejected', name.name || name, null);
+  }
+
+  var isExpectedType = _.isFunction(name) ? err instanceof name : err.name === name;
+  if (!isExpectedType) {
+    return expectationError('Unexpected error', name.name || name, err.name + ': ' + err.message);
+  }
+
+  if (message === undefined || message === null) {
+    return null;
+  }
+
+  var isExpectedMessage = _.isRegExp(message) ? message.test(err.message) : err.message === message;
+  if (!isExpectedMessage) {
+    return expectationError('Unexpected error message', String(message), err.message);
+  }
+
+  return null;
+}
+
+/**
+ * Scenario constructor
+ * Describes one test case: the prior events (given), the command (when) and the expectation (expect).
+ * @param {Aggregate} aggregate The aggregate definition.
+ * @param {Array}     events    The prior events. [optional]
+ * @constructor
+ */
+function Scenario (aggregate, events) {
+  this.aggregate = aggregate;
+  this.events = events || [];
+  this.command = null;
+}
+
+Scenario.prototype = {
+
+  /**
+   * Adds the events that happened before, i.e. [{ name: 'orderPlaced', payload: { amount: 10 } }]
+   * The missing aggregate ids and revisions are filled automatically.
+   * @param   {Array|Object} events the prior events
+   * @returns {Scenario}            to be able to chain...
+   */
+  given: function (events) {
+    if (!events) {
+      return this;
+    }
+
+    if (!_.isArray(events)) {
+      events = [events];
+    }
+
+    this.events = this.events.concat(events);
+    return this;
+  },
+
+  /**
+   * Defines the command to be handled, i.e. { name: 'pay', payload: { amount: 10 } }
+   * The missing id and aggregate id are filled automatically.
+   * @param   {Object}   cmd the command
+   * @returns {Scenario}     to be able to chain...
+   */
+  when: function (cmd) {
+    if (!cmd || !_.isObject(cmd)) {
+      var err = new Error('Please pass a valid command!');
+      debug(err);
+      throw err;
+    }
+
+    this.command = cmd;
+    return this;
+  },
+
+  /**
+   * Handles the command in memory and checks the result.
+   * (It is not named then, so a scenario is not mistaken for a promise.)
+   * @param {Object|Function} expected The expectation like:
+   *                                   { events: [{ name: 'paid' }], state: { amount: 10 } } or
+   *                                   { error: 'BusinessRuleError', message: /too much/ }
+   *                                   events and state are compared partially (only the passed values are checked)
+   *                                   or a function to check the result on your own (throw to fail)
+   *                                   `function(err, events, state){}`
+   * @param {Function}        callback The function, that will be called when this action is completed. [optional]
+   *                                   `function(err, result){}` err is set if the expectation is not met,
+   *                                   result is like: { error: null, events: [], state: {} }
+   * @returns {Promise} if no callback is passed, rejects if the expectation is not met
+   */
+  expect: function (expected, callback) {
+    var self = this;
+
+    if (!callback) {
+      return new Promise(function (resolve, reject) {
+        self.expect(expected, function (err, res) {
+          if (err) {
+            return reject(err);
+          }
+          resolve(res);
+        });
+      });
+    }
+
+    if (_.isFunction(expected)) {
+      return this.run(function (err, res) {
+        if (err) {
+          return callback(err);
+        }
+        try {
+          expected(res.error, res.events, res.state);
+        } catch (e) {
+          return callback(e, res);
+        }
+        callback(null, res);
+      });
+    }
+
+    if (!expected || !_.isObject(expected)) {
+      var err = new Error('Please pass a valid expectation!');
+      debug(err);
+      throw err;
+    }
+
+    this.run(function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (expected.error) {
+        return callback(checkError(res.error, expected.error, expected.message), res);
+      }
+
+      if (res.error) {
+        return callback(expectationError('Expected the command to be handled', null, res.error.name + ': ' + res.error.message), res);
+      }
+
+      if (expected.events) {
+        var isExpected = expected.events.length === res.events.length &&
+                         _.every(expected.events, function (evt, i) {
+                           return matches(res.events[i], evt);
+                         });
+        if (!isExpected) {
+          return callback(expectationError('Unexpected events', expected.events, res.events), res);
+        }
+      }
+
+      if (expected.state && !matches(res.state, expected.state)) {
+        return callback(expectationError('Unexpected aggregate state', expected.state, res.state), res);
+      }
+
+      callback(null, res);
+    });
+  },
+
+  /**
+   * Loads the aggregate from the given events and handles the command in memory.
+   * @param {Function} callback The function, that will be called when this action is completed.
+   *                            `function(err, result){}` result is like: { error: null, events: [], state: {} }
+   */
+  run: function (callback) {
+    var aggregate = this.aggregate;
+    var defs = aggregate.definitions;
+
+    if (!this.command) {
+      var err = new Error('Please define the command with when!');
+      debug(err);
+      return callback(err);
+    }
+
+    var cmd = _.cloneDeep(this.command);
+    var aggregateId = dotty.get(cmd, defs.command.aggregateId) ||
+                      (this.events.length > 0 && dotty.get(this.events[0], defs.event.aggregateId)) ||
+                      uuid().toString();
+
+    if (!dotty.exists(cmd, defs.command.id)) {
+      dotty.put(cmd, defs.command.id, uuid().toString());
+    }
+    dotty.put(cmd, defs.command.aggregateId, aggregateId);
+
+    var events = _.map(this.events, function (evt, i) {
+      evt = _.cloneDeep(evt);
+      if (!dotty.exists(evt, defs.event.aggregateId)) {
+        dotty.put(evt, defs.event.aggregateId, aggregateId);
+      }
+      if (!!defs.event.revision && !dotty.exists(evt, defs.event.revision)) {
+        dotty.put(evt, defs.event.revision, i + 1);
+      }
+      return evt;
+    });
+
+    function result (error, aggregateModel) {
+      callback(null, {
+        error: error || null,
+        events: error ? [] : aggregateModel.getUncommittedEvents(),
+        state: aggregateModel ? aggregateModel.toJSON() : null
+      });
+    }
+
+    var aggregateModel;
+
+    try {
+      var valErr = aggregate.validateCommand(cmd);
+      if (valErr) {
+        return result(valErr);
+      }
+
+      aggregateModel = aggregate.create(aggregateId);
+      aggregate.loadFromHistory(aggregateModel, null, events);
+
+      var reason = aggregate.defaultCommandHandler.verifyAggregate(aggregateModel, cmd);
+      if (reason) {
+        return result(reason, aggregateModel);
+      }
+    } catch (err) {
+      if (err instanceof CommandNotFoundError) {
+        return result(err);
+      }
+      return callback(err);
+    }
+
+    aggregate.handle(aggregateModel, cmd, function (err) {
+      result(err, aggregateModel);
+    });
+  }
+
+};
+
+/**
+ * AggregateFixture constructor
+ * Creates the scenarios of a single aggregate.
+ * @param {Aggregate} aggregate The aggregate definition.
+ * @constructor
+ */
+function AggregateFixture (aggregate) {
+  this.aggregate = aggregate;
+}
+
+AggregateFixture.prototype = {
+
+  /**
+   * Starts a new scenario with the passed prior events.
+   * @param   {Array|Object} events the prior events
+   * @returns {Scenario}
+   */
+  given: function (events) {
+    return new Scenario(this.aggregate).given(events);
+  },
+
+  /**
+   * Starts a new scenario without prior events (a new aggregate).
+   * @param   {Object}   cmd the command
+   * @returns {Scenario}
+   */
+  when: function (cmd) {
+    return new Scenario(this.aggregate).when(cmd);
+  }
+
+};
+
+/**
+ * Loads a single aggregate from the domain folder to test it in memory.
+ * No event store, aggregate lock or saga is involved.
+ * @param {Object}   options  The options like:
+ *                            { domainPath: '/path/to/my/files', context: 'shop', aggregate: 'payment',
+ *                              command: { id: 'id', name: 'name', aggregateId: 'aggregate.id' },
+ *                              event: { name: 'name', payload: 'payload', revision: 'revision' },
+ *                              validator: { type: 'tv4' }, formatValidationMessage: function (error, data) {} }
+ *                            context is optional (default: '_general'), command and event are the same
+ *                            definitions like passed to domain.defineCommand and domain.defineEvent [optional]
+ * @param {Function} callback The function, that will be called when this action is completed.
+ *                            `function(err, fixture){}`
+ */
+function loadAggregate (options, callback) {
+  options = options || {};
+
+  if (!options.domainPath || !options.aggregate) {
+    var err = new Error('Please provide domainPath and aggregate in options!');
+    debug(err);
+    return callback(err);
+  }
+
+  structureLoader(options.domainPath, {
+    validator: validation.create(options.validator),
+    formatValidationMessage: options.formatValidationMessage
+  }, function (err, tree) {
+    if (err) {
+      return callback(err);
+    }
+
+    tree = attachLookupFunctions(tree);
+
+    var ctx = tree.getContext(options.context || '_general');
+    var aggregate = ctx && ctx.getAggregate(options.aggregate);
+
+    if (!aggregate) {
+      err = new Error('Aggregate "' + options.aggregate + '" not found in context "' + (options.context || '_general') + '"!');
+      debug(err);
+      return callback(err);
+    }
+
+    tree.defineCommand(_.clone(options.command || {}))
+        .defineEvent(_.clone(options.event || {}))
+        .idGenerator(function (callback) {
+          callback(null, uuid().toString());
+        });
+
+    callback(null, new AggregateFixture(aggregate));
+  });
+}
+
+module.exports = {
+  loadAggregate: loadAggregate,
+  eventStoreConformance: eventStoreConformance,
+  lockConformance: lockConformance
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+var _ = require('lodash');
+
+/**
+ * Validator constructor
+ * The base of all validator engines (i.e. tv4, ajv or a custom validation).
+ * An engine can also implement compile(schema) returning a function(data) with the same result as validate,
+ * then each schema is compiled only once and validate is not called anymore.
+ * @param {Object} options The options of the engine. [optional]
+ * @constructor
+ */
+function Validator(options) {
+  this.options = options || {};
+}
+
+function implementError () {
+  var err = new Error('Please implement this function!');
+  throw err;
+}
+
+_.extend(Validator.prototype, {
+
+  /**
+   * Registers a schema that can be referenced by the other schemas (i.e. the general, context and aggregate schemas).
+   * @param {String} id     The id of the schema, i.e. '/command'.
+   * @param {Object} schema The schema object.
+   */
+  addSchema: function (id, schema) {
+    implementError();
+  },
+
+  /**
+   * Validates the passed data against the passed schema.
+   * @param {Object} data   The data to be validated.
+   * @param {Object} schema The schema object.
+   * @returns {Object} The result like: { errors: [], missing: [] }
+   *                   errors:  the entries of the validation report like:
+   *                            { path: '/payload/email', keyword: 'required', message: 'msg', params: {} }
+   *                            (the deprecated dataPath defaults to path if the engine does not set it)
+   *                   missing: the ids of the referenced schemas that are not registered [optional]
+   */
+  validate: function (data, schema) {
+    implementError();
+  },
+
+  /**
+   * Returns the underlying engine, i.e. the tv4 instance, so it can be extended with formats, keywords, etc.
+   * @returns {Object}
+   */
+  getEngine: function () {
+    return null;
+  }
+
+});
+
+module.exports = Validator;
@@ -0,0 +1,70 @@
+'use strict';
+
+var util = require('util'),
+  Validator = require('../base'),
+  _ = require('lodash'),
+  tv4Module = require('tv4');
+
+/**
+ * Converts a tv4 error to an entry of the validation report.
+ * @param {Object} error The tv4 error object.
+ * @returns {Object} The entry like: { path: '/payload/email', keyword: 'required', message: 'msg', params: {}, dataPath: '/payload' }
+ */
+function normalizeError (error) {
+  var path = error.dataPath || '';
+  var params = error.params || {};
+
+  // the keyword is the last non numeric part of the schema path, i.e. '/properties/email/format'
+  var keyword = _.findLast((error.schemaPath || '').split('/'), function (part) {
+    return part !== '' && isNaN(Number(part));
+  }) || 'unknown';
+
+  // point directly to the missing property
+  if (keyword === 'required' && params.key) {
+    path += '/' + params.key;
+  }
+
+  return {
+    path: path,
+    keyword: keyword,
+    message: error.message,
+    params: params,
+    // deprecated, the original tv4 value (without the missing property of a required error)
+    dataPath: error.dataPath || ''
+  };
+}
+
+/**
+ * Tv4 constructor
+ * @param {Object} options The options like: { tv4: tv4Instance } [optional]
+ *                         tv4: an existing tv4 instance, by default a fresh one is created
+ * @constructor
+ */
+function Tv4(options) {
+  Validator.call(this, options);
+  this.tv4 = this.options.tv4 || tv4Module.freshApi();
+}
+
+util.inherits(Tv4, Validator);
+
+_.extend(Tv4.prototype, {
+
+  addSchema: function (id, schema) {
+    this.tv4.addSchema(id, schema);
+  },
+
+  validate: function (data, schema) {
+    var validation = this.tv4.validateMultiple(data, schema);
+    return {
+      errors: _.map(validation.errors, normalizeError),
+      missing: validation.missing.slice()
+    };
+  },
+
+  getEngine: function () {
+    return this.tv4;
+  }
+
+});
+
+module.exports = Tv4;
@@ -0,0 +1,54 @@
+'use strict';
+
+var _ = require('lodash'),
+  debug = require('debug')('domain:validation'),
+  Base = require('./base');
+
+function getSpecificEngineImplementation(options) {
+  options = options || {};
+
+  options.type = options.type || 'tv4';
+
+  if (_.isFunction(options.type)) {
+    return options.type;
+  }
+
+  options.type = options.type.toLowerCase();
+
+  var enginePath = __dirname + "/engines/" + options.type + ".js";
+
+  var exists = require('fs').existsSync || require('path').existsSync;
+  if (!exists(enginePath)) {
+    var err = new Error('Implementation for validator engine "' + options.type + '" does not exist!');
+    debug(err);
+    throw err;
+  }
+
+  return require(enginePath);
+}
+
+module.exports = {
+  Validator: Base,
+
+  /**
+   * Creates a validator engine.
+   * @param {Object} options The options like: { type: 'tv4' } [optional]
+   *                         type can also be a constructor of an own engine inheriting from Validator
+   * @returns {Validator}
+   */
+  create: function (options) {
+    options = options || {};
+
+    var Engine = getSpecificEngineImplementation(options);
+
+    var validator = new Engine(options);
+
+    if (!_.isFunction(validator.addSchema) || !_.isFunction(validator.validate)) {
+      var err = new Error('The validator engine needs to implement addSchema and validate!');
+      debug(err);
+      throw err;
+    }
+
+    return validator;
+  }
+};
@@ -2,17 +2,24 @@
 
 var debug = require('debug')('domain:validator'),
   _ = require('lodash'),
+  Tv4 = require('./validation/engines/tv4'),
   ValidationError = require('./errors/validationError');
 
 /**
  * Returns a validator function.
- * @param {Object} tv4    The tv4 object.
- * @param {Object} schema The schema object.
+ * @param {Object} engine  The validator engine (see lib/validation/base.js) or a tv4 instance.
+ * @param {Object} schema  The schema object.
+ * @param {Object} options The options like: { formatMessage: function (error, data) { return 'msg'; } } [optional]
+ *                         formatMessage can be used to localize the message of each error of the validation report
  * @returns {Function}
  */
-function getValidator (tv4, schema) {
-  if (!tv4 || !_.isFunction(tv4.validateMultiple)) {
-    var err = new Error('Please pass a valid tv4!');
+function getValidator (engine, schema, options) {
+  if (engine && _.isFunction(engine.validateMultiple)) {
+    engine = new Tv4({ tv4: engine });
+  }
+
+  if (!engine || !_.isFunction(engine.validate)) {
+    var err = new Error('Please pass a valid validator engine (i.e. tv4)!');
     debug(err);
     throw err;
   }
@@ -23,24 +30,47 @@ function getValidator (tv4, schema) {
     throw err;
   }
 
-  return function (data) {
-    var validation = tv4.validateMultiple(data, schema);
+  options = options || {};
 
-    if (validation.missing.length > 0) {
-      var missingString = validation.missing[0];
+  var validate;
 
-      for (var m = 1, lenM = validation.missing.length; m < lenM; m++) {
-        missingString += ', ' + validation.missing[m];
-      }
+  return function (data) {
+    // an engine that can compile the schema does it only once, on the first validation (the referenced schemas are registered then)
+    if (!validate) {
+      validate = _.isFunction(engine.compile) ? engine.compile(schema) : function (data) {
+        return engine.validate(data, schema);
+      };
+    }
 
-      var err = new Error('Validation schema(s) "' + missingString + '" missing!');
+    var validation = validate(data) || {};
+
+    if (validation.missing && validation.missing.length > 0) {
+      var err = new Error('Validation schema(s) "' + validation.missing.join(', ') + '" missing!');
       debug(err);
       return err;
     }
 
-    if (!validation.valid) {
-      var firstError = validation.errors[0];
-      return new ValidationError(firstError.dataPath + ' => ' + firstError.message, validation.errors);      
+    if (validation.errors && validation.errors.length > 0) {
+      var errors = validation.errors;
+
+      errors.forEach(function (error) {
+        // deprecated, dataPath was the name of the path before the errors have been normalized
+        if (error.dataPath === undefined) {
+          error.dataPath = error.path;
+        }
+      });
+
+      if (options.formatMessage) {
+        errors.forEach(function (error) {
+          error.message = options.formatMessage(error, data) || error.message;
+        });
+      }
+
+      var message = _.map(errors, function (error) {
+        return error.path + ' => ' + error.message;
+      }).join(', ');
+
+      return new ValidationError(message, errors);
     }
 
     return null;
@@ -0,0 +1,11 @@
+// if exports is an array, it will be the same like loading multiple files...
+//module.exports = require('cqrs-domain').defineEventUpcaster({
+module.exports = require('../../../../../../../').defineEventUpcaster({
+  name: 'enteredNewPerson', // optional, default is file name without extension
+  fromVersion: 1,
+  toVersion: 2 // optional, default fromVersion + 1
+}, function (evt) {
+  var names = evt.payload.fullName.split(' ');
+  evt.payload = { firstName: names[0], lastName: names[1] };
+  return evt;
+});
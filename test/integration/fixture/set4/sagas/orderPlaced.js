@@ -0,0 +1,45 @@
+// if exports is an array, it will be the same like loading multiple files...
+//module.exports = require('cqrs-domain').defineSaga({
+module.exports = require('../../../../../').defineSaga({
+  name: 'orderPlaced', // optional, default is file name without extension
+  context: 'shop', // optional
+  aggregate: 'order', // optional
+  id: 'payload.orderId', // optional, default is the correlationId of the event
+  existing: false // optional, default false (if true, the saga reacts only if it has been started by an other event)
+}, function (evt, saga) {
+  saga.set('orderId', evt.payload.orderId);
+  saga.set('state', 'paying');
+
+  saga.addCommandToSend({
+    id: saga.id + '_pay',
+    name: 'pay',
+    aggregate: { id: saga.id, name: 'payment' },
+    context: { name: 'shop' },
+    payload: { orderId: evt.payload.orderId, amount: evt.payload.amount }
+  });
+
+  saga.defineTimeout(60 * 1000);
+})
+// if the pay command is rejected, cancel the order...
+.defineCompensation(function (err, cmd, saga) {
+  saga.set('state', 'cancelled');
+  saga.addCommandToSend({
+    id: saga.id + '_cancel',
+    name: 'cancelOrder',
+    aggregate: { id: saga.id, name: 'order' },
+    context: { name: 'shop' },
+    payload: { orderId: saga.id, reason: err.message }
+  });
+  saga.destroy();
+})
+// if the payment did not happen in time, cancel the order...
+.defineTimeoutHandler(function (saga) {
+  saga.addCommandToSend({
+    id: saga.id + '_timeout',
+    name: 'cancelOrder',
+    aggregate: { id: saga.id, name: 'order' },
+    context: { name: 'shop' },
+    payload: { orderId: saga.id, reason: 'timeout' }
+  });
+  saga.destroy();
+});
@@ -0,0 +1,16 @@
+//module.exports = require('cqrs-domain').defineSaga({
+module.exports = require('../../../../../').defineSaga({
+  name: 'paid',
+  id: 'payload.orderId',
+  existing: true
+}, function (evt, saga, callback) {
+  saga.addCommandToSend({
+    id: saga.id + '_confirm',
+    name: 'confirmOrder',
+    aggregate: { id: saga.id, name: 'order' },
+    context: { name: 'shop' },
+    payload: { orderId: saga.id }
+  });
+  saga.destroy();
+  callback(null);
+});
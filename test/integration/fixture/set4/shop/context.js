@@ -0,0 +1,4 @@
+//module.exports = require('cqrs-domain').defineContext({
+module.exports = require('../../../../../').defineContext({
+  name: 'shop'
+});
@@ -0,0 +1,6 @@
+//module.exports = require('cqrs-domain').defineAggregate({
+module.exports = require('../../../../../../').defineAggregate({
+  name: 'order',
+  defaultCommandPayload: 'payload',
+  defaultEventPayload: 'payload'
+});
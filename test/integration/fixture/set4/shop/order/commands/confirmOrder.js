@@ -0,0 +1,6 @@
+//module.exports = require('cqrs-domain').defineCommand({
+module.exports = require('../../../../../../../').defineCommand({
+  name: 'confirmOrder'
+}, function (data, aggregate) {
+  aggregate.apply('orderConfirmed', data);
+});
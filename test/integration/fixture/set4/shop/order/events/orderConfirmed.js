@@ -0,0 +1,6 @@
+//module.exports = require('cqrs-domain').defineEvent({
+module.exports = require('../../../../../../../').defineEvent({
+  name: 'orderConfirmed'
+}, function (data, aggregate) {
+  aggregate.set('state', 'confirmed');
+});
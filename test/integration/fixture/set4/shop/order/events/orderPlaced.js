@@ -0,0 +1,8 @@
+//module.exports = require('cqrs-domain').defineEvent({
+module.exports = require('../../../../../../../').defineEvent({
+  name: 'orderPlaced'
+}, function (data, aggregate) {
+  aggregate.set('orderId', data.orderId);
+  aggregate.set('amount', data.amount);
+  aggregate.set('state', 'placed');
+});
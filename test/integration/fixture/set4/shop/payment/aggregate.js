@@ -0,0 +1,6 @@
+//module.exports = require('cqrs-domain').defineAggregate({
+module.exports = require('../../../../../../').defineAggregate({
+  name: 'payment',
+  defaultCommandPayload: 'payload',
+  defaultEventPayload: 'payload'
+});
@@ -0,0 +1,9 @@
+//module.exports = require('cqrs-domain').defineBusinessRule({
+module.exports = require('../../../../../../../').defineBusinessRule({
+  name: 'creditLimit',
+  description: 'the amount should not exceed the credit limit'
+}, function (changed, previous, events, command) {
+  if (changed.get('amount') > 100) {
+    throw new Error();
+  }
+});
@@ -0,0 +1,6 @@
+//module.exports = require('cqrs-domain').defineCommand({
+module.exports = require('../../../../../../../').defineCommand({
+  name: 'pay'
+}, function (data, aggregate) {
+  aggregate.apply('paid', data);
+});
@@ -0,0 +1,7 @@
+//module.exports = require('cqrs-domain').defineEvent({
+module.exports = require('../../../../../../../').defineEvent({
+  name: 'paid'
+}, function (data, aggregate) {
+  aggregate.set('orderId', data.orderId);
+  aggregate.set('amount', data.amount);
+});
@@ -1,5 +1,7 @@
 var expect = require('expect.js'),
-  api = require('../../index');
+  api = require('../../index'),
+  util = require('util'),
+  _ = require('lodash');
 
 describe('integration', function () {
 
@@ -43,6 +45,10 @@ describe('integration', function () {
           domain.getTv4();
         }).to.throwError('/init');
 
+        expect(function () {
+          domain.getValidator();
+        }).to.throwError('/init');
+
         domain.init(done);
       });
 
@@ -54,6 +60,8 @@ describe('integration', function () {
             domain.getTv4();
           }).not.to.throwError();
 
+          expect(domain.getValidator().getEngine()).to.be(domain.getTv4());
+
           var info = domain.getInfo();
           expect(info.contexts.length).to.eql(2);
           expect(info.contexts[0].name).to.eql('_general');
@@ -561,6 +569,61 @@ describe('integration', function () {
 
         });
 
+        describe('that is handled as dry run', function () {
+
+          it('it should not publish nor commit any event and it should callback without an error and with events', function (done) {
+
+            var publishedEvents = [];
+
+            domain.onEvent(function (evt) {
+              publishedEvents.push(evt);
+            });
+
+            var cmd = {
+              id: 'cmdId',
+              name: 'enterNewPerson',
+              aggregate: {
+                id: 'dryRunAggregateId',
+                name: 'person'
+              },
+              context: {
+                name: 'hr'
+              },
+              payload: {
+                firstname: 'jack',
+                lastname: 'doe',
+                email: 'jack'
+              },
+              revision: 0,
+              version: 0,
+              meta: {
+                userId: 'userId'
+              }
+            };
+
+            domain.handle(cmd, { dryRun: true }, function (err, evts, aggData, meta) {
+              expect(err).not.to.be.ok();
+              expect(evts.length).to.eql(1);
+              expect(evts[0].name).to.eql('enteredNewPerson');
+              expect(evts[0].payload).to.eql(cmd.payload);
+              expect(publishedEvents.length).to.eql(0);
+
+              expect(aggData.lastname).to.eql('doe');
+              expect(meta.aggregateId).to.eql('dryRunAggregateId');
+
+              // nothing has been committed, so the same revision is still valid
+              domain.handle(cmd, { dryRun: true }, function (err, evts) {
+                expect(err).not.to.be.ok();
+                expect(evts.length).to.eql(1);
+                expect(publishedEvents.length).to.eql(0);
+                done();
+              });
+            });
+
+          });
+
+        });
+
         describe('that is completely valid', function () {
 
           it('it should publish a the resulting event and it should callback without an error and with events', function (done) {
@@ -721,6 +784,100 @@ describe('integration', function () {
 
       });
 
+      describe('requesting an aggregate', function () {
+
+        it('it should callback with the current aggregate state and revision', function (done) {
+
+          domain.getAggregate('hr', 'person', 'aggregateId', function (err, aggData, revision) {
+            expect(err).not.to.be.ok();
+            expect(revision).to.eql(3);
+            expect(aggData.lastname).to.eql('doe');
+            expect(aggData.emails.length).to.eql(0);
+            done();
+          });
+
+        });
+
+        describe('with a revision', function () {
+
+          it('it should callback with the aggregate state of that revision', function (done) {
+
+            domain.getAggregate('hr', 'person', 'aggregateId', { revision: 1 }, function (err, aggData, revision) {
+              expect(err).not.to.be.ok();
+              expect(revision).to.eql(1);
+              expect(aggData.lastname).to.eql('doe');
+              expect(aggData.emails).to.eql(['default@mycomp.org', 'jack']);
+              done();
+            });
+
+          });
+
+        });
+
+        describe('with a timestamp before any event', function () {
+
+          it('it should callback without aggregate state', function (done) {
+
+            domain.getAggregate('hr', 'person', 'aggregateId', { timestamp: new Date(0) }).then(function (res) {
+              expect(res.aggregateData).to.eql(null);
+              expect(res.revision).to.eql(0);
+              done();
+            }).catch(done);
+
+          });
+
+        });
+
+        describe('having an event stored with an old version', function () {
+
+          before(function (done) {
+            var query = { aggregateId: 'upcastAggregateId', aggregate: 'person', context: 'hr' };
+            domain.eventStore.getEventStream(query, function (err, stream) {
+              if (err) {
+                return done(err);
+              }
+              domain.eventStore.commit(stream, [{
+                id: 'evtId',
+                name: 'enteredNewPerson',
+                aggregate: { id: 'upcastAggregateId', name: 'person' },
+                context: { name: 'hr' },
+                payload: { fullName: 'jack doe' },
+                revision: 1,
+                version: 1
+              }], function (err) { done(err); });
+            });
+          });
+
+          it('it should upcast the event before applying it', function (done) {
+
+            domain.getAggregate('hr', 'person', 'upcastAggregateId', function (err, aggData, revision) {
+              expect(err).not.to.be.ok();
+              expect(revision).to.eql(1);
+              expect(aggData.firstname).to.eql('jack');
+              expect(aggData.lastname).to.eql('doe');
+              done();
+            });
+
+          });
+
+        });
+
+        describe('of a not existing aggregate type', function () {
+
+          it('it should callback with an error', function (done) {
+
+            domain.getAggregate('hr', 'strange', 'aggregateId', function (err) {
+              expect(err).to.be.ok();
+              expect(err.message).to.match(/No aggregate found/);
+              done();
+            });
+
+          });
+
+        });
+
+      });
+
     });
 
     describe('format 2', function () {
@@ -2119,4 +2276,1155 @@ describe('integration', function () {
 
   });
 
+  describe('set 4', function () {
+
+    var domain;
+
+    before(function (done) {
+      domain = api({ domainPath: __dirname + '/fixture/set4' });
+      domain.defineCommand({
+        id: 'id',
+        name: 'name',
+        aggregateId: 'aggregate.id',
+        context: 'context.name',
+        aggregate: 'aggregate.name',
+        payload: 'payload'
+      });
+      domain.defineEvent({
+        correlationId: 'correlationId',
+        id: 'id',
+        name: 'name',
+        aggregateId: 'aggregate.id',
+        context: 'context.name',
+        aggregate: 'aggregate.name',
+        payload: 'payload',
+        revision: 'revision'
+      });
+      domain.init(done);
+    });
+
+    describe('handling a command that starts a saga', function () {
+
+      describe('that sends a command that succeeds', function () {
+
+        it('it should complete the workflow', function (done) {
+
+          var publishedEvents = [];
+
+          domain.onEvent(function (evt) {
+            publishedEvents.push(evt);
+          });
+
+          var cmd = {
+            id: 'cmdId1',
+            name: 'placeOrder',
+            aggregate: { id: 'order1', name: 'order' },
+            context: { name: 'shop' },
+            payload: { orderId: 'order1', amount: 50 }
+          };
+
+          domain.handle(cmd, function (err) {
+            expect(err).not.to.be.ok();
+
+            domain.drain(function (err) {
+              expect(err).not.to.be.ok();
+              expect(_.pluck(publishedEvents, 'name')).to.eql(['orderPlaced', 'paid', 'orderConfirmed']);
+
+              domain.sagaStore.get('order1', function (err, saga) {
+                expect(err).not.to.be.ok();
+                expect(saga).not.to.be.ok();
+                done();
+              });
+            });
+          });
+
+        });
+
+      });
+
+      describe('that sends a command that is rejected', function () {
+
+        it('it should compensate', function (done) {
+
+          var publishedEvents = [];
+
+          domain.onEvent(function (evt) {
+            publishedEvents.push(evt);
+          });
+
+          var cmd = {
+            id: 'cmdId2',
+            name: 'placeOrder',
+            aggregate: { id: 'order2', name: 'order' },
+            context: { name: 'shop' },
+            payload: { orderId: 'order2', amount: 500 }
+          };
+
+          domain.handle(cmd, function (err) {
+            expect(err).not.to.be.ok();
+
+            domain.drain(function (err) {
+              expect(err).not.to.be.ok();
+              expect(_.pluck(publishedEvents, 'name')).to.eql(['orderPlaced', 'commandRejected', 'orderCancelled']);
+              expect(publishedEvents[2].payload.reason).to.eql('the amount should not exceed the credit limit');
+
+              domain.getAggregate('shop', 'order', 'order2', function (err, aggData) {
+                expect(err).not.to.be.ok();
+                expect(aggData.state).to.eql('cancelled');
+                done();
+              });
+            });
+          });
+
+        });
+
+      });
+
+      describe('whose timeout elapses', function () {
+
+        it('it should call the timeout handler', function (done) {
+
+          var publishedEvents = [];
+
+          domain.onEvent(function (evt) {
+            publishedEvents.push(evt);
+          });
+
+          // do not handle the pay command, so the saga is waiting
+          var handle = domain.handle;
+          domain.handle = function (cmd, clb) {
+            if (cmd.name === 'pay') {
+              return;
+            }
+            handle.apply(domain, arguments);
+          };
+
+          var cmd = {
+            id: 'cmdId3',
+            name: 'placeOrder',
+            aggregate: { id: 'order3', name: 'order' },
+            context: { name: 'shop' },
+            payload: { orderId: 'order3', amount: 10 }
+          };
+
+          domain.handle(cmd, function (err) {
+            expect(err).not.to.be.ok();
+            domain.handle = handle;
+
+            domain.sagaStore.get('order3', function (err, saga) {
+              expect(err).not.to.be.ok();
+              expect(saga.data.state).to.eql('paying');
+
+              saga.timeoutAt = new Date(Date.now() - 1);
+              domain.sagaStore.save(saga, function (err) {
+                expect(err).not.to.be.ok();
+
+                domain.checkSagaTimeouts(function (err) {
+                  expect(err).not.to.be.ok();
+
+                  domain.drain(function (err) {
+                    expect(err).not.to.be.ok();
+                    expect(_.pluck(publishedEvents, 'name')).to.eql(['orderPlaced', 'orderCancelled']);
+                    expect(publishedEvents[1].payload.reason).to.eql('timeout');
+                    done();
+                  });
+                });
+              });
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('having events that could not be published', function () {
+
+      it('it should publish them when redispatching the undispatched events', function (done) {
+
+        domain.onEvent(function (evt, callback) {
+          callback(new Error('publisher not available'));
+        });
+
+        var cmd = {
+          id: 'cmdIdPayUndispatched',
+          name: 'pay',
+          aggregate: { id: 'payment2', name: 'payment' },
+          context: { name: 'shop' },
+          payload: { orderId: 'order4', amount: 10 }
+        };
+
+        domain.handle(cmd, function (err) {
+          expect(err).to.be.ok();
+          expect(err.message).to.eql('publisher not available');
+
+          var publishedEvents = [];
+
+          domain.onEvent(function (evt) {
+            publishedEvents.push(evt);
+          });
+
+          domain.redispatchUndispatched(function (err, evts) {
+            expect(err).not.to.be.ok();
+            expect(evts.length).to.eql(1);
+            expect(_.pluck(publishedEvents, 'name')).to.eql(['paid']);
+            expect(publishedEvents[0].payload.orderId).to.eql('order4');
+
+            domain.redispatchUndispatched(function (err, evts) {
+              expect(err).not.to.be.ok();
+              expect(evts.length).to.eql(0);
+              expect(publishedEvents.length).to.eql(1);
+              done();
+            });
+          });
+        });
+
+      });
+
+    });
+
+    describe('having an aggregate that stays locked by an other worker', function () {
+
+      var domainWithPolicy;
+
+      before(function (done) {
+        domainWithPolicy = api({
+          domainPath: __dirname + '/fixture/set4',
+          concurrencyRetryPolicy: { maxAttempts: 3, initialDelay: 5, maxDelay: 10 }
+        });
+        domainWithPolicy.defineCommand({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload'
+        });
+        domainWithPolicy.defineEvent({
+          correlationId: 'correlationId',
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload',
+          revision: 'revision'
+        });
+        domainWithPolicy.init(function (err) {
+          if (err) return done(err);
+          domainWithPolicy.aggregateLock.reserve('otherWorker', 'shoporderorderLocked', done);
+        });
+      });
+
+      it('it should retry, emit retry events and finally publish a command rejected event', function (done) {
+
+        var publishedEvents = [];
+        var retries = [];
+
+        domainWithPolicy.onEvent(function (evt) {
+          publishedEvents.push(evt);
+        });
+
+        domainWithPolicy.on('retry', function (info) {
+          retries.push(info);
+          // the other worker is still busy with the aggregate
+          domainWithPolicy.aggregateLock.reserve('otherWorker', 'shoporderorderLocked');
+        });
+
+        var cmd = {
+          id: 'cmdIdLocked',
+          name: 'placeOrder',
+          aggregate: { id: 'orderLocked', name: 'order' },
+          context: { name: 'shop' },
+          payload: { orderId: 'orderLocked', amount: 50 }
+        };
+
+        domainWithPolicy.handle(cmd, function (err, evts) {
+          expect(err).to.be.an(api.errors.AggregateConcurrencyError);
+          expect(err.more.attempts).to.eql(3);
+          expect(_.pluck(retries, 'attempt')).to.eql([1, 2]);
+          expect(retries[0].aggregateId).to.eql('orderLocked');
+          expect(retries[0].aggregate).to.eql('order');
+          expect(retries[0].context).to.eql('shop');
+          expect(evts.length).to.eql(1);
+          expect(evts[0].name).to.eql('commandRejected');
+          expect(evts[0].payload.reason.code).to.eql('AGGREGATE_CONCURRENCY');
+          expect(evts[0].payload.reason.more.attempts).to.eql(3);
+          expect(_.pluck(publishedEvents, 'name')).to.eql(['commandRejected']);
+          done();
+        });
+
+      });
+
+    });
+
+    describe('having two domains sharing a blocking aggregate lock', function () {
+
+      var domain1, domain2;
+
+      function createDomain () {
+        var d = api({
+          domainPath: __dirname + '/fixture/set4',
+          aggregateLock: { type: 'inmemory', mode: 'blocking', waitTimeout: 2000 }
+        });
+        d.defineCommand({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload'
+        });
+        d.defineEvent({
+          correlationId: 'correlationId',
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload',
+          revision: 'revision'
+        });
+        return d;
+      }
+
+      before(function (done) {
+        domain1 = createDomain();
+        domain2 = createDomain();
+
+        // like two processes using the same database
+        domain2.aggregateLock = domain1.aggregateLock;
+        domain2.eventStore = domain1.eventStore;
+
+        domain1.init(function (err) {
+          if (err) return done(err);
+          domain2.init(done);
+        });
+      });
+
+      it('it should handle concurrent commands one after the other without retrying', function (done) {
+
+        var retries = [];
+
+        domain1.on('retry', function (info) { retries.push(info); });
+        domain2.on('retry', function (info) { retries.push(info); });
+
+        function cmd (id, name) {
+          return {
+            id: id,
+            name: name,
+            aggregate: { id: 'orderBlocking', name: 'order' },
+            context: { name: 'shop' },
+            payload: { orderId: 'orderBlocking' }
+          };
+        }
+
+        var results = [];
+
+        function handled (err, evts) {
+          expect(err).not.to.be.ok();
+          results.push(evts[0]);
+          if (results.length < 2) return;
+
+          expect(retries).to.eql([]);
+          expect(_.pluck(results, 'revision').sort()).to.eql([1, 2]);
+          done();
+        }
+
+        domain1.handle(cmd('cmdIdBlocking1', 'confirmOrder'), handled);
+        domain2.handle(cmd('cmdIdBlocking2', 'cancelOrder'), handled);
+
+      });
+
+    });
+
+    describe('handling a command that leads to an invalid event payload', function () {
+
+      it('it should reject the command with a ValidationError', function (done) {
+
+        domain.handle({
+          id: 'cmdIdInvalidPayload',
+          name: 'pay',
+          aggregate: { id: 'paymentInvalidPayload', name: 'payment' },
+          context: { name: 'shop' },
+          payload: { orderId: 'orderInvalidPayload', amount: '10' }
+        }, function (err, evts) {
+          expect(err).to.be.ok();
+          expect(err.name).to.eql('ValidationError');
+          expect(evts.length).to.eql(1);
+          expect(evts[0].name).to.eql('commandRejected');
+
+          domain.getAggregate('shop', 'payment', 'paymentInvalidPayload', function (err, aggregateData) {
+            expect(err).not.to.be.ok();
+            expect(aggregateData).to.eql(null);
+            done();
+          });
+        });
+
+      });
+
+    });
+
+    describe('having an own validator engine', function () {
+
+      var customDomain, validatedSchemas = [];
+
+      function RequiredOnly (options) {
+        api.Validator.call(this, options);
+      }
+
+      util.inherits(RequiredOnly, api.Validator);
+
+      _.extend(RequiredOnly.prototype, {
+
+        addSchema: function () {},
+
+        validate: function (data, schema) {
+          validatedSchemas.push(schema.title);
+          var errors = [];
+          _.each(schema.required, function (key) {
+            if (data[key] === undefined) {
+              errors.push({ path: '/' + key, keyword: 'required', message: key + ' is required', params: { key: key } });
+            }
+          });
+          return { errors: errors };
+        }
+
+      });
+
+      before(function (done) {
+        customDomain = api({
+          domainPath: __dirname + '/fixture/set4',
+          validator: { type: RequiredOnly }
+        });
+        customDomain.defineCommand({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload'
+        });
+        customDomain.defineEvent({
+          correlationId: 'correlationId',
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload',
+          revision: 'revision'
+        });
+        customDomain.init(done);
+      });
+
+      it('it should be returned by getValidator', function () {
+
+        expect(customDomain.getValidator()).to.be.a(RequiredOnly);
+        expect(function () {
+          customDomain.getTv4();
+        }).to.throwError(/getValidator/);
+
+      });
+
+      describe('handling a command', function () {
+
+        it('it should validate with that engine', function (done) {
+
+          customDomain.handle({
+            id: 'cmdIdCustomValidator',
+            name: 'pay',
+            aggregate: { id: 'paymentCustomValidator', name: 'payment' },
+            context: { name: 'shop' },
+            payload: { amount: -10 }
+          }, function (err) {
+            expect(err).to.be.ok();
+            expect(err.name).to.eql('ValidationError');
+            expect(err.message).to.eql('/orderId => orderId is required');
+            expect(validatedSchemas).to.contain('paid');
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('having a validation message formatter', function () {
+
+      var localizedDomain;
+
+      before(function (done) {
+        localizedDomain = api({
+          domainPath: __dirname + '/fixture/set4',
+          formatValidationMessage: function (error) {
+            return 'invalid ' + error.path.substring(1) + ' (' + error.keyword + ')';
+          }
+        });
+        localizedDomain.defineCommand({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload'
+        });
+        localizedDomain.defineEvent({
+          correlationId: 'correlationId',
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload',
+          revision: 'revision'
+        });
+        localizedDomain.init(done);
+      });
+
+      describe('handling a command with several validation errors', function () {
+
+        it('it should report all of them with the formatted messages', function (done) {
+
+          localizedDomain.handle({
+            id: 'cmdIdInvalidLocalized',
+            name: 'pay',
+            aggregate: { id: 'paymentInvalidLocalized', name: 'payment' },
+            context: { name: 'shop' },
+            payload: { amount: '10' }
+          }, function (err, evts) {
+            expect(err).to.be.ok();
+            expect(err.name).to.eql('ValidationError');
+            expect(err.more).to.eql([
+              { path: '/orderId', keyword: 'required', message: 'invalid orderId (required)', params: { key: 'orderId' }, dataPath: '' },
+              { path: '/amount', keyword: 'type', message: 'invalid amount (type)', params: { type: 'string', expected: 'number' }, dataPath: '/amount' }
+            ]);
+            expect(evts[0].payload.reason.more).to.eql(err.more);
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('handling a command that leads to an invalid aggregate state', function () {
+
+      it('it should reject the command with a ValidationError', function (done) {
+
+        domain.handle({
+          id: 'cmdIdInvalidState',
+          name: 'pay',
+          aggregate: { id: 'paymentInvalidState', name: 'payment' },
+          context: { name: 'shop' },
+          payload: { orderId: 'orderInvalidState', amount: -10 }
+        }, function (err) {
+          expect(err).to.be.ok();
+          expect(err.name).to.eql('ValidationError');
+          expect(err.message).to.match(/amount/);
+
+          domain.getAggregate('shop', 'payment', 'paymentInvalidState', function (err, aggregateData) {
+            expect(err).not.to.be.ok();
+            expect(aggregateData).to.eql(null);
+            done();
+          });
+        });
+
+      });
+
+    });
+
+    describe('having an instrumentation adapter', function () {
+
+      var instrumentedDomain, infos, spans;
+
+      before(function (done) {
+        infos = { step: [], queue: [], rejection: [] };
+        spans = [];
+
+        instrumentedDomain = api({ domainPath: __dirname + '/fixture/set4' });
+        instrumentedDomain.defineCommand({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload'
+        });
+        instrumentedDomain.defineEvent({
+          correlationId: 'correlationId',
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload',
+          revision: 'revision'
+        });
+        instrumentedDomain.useInstrumentation({
+          step: function (info) { infos.step.push(info); },
+          queue: function (info) { infos.queue.push(info); },
+          rejection: function (info) { infos.rejection.push(info); },
+          startSpan: function (name, attributes, parentSpan) {
+            var span = { name: name, attributes: attributes, parent: parentSpan, end: function (err) { span.ended = true; span.error = err; } };
+            spans.push(span);
+            return span;
+          }
+        });
+        instrumentedDomain.init(done);
+      });
+
+      describe('handling a command', function () {
+
+        it('it should report all workflow steps', function (done) {
+
+          var cmd = {
+            id: 'cmdIdInstrumented',
+            name: 'pay',
+            aggregate: { id: 'paymentInstrumented', name: 'payment' },
+            context: { name: 'shop' },
+            payload: { orderId: 'orderInstrumented', amount: 10 }
+          };
+
+          instrumentedDomain.handle(cmd, function (err) {
+            expect(err).not.to.be.ok();
+
+            expect(_.pluck(infos.step, 'step')).to.eql(['validateCommand', 'lockAggregate', 'loadAggregate', 'checkSnapshot', 'verifyAggregate', 'handleCommand', 'checkAggregateLock', 'commit']);
+            expect(infos.step[0].aggregateId).to.eql('paymentInstrumented');
+            expect(infos.step[0].aggregate).to.eql('payment');
+            expect(infos.step[0].context).to.eql('shop');
+            expect(infos.step[0].duration).to.be.a('number');
+
+            expect(_.pluck(infos.queue, 'length')).to.eql([1, 0]);
+
+            expect(spans[0].name).to.eql('handle');
+            expect(spans[0].attributes).to.eql({ commandId: 'cmdIdInstrumented', commandName: 'pay', aggregateId: 'paymentInstrumented', aggregate: 'payment', context: 'shop' });
+            expect(spans[0].ended).to.eql(true);
+            expect(spans.length).to.eql(9);
+            expect(_.every(spans.slice(1), function (span) { return span.parent === spans[0] && span.ended; })).to.eql(true);
+            done();
+          });
+
+        });
+
+      });
+
+      describe('handling a command that is rejected', function () {
+
+        it('it should report the rejection', function (done) {
+
+          var cmd = {
+            id: 'cmdIdInstrumentedRejected',
+            name: 'pay',
+            aggregate: { id: 'paymentInstrumented2', name: 'payment' },
+            context: { name: 'shop' },
+            payload: { orderId: 'orderInstrumented2', amount: 500 }
+          };
+
+          instrumentedDomain.handle(cmd, function (err) {
+            expect(err).to.be.ok();
+            expect(infos.rejection.length).to.eql(1);
+            expect(infos.rejection[0].command).to.eql(cmd);
+            expect(infos.rejection[0].code).to.eql('BUSINESS_RULE_VIOLATED');
+            expect(infos.rejection[0].reason.message).to.eql('the amount should not exceed the credit limit');
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('having background snapshots', function () {
+
+      var snapshotDomain, paymentAggregate;
+
+      before(function (done) {
+        snapshotDomain = api({ domainPath: __dirname + '/fixture/set4', backgroundSnapshots: true, backgroundSnapshotInterval: 20 });
+        snapshotDomain.defineCommand({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload'
+        });
+        snapshotDomain.defineEvent({
+          correlationId: 'correlationId',
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload',
+          revision: 'revision'
+        });
+        snapshotDomain.init(function (err) {
+          paymentAggregate = snapshotDomain.tree.getContext('shop').getAggregate('payment');
+          paymentAggregate.defineSnapshotStrategy('events', { names: ['paid'] });
+          done(err);
+        });
+      });
+
+      after(function () {
+        paymentAggregate.snapshotStrategies = [];
+      });
+
+      function pay (id, callback) {
+        snapshotDomain.handle({
+          id: id,
+          name: 'pay',
+          aggregate: { id: 'paymentSnapshotted', name: 'payment' },
+          context: { name: 'shop' },
+          payload: { orderId: 'orderSnapshotted', amount: 10 }
+        }, callback);
+      }
+
+      describe('handling a command on an aggregate that needs a new snapshot', function () {
+
+        it('it should create the snapshot in the background', function (done) {
+
+          pay('cmdIdSnap1', function (err) {
+            expect(err).not.to.be.ok();
+
+            pay('cmdIdSnap2', function (err) {
+              expect(err).not.to.be.ok();
+              expect(snapshotDomain.snapshotScheduler.getPendingCount()).to.eql(1);
+
+              snapshotDomain.once('snapshot', function (info) {
+                expect(info.aggregateId).to.eql('paymentSnapshotted');
+                expect(info.revision).to.eql(0);
+                expect(snapshotDomain.snapshotScheduler.getPendingCount()).to.eql(0);
+                done();
+              });
+            });
+          });
+
+        });
+
+      });
+
+      describe('rebuilding the snapshots of an aggregate', function () {
+
+        it('it should create a new snapshot for each instance', function (done) {
+
+          snapshotDomain.rebuildSnapshots('shop', 'payment', function (err, aggregateIds) {
+            expect(err).not.to.be.ok();
+            expect(aggregateIds).to.eql(['paymentSnapshotted']);
+
+            snapshotDomain.eventStore.getFromSnapshot({ aggregateId: 'paymentSnapshotted', aggregate: 'payment', context: 'shop' }, function (err, snapshot, stream) {
+              expect(err).not.to.be.ok();
+              expect(snapshot.revision).to.eql(1);
+              expect(snapshot.data.amount).to.eql(10);
+              expect(stream.events.length).to.eql(0);
+              done();
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('having an idempotency store', function () {
+
+      var domainWithStore;
+
+      before(function (done) {
+        domainWithStore = api({ domainPath: __dirname + '/fixture/set4', idempotencyStore: { type: 'inmemory' } });
+        domainWithStore.defineCommand({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload'
+        });
+        domainWithStore.defineEvent({
+          correlationId: 'correlationId',
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload',
+          revision: 'revision'
+        });
+        domainWithStore.init(done);
+      });
+
+      describe('handling the same command twice', function () {
+
+        it('it should handle it only once and return the original result', function (done) {
+
+          var publishedEvents = [];
+
+          domainWithStore.onEvent(function (evt) {
+            publishedEvents.push(evt);
+          });
+
+          var cmd = {
+            id: 'cmdIdPay',
+            name: 'pay',
+            aggregate: { id: 'payment1', name: 'payment' },
+            context: { name: 'shop' },
+            payload: { orderId: 'order1', amount: 10 }
+          };
+
+          domainWithStore.handle(cmd, function (err, evts, aggData) {
+            expect(err).not.to.be.ok();
+            expect(evts.length).to.eql(1);
+            expect(publishedEvents.length).to.eql(1);
+
+            domainWithStore.handle(cmd, function (err, evts2, aggData2, meta) {
+              expect(err).not.to.be.ok();
+              expect(meta.duplicate).to.eql(true);
+              expect(evts2).to.eql(evts);
+              expect(aggData2).to.eql(aggData);
+              expect(publishedEvents.length).to.eql(1);
+
+              domainWithStore.getAggregate('shop', 'payment', 'payment1', function (err, aggregateData, revision) {
+                expect(err).not.to.be.ok();
+                expect(revision).to.eql(1);
+                done();
+              });
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('closing the domain while a command starts a saga', function () {
+
+      it('it should still send the commands of the saga', function (done) {
+
+        var closingDomain = api({ domainPath: __dirname + '/fixture/set4' });
+        closingDomain.defineCommand({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload'
+        });
+        closingDomain.defineEvent({
+          correlationId: 'correlationId',
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload',
+          revision: 'revision'
+        });
+
+        var publishedEvents = [];
+
+        closingDomain.onEvent(function (evt) {
+          publishedEvents.push(evt);
+        });
+
+        closingDomain.init(function (err) {
+          expect(err).not.to.be.ok();
+
+          closingDomain.handle({
+            id: 'cmdIdClosing',
+            name: 'placeOrder',
+            aggregate: { id: 'orderClosing', name: 'order' },
+            context: { name: 'shop' },
+            payload: { orderId: 'orderClosing', amount: 50 }
+          }, function (err) {
+            expect(err).not.to.be.ok();
+          });
+
+          closingDomain.close(function (err) {
+            expect(err).not.to.be.ok();
+            expect(_.pluck(publishedEvents, 'name')).to.eql(['orderPlaced', 'paid', 'orderConfirmed']);
+
+            closingDomain.sagaStore.get('orderClosing', function (err, saga) {
+              expect(err).not.to.be.ok();
+              expect(saga).not.to.be.ok();
+              done();
+            });
+          });
+        });
+
+      });
+
+    });
+
+  });
+
+
+  describe('defined in code', function () {
+
+    var domain, sagaCommands = [];
+
+    before(function (done) {
+      var bank = api.defineContext({ name: 'bank' });
+
+      var account = api.defineAggregate({
+        name: 'account',
+        defaultCommandPayload: 'payload',
+        defaultEventPayload: 'payload'
+      });
+
+      account.addCommand(api.defineCommand({ name: 'openAccount' }, function (data, aggregate) {
+        aggregate.apply('accountOpened', data);
+      }));
+      account.addEvent(api.defineEvent({ name: 'accountOpened' }, function (data, aggregate) {
+        aggregate.set('owner', data.owner);
+      }));
+      account.addSchema({
+        title: 'openAccount',
+        allOf: [
+          { $ref: '/command' },
+          {
+            properties: {
+              payload: {
+                type: 'object',
+                properties: {
+                  owner: { type: 'string' }
+                },
+                required: ['owner']
+              }
+            }
+          }
+        ]
+      });
+
+      bank.addAggregate(account);
+
+      domain = api({});
+      domain.defineCommand({
+        id: 'id',
+        name: 'name',
+        aggregateId: 'aggregate.id',
+        context: 'context.name',
+        aggregate: 'aggregate.name',
+        payload: 'payload'
+      });
+      domain.defineEvent({
+        correlationId: 'correlationId',
+        id: 'id',
+        name: 'name',
+        aggregateId: 'aggregate.id',
+        context: 'context.name',
+        aggregate: 'aggregate.name',
+        payload: 'payload',
+        revision: 'revision'
+      });
+      domain.addContext(bank);
+      domain.addSchema({
+        title: 'command',
+        type: 'object',
+        required: ['payload']
+      });
+      domain.addSaga(api.defineSaga({ name: 'accountOpened', existing: false }, function (evt, saga) {
+        sagaCommands.push(evt.payload.owner);
+        saga.destroy();
+      }));
+      domain.init(done);
+    });
+
+    it('it should not accept any more definitions', function () {
+
+      expect(function () {
+        domain.addContext(api.defineContext({ name: 'other' }));
+      }).to.throwError(/init/);
+
+    });
+
+    describe('requesting information', function () {
+
+      it('it should return the definitions added in code', function () {
+
+        var info = domain.getInfo();
+        expect(info.contexts.length).to.eql(1);
+        expect(info.contexts[0].name).to.eql('bank');
+        expect(info.contexts[0].aggregates.length).to.eql(1);
+        expect(info.contexts[0].aggregates[0].name).to.eql('account');
+        expect(info.contexts[0].aggregates[0].commands[0].name).to.eql('openAccount');
+        expect(info.contexts[0].aggregates[0].events[0].name).to.eql('accountOpened');
+
+      });
+
+    });
+
+    describe('handling a valid command', function () {
+
+      it('it should work as expected', function (done) {
+
+        domain.handle({
+          id: 'cmdIdOpen',
+          name: 'openAccount',
+          aggregate: { id: 'account1', name: 'account' },
+          context: { name: 'bank' },
+          payload: { owner: 'john' }
+        }, function (err, evts, aggData) {
+          expect(err).not.to.be.ok();
+          expect(evts.length).to.eql(1);
+          expect(evts[0].name).to.eql('accountOpened');
+          expect(aggData.owner).to.eql('john');
+          expect(sagaCommands).to.eql(['john']);
+          done();
+        });
+
+      });
+
+    });
+
+    describe('handling an invalid command', function () {
+
+      it('it should validate it with the schemas added in code', function (done) {
+
+        domain.handle({
+          id: 'cmdIdOpenInvalid',
+          name: 'openAccount',
+          aggregate: { id: 'account2', name: 'account' },
+          context: { name: 'bank' },
+          payload: {}
+        }, function (err) {
+          expect(err).to.be.ok();
+          expect(err.name).to.eql('ValidationError');
+          expect(err.more[0].path).to.eql('/payload/owner');
+          done();
+        });
+
+      });
+
+    });
+
+    describe('having a command, an event and an aggregate with the same name', function () {
+
+      var ledgerDomain;
+
+      before(function (done) {
+        var books = api.defineContext({ name: 'books' });
+
+        var ledger = api.defineAggregate({
+          name: 'ledger',
+          defaultCommandPayload: 'payload',
+          defaultEventPayload: 'payload'
+        });
+
+        ledger.addCommand(api.defineCommand({ name: 'ledger' }, function (data, aggregate) {
+          aggregate.apply('ledger', { amount: data.amount });
+        }));
+        ledger.addEvent(api.defineEvent({ name: 'ledger' }, function (data, aggregate) {
+          aggregate.set('total', (aggregate.get('total') || 0) + data.amount);
+        }));
+        ledger.addSchema({
+          title: 'ledger',
+          type: 'object',
+          properties: {
+            payload: { type: 'object', required: ['amount'] }
+          },
+          required: ['payload']
+        });
+        ledger.addEventSchema({
+          title: 'ledger',
+          type: 'object',
+          properties: {
+            amount: { type: 'number', minimum: 0 }
+          },
+          required: ['amount']
+        });
+        ledger.addStateSchema({
+          title: 'ledger',
+          type: 'object',
+          properties: {
+            total: { type: 'number', maximum: 100 }
+          }
+        });
+
+        books.addAggregate(ledger);
+
+        ledgerDomain = api({});
+        ledgerDomain.defineCommand({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload'
+        });
+        ledgerDomain.defineEvent({
+          id: 'id',
+          name: 'name',
+          aggregateId: 'aggregate.id',
+          context: 'context.name',
+          aggregate: 'aggregate.name',
+          payload: 'payload',
+          revision: 'revision'
+        });
+        ledgerDomain.addContext(books);
+        ledgerDomain.init(done);
+      });
+
+      function book (id, payload, callback) {
+        ledgerDomain.handle({
+          id: id,
+          name: 'ledger',
+          aggregate: { id: 'ledger1', name: 'ledger' },
+          context: { name: 'books' },
+          payload: payload
+        }, callback);
+      }
+
+      it('it should validate the command with the command schema', function (done) {
+
+        book('cmdIdLedger1', {}, function (err) {
+          expect(err).to.be.ok();
+          expect(err.name).to.eql('ValidationError');
+          expect(err.more[0].path).to.eql('/payload/amount');
+          done();
+        });
+
+      });
+
+      it('it should validate the event payload with the event schema', function (done) {
+
+        book('cmdIdLedger2', { amount: -1 }, function (err) {
+          expect(err).to.be.ok();
+          expect(err.name).to.eql('ValidationError');
+          expect(err.more[0].keyword).to.eql('minimum');
+          done();
+        });
+
+      });
+
+      it('it should validate the aggregate state with the state schema', function (done) {
+
+        book('cmdIdLedger3', { amount: 101 }, function (err) {
+          expect(err).to.be.ok();
+          expect(err.name).to.eql('ValidationError');
+          expect(err.more[0].path).to.eql('/total');
+          done();
+        });
+
+      });
+
+      it('it should accept a valid command', function (done) {
+
+        book('cmdIdLedger4', { amount: 10 }, function (err, evts) {
+          expect(err).not.to.be.ok();
+          expect(evts.length).to.eql(1);
+          done();
+        });
+
+      });
+
+    });
+
+  });
+
 });
@@ -1,8 +1,15 @@
 var expect = require('expect.js'),
   async = require('async'),
+  _ = require('lodash'),
   aggregatelock = require('../../lib/lock'),
   Base = require('../../lib/lock/base'),
-  InMemory = require('../../lib/lock/databases/inmemory');
+  InMemory = require('../../lib/lock/databases/inmemory'),
+  File = require('../../lib/lock/databases/file'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  childProcess = require('child_process'),
+  conformance = require('../../lib/lock/conformance');
 
 describe('AggregateLock', function() {
 
@@ -75,9 +82,45 @@ describe('AggregateLock', function() {
 
     });
 
+    describe('with options of the blocking mode', function() {
+
+      it('it should return with a blocking lock', function() {
+
+        var lock = aggregatelock.create({ type: 'inmemory', mode: 'blocking' });
+        expect(lock.mode).to.eql('blocking');
+        expect(lock.supportsBlocking()).to.eql(true);
+
+      });
+
+      describe('of a db implementation not supporting it', function() {
+
+        it('it should throw an error', function() {
+
+          expect(function() {
+            aggregatelock.create({ type: 'file', mode: 'blocking' });
+          }).to.throwError(/blocking/);
+
+        });
+
+      });
+
+    });
+
+    describe('with options of a non existing mode', function() {
+
+      it('it should throw an error', function() {
+
+        expect(function() {
+          aggregatelock.create({ type: 'inmemory', mode: 'strangeMode' });
+        }).to.throwError(/strangeMode/);
+
+      });
+
+    });
+
     describe('with options containing a type property with the value of', function() {
 
-      var types = ['inmemory', 'mongodb', 'tingodb', 'redis', 'couchdb'/*, 'azuretable'*/];
+      var types = ['inmemory', 'mongodb', 'tingodb', 'redis', 'couchdb', 'file'/*, 'azuretable'*/];
 
       types.forEach(function(type) {
 
@@ -102,6 +145,7 @@ describe('AggregateLock', function() {
               expect(lock.reserve).to.be.a('function');
               expect(lock.getAll).to.be.a('function');
               expect(lock.resolve).to.be.a('function');
+              expect(lock.renew).to.be.a('function');
 
             });
 
@@ -384,8 +428,268 @@ describe('AggregateLock', function() {
 
             });
 
+            describe('using the lock with a ttl', function() {
+
+              before(function(done) {
+                lock = aggregatelock.create({ type: type, ttl: 200 });
+                expect(lock.ttl).to.eql(200);
+                expect(lock.heartbeatInterval).to.eql(66);
+                lock.connect(done);
+              });
+
+              beforeEach(function(done) {
+                lock.clear(done);
+              });
+
+              describe('having a reservation whose lease has elapsed', function() {
+
+                it('it should not be returned by getAll', function(done) {
+
+                  lock.reserve('workerId111', 'aggregateId111', function (err) {
+                    expect(err).not.to.be.ok();
+
+                    setTimeout(function () {
+                      lock.reserve('workerId222', 'aggregateId111', function (err) {
+                        expect(err).not.to.be.ok();
+
+                        lock.getAll('aggregateId111', function (err, workerIds) {
+                          expect(err).not.to.be.ok();
+                          expect(workerIds).to.eql(['workerId222']);
+                          done();
+                        });
+                      });
+                    }, 250);
+                  });
+
+                });
+
+              });
+
+              describe('having a reservation whose lease has been renewed', function() {
+
+                it('it should still be returned by getAll', function(done) {
+
+                  lock.reserve('workerId111', 'aggregateId111', function (err) {
+                    expect(err).not.to.be.ok();
+
+                    setTimeout(function () {
+                      lock.renew('workerId111', 'aggregateId111', function (err) {
+                        expect(err).not.to.be.ok();
+
+                        setTimeout(function () {
+                          lock.getAll('aggregateId111', function (err, workerIds) {
+                            expect(err).not.to.be.ok();
+                            expect(workerIds).to.eql(['workerId111']);
+                            done();
+                          });
+                        }, 150);
+                      });
+                    }, 150);
+                  });
+
+                });
+
+              });
+
+            });
+
+          });
+
+        });
+
+      });
+
+    });
+
+  });
+
+  describe('having a file lock', function() {
+
+    var dir = path.join(os.tmpdir(), 'aggregatelock-test-' + process.pid);
+    var deadPid = childProcess.spawnSync(process.execPath, ['-e', '']).pid;
+    var lock;
+
+    before(function(done) {
+      lock = aggregatelock.create({ type: 'file', path: dir, staleTimeout: 100 });
+      expect(lock).to.be.a(File);
+      lock.connect(done);
+    });
+
+    beforeEach(function(done) {
+      lock.clear(done);
+    });
+
+    after(function(done) {
+      lock.clear(function() {
+        fs.rmdirSync(dir);
+        lock.disconnect(done);
+      });
+    });
+
+    it('it should not support the blocking mode', function() {
+
+      expect(lock.supportsBlocking()).to.eql(false);
+      expect(lock.acquire).to.be(Base.prototype.acquire);
+      expect(lock.release).to.be(Base.prototype.release);
+
+    });
+
+    describe('calling getAll of an aggregate reserved by an ended process', function() {
+
+      it('it should not return that reservation', function(done) {
+
+        fs.writeFileSync(path.join(dir, 'aggregateId1.json'), JSON.stringify([
+          { workerId: 'crashedWorker', pid: deadPid, expiresAt: null },
+          { workerId: 'workerId1', pid: process.pid, expiresAt: null }
+        ]));
+
+        lock.getAll('aggregateId1', function(err, workerIds) {
+          expect(err).not.to.be.ok();
+          expect(workerIds).to.eql(['workerId1']);
+          done();
+        });
+
+      });
+
+    });
+
+    describe('calling reserve while an ended process left its lock file', function() {
+
+      it('it should remove the lock file and reserve the aggregate', function(done) {
+
+        fs.writeFileSync(path.join(dir, 'aggregateId1.lock'), JSON.stringify({ pid: deadPid, createdAt: Date.now() }));
+
+        lock.reserve('workerId1', 'aggregateId1', function(err) {
+          expect(err).not.to.be.ok();
+          expect(fs.existsSync(path.join(dir, 'aggregateId1.lock'))).to.eql(false);
+
+          lock.getAll('aggregateId1', function(err, workerIds) {
+            expect(err).not.to.be.ok();
+            expect(workerIds).to.eql(['workerId1']);
+            done();
+          });
+        });
+
+      });
+
+    });
+
+    describe('calling reserve while a lock file is older than the staleTimeout', function() {
+
+      it('it should remove the lock file and reserve the aggregate', function(done) {
+
+        var lockPath = path.join(dir, 'aggregateId1.lock');
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, createdAt: Date.now() }));
+        var past = new Date(Date.now() - 1000);
+        fs.utimesSync(lockPath, past, past);
+
+        lock.reserve('workerId1', 'aggregateId1', function(err) {
+          expect(err).not.to.be.ok();
+
+          lock.getAll('aggregateId1', function(err, workerIds) {
+            expect(err).not.to.be.ok();
+            expect(workerIds).to.eql(['workerId1']);
+            done();
+          });
+        });
+
+      });
+
+    });
+
+    describe('calling reserve while an other process removes the stale lock file', function() {
+
+      var link = fs.link;
+
+      afterEach(function() {
+        fs.link = link;
+      });
+
+      it('it should wait between the attempts to create the lock file', function(done) {
+
+        fs.writeFileSync(path.join(dir, 'aggregateId1.lock'), JSON.stringify({ id: 'lockId1', pid: deadPid, createdAt: Date.now() }));
+        // the takeover file of a running process, it gets stale after the staleTimeout of 100ms
+        fs.writeFileSync(path.join(dir, 'aggregateId1.lock.lockId1.takeover'), JSON.stringify({ pid: process.pid, createdAt: Date.now() }));
+
+        var attempts = 0;
+        fs.link = function() {
+          attempts++;
+          return link.apply(fs, arguments);
+        };
+
+        lock.reserve('workerId1', 'aggregateId1', function(err) {
+          expect(err).not.to.be.ok();
+          expect(attempts).to.be.below(50);
+
+          lock.getAll('aggregateId1', function(err, workerIds) {
+            expect(err).not.to.be.ok();
+            expect(workerIds).to.eql(['workerId1']);
+            done();
+          });
+        });
+
+      });
+
+    });
+
+    describe('calling reserve from several processes while ended processes leave their lock files', function() {
+
+      it('it should keep the reservations of all processes', function(done) {
+
+        this.timeout(20000);
+
+        // each process leaves a stale lock file whenever the aggregate is free, so the processes take over stale lock files concurrently
+        var script = [
+          'var fs = require("fs"), path = require("path"), async = require("async");',
+          'var File = require(process.argv[1]);',
+          'var dir = process.argv[2], deadPid = Number(process.argv[3]), name = process.argv[4];',
+          'var lock = new File({ path: dir, staleTimeout: 10000 });',
+          'lock.connect(function () {',
+          '  async.timesSeries(10, function (i, callback) {',
+          '    fs.writeFile(path.join(dir, "aggregateId1.lock"), JSON.stringify({ pid: deadPid }), { flag: "wx" }, function () {',
+          '      lock.reserve(name + "-" + i, "aggregateId1", callback);',
+          '    });',
+          '  }, function (err) { process.exit(err ? 1 : 0); });',
+          '});'
+        ].join('\n');
+
+        var workers = ['w1', 'w2', 'w3', 'w4'];
+
+        async.each(workers, function(name, callback) {
+          var child = childProcess.spawn(process.execPath, ['-e', script, require.resolve('../../lib/lock/databases/file'), dir, String(deadPid), name], {
+            cwd: path.join(__dirname, '../..'),
+            stdio: 'inherit'
           });
+          child.on('exit', function(code) {
+            callback(code === 0 ? null : new Error('process ' + name + ' exited with ' + code));
+          });
+        }, function(err) {
+          expect(err).not.to.be.ok();
+
+          // the processes have ended, so getAll would remove their reservations
+          var workerIds = _.pluck(JSON.parse(fs.readFileSync(path.join(dir, 'aggregateId1.json'), 'utf8')), 'workerId');
+          expect(workerIds.length).to.eql(40);
+          expect(_.uniq(workerIds).length).to.eql(40);
+          done();
+        });
+
+      });
+
+    });
+
+    describe('calling reserve with an aggregate id containing special characters', function() {
+
+      it('it should store it in the directory', function(done) {
 
+        lock.reserve('workerId1', '../some/agg id', function(err) {
+          expect(err).not.to.be.ok();
+          expect(fs.readdirSync(dir)).to.eql([encodeURIComponent('../some/agg id') + '.json']);
+
+          lock.getAll('../some/agg id', function(err, workerIds) {
+            expect(err).not.to.be.ok();
+            expect(workerIds).to.eql(['workerId1']);
+            done();
+          });
         });
 
       });
@@ -394,4 +698,34 @@ describe('AggregateLock', function() {
 
   });
 
+  ['inmemory', 'mongodb', 'tingodb', 'redis', 'couchdb', 'file'].forEach(function(type) {
+
+    conformance(type, function(options) {
+      return aggregatelock.create(_.extend({ type: type }, options));
+    });
+
+  });
+
+  describe('having an azure storage account', function() {
+
+    // there is no local azure table server, so the tests only run against the account of the environment
+    // (the suite clears the lock table, so never use a productive account)
+    var azureOptions = {
+      storageAccount: process.env.AZURE_STORAGE_ACCOUNT,
+      storageAccessKey: process.env.AZURE_STORAGE_ACCESS_KEY,
+      storageTableHost: process.env.AZURE_STORAGE_TABLE_HOST
+    };
+
+    before(function() {
+      if (!azureOptions.storageAccount || !azureOptions.storageAccessKey) {
+        this.skip();
+      }
+    });
+
+    conformance('azuretable', function(options) {
+      return aggregatelock.create(_.extend({ type: 'azuretable' }, azureOptions, options));
+    });
+
+  });
+
 });
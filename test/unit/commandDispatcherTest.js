@@ -124,7 +124,7 @@ describe('commandDispatcher', function () {
 
             var calledBack = false;
             var cmdDisp = new CommandDispatcher({ getCommandHandler: function () {
-              return { handle: function (cmd, clb) {
+              return { handle: function (cmd, options, clb) {
                 expect(cmd.cmdName).to.eql('cmdNameSpec');
                 expect(clb).to.be.a('function');
                 calledBack = true;
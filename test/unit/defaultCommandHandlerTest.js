@@ -1,7 +1,13 @@
 var expect = require('expect.js'),
+  _ = require('lodash'),
+  idempotencystore = require('../../lib/idempotencyStore'),
   DefaultCommandHandler = require('../../lib/defaultCommandHandler'),
   DefinitionBase = require('../../lib/definitionBase'),
-  ConcurrencyError = require('../../lib/errors/concurrencyError');
+  ConcurrencyError = require('../../lib/errors/concurrencyError'),
+  AggregateConcurrencyError = require('../../lib/errors/aggregateConcurrencyError'),
+  CommandTimeoutError = require('../../lib/errors/commandTimeoutError'),
+  InMemoryLock = require('../../lib/lock/databases/inmemory'),
+  InMemoryStore = require('../../lib/eventStore/databases/inmemory');
 
 describe('defaultCommandHandler', function () {
 
@@ -27,11 +33,18 @@ describe('defaultCommandHandler', function () {
       expect(cmdHnd.useAggregate).to.be.a('function');
       expect(cmdHnd.useEventStore).to.be.a('function');
       expect(cmdHnd.useAggregateLock).to.be.a('function');
+      expect(cmdHnd.useIdempotencyStore).to.be.a('function');
+      expect(cmdHnd.getHandledCommand).to.be.a('function');
+      expect(cmdHnd.rememberHandledCommand).to.be.a('function');
       expect(cmdHnd.queueCommand).to.be.a('function');
       expect(cmdHnd.getNextCommandInQueue).to.be.a('function');
       expect(cmdHnd.lockAggregate).to.be.a('function');
+      expect(cmdHnd.startLockHeartbeat).to.be.a('function');
+      expect(cmdHnd.stopLockHeartbeat).to.be.a('function');
       expect(cmdHnd.loadAggregate).to.be.a('function');
       expect(cmdHnd.createSnapshot).to.be.a('function');
+      expect(cmdHnd.rebuildSnapshots).to.be.a('function');
+      expect(cmdHnd.useSnapshotScheduler).to.be.a('function');
       expect(cmdHnd.isAggregateDestroyed).to.be.a('function');
       expect(cmdHnd.isRevisionWrong).to.be.a('function');
       expect(cmdHnd.validateCommand).to.be.a('function');
@@ -40,7 +53,14 @@ describe('defaultCommandHandler', function () {
       expect(cmdHnd.checkAggregateLock).to.be.a('function');
       expect(cmdHnd.resolveAggregateLock).to.be.a('function');
       expect(cmdHnd.commit).to.be.a('function');
+      expect(cmdHnd.onConcurrencyRetry).to.be.a('function');
+      expect(cmdHnd.getRetryDelay).to.be.a('function');
+      expect(cmdHnd.getCommandTimeout).to.be.a('function');
+      expect(cmdHnd.useInstrumentation).to.be.a('function');
+      expect(cmdHnd.startStep).to.be.a('function');
+      expect(cmdHnd.reportQueueLength).to.be.a('function');
       expect(cmdHnd.workflow).to.be.a('function');
+      expect(cmdHnd.runWorkflow).to.be.a('function');
       expect(cmdHnd.handle).to.be.a('function');
       
     });
@@ -81,6 +101,18 @@ describe('defaultCommandHandler', function () {
 
     });
 
+    describe('calling useIdempotencyStore', function () {
+
+      it('it should work as expected', function () {
+
+        var store = { idempotency: 'store' };
+        cmdHnd.useIdempotencyStore(store);
+        expect(cmdHnd.idempotencyStore).to.eql(store);
+
+      });
+
+    });
+
     describe('calling queueCommand', function () {
 
       it('it should work as expected', function () {
@@ -204,6 +236,80 @@ describe('defaultCommandHandler', function () {
 
       });
 
+      describe('having an aggregate lock with a ttl', function () {
+
+        it('it should renew the lease until the lock is resolved', function (done) {
+
+          var renewed = [];
+          cmdHnd.useAggregateLock({
+            ttl: 60,
+            heartbeatInterval: 20,
+            reserve: function (workerId, aggregateId, callback) {
+              callback(null);
+            },
+            renew: function (workerId, aggregateId, callback) {
+              expect(workerId).to.eql(cmdHnd.id);
+              renewed.push(aggregateId);
+              callback(null);
+            },
+            resolve: function (aggregateId, callback) {
+              callback(null);
+            }
+          });
+
+          cmdHnd.lockAggregate('myAggId', function (err) {
+            expect(err).not.to.be.ok();
+            expect(cmdHnd.lockHeartbeats.myAggId).to.be.ok();
+
+            setTimeout(function () {
+              expect(renewed.length).to.be.greaterThan(1);
+              expect(renewed[0]).to.eql('myAggId');
+
+              cmdHnd.resolveAggregateLock('myAggId', function (err) {
+                expect(err).not.to.be.ok();
+                expect(cmdHnd.lockHeartbeats).to.eql({});
+
+                var renewedCount = renewed.length;
+                setTimeout(function () {
+                  expect(renewed.length).to.eql(renewedCount);
+                  done();
+                }, 50);
+              });
+            }, 70);
+          });
+
+        });
+
+      });
+
+      describe('having a blocking aggregate lock', function () {
+
+        it('it should acquire the aggregate and remember the fencing token', function (done) {
+
+          var calledBack = false;
+          cmdHnd.useAggregateLock({
+            mode: 'blocking',
+            acquire: function (workerId, aggregateId, callback) {
+              expect(workerId).to.eql(cmdHnd.id);
+              expect(aggregateId).to.eql('myAggId');
+              calledBack = true;
+              callback(null, 7);
+            }
+          });
+
+          cmdHnd.lockAggregate('myAggId', function (err, token) {
+            expect(err).not.to.be.ok();
+            expect(calledBack).to.eql(true);
+            expect(token).to.eql(7);
+            expect(cmdHnd.lockedAggregates.myAggId).to.eql(true);
+            expect(cmdHnd.lockTokens.myAggId).to.eql(7);
+            done();
+          });
+
+        });
+
+      });
+
     });
 
     describe('calling loadAggregate', function () {
@@ -253,6 +359,138 @@ describe('defaultCommandHandler', function () {
 
       });
 
+      describe('with a revision older than the snapshot', function () {
+
+        it('it should ignore the snapshot and load only the events until that revision', function (done) {
+
+          var snap = { version: 2, revision: 5, data: 'my data' };
+          var calledLoad = false;
+          var eventStore = {
+            getFromSnapshot: function (query, revMax, callback) {
+              expect(revMax).to.eql(2);
+              callback(null, snap, { events: [] });
+            },
+            getEventStream: function (query, revMin, revMax, callback) {
+              expect(query.aggregateId).to.eql('myAggId');
+              expect(revMin).to.eql(0);
+              expect(revMax).to.eql(2);
+              callback(null, { events: [ { payload: { the: 'event1' } }, { payload: { the: 'event2' } } ] });
+            }
+          };
+          cmdHnd.defineCommand({
+            aggregate: 'agg',
+            context: 'c'
+          });
+          cmdHnd.useEventStore(eventStore);
+          cmdHnd.useAggregate({ name: 'aggName',
+            context: { name: 'ctx' },
+            create: function (id) { return { id: id }; },
+            loadFromHistory: function (aggregate, snapshot, events, time) {
+              expect(snapshot).not.to.be.ok();
+              expect(events).to.eql([{ the: 'event1' }, { the: 'event2' }]);
+              calledLoad = true;
+              return false;
+            }
+          });
+
+          cmdHnd.loadAggregate('myAggId', { revision: 2 }, function (err) {
+            expect(err).not.to.be.ok();
+            expect(calledLoad).to.eql(true);
+            done();
+          });
+
+        });
+
+      });
+
+      describe('with a snapshot that can not be converted', function () {
+
+        describe('and discarding incompatible snapshots', function () {
+
+          it('it should ignore the snapshot, load all events and ask for a new snapshot', function (done) {
+
+            var snap = { version: 1, revision: 5, data: 'my data' };
+            var calledLoad = false;
+            var eventStore = {
+              getFromSnapshot: function (query, callback) {
+                callback(null, snap, { events: [] });
+              },
+              getEventStream: function (query, revMin, revMax, callback) {
+                expect(query.aggregateId).to.eql('myAggId');
+                expect(revMin).to.eql(0);
+                expect(revMax).to.eql(-1);
+                callback(null, { events: [ { payload: { the: 'event1' } }, { payload: { the: 'event2' } } ] });
+              }
+            };
+            cmdHnd.useEventStore(eventStore);
+            cmdHnd.useAggregate({ name: 'aggName',
+              context: { name: 'ctx' },
+              discardIncompatibleSnapshots: true,
+              isSnapshotCompatible: function (s) {
+                expect(s).to.be(snap);
+                return false;
+              },
+              create: function (id) { return { id: id }; },
+              loadFromHistory: function (aggregate, snapshot, events) {
+                expect(snapshot).not.to.be.ok();
+                expect(events).to.eql([{ the: 'event1' }, { the: 'event2' }]);
+                calledLoad = true;
+                return false;
+              }
+            });
+
+            cmdHnd.loadAggregate('myAggId', function (err, aggregate, stream, isNewSnapShotNeeded) {
+              expect(err).not.to.be.ok();
+              expect(calledLoad).to.eql(true);
+              expect(isNewSnapShotNeeded).to.eql(true);
+              done();
+            });
+
+          });
+
+        });
+
+      });
+
+      describe('with a timestamp', function () {
+
+        it('it should only load the events committed until then', function (done) {
+
+          var calledLoad = false;
+          var eventStore = {
+            getFromSnapshot: function (query, revMax, callback) {
+              expect(revMax).to.eql(-1);
+              callback(null, null, { events: [
+                { payload: { the: 'event1' }, commitStamp: new Date(1000) },
+                { payload: { the: 'event2' }, commitStamp: new Date(3000) }
+              ] });
+            }
+          };
+          cmdHnd.defineCommand({
+            aggregate: 'agg',
+            context: 'c'
+          });
+          cmdHnd.useEventStore(eventStore);
+          cmdHnd.useAggregate({ name: 'aggName',
+            context: { name: 'ctx' },
+            create: function (id) { return { id: id }; },
+            loadFromHistory: function (aggregate, snapshot, events, time) {
+              expect(events).to.eql([{ the: 'event1' }]);
+              calledLoad = true;
+              return false;
+            }
+          });
+
+          cmdHnd.loadAggregate('myAggId', { timestamp: new Date(2000) }, function (err) {
+            expect(err).not.to.be.ok();
+            expect(calledLoad).to.eql(true);
+            done();
+          });
+
+        });
+
+      });
+
     });
 
     describe('calling createSnapshot', function () {
@@ -297,6 +535,276 @@ describe('defaultCommandHandler', function () {
 
       });
 
+      describe('having an instrumentation', function () {
+
+        it('it should inform the instrumentation about the created snapshot', function (done) {
+
+          var created = [];
+          cmdHnd.useInstrumentation({
+            snapshotCreated: function (info) {
+              created.push(info);
+            }
+          });
+          cmdHnd.useEventStore({
+            createSnapshot: function (query, callback) {
+              callback(null);
+            }
+          });
+          cmdHnd.useAggregate({ name: 'aggName', context: { name: 'ctx' } });
+
+          cmdHnd.createSnapshot({ id: 'myAggId', toJSON: function () { return {}; } }, { lastRevision: 3 }, function (err) {
+            expect(err).not.to.be.ok();
+            expect(created).to.eql([{ aggregateId: 'myAggId', aggregate: 'aggName', context: 'ctx', revision: 3 }]);
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling rebuildSnapshots', function () {
+
+      it('it should create a snapshot for each aggregate instance out of all its events', function (done) {
+
+        var snapshots = [];
+        var eventStore = {
+          getEvents: function (query, skip, limit, callback) {
+            expect(query).to.eql({ aggregate: 'aggName', context: 'ctx' });
+            expect(skip).to.eql(0);
+            callback(null, [{ aggregateId: 'agg1' }, { aggregateId: 'agg2' }, { aggregateId: 'agg1' }]);
+          },
+          getEventStream: function (query, revMin, revMax, callback) {
+            expect(query.aggregate).to.eql('aggName');
+            expect(query.context).to.eql('ctx');
+            callback(null, { lastRevision: 2, events: [{ payload: { agg: query.aggregateId } }] });
+          },
+          createSnapshot: function (query, callback) {
+            snapshots.push(query);
+            callback(null);
+          }
+        };
+        cmdHnd.defineCommand({
+          aggregate: 'agg',
+          context: 'c'
+        });
+        cmdHnd.useEventStore(eventStore);
+        cmdHnd.useAggregate({ name: 'aggName',
+          context: { name: 'ctx' },
+          version: 3,
+          create: function (id) { return { id: id, toJSON: function () { return { loaded: this.loaded }; } }; },
+          loadFromHistory: function (aggregate, snapshot, events) {
+            expect(snapshot).to.eql(null);
+            aggregate.loaded = events[0].agg;
+          }
+        });
+
+        cmdHnd.rebuildSnapshots(function (err, aggregateIds) {
+          expect(err).not.to.be.ok();
+          expect(aggregateIds).to.eql(['agg1', 'agg2']);
+          expect(snapshots.length).to.eql(2);
+          expect(snapshots[0].aggregateId).to.eql('agg1');
+          expect(snapshots[0].data).to.eql({ loaded: 'agg1' });
+          expect(snapshots[0].revision).to.eql(2);
+          expect(snapshots[0].version).to.eql(3);
+          expect(snapshots[1].aggregateId).to.eql('agg2');
+          done();
+        });
+
+      });
+
+      describe('without an aggregate name in the command definition', function () {
+
+        it('it should callback with an error', function (done) {
+
+          var queried = false;
+          cmdHnd.useEventStore({
+            getEvents: function (query, skip, limit, callback) {
+              queried = true;
+              callback(null, []);
+            }
+          });
+          cmdHnd.useAggregate({ name: 'aggName', context: { name: 'ctx' } });
+
+          cmdHnd.rebuildSnapshots(function (err, aggregateIds) {
+            expect(err).to.be.ok();
+            expect(err.message).to.match(/aggregate name/);
+            expect(aggregateIds).not.to.be.ok();
+            expect(queried).to.eql(false);
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling useSnapshotScheduler', function () {
+
+      describe('with a wrong argument', function () {
+
+        it('it should throw an error', function () {
+
+          expect(function () {
+            cmdHnd.useSnapshotScheduler();
+          }).to.throwError(/snapshot scheduler/);
+
+        });
+
+      });
+
+    });
+
+    describe('having a snapshot scheduler', function () {
+
+      describe('calling runWorkflow for an aggregate that needs a new snapshot', function () {
+
+        it('it should schedule the snapshot instead of creating it', function (done) {
+
+          var scheduled = [];
+          var created = false;
+          var aggregate = {
+            id: '8931',
+            getRevision: function () { return 1; },
+            toJSON: function () { return { state: 'loaded' }; }
+          };
+
+          cmdHnd.useAggregate({ name: 'aggName', context: { name: 'ctx' } });
+          cmdHnd.useSnapshotScheduler({
+            schedule: function (key, task) {
+              scheduled.push({ key: key, task: task });
+            }
+          });
+
+          cmdHnd.validateCommand = function () {};
+          cmdHnd.lockAggregate = function (a, clb) { clb(null); };
+          cmdHnd.loadAggregate = function (a, clb) { clb(null, aggregate, { lastRevision: 1 }, true); };
+          cmdHnd.createSnapshot = function (a, s, clb) {
+            expect(a.id).to.eql('8931');
+            expect(a.toJSON()).to.eql({ state: 'loaded' });
+            expect(s.lastRevision).to.eql(1);
+            created = true;
+            clb(null);
+          };
+          cmdHnd.verifyAggregate = function () {};
+          cmdHnd.letHandleCommandByAggregate = function (a, c, clb) {
+            a.toJSON = function () { return { state: 'changed' }; };
+            clb(new Error('not allowed'));
+          };
+          cmdHnd.resolveAggregateLock = function (a, clb) { clb(null); };
+
+          cmdHnd.runWorkflow('8931', { my: 'cmd' }, {}, function (err) {
+            expect(err.message).to.eql('not allowed');
+            expect(scheduled.length).to.eql(1);
+            expect(created).to.eql(false);
+
+            scheduled[0].task(function (err) {
+              expect(err).not.to.be.ok();
+              expect(created).to.eql(true);
+              done();
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling useInstrumentation', function () {
+
+      describe('with a wrong argument', function () {
+
+        it('it should throw an error', function () {
+
+          expect(function () {
+            cmdHnd.useInstrumentation();
+          }).to.throwError(/instrumentation/);
+
+        });
+
+      });
+
+    });
+
+    describe('having an instrumentation', function () {
+
+      var steps, queueLengths;
+
+      beforeEach(function () {
+        steps = [];
+        queueLengths = [];
+
+        cmdHnd.useAggregate({ name: 'aggName', context: { name: 'ctx' } });
+        cmdHnd.useInstrumentation({
+          startStep: function (step, info) {
+            var entry = { step: step, info: info };
+            steps.push(entry);
+            return function (err) {
+              entry.ended = true;
+              entry.error = err;
+            };
+          },
+          queueChanged: function (info) {
+            queueLengths.push(info);
+          }
+        });
+      });
+
+      describe('calling queueCommand and removeCommandFromQueue', function () {
+
+        it('it should report the queue length', function () {
+
+          var cmd1 = { my: 'cmd1' };
+          var cmd2 = { my: 'cmd2' };
+          cmdHnd.queueCommand('1234', cmd1, function () {});
+          cmdHnd.queueCommand('1234', cmd2, function () {});
+          cmdHnd.removeCommandFromQueue('1234', cmd1);
+
+          expect(queueLengths).to.eql([
+            { aggregateId: '1234', aggregate: 'aggName', context: 'ctx', length: 1 },
+            { aggregateId: '1234', aggregate: 'aggName', context: 'ctx', length: 2 },
+            { aggregateId: '1234', aggregate: 'aggName', context: 'ctx', length: 1 }
+          ]);
+
+        });
+
+      });
+
+      describe('calling runWorkflow', function () {
+
+        it('it should report each step', function (done) {
+
+          var cmd = { my: 'cmd', aggId: '8931' };
+          var span = { my: 'span' };
+          var aggregate = {
+            getRevision: function () { return 1; },
+            toJSON: function () { return {}; },
+            getUncommittedEvents: function () { return []; }
+          };
+
+          cmdHnd.validateCommand = function () {};
+          cmdHnd.lockAggregate = function (a, clb) { clb(null); };
+          cmdHnd.loadAggregate = function (a, clb) { clb(null, aggregate, {}, false); };
+          cmdHnd.verifyAggregate = function () {};
+          cmdHnd.letHandleCommandByAggregate = function (a, c, clb) { clb(new Error('not allowed')); };
+          cmdHnd.resolveAggregateLock = function (a, clb) { clb(null); };
+
+          cmdHnd.runWorkflow('8931', cmd, { span: span }, function (err) {
+            expect(err.message).to.eql('not allowed');
+            expect(_.pluck(steps, 'step')).to.eql(['validateCommand', 'lockAggregate', 'loadAggregate', 'checkSnapshot', 'verifyAggregate', 'handleCommand']);
+            expect(_.pluck(steps, 'ended')).to.eql([true, true, true, true, true, true]);
+            expect(steps[5].error.message).to.eql('not allowed');
+            expect(steps[0].info).to.eql({ command: cmd, aggregateId: '8931', aggregate: 'aggName', context: 'ctx', span: span });
+            done();
+          });
+
+        });
+
+      });
+
     });
 
     describe('calling isAggregateDestroyed', function () {
@@ -559,6 +1067,61 @@ describe('defaultCommandHandler', function () {
 
       });
 
+      describe('having a blocking aggregate lock', function () {
+
+        var aggLock;
+
+        beforeEach(function () {
+          aggLock = {
+            mode: 'blocking',
+            acquire: function (workerId, aggId, clb) {
+              clb(null, 3);
+            },
+            verify: function (aggId, token, clb) {
+              expect(aggId).to.eql('1234');
+              expect(token).to.eql(3);
+              clb(null, aggLock.isValid);
+            }
+          };
+          cmdHnd.useAggregateLock(aggLock);
+        });
+
+        describe('and a valid fencing token', function () {
+
+          it('it should work as expected', function (done) {
+
+            aggLock.isValid = true;
+
+            cmdHnd.lockAggregate('1234', function () {
+              cmdHnd.checkAggregateLock('1234', function (err) {
+                expect(err).not.to.be.ok();
+                done();
+              });
+            });
+
+          });
+
+        });
+
+        describe('and an outdated fencing token', function () {
+
+          it('it should callback with a ConcurrencyError', function (done) {
+
+            aggLock.isValid = false;
+
+            cmdHnd.lockAggregate('1234', function () {
+              cmdHnd.checkAggregateLock('1234', function (err) {
+                expect(err).to.be.a(ConcurrencyError);
+                done();
+              });
+            });
+
+          });
+
+        });
+
+      });
+
     });
 
     describe('calling resolveAggregateLock', function () {
@@ -582,24 +1145,93 @@ describe('defaultCommandHandler', function () {
 
       });
 
+      describe('having a blocking aggregate lock', function () {
+
+        it('it should release the aggregate with the fencing token', function (done) {
+
+          var called = false;
+
+          cmdHnd.useAggregateLock({
+            mode: 'blocking',
+            acquire: function (workerId, aggId, clb) {
+              clb(null, 5);
+            },
+            release: function (workerId, aggId, token, clb) {
+              expect(workerId).to.eql(cmdHnd.id);
+              expect(aggId).to.eql('1234');
+              expect(token).to.eql(5);
+              called = true;
+              clb(null);
+            }
+          });
+
+          cmdHnd.lockAggregate('1234', function () {
+            cmdHnd.resolveAggregateLock('1234', function (err) {
+              expect(err).not.to.be.ok();
+              expect(called).to.eql(true);
+              expect(cmdHnd.lockedAggregates).to.eql({});
+              expect(cmdHnd.lockTokens).to.eql({});
+              done();
+            });
+          });
+
+        });
+
+      });
+
     });
 
-    describe('calling commit', function () {
+    describe('calling resolveAllAggregateLocks', function () {
 
-      it('it should work as expected', function (done) {
+      it('it should resolve all locks still held by this command handler', function (done) {
 
-        var called = false;
+        var resolved = [];
+
+        cmdHnd.useAggregateLock({
+          reserve: function (workerId, aggId, clb) {
+            clb(null);
+          },
+          resolve: function (aggId, clb) {
+            resolved.push(aggId);
+            clb(null);
+          }
+        });
+
+        cmdHnd.lockAggregate('1234', function () {
+          cmdHnd.lockAggregate('5678', function () {
+            cmdHnd.resolveAggregateLock('1234', function () {
+              resolved = [];
+
+              cmdHnd.resolveAllAggregateLocks(function (err) {
+                expect(err).not.to.be.ok();
+                expect(resolved).to.eql(['5678']);
+                expect(cmdHnd.lockedAggregates).to.eql({});
+                done();
+              });
+            });
+          });
+        });
+
+      });
+
+    });
+
+    describe('calling commit', function () {
+
+      it('it should work as expected', function (done) {
+
+        var called = false;
         var evts = [{ my: 'first' }, { my: 'second' }];
         var agg = { getUncommittedEvents: function () { return evts; } };
-        var stream = {
-          addEvents: function (u) {
-            this.eventsToDispatch = u;
-          },
-          commit: function (clb) {
+        var stream = { events: [], lastRevision: -1 };
+        cmdHnd.useEventStore({
+          commit: function (s, u, clb) {
+            expect(s).to.be(stream);
+            expect(u).to.eql(evts);
             called = true;
-            clb(null, this);
+            clb(null, u);
           }
-        };
+        });
         
         cmdHnd.commit(agg, stream, function (err, uncommitedEvts) {
           expect(err).not.to.be.ok();
@@ -706,9 +1338,490 @@ describe('defaultCommandHandler', function () {
         });
         
       });
-      
+
+      describe('with the dryRun option', function () {
+
+        it('it should neither create a snapshot nor commit', function (done) {
+
+          var cmd = { my: 'cmd', aggId: '8931' };
+
+          cmdHnd.defineCommand({
+            aggregateId: 'aggId'
+          });
+
+          var snapshotCalled = false;
+          var commitCalled = false;
+          var lockResolved = false;
+
+          var aggregate = {
+            my: 'aggregate',
+            toJSON: function() { return 'aggregateAsJSON'; },
+            getRevision: function () { return 1; },
+            getUncommittedEvents: function () { return [{ evt1: 'one' }]; }
+          };
+
+          cmdHnd.validateCommand = function (c) {};
+          cmdHnd.lockAggregate = function (a, clb) { clb(null); };
+          cmdHnd.loadAggregate = function (a, clb) { clb(null, aggregate, 'stream', true); };
+          cmdHnd.createSnapshot = function () { snapshotCalled = true; };
+          cmdHnd.verifyAggregate = function (a, c) {};
+          cmdHnd.letHandleCommandByAggregate = function (a, c, clb) { clb(null); };
+          cmdHnd.checkAggregateLock = function (a, clb) { clb(null); };
+          cmdHnd.commit = function (a, s, clb) {
+            commitCalled = true;
+            clb(null, []);
+          };
+          cmdHnd.resolveAggregateLock = function (a, clb) {
+            lockResolved = true;
+            clb(null);
+          };
+
+          cmdHnd.workflow('8931', cmd, { dryRun: true }, function (err, evts, aggData) {
+            expect(err).not.to.be.ok();
+            expect(snapshotCalled).to.eql(false);
+            expect(commitCalled).to.eql(false);
+            expect(lockResolved).to.eql(true);
+            expect(evts).to.eql([{ evt1: 'one' }]);
+            expect(aggData).to.eql('aggregateAsJSON');
+            done();
+          });
+
+        });
+
+      });
+
+      describe('having a concurrency problem', function () {
+
+        var cmd = { my: 'cmd', aggId: '8931' };
+
+        beforeEach(function () {
+          cmdHnd.defineOptions({ concurrencyRetryPolicy: { maxAttempts: 3, initialDelay: 5, maxDelay: 10, factor: 2, deadline: 0 } });
+        });
+
+        describe('that is solved by retrying', function () {
+
+          it('it should retry and notify the concurrency retry listener', function (done) {
+
+            var runs = 0;
+            cmdHnd.runWorkflow = function (aggId, c, options, clb) {
+              expect(aggId).to.eql('8931');
+              expect(c).to.eql(cmd);
+              runs++;
+              if (runs < 3) {
+                return clb(new ConcurrencyError('locked'), null, null, { aggregate: 'aggName', context: 'ctxName' });
+              }
+              clb(null, [{ my: 'evt' }], { my: 'agg' }, {});
+            };
+
+            var retries = [];
+            cmdHnd.onConcurrencyRetry(function (info) {
+              retries.push(info);
+            });
+
+            cmdHnd.workflow('8931', cmd, function (err, evts, aggData) {
+              expect(err).not.to.be.ok();
+              expect(evts).to.eql([{ my: 'evt' }]);
+              expect(aggData).to.eql({ my: 'agg' });
+              expect(runs).to.eql(3);
+              expect(retries.length).to.eql(2);
+              expect(retries[0].command).to.eql(cmd);
+              expect(retries[0].aggregateId).to.eql('8931');
+              expect(retries[0].aggregate).to.eql('aggName');
+              expect(retries[0].context).to.eql('ctxName');
+              expect(retries[0].attempt).to.eql(1);
+              expect(retries[0].retryIn).to.be.within(0, 5);
+              expect(retries[0].error).to.be.a(ConcurrencyError);
+              expect(retries[1].attempt).to.eql(2);
+              expect(retries[1].retryIn).to.be.within(0, 10);
+              done();
+            });
+
+          });
+
+        });
+
+        describe('that is not solved after the maximum attempts', function () {
+
+          it('it should callback with an AggregateConcurrencyError containing the attempts', function (done) {
+
+            var runs = 0;
+            cmdHnd.runWorkflow = function (aggId, c, options, clb) {
+              runs++;
+              clb(new ConcurrencyError('locked'));
+            };
+
+            cmdHnd.workflow('8931', cmd, function (err, evts) {
+              expect(err).to.be.an(AggregateConcurrencyError);
+              expect(err.message).to.match(/3 attempts/);
+              expect(err.more.aggregateId).to.eql('8931');
+              expect(err.more.attempts).to.eql(3);
+              expect(err.more.elapsed).to.be.a('number');
+              expect(evts).not.to.be.ok();
+              expect(runs).to.eql(3);
+              done();
+            });
+
+          });
+
+        });
+
+        describe('that is not solved before the deadline', function () {
+
+          it('it should callback with an AggregateConcurrencyError', function (done) {
+
+            cmdHnd.defineOptions({ concurrencyRetryPolicy: { maxAttempts: Infinity, initialDelay: 10, maxDelay: 10, deadline: 50 } });
+
+            var runs = 0;
+            cmdHnd.runWorkflow = function (aggId, c, options, clb) {
+              runs++;
+              clb(new ConcurrencyError('locked'));
+            };
+
+            cmdHnd.workflow('8931', cmd, function (err) {
+              expect(err).to.be.an(AggregateConcurrencyError);
+              expect(err.more.attempts).to.eql(runs);
+              expect(err.more.elapsed).to.be.below(200);
+              done();
+            });
+
+          });
+
+        });
+
+        describe('with an other error', function () {
+
+          it('it should not retry', function (done) {
+
+            var runs = 0;
+            cmdHnd.runWorkflow = function (aggId, c, options, clb) {
+              runs++;
+              clb(new Error('failed'));
+            };
+
+            cmdHnd.workflow('8931', cmd, function (err) {
+              expect(err.message).to.eql('failed');
+              expect(runs).to.eql(1);
+              done();
+            });
+
+          });
+
+        });
+
+      });
+
     });
-    
+
+    describe('calling workflow for a command that does not complete in time', function () {
+
+      var cmd = { my: 'cmd', aggId: '8931' };
+
+      describe('having defined a commandTimeout', function () {
+
+        it('it should callback with a CommandTimeoutError and resolve the lock', function (done) {
+
+          cmdHnd.defineOptions({ commandTimeout: 20 });
+
+          var resolved = [];
+          cmdHnd.useAggregateLock({
+            reserve: function (workerId, aggId, clb) { clb(null); },
+            resolve: function (aggId, clb) {
+              resolved.push(aggId);
+              clb(null);
+            }
+          });
+
+          var workflowOptions;
+          cmdHnd.runWorkflow = function (aggId, c, options, clb) {
+            workflowOptions = options;
+            // never calls back, i.e. a pre-condition that does not call its callback
+            cmdHnd.lockAggregate(aggId, function () {});
+          };
+
+          cmdHnd.workflow('8931', cmd, { dryRun: false }, function (err, evts) {
+            expect(err).to.be.a(CommandTimeoutError);
+            expect(err.more.timeout).to.eql(20);
+            expect(evts).not.to.be.ok();
+            expect(resolved).to.eql(['8931']);
+            expect(cmdHnd.lockedAggregates).to.eql({});
+            expect(workflowOptions.dryRun).to.eql(false);
+            expect(workflowOptions.isCancelled()).to.eql(true);
+            done();
+          });
+
+        });
+
+        it('it should ignore a late result of the workflow', function (done) {
+
+          cmdHnd.defineOptions({ commandTimeout: 10 });
+
+          var calls = 0;
+          cmdHnd.runWorkflow = function (aggId, c, options, clb) {
+            setTimeout(function () {
+              clb(null, ['evt']);
+            }, 30);
+          };
+
+          cmdHnd.workflow('8931', cmd, function (err) {
+            calls++;
+            expect(err).to.be.a(CommandTimeoutError);
+
+            setTimeout(function () {
+              expect(calls).to.eql(1);
+              done();
+            }, 40);
+          });
+
+        });
+
+      });
+
+      describe('while the events are committed', function () {
+
+        it('it should wait for the commit and callback with the committed events', function (done) {
+
+          cmdHnd.defineOptions({ commandTimeout: 20 });
+          cmdHnd.useAggregate({ name: 'aggName', context: { name: 'ctx' } });
+
+          var evts = [{ my: 'evt' }];
+          var aggregate = {
+            getRevision: function () { return 1; },
+            toJSON: function () { return { my: 'agg' }; },
+            getUncommittedEvents: function () { return evts; }
+          };
+
+          var resolved = 0;
+          cmdHnd.validateCommand = function () {};
+          cmdHnd.lockAggregate = function (a, clb) { clb(null); };
+          cmdHnd.loadAggregate = function (a, clb) { clb(null, aggregate, {}, false); };
+          cmdHnd.verifyAggregate = function () {};
+          cmdHnd.letHandleCommandByAggregate = function (a, c, clb) { clb(null); };
+          cmdHnd.checkAggregateLock = function (a, clb) { clb(null); };
+          cmdHnd.resolveAggregateLock = function (a, clb) {
+            resolved++;
+            clb(null);
+          };
+          cmdHnd.useEventStore({
+            commit: function (stream, events, clb) {
+              // the event store is slower than the timeout
+              setTimeout(function () {
+                clb(null, events);
+              }, 40);
+            }
+          });
+
+          cmdHnd.workflow('8931', cmd, function (err, committed, aggData) {
+            expect(err).not.to.be.ok();
+            expect(committed).to.eql(evts);
+            expect(aggData).to.eql({ my: 'agg' });
+            expect(resolved).to.eql(1);
+            done();
+          });
+
+        });
+
+      });
+
+      describe('completing before the timeout', function () {
+
+        it('it should callback with the result', function (done) {
+
+          cmdHnd.defineOptions({ commandTimeout: 50 });
+
+          cmdHnd.runWorkflow = function (aggId, c, options, clb) {
+            clb(null, ['evt']);
+          };
+
+          cmdHnd.workflow('8931', cmd, function (err, evts) {
+            expect(err).not.to.be.ok();
+            expect(evts).to.eql(['evt']);
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling runWorkflow having a blocking aggregate lock', function () {
+
+      var cmd = { my: 'cmd', aggId: '8931' };
+      var aggregate;
+
+      beforeEach(function () {
+        var evts = [{ my: 'evt' }];
+        aggregate = {
+          getRevision: function () { return 1; },
+          toJSON: function () { return {}; },
+          getUncommittedEvents: function () { return evts; }
+        };
+
+        cmdHnd.useAggregate({ name: 'aggName', context: { name: 'ctx' } });
+        cmdHnd.validateCommand = function () {};
+        cmdHnd.verifyAggregate = function () {};
+        cmdHnd.letHandleCommandByAggregate = function (a, c, clb) { clb(null); };
+      });
+
+      describe('for a command that has timed out while waiting for the aggregate', function () {
+
+        it('it should release the aggregate right away', function (done) {
+
+          var released = [];
+          var loaded = false;
+          var cancelled = false;
+
+          cmdHnd.useAggregateLock({
+            mode: 'blocking',
+            acquire: function (workerId, aggId, clb) {
+              // the aggregate is passed to the command after its timeout
+              cancelled = true;
+              clb(null, 4);
+            },
+            release: function (workerId, aggId, token, clb) {
+              released.push(token);
+              clb(null);
+            }
+          });
+          cmdHnd.loadAggregate = function (a, clb) {
+            loaded = true;
+            clb(null, aggregate, {}, false);
+          };
+
+          cmdHnd.runWorkflow('8931', cmd, { isCancelled: function () { return cancelled; } }, function (err) {
+            expect(err).to.be.a(CommandTimeoutError);
+            expect(released).to.eql([4]);
+            expect(loaded).to.eql(false);
+            expect(cmdHnd.lockedAggregates).to.eql({});
+            done();
+          });
+
+        });
+
+      });
+
+      describe('whose lease elapses between the check and the commit', function () {
+
+        it('it should not commit the events', function (done) {
+
+          var lock = new InMemoryLock({ mode: 'blocking', ttl: 30, heartbeatInterval: 1000 });
+          var store = new InMemoryStore();
+          var query = { aggregateId: '8931', aggregate: 'aggName', context: 'ctx' };
+
+          cmdHnd.useAggregateLock(lock);
+          cmdHnd.loadAggregate = function (a, clb) {
+            store.getFromSnapshot(query, -1, function (err, snapshot, stream) {
+              clb(err, aggregate, stream, false);
+            });
+          };
+          cmdHnd.useEventStore({
+            commit: function (stream, evts, clb) {
+              expect(stream.fencingToken).to.eql(1);
+
+              // the command handler pauses, the lease elapses and an other one locks the aggregate and commits
+              setTimeout(function () {
+                lock.acquire('otherWorker', '8931', function (err, token) {
+                  expect(err).not.to.be.ok();
+                  expect(token).to.eql(2);
+                  store.getFromSnapshot(query, -1, function (err, snapshot, otherStream) {
+                    otherStream.fencingToken = token;
+                    store.commit(otherStream, [{ other: 'evt' }], function (err) {
+                      expect(err).not.to.be.ok();
+                      store.commit(stream, evts, clb);
+                    });
+                  });
+                });
+              }, 50);
+            }
+          });
+
+          cmdHnd.runWorkflow('8931', cmd, function (err) {
+            expect(err).to.be.a(ConcurrencyError);
+            store.getEventStream(query, function (err, stream) {
+              expect(_.pluck(stream.events, 'payload')).to.eql([{ other: 'evt' }]);
+              lock.verify('8931', 2, function (err, isValid) {
+                // the outdated token does not release the aggregate of the other one
+                expect(isValid).to.eql(true);
+                lock.clear(done);
+              });
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling getCommandTimeout', function () {
+
+      beforeEach(function () {
+        cmdHnd.defineCommand({ name: 'name', version: 'version' });
+        cmdHnd.defineOptions({ commandTimeout: 1000 });
+      });
+
+      describe('for a command definition without timeout', function () {
+
+        it('it should return the commandTimeout', function () {
+
+          cmdHnd.useAggregate({ getCommand: function () { return {}; } });
+          expect(cmdHnd.getCommandTimeout({ name: 'cmdName' })).to.eql(1000);
+
+        });
+
+      });
+
+      describe('for a command definition with a timeout', function () {
+
+        it('it should return the timeout of the command definition', function () {
+
+          cmdHnd.useAggregate({
+            getCommand: function (name, version) {
+              expect(name).to.eql('cmdName');
+              expect(version).to.eql(2);
+              return { timeout: 50 };
+            }
+          });
+          expect(cmdHnd.getCommandTimeout({ name: 'cmdName', version: 2 })).to.eql(50);
+
+        });
+
+      });
+
+    });
+
+    describe('calling getRetryDelay', function () {
+
+      describe('with the default policy', function () {
+
+        it('it should return an exponentially growing delay up to the retryOnConcurrencyTimeout', function () {
+
+          cmdHnd.defineOptions({ retryOnConcurrencyTimeout: 800 });
+
+          expect(cmdHnd.getRetryDelay(1, Date.now())).to.be.within(0, 100);
+          expect(cmdHnd.getRetryDelay(2, Date.now())).to.be.within(0, 200);
+          expect(cmdHnd.getRetryDelay(5, Date.now())).to.be.within(0, 800);
+          expect(cmdHnd.getRetryDelay(9, Date.now())).to.be.within(0, 800);
+          expect(cmdHnd.getRetryDelay(10, Date.now())).to.eql(null);
+
+        });
+
+      });
+
+      describe('with an elapsed deadline', function () {
+
+        it('it should return null', function () {
+
+          cmdHnd.defineOptions({ concurrencyRetryPolicy: { deadline: 1000 } });
+
+          expect(cmdHnd.getRetryDelay(1, Date.now() - 2000)).to.eql(null);
+
+        });
+
+      });
+
+    });
+
     describe('calling handle', function () {
 
       describe('with a command without aggregate id', function () {
@@ -734,11 +1847,11 @@ describe('defaultCommandHandler', function () {
 
           var queued;
 
-          cmdHnd.queueCommand = function (aggId, c, clb) {
+          cmdHnd.queueCommand = function (aggId, c, options, clb) {
             expect(aggId).to.eql('newId');
             expect(c).to.eql(cmd);
             queueCalled = true;
-            queued = { command: c, callback: clb };
+            queued = { command: c, options: options, callback: clb };
           };
 
           var removed = false;
@@ -758,7 +1871,7 @@ describe('defaultCommandHandler', function () {
             removeCalled = true;
           };
 
-          cmdHnd.workflow = function (aggId, c, clb) {
+          cmdHnd.workflow = function (aggId, c, options, clb) {
             expect(c).to.eql(cmd);
             workflowCalled = true;
             clb(null, 'evts', 'aggData', 'meta');
@@ -803,11 +1916,11 @@ describe('defaultCommandHandler', function () {
           
           var queued;
           
-          cmdHnd.queueCommand = function (aggId, c, clb) {
+          cmdHnd.queueCommand = function (aggId, c, options, clb) {
             expect(aggId).to.eql('1421');
             expect(c).to.eql(cmd);
             queueCalled = true;
-            queued = { command: c, callback: clb };
+            queued = { command: c, options: options, callback: clb };
           };
           
           var removed = false;
@@ -827,7 +1940,7 @@ describe('defaultCommandHandler', function () {
             removeCalled = true;
           };
 
-          cmdHnd.workflow = function (aggId, c, clb) {
+          cmdHnd.workflow = function (aggId, c, options, clb) {
             expect(aggId).to.eql('1421');
             expect(c).to.eql(cmd);
             workflowCalled = true;
@@ -851,6 +1964,48 @@ describe('defaultCommandHandler', function () {
         
       });
 
+      describe('with a command that times out', function () {
+
+        it('it should handle the next command of the same aggregate', function (done) {
+
+          cmdHnd.defineCommand({
+            aggregateId: 'aggId'
+          });
+          cmdHnd.defineOptions({ commandTimeout: 20 });
+
+          cmdHnd.runWorkflow = function (aggId, c, options, clb) {
+            if (c.my === 'stuck') {
+              return;
+            }
+            clb(null, ['evt']);
+          };
+
+          var results = [];
+
+          function finish () {
+            if (results.length < 2) return;
+            expect(results).to.contain('stuck');
+            expect(results).to.contain('next');
+            done();
+          }
+
+          cmdHnd.handle({ my: 'stuck', aggId: '1421' }, function (err) {
+            expect(err).to.be.a(CommandTimeoutError);
+            results.push('stuck');
+            finish();
+          });
+
+          cmdHnd.handle({ my: 'next', aggId: '1421' }, function (err, evts) {
+            expect(err).not.to.be.ok();
+            expect(evts).to.eql(['evt']);
+            results.push('next');
+            finish();
+          });
+
+        });
+
+      });
+
       describe('with a command with aggregate id, an aggregate and a context', function () {
 
         it('it should work as expected', function (done) {
@@ -875,11 +2030,11 @@ describe('defaultCommandHandler', function () {
 
           var queued;
 
-          cmdHnd.queueCommand = function (aggId, c, clb) {
+          cmdHnd.queueCommand = function (aggId, c, options, clb) {
             expect(aggId).to.eql('ca1421');
             expect(c).to.eql(cmd);
             queueCalled = true;
-            queued = { command: c, callback: clb };
+            queued = { command: c, options: options, callback: clb };
           };
 
           var removed = false;
@@ -899,7 +2054,7 @@ describe('defaultCommandHandler', function () {
             removeCalled = true;
           };
 
-          cmdHnd.workflow = function (aggId, c, clb) {
+          cmdHnd.workflow = function (aggId, c, options, clb) {
             expect(aggId).to.eql('1421');
             expect(c).to.eql(cmd);
             workflowCalled = true;
@@ -922,6 +2077,253 @@ describe('defaultCommandHandler', function () {
         });
 
       });
+
+      describe('having an idempotency store', function () {
+
+        var workflowCalls;
+
+        beforeEach(function () {
+          workflowCalls = 0;
+
+          cmdHnd.defineCommand({
+            id: 'id',
+            aggregateId: 'aggId'
+          });
+
+          cmdHnd.useIdempotencyStore(idempotencystore.create());
+
+          cmdHnd.workflow = function (aggId, c, options, clb) {
+            workflowCalls++;
+            clb(null, [{ id: 'evtId', payload: { my: 'evt' } }], { my: 'aggData' }, { aggregateId: aggId });
+          };
+        });
+
+        describe('handling the same command twice', function () {
+
+          it('it should return the remembered result without handling it again', function (done) {
+
+            var cmd = { id: 'cmdId', aggId: '1421' };
+
+            cmdHnd.handle(cmd, function (err, evts, aggData, meta) {
+              expect(err).not.to.be.ok();
+              expect(evts).to.eql([{ id: 'evtId', payload: { my: 'evt' } }]);
+              expect(meta.duplicate).not.to.be.ok();
+              expect(workflowCalls).to.eql(1);
+
+              cmdHnd.handle(cmd, function (err, evts, aggData, meta) {
+                expect(err).not.to.be.ok();
+                expect(evts).to.eql([{ my: 'evt' }]);
+                expect(aggData).to.eql({ my: 'aggData' });
+                expect(meta.aggregateId).to.eql('1421');
+                expect(meta.duplicate).to.eql(true);
+                expect(workflowCalls).to.eql(1);
+                done();
+              });
+            });
+
+          });
+
+        });
+
+        describe('handling a command with an other id', function () {
+
+          it('it should handle it', function (done) {
+
+            cmdHnd.handle({ id: 'cmdId1', aggId: '1421' }, function (err) {
+              expect(err).not.to.be.ok();
+
+              cmdHnd.handle({ id: 'cmdId2', aggId: '1421' }, function (err, evts, aggData, meta) {
+                expect(err).not.to.be.ok();
+                expect(meta.duplicate).not.to.be.ok();
+                expect(workflowCalls).to.eql(2);
+                done();
+              });
+            });
+
+          });
+
+        });
+
+        describe('handling the same command twice as dry run', function () {
+
+          it('it should handle it twice', function (done) {
+
+            var cmd = { id: 'cmdId', aggId: '1421' };
+
+            cmdHnd.handle(cmd, { dryRun: true }, function (err) {
+              expect(err).not.to.be.ok();
+
+              cmdHnd.handle(cmd, { dryRun: true }, function (err, evts, aggData, meta) {
+                expect(err).not.to.be.ok();
+                expect(meta.duplicate).not.to.be.ok();
+                expect(workflowCalls).to.eql(2);
+                done();
+              });
+            });
+
+          });
+
+        });
+
+        describe('handling the same command twice after the retention elapsed', function () {
+
+          it('it should handle it twice', function (done) {
+
+            cmdHnd.useIdempotencyStore(idempotencystore.create({ retention: 1 }));
+
+            var cmd = { id: 'cmdId', aggId: '1421' };
+
+            cmdHnd.handle(cmd, function (err) {
+              expect(err).not.to.be.ok();
+
+              setTimeout(function () {
+                cmdHnd.handle(cmd, function (err, evts, aggData, meta) {
+                  expect(err).not.to.be.ok();
+                  expect(meta.duplicate).not.to.be.ok();
+                  expect(workflowCalls).to.eql(2);
+                  done();
+                });
+              }, 10);
+            });
+
+          });
+
+        });
+
+        describe('handling the same command twice concurrently', function () {
+
+          it('it should handle it once and return the result to both', function (done) {
+
+            cmdHnd.workflow = function (aggId, c, options, clb) {
+              workflowCalls++;
+              setTimeout(function () {
+                clb(null, [{ id: 'evtId', payload: { my: 'evt' } }], { my: 'aggData' }, { aggregateId: aggId });
+              }, 30);
+            };
+
+            var cmd = { id: 'cmdId', aggId: '1421' };
+            var results = [];
+
+            function handled (err, evts, aggData, meta) {
+              expect(err).not.to.be.ok();
+              results.push(meta);
+              if (results.length < 2) return;
+              expect(workflowCalls).to.eql(1);
+              expect(results[0].duplicate).not.to.be.ok();
+              expect(results[1].duplicate).to.eql(true);
+              done();
+            }
+
+            cmdHnd.handle(cmd, handled);
+            cmdHnd.handle(cmd, handled);
+
+          });
+
+          describe('without an aggregateId', function () {
+
+            it('it should create only one aggregate', function (done) {
+
+              var newIds = 0;
+              cmdHnd.useEventStore({
+                getNewId: function (clb) {
+                  newIds++;
+                  clb(null, 'newId' + newIds);
+                }
+              });
+
+              cmdHnd.workflow = function (aggId, c, options, clb) {
+                workflowCalls++;
+                setTimeout(function () {
+                  clb(null, [{ id: 'evtId', payload: { my: 'evt' } }], { my: 'aggData' }, { aggregateId: aggId });
+                }, 30);
+              };
+
+              var cmd = { id: 'cmdId' };
+              var results = [];
+
+              function handled (err, evts, aggData, meta) {
+                expect(err).not.to.be.ok();
+                results.push(meta);
+                if (results.length < 2) return;
+                expect(workflowCalls).to.eql(1);
+                expect(newIds).to.eql(1);
+                expect(results[0].aggregateId).to.eql('newId1');
+                expect(results[1].aggregateId).to.eql('newId1');
+                expect(results[1].duplicate).to.eql(true);
+                done();
+              }
+
+              cmdHnd.handle(cmd, handled);
+              cmdHnd.handle(cmd, handled);
+
+            });
+
+          });
+
+          describe('and the first attempt fails', function () {
+
+            it('it should handle the second attempt', function (done) {
+
+              cmdHnd.workflow = function (aggId, c, options, clb) {
+                workflowCalls++;
+                var failed = workflowCalls === 1;
+                setTimeout(function () {
+                  if (failed) return clb(new Error('failed'));
+                  clb(null, [{ id: 'evtId', payload: { my: 'evt' } }], { my: 'aggData' }, { aggregateId: aggId });
+                }, 30);
+              };
+
+              var cmd = { id: 'cmdId', aggId: '1421' };
+              var errors = [];
+              var metas = [];
+
+              function handled (err, evts, aggData, meta) {
+                errors.push(err);
+                metas.push(meta);
+                if (errors.length < 2) return;
+                expect(workflowCalls).to.eql(2);
+                expect(errors[0].message).to.eql('failed');
+                expect(errors[1]).not.to.be.ok();
+                expect(metas[1].duplicate).not.to.be.ok();
+                done();
+              }
+
+              cmdHnd.handle(cmd, handled);
+              cmdHnd.handle(cmd, handled);
+
+            });
+
+          });
+
+          describe('and the first attempt takes longer than the commandTimeout', function () {
+
+            it('it should callback the second attempt with a CommandTimeoutError', function (done) {
+
+              cmdHnd.defineOptions({ commandTimeout: 20 });
+
+              cmdHnd.workflow = function (aggId, c, options, clb) {
+                workflowCalls++;
+                setTimeout(function () {
+                  clb(null, [], null, {});
+                }, 60);
+              };
+
+              var cmd = { id: 'cmdId', aggId: '1421' };
+
+              cmdHnd.handle(cmd, function () {});
+              cmdHnd.handle(cmd, function (err) {
+                expect(err).to.be.a(CommandTimeoutError);
+                expect(workflowCalls).to.eql(1);
+                done();
+              });
+
+            });
+
+          });
+
+        });
+
+      });
       
     });
     
@@ -4,6 +4,9 @@ var expect = require('expect.js'),
   Aggregate = require('../../../lib/definitions/aggregate'),
   DefaultCommandHandler = require('../../../lib/defaultCommandHandler'),
   AggregateModel = require('../../../lib/aggregateModel'),
+  BusinessRuleError = require('../../../lib/errors/businessRuleError'),
+  CommandNotFoundError = require('../../../lib/errors/commandNotFoundError'),
+  ValidationError = require('../../../lib/errors/validationError'),
   api = require('../../../');
 
 describe('aggregate definition', function () {
@@ -32,6 +35,7 @@ describe('aggregate definition', function () {
 
       expect(aggr.defineSnapshotConversion).to.be.a('function');
       expect(aggr.defineSnapshotNeed).to.be.a('function');
+      expect(aggr.defineSnapshotStrategy).to.be.a('function');
 
       expect(aggr.idGenerator).to.be.a('function');
       expect(aggr.defineContext).to.be.a('function');
@@ -44,11 +48,14 @@ describe('aggregate definition', function () {
       expect(aggr.getCommands).to.be.a('function');
       expect(aggr.getEvent).to.be.a('function');
       expect(aggr.getEvents).to.be.a('function');
+      expect(aggr.getEventsByName).to.be.a('function');
       expect(aggr.getBusinessRules).to.be.a('function');
       expect(aggr.getCommandHandlers).to.be.a('function');
       expect(aggr.getCommandHandler).to.be.a('function');
       expect(aggr.create).to.be.a('function');
       expect(aggr.validateCommand).to.be.a('function');
+      expect(aggr.defineValidation).to.be.a('function');
+      expect(aggr.validateState).to.be.a('function');
       expect(aggr.checkBusinessRules).to.be.a('function');
       expect(aggr.handle).to.be.a('function');
       expect(aggr.apply).to.be.a('function');
@@ -103,6 +110,122 @@ describe('aggregate definition', function () {
 
       });
 
+      describe('by passing a fromVersion', function () {
+
+        it('it should save a conversion step to the next version', function () {
+
+          var aggr = api.defineAggregate();
+          var fn = function () {};
+          aggr.defineSnapshotConversion({ fromVersion: 1 }, fn);
+          expect(aggr.snapshotConversionSteps).to.eql([{ fromVersion: 1, toVersion: 2, convert: fn }]);
+
+        });
+
+      });
+
+      describe('by passing a toVersion that is not greater than the fromVersion', function () {
+
+        it('it should throw an error', function () {
+
+          var aggr = api.defineAggregate();
+
+          expect(function () {
+            aggr.defineSnapshotConversion({ fromVersion: 2, toVersion: 2 }, function () {});
+          }).to.throwError(/toVersion/);
+
+        });
+
+      });
+
+    });
+
+    describe('calling getSnapshotConversions', function () {
+
+      var aggr, fn1to2, fn2to4, fn2to3, fn3to4, fn3direct;
+
+      beforeEach(function () {
+        fn1to2 = function () {};
+        fn2to4 = function () {};
+        fn2to3 = function () {};
+        fn3to4 = function () {};
+        fn3direct = function () {};
+        aggr = api.defineAggregate({ version: 4 });
+        aggr.defineSnapshotConversion({ fromVersion: 1 }, fn1to2);
+        aggr.defineSnapshotConversion({ fromVersion: 2 }, fn2to3);
+        aggr.defineSnapshotConversion({ fromVersion: 2, toVersion: 4 }, fn2to4);
+        aggr.defineSnapshotConversion({ fromVersion: 3 }, fn3to4);
+      });
+
+      describe('for a version that can be converted step by step', function () {
+
+        it('it should return the chain with the biggest steps', function () {
+
+          var res = aggr.getSnapshotConversions(1);
+          expect(res).to.eql([
+            { fromVersion: 1, toVersion: 2, convert: fn1to2 },
+            { fromVersion: 2, toVersion: 4, convert: fn2to4 }
+          ]);
+
+        });
+
+      });
+
+      describe('for a version whose biggest step leads to a dead end', function () {
+
+        it('it should find the chain over the smaller step', function () {
+
+          var fn1to3 = function () {};
+          var other = api.defineAggregate({ version: 4 });
+          other.defineSnapshotConversion({ fromVersion: 1, toVersion: 3 }, fn1to3);
+          other.defineSnapshotConversion({ fromVersion: 1 }, fn1to2);
+          other.defineSnapshotConversion({ fromVersion: 2, toVersion: 4 }, fn2to4);
+
+          var res = other.getSnapshotConversions(1);
+          expect(res).to.eql([
+            { fromVersion: 1, toVersion: 2, convert: fn1to2 },
+            { fromVersion: 2, toVersion: 4, convert: fn2to4 }
+          ]);
+          expect(other.isSnapshotCompatible({ version: 1 })).to.eql(true);
+
+        });
+
+      });
+
+      describe('for a version having a direct conversion', function () {
+
+        it('it should prefer the direct conversion', function () {
+
+          aggr.defineSnapshotConversion({ version: 3 }, fn3direct);
+          var res = aggr.getSnapshotConversions(3);
+          expect(res).to.eql([{ fromVersion: 3, toVersion: 4, convert: fn3direct }]);
+
+        });
+
+      });
+
+      describe('for the actual version', function () {
+
+        it('it should return an empty chain', function () {
+
+          expect(aggr.getSnapshotConversions(4)).to.eql([]);
+
+        });
+
+      });
+
+      describe('for a version that can not be converted', function () {
+
+        it('it should return null', function () {
+
+          expect(aggr.getSnapshotConversions(0)).to.eql(null);
+          expect(aggr.getSnapshotConversions(5)).to.eql(null);
+          expect(aggr.isSnapshotCompatible({ version: 0 })).to.eql(false);
+          expect(aggr.isSnapshotCompatible({ version: 1 })).to.eql(true);
+
+        });
+
+      });
+
     });
 
     describe('defining snapshot need', function () {
@@ -136,6 +259,55 @@ describe('aggregate definition', function () {
 
     });
 
+    describe('defining snapshot strategies', function () {
+
+      describe('by passing the name of a non existing strategy', function () {
+
+        it('it should throw an error', function () {
+
+          var aggr = api.defineAggregate();
+
+          expect(function () {
+            aggr.defineSnapshotStrategy('whenever');
+          }).to.throwError(/not found/);
+
+        });
+
+      });
+
+      describe('by passing no function', function () {
+
+        it('it should throw an error', function () {
+
+          var aggr = api.defineAggregate();
+
+          expect(function () {
+            aggr.defineSnapshotStrategy({});
+          }).to.throwError(/function/);
+
+        });
+
+      });
+
+      describe('by passing the name of a built-in strategy and a function', function () {
+
+        it('it should save them as expected', function () {
+
+          var aggr = api.defineAggregate();
+          var fn = function () {};
+          var res = aggr.defineSnapshotStrategy('revisions', { every: 50 })
+                        .defineSnapshotStrategy(fn);
+          expect(res).to.be(aggr);
+          expect(aggr.snapshotStrategies.length).to.eql(2);
+          expect(aggr.snapshotStrategies[0]).to.be.a('function');
+          expect(aggr.snapshotStrategies[1]).to.eql(fn);
+
+        });
+
+      });
+
+    });
+
     describe('defining an id generator function', function() {
 
       var aggr;
@@ -596,6 +768,193 @@ describe('aggregate definition', function () {
 
     });
 
+    describe('calling addEventUpcaster', function () {
+
+      describe('with a wrong object', function () {
+
+        it('it should throw an error', function () {
+
+          var aggr = api.defineAggregate();
+
+          expect(function () {
+            aggr.addEventUpcaster();
+          }).to.throwError(/eventUpcaster/);
+
+        });
+
+      });
+
+      describe('with a correct object', function () {
+
+        it('it should work as expected', function () {
+
+          var aggr = api.defineAggregate();
+
+          var upcaster = api.defineEventUpcaster({ name: 'evt', fromVersion: 1 }, function () {});
+
+          aggr.addEventUpcaster(upcaster);
+          aggr.addEventUpcaster(upcaster);
+
+          expect(aggr.getEventUpcasters().length).to.eql(1);
+          expect(aggr.getEventUpcasters()[0]).to.eql(upcaster);
+
+        });
+
+      });
+
+    });
+
+    describe('calling addSchema', function () {
+
+      describe('with a schema without title', function () {
+
+        it('it should throw an error', function () {
+
+          var aggr = api.defineAggregate();
+
+          expect(function () {
+            aggr.addSchema({ type: 'object' });
+          }).to.throwError(/title/);
+
+        });
+
+      });
+
+      describe('with a correct schema', function () {
+
+        it('it should work as expected', function () {
+
+          var aggr = api.defineAggregate();
+
+          var schema = { title: 'cmd', type: 'object' };
+
+          expect(aggr.addSchema(schema)).to.eql(aggr);
+          aggr.addSchema(schema);
+
+          expect(aggr.schemas).to.eql([schema]);
+
+        });
+
+      });
+
+    });
+
+    describe('calling addEventSchema and addStateSchema', function () {
+
+      it('it should keep them apart from the other schemas', function () {
+
+        var aggr = api.defineAggregate({ name: 'ledger' });
+
+        var cmdSchema = { title: 'ledger', type: 'object' };
+        var evtSchema = { title: 'ledger', type: 'object' };
+        var stateSchema = { title: 'ledger', type: 'object' };
+
+        expect(aggr.addSchema(cmdSchema)).to.eql(aggr);
+        expect(aggr.addEventSchema(evtSchema)).to.eql(aggr);
+        expect(aggr.addStateSchema(stateSchema)).to.eql(aggr);
+
+        expect(aggr.schemas).to.eql([cmdSchema]);
+        expect(aggr.eventSchemas[0]).to.be(evtSchema);
+        expect(aggr.stateSchemas[0]).to.be(stateSchema);
+
+        expect(function () {
+          aggr.addEventSchema({ type: 'object' });
+        }).to.throwError(/title/);
+
+      });
+
+    });
+
+    describe('having added some event upcasters', function () {
+
+      var aggr;
+
+      beforeEach(function () {
+        aggr = api.defineAggregate();
+        aggr.defineEvent({
+          name: 'evtName',
+          version: 'v'
+        });
+        aggr.addEventUpcaster(api.defineEventUpcaster({ name: 'evt1', fromVersion: 0 }, function (evt) {
+          evt.steps = ['0to1'];
+          return evt;
+        }));
+        aggr.addEventUpcaster(api.defineEventUpcaster({ name: 'evt1', fromVersion: 1, toVersion: 3 }, function (evt) {
+          evt.steps.push('1to3');
+        }));
+        aggr.addEventUpcaster(api.defineEventUpcaster({ name: 'evt2', fromVersion: 5 }, function (evt) {
+          evt.upcasted = true;
+        }));
+      });
+
+      describe('calling getEventUpcaster', function () {
+
+        it('it should work as expected', function () {
+
+          expect(aggr.getEventUpcaster('evt1').toVersion).to.eql(1);
+          expect(aggr.getEventUpcaster('evt1', 1).toVersion).to.eql(3);
+          expect(aggr.getEventUpcaster('evt1', 3)).not.to.be.ok();
+          expect(aggr.getEventUpcaster('evt2', 5).toVersion).to.eql(6);
+          expect(aggr.getEventUpcaster('evt3')).not.to.be.ok();
+
+        });
+
+      });
+
+      describe('calling upcast', function () {
+
+        describe('with an event of an old version', function () {
+
+          it('it should chain all matching upcasters', function () {
+
+            var evt = { evtName: 'evt1', v: 0 };
+            var res = aggr.upcast(evt);
+            expect(res).to.eql({ evtName: 'evt1', v: 3, steps: ['0to1', '1to3'] });
+            expect(evt).to.eql({ evtName: 'evt1', v: 0 });
+
+          });
+
+        });
+
+        describe('with an event of the newest version', function () {
+
+          it('it should return the same event', function () {
+
+            var evt = { evtName: 'evt2', v: 6 };
+            expect(aggr.upcast(evt)).to.be(evt);
+
+          });
+
+        });
+
+      });
+
+      describe('calling loadFromHistory', function () {
+
+        it('it should apply the upcasted events', function () {
+
+          var evts = [{ evtName: 'evt1', v: 1, steps: [] }, { evtName: 'evt2', v: 5 }];
+          var aggModel = {
+            set: function () {},
+            setRevision: function () {},
+            toJSON: function () { return 'json'; }
+          };
+
+          var applied;
+          aggr.apply = function (events, aggregateModel) { // mock
+            applied = events;
+          };
+
+          aggr.loadFromHistory(aggModel, null, evts);
+
+          expect(applied).to.eql([{ evtName: 'evt1', v: 3, steps: ['1to3'] }, { evtName: 'evt2', v: 6, upcasted: true }]);
+
+        });
+
+      });
+
+    });
+
     describe('having added some commands', function () {
 
       var aggr;
@@ -1093,6 +1452,55 @@ describe('aggregate definition', function () {
 
       });
 
+      describe('having defined snapshot strategies', function () {
+
+        var aggr, infos;
+
+        beforeEach(function () {
+          infos = [];
+          aggr = api.defineAggregate();
+          aggr.defineEvent({ name: 'evtName' });
+          aggr.defineSnapshotStrategy('events', { names: ['closed'] });
+          aggr.defineSnapshotStrategy(function (info) {
+            infos.push(info);
+            return false;
+          });
+        });
+
+        describe('and one of them says so', function () {
+
+          it('it should return true', function () {
+
+            var res = aggr.isSnapshotNeeded(5, [{ evtName: 'opened' }, { evtName: 'closed' }], { my: 'data' }, { revision: 2 });
+
+            expect(res).to.eql(true);
+
+          });
+
+        });
+
+        describe('and none of them says so', function () {
+
+          it('it should return false and pass all infos to the strategies', function () {
+
+            var evts = [{ evtName: 'opened' }];
+            var res = aggr.isSnapshotNeeded(5, evts, { my: 'data' }, { revision: 1, snapshotRevision: 0 });
+
+            expect(res).to.eql(false);
+            expect(infos.length).to.eql(1);
+            expect(infos[0].loadingTime).to.eql(5);
+            expect(infos[0].events).to.eql(evts);
+            expect(infos[0].eventNames).to.eql(['opened']);
+            expect(infos[0].aggregateData).to.eql({ my: 'data' });
+            expect(infos[0].revision).to.eql(1);
+            expect(infos[0].snapshotRevision).to.eql(0);
+
+          });
+
+        });
+
+      });
+
     });
 
     describe('calling apply', function () {
@@ -1274,6 +1682,42 @@ describe('aggregate definition', function () {
 
       });
 
+      describe('having defined snapshot strategies', function () {
+
+        it('it should pass the revisions and the date of the last snapshot to them', function () {
+
+          var evts = [{ evtName: 'evt1', rev: 6 }, { evtName: 'evt2', rev: 7 }];
+          var lastSnapshotAt = new Date();
+          var snap = { version: 0, revision: 5, data: {} };
+          var aggModel = {
+            set: function () {},
+            setRevision: function () {},
+            toJSON: function () { return 'json'; }
+          };
+
+          var aggr = api.defineAggregate();
+          aggr.defineEvent({ name: 'evtName', revision: 'rev' });
+          aggr.apply = function () {}; // mock
+
+          var info;
+          aggr.defineSnapshotStrategy(function (i) {
+            info = i;
+            return true;
+          });
+
+          var res = aggr.loadFromHistory(aggModel, snap, evts, 3, lastSnapshotAt);
+
+          expect(res).to.eql(true);
+          expect(info.revision).to.eql(7);
+          expect(info.snapshotRevision).to.eql(5);
+          expect(info.lastSnapshotAt).to.be(lastSnapshotAt);
+          expect(info.eventNames).to.eql(['evt1', 'evt2']);
+          expect(info.aggregateData).to.eql('json');
+
+        });
+
+      });
+
       describe('passing a snapshot', function () {
 
         describe('with actual version', function () {
@@ -1350,6 +1794,58 @@ describe('aggregate definition', function () {
 
         });
 
+        describe('with a version that needs a chain of conversions', function () {
+
+          it('it should convert it step by step', function () {
+
+            var snap = {
+              version: 1,
+              revision: 5,
+              data: {
+                name: 'John Doe'
+              }
+            };
+
+            var aggr = api.defineAggregate({ version: 3 });
+
+            aggr.defineSnapshotConversion({ fromVersion: 1 }, function (data, aggregateModel) {
+              var names = data.name.split(' ');
+              aggregateModel.set('firstname', names[0]);
+              aggregateModel.set('lastname', names[1]);
+            });
+
+            aggr.defineSnapshotConversion({ fromVersion: 2 }, function (data, aggregateModel) {
+              expect(data.name).to.eql(undefined);
+              aggregateModel.set('person', { firstname: data.firstname, lastname: data.lastname });
+            });
+
+            var aggModel = aggr.create('aggId');
+            var res = aggr.loadFromHistory(aggModel, snap, null);
+
+            expect(res).to.eql(true);
+            expect(aggModel.get('person')).to.eql({ firstname: 'John', lastname: 'Doe' });
+            expect(aggModel.get('firstname')).to.eql(undefined);
+            expect(aggModel.getRevision()).to.eql(5);
+
+          });
+
+        });
+
+        describe('with a version that can not be converted', function () {
+
+          it('it should throw an error', function () {
+
+            var aggr = api.defineAggregate({ version: 3 });
+            aggr.defineSnapshotConversion({ fromVersion: 2 }, function () {});
+
+            expect(function () {
+              aggr.loadFromHistory(aggr.create('aggId'), { version: 1, revision: 5, data: {} }, null);
+            }).to.throwError(/No snapshot conversion defined/);
+
+          });
+
+        });
+
       });
 
       describe('passing some events', function () {
@@ -1388,6 +1884,34 @@ describe('aggregate definition', function () {
 
       });
 
+      describe('having a size snapshot strategy', function () {
+
+        it('it should not snapshot again after a size-triggered snapshot', function () {
+
+          var aggr = api.defineAggregate();
+          aggr.defineEvent({ name: 'evtName', revision: 'r' });
+          aggr.defineSnapshotStrategy('size', { maxBytes: 20 });
+
+          aggr.apply = function (events, aggregateModel) { // mock
+            _.each(events, function (evt) {
+              aggregateModel.set('count', (aggregateModel.get('count') || 0) + 1);
+            });
+          };
+
+          var first = new AggregateModel('agg1');
+          first.set('name', 'a rather long name');
+          var isNeeded = aggr.loadFromHistory(first, null, [{ evtName: 'evt1', r: 1 }]);
+          expect(isNeeded).to.eql(true);
+
+          // the next command loads the snapshot and the event of the previous command
+          var second = new AggregateModel('agg1');
+          isNeeded = aggr.loadFromHistory(second, { version: 0, revision: 1, data: first.toJSON() }, [{ evtName: 'evt2', r: 2 }]);
+          expect(isNeeded).to.eql(false);
+
+        });
+
+      });
+
       describe('passing a snapshot and some events', function () {
 
         it('it should actualize the aggregateModel correctly', function () {
@@ -1442,8 +1966,99 @@ describe('aggregate definition', function () {
 
     });
 
+    describe('calling validateState', function () {
+
+      var aggr, aggModel;
+
+      beforeEach(function () {
+        aggr = api.defineAggregate({ name: 'person', defaultEventPayload: 'payload' });
+        aggr.defineEvent({ name: 'name', payload: 'payload' });
+        aggr.addEvent(api.defineEvent({ name: 'renamed' }, function () {}));
+        aggModel = aggr.create('aggId');
+        aggModel.set('name', 'John');
+      });
+
+      describe('without any validators', function () {
+
+        it('it should return null', function () {
+
+          expect(aggr.validateState(aggModel, [{ name: 'renamed', payload: {} }])).to.eql(null);
+
+        });
+
+      });
+
+      describe('with an event payload validator that fails', function () {
+
+        it('it should return its error', function () {
+
+          aggr.getEvent('renamed').defineValidation(function (payload) {
+            expect(payload).to.eql({ name: 42 });
+            return new ValidationError('name should be a string');
+          });
+
+          var err = aggr.validateState(aggModel, [{ name: 'renamed', payload: { name: 42 } }]);
+          expect(err).to.be.a(ValidationError);
+
+        });
+
+      });
+
+      describe('with a state validator', function () {
+
+        it('it should validate the aggregate data', function () {
+
+          aggr.defineValidation(function (data) {
+            expect(data.name).to.eql('John');
+            return new ValidationError('invalid state');
+          });
+
+          var err = aggr.validateState(aggModel, []);
+          expect(err.message).to.eql('invalid state');
+
+        });
+
+      });
+
+    });
+
     describe('calling handle', function () {
 
+      describe('passing a command that leads to an invalid aggregate state', function () {
+
+        it('it should callback with the ValidationError and clean up the aggregate', function (done) {
+
+          var aggr = api.defineAggregate({ name: 'person', defaultCommandPayload: 'payload', defaultEventPayload: 'payload' });
+          aggr.defineCommand({ name: 'name', payload: 'payload' });
+          aggr.defineEvent({ name: 'name', payload: 'payload' });
+          aggr.addCommand(api.defineCommand({ name: 'rename' }, function (data, aggregate) {
+            aggregate.apply('renamed', data);
+          }));
+          aggr.addEvent(api.defineEvent({ name: 'renamed' }, function (data, aggregate) {
+            aggregate.set('name', data.name);
+          }));
+          aggr.defineValidation(function (data) {
+            if (data.name === '') {
+              return new ValidationError('name should not be empty');
+            }
+            return null;
+          });
+
+          var aggModel = aggr.create('aggId');
+          aggModel.set('name', 'John');
+
+          aggr.handle(aggModel, { name: 'rename', payload: { name: '' } }, function (err) {
+            expect(err).to.be.a(ValidationError);
+            expect(err.message).to.eql('name should not be empty');
+            expect(aggModel.get('name')).to.eql('John');
+            expect(aggModel.getUncommittedEvents().length).to.eql(0);
+            done();
+          });
+
+        });
+
+      });
+
       describe('passing a command object that not have a name', function () {
 
         it('it should callback with an Error', function () {
@@ -1484,7 +2099,7 @@ describe('aggregate definition', function () {
           });
 
           aggr.handle(aggModel, { cmdName: 'cmd', with: 'payload' }, function (err) {
-            expect(err).to.be.ok();
+            expect(err).to.be.a(CommandNotFoundError);
             expect(err.message).to.match(/not found/);
           });
 
@@ -1492,6 +2107,228 @@ describe('aggregate definition', function () {
 
       });
 
+      describe('passing a command object that matches an existing async command', function () {
+
+        describe('that rejects with a reason that is not an error', function () {
+
+          it('it should callback with a BusinessRuleError and clean up the aggregate', function (done) {
+
+            var rev = 0;
+            var uncommittedEvts = [];
+            var resetCalled = false;
+            var aggModel = {
+              id: 'aggId',
+              get: function () {
+              },
+              setRevision: function (r) { rev = r; },
+              getRevision: function () { return rev; },
+              toJSON: function () {},
+              reset: function () { resetCalled = true; },
+              addUncommittedEvent: function (e) { uncommittedEvts.push(e); },
+              getUncommittedEvents: function () { return uncommittedEvts; },
+              clearUncommittedEvents: function () { uncommittedEvts = []; }
+            };
+
+            var cmdToUse = { cmdName: 'cmd', with: 'payload' };
+
+            var aggr = api.defineAggregate();
+
+            aggr.defineCommand({
+              name: 'cmdName'
+            });
+
+            aggr.defineEvent({
+              name: 'evtName'
+            });
+
+            aggr.addCommand({ name: 'cmd', version: 0, defineAggregate: function () {}, validate: function () { return null; },
+              checkPreConditions: function (cmd, aggregateModel, clb) { clb(null); },
+              handle: function (cmd, aggregateModel) {
+                aggregateModel.apply({ evtName: 'evt' });
+                return Promise.reject('not allowed');
+              }
+            });
+
+            aggr.addEvent({ name: 'evt', version: 0, apply: function () {} });
+
+            aggr.handle(aggModel, cmdToUse, function (err) {
+              expect(err).to.be.a(BusinessRuleError);
+              expect(err.message).to.eql('not allowed');
+              expect(resetCalled).to.eql(true);
+              expect(uncommittedEvts.length).to.eql(0);
+              expect(aggModel.apply).not.to.be.ok();
+
+              done();
+            });
+          });
+
+        });
+
+        describe('that rejects with an error', function () {
+
+          it('it should callback with the error as it is and clean up the aggregate', function (done) {
+
+            var rev = 0;
+            var uncommittedEvts = [];
+            var resetCalled = false;
+            var aggModel = {
+              id: 'aggId',
+              get: function () {
+              },
+              setRevision: function (r) { rev = r; },
+              getRevision: function () { return rev; },
+              toJSON: function () {},
+              reset: function () { resetCalled = true; },
+              addUncommittedEvent: function (e) { uncommittedEvts.push(e); },
+              getUncommittedEvents: function () { return uncommittedEvts; },
+              clearUncommittedEvents: function () { uncommittedEvts = []; }
+            };
+
+            var cmdToUse = { cmdName: 'cmd', with: 'payload' };
+
+            var aggr = api.defineAggregate();
+
+            aggr.defineCommand({
+              name: 'cmdName'
+            });
+
+            aggr.defineEvent({
+              name: 'evtName'
+            });
+
+            aggr.addCommand({ name: 'cmd', version: 0, defineAggregate: function () {}, validate: function () { return null; },
+              checkPreConditions: function (cmd, aggregateModel, clb) { clb(null); },
+              handle: function (cmd, aggregateModel) {
+                aggregateModel.apply({ evtName: 'evt' });
+                return Promise.reject(new TypeError('x is not a function'));
+              }
+            });
+
+            aggr.addEvent({ name: 'evt', version: 0, apply: function () {} });
+
+            aggr.handle(aggModel, cmdToUse, function (err) {
+              expect(err).to.be.a(TypeError);
+              expect(err).not.to.be.a(BusinessRuleError);
+              expect(err.message).to.eql('x is not a function');
+              expect(resetCalled).to.eql(true);
+              expect(uncommittedEvts.length).to.eql(0);
+              expect(aggModel.apply).not.to.be.ok();
+
+              done();
+            });
+          });
+
+        });
+
+        describe('that resolves', function () {
+
+          it('it should not callback with an Error', function (done) {
+
+            var rev = 0;
+            var uncommittedEvts = [];
+            var aggModel = {
+              id: 'aggId',
+              get: function () {
+              },
+              setRevision: function (r) { rev = r; },
+              getRevision: function () { return rev; },
+              toJSON: function () {},
+              addUncommittedEvent: function (e) { uncommittedEvts.push(e); },
+              getUncommittedEvents: function () { return uncommittedEvts; }
+            };
+
+            var cmdToUse = { cmdName: 'cmd', with: 'payload' };
+
+            var aggr = api.defineAggregate();
+
+            aggr.defineCommand({
+              name: 'cmdName'
+            });
+
+            aggr.defineEvent({
+              name: 'evtName'
+            });
+
+            aggr.addCommand({ name: 'cmd', version: 0, defineAggregate: function () {}, validate: function () { return null; },
+              checkPreConditions: function (cmd, aggregateModel, clb) { clb(null); },
+              handle: function (cmd, aggregateModel) {
+                return new Promise(function (resolve) {
+                  setTimeout(function () {
+                    aggregateModel.apply({ evtName: 'evt' });
+                    resolve();
+                  }, 1);
+                });
+              }
+            });
+
+            aggr.addEvent({ name: 'evt', version: 0, apply: function () {} });
+
+            aggr.handle(aggModel, cmdToUse, function (err) {
+              expect(err).not.to.be.ok();
+              expect(rev).to.eql(1);
+              expect(uncommittedEvts.length).to.eql(1);
+              expect(uncommittedEvts[0].id).to.be.a('string');
+
+              done();
+            });
+          });
+
+        });
+
+      });
+
+      describe('passing a command object that matches an existing command that throws', function () {
+
+        it('it should callback with the thrown error and clean up the aggregate', function (done) {
+
+          var rev = 0;
+          var uncommittedEvts = [];
+          var resetCalled = false;
+          var aggModel = {
+            id: 'aggId',
+            get: function () {
+            },
+            setRevision: function (r) { rev = r; },
+            getRevision: function () { return rev; },
+            toJSON: function () {},
+            reset: function () { resetCalled = true; },
+            addUncommittedEvent: function (e) { uncommittedEvts.push(e); },
+            getUncommittedEvents: function () { return uncommittedEvts; },
+            clearUncommittedEvents: function () { uncommittedEvts = []; }
+          };
+
+          var aggr = api.defineAggregate();
+
+          aggr.defineCommand({
+            name: 'cmdName'
+          });
+
+          aggr.defineEvent({
+            name: 'evtName'
+          });
+
+          aggr.addCommand({ name: 'cmd', version: 0, defineAggregate: function () {}, validate: function () { return null; },
+            checkPreConditions: function (cmd, aggregateModel, clb) { clb(null); },
+            handle: function (cmd, aggregateModel) {
+              aggregateModel.apply({ evtName: 'evt' });
+              throw new Error('not allowed');
+            }
+          });
+
+          aggr.addEvent({ name: 'evt', version: 0, apply: function () {} });
+
+          aggr.handle(aggModel, { cmdName: 'cmd', with: 'payload' }, function (err) {
+            expect(err).not.to.be.a(BusinessRuleError);
+            expect(err.message).to.eql('not allowed');
+            expect(resetCalled).to.eql(true);
+            expect(uncommittedEvts.length).to.eql(0);
+
+            done();
+          });
+        });
+
+      });
+
       describe('passing a command object that matches an existing command', function () {
 
         it('it should not callback with an Error', function (done) {
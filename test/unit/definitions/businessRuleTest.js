@@ -312,6 +312,70 @@ describe('business rule definition', function () {
           });
           
         });
+
+        describe('returns a promise', function () {
+
+          describe('that resolves', function () {
+
+            it('it should callback as expected', function (done) {
+
+              var brFn = function (changed, previous, events, command) {
+                return Promise.resolve();
+              };
+              var br = api.defineBusinessRule({ priority: 3, description: 'bla bla bla' }, brFn);
+
+              br.check({ changed: 'changed' }, { previous: 'previous' }, [{ evt: 'evt1' }], { cmd: 'cmd1' }, function (err) {
+                expect(err).not.to.be.ok();
+                done();
+              });
+
+            });
+
+          });
+
+          describe('that rejects with', function () {
+
+            describe('an error with message', function () {
+
+              it('it should callback as expected', function (done) {
+
+                var brFn = function (changed, previous, events, command) {
+                  return Promise.reject(new Error('errorMsg'));
+                };
+                var br = api.defineBusinessRule({ priority: 3, description: 'bla bla bla' }, brFn);
+
+                br.check({ changed: 'changed' }, { previous: 'previous' }, [{ evt: 'evt1' }], { cmd: 'cmd1' }, function (err) {
+                  expect(err).to.be.a(BusinessRuleError);
+                  expect(err.message).to.eql('errorMsg');
+                  done();
+                });
+
+              });
+
+            });
+
+            describe('nothing', function () {
+
+              it('it should callback as expected', function (done) {
+
+                var brFn = function (changed, previous, events, command) {
+                  return Promise.reject();
+                };
+                var br = api.defineBusinessRule({ priority: 3, description: 'bla bla bla' }, brFn);
+
+                br.check({ changed: 'changed' }, { previous: 'previous' }, [{ evt: 'evt1' }], { cmd: 'cmd1' }, function (err) {
+                  expect(err).to.be.a(BusinessRuleError);
+                  expect(err.message).to.eql('bla bla bla');
+                  done();
+                });
+
+              });
+
+            });
+
+          });
+
+        });
         
       });
       
@@ -140,6 +140,50 @@ describe('commandHandler definition', function () {
         cmdHnd.handle(cmdObj, clb);
       });
 
+      describe('with a commandHandler function returning a promise', function () {
+
+        it('it should callback with the resolved events', function (done) {
+          var cmdObj = { my: 'command', with: { deep: 'value' }, aggregate: { id: '1234' } };
+
+          var cmdHndFn = function (aggId, cmd, commandHandler) {
+            return Promise.resolve([{ my: 'special', ev: 'ent' }]);
+          };
+
+          var cmdHnd = api.defineCommandHandler({ name: 'commandName', version: 3 }, cmdHndFn);
+
+          cmdHnd.useEventStore(eventStore);
+          cmdHnd.useAggregateLock(aggregateLock);
+
+          cmdHnd.handle(cmdObj, function (err, evts) {
+            expect(err).not.to.be.ok();
+            expect(evts).to.eql([{ my: 'special', ev: 'ent' }]);
+            expect(cmdHnd.getNextCommandInQueue('1234')).not.to.be.ok();
+            done();
+          });
+        });
+
+        it('it should callback with the rejection reason', function (done) {
+          var cmdObj = { my: 'command', with: { deep: 'value' }, aggregate: { id: '1234' } };
+
+          var cmdHndFn = function (aggId, cmd, commandHandler) {
+            return Promise.reject(new Error('failed'));
+          };
+
+          var cmdHnd = api.defineCommandHandler({ name: 'commandName', version: 3 }, cmdHndFn);
+
+          cmdHnd.useEventStore(eventStore);
+          cmdHnd.useAggregateLock(aggregateLock);
+
+          cmdHnd.handle(cmdObj, function (err, evts) {
+            expect(err).to.be.ok();
+            expect(err.message).to.eql('failed');
+            expect(evts).not.to.be.ok();
+            done();
+          });
+        });
+
+      });
+
     });
 
   });
@@ -92,12 +92,13 @@ describe('command definition', function () {
       it('it should return a correct object', function () {
 
         var cmdFn = function () {};
-        var cmd = api.defineCommand({ version: 3, payload: 'some.path' }, cmdFn);
+        var cmd = api.defineCommand({ version: 3, payload: 'some.path', timeout: 5000 }, cmdFn);
         expect(cmd).to.be.a(DefinitionBase);
         expect(cmd).to.be.a(Command);
         expect(cmd.cmdFn).to.eql(cmdFn);
         expect(cmd.version).to.eql(3);
         expect(cmd.payload).to.eql('some.path');
+        expect(cmd.timeout).to.eql(5000);
         expect(cmd.options).to.be.an('object');
         expect(cmd.definitions).to.be.an('object');
         expect(cmd.definitions.command).to.be.an('object');
@@ -33,6 +33,7 @@ describe('context definition', function () {
       expect(ctx.getAggregate).to.be.a('function');
       expect(ctx.getAggregateForCommand).to.be.a('function');
       expect(ctx.getAggregates).to.be.a('function');
+      expect(ctx.addSchema).to.be.a('function');
 
     });
     
@@ -273,6 +274,39 @@ describe('context definition', function () {
       
     });
 
+    describe('adding a schema', function () {
+
+      describe('without title', function () {
+
+        it('it should throw an error', function () {
+
+          var ctx = api.defineContext();
+
+          expect(function () {
+            ctx.addSchema({ type: 'object' });
+          }).to.throwError(/title/);
+
+        });
+
+      });
+
+      describe('with title', function () {
+
+        it('it should work as expected', function () {
+
+          var ctx = api.defineContext();
+          var schema = { title: 'command', type: 'object' };
+
+          expect(ctx.addSchema(schema)).to.eql(ctx);
+          ctx.addSchema(schema);
+          expect(ctx.schemas).to.eql([schema]);
+
+        });
+
+      });
+
+    });
+
   });
 
 });
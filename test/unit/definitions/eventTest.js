@@ -71,6 +71,8 @@ describe('event definition', function () {
         expect(evt.defineOptions).to.be.a('function');
         
         expect(evt.apply).to.be.a('function');
+        expect(evt.defineValidation).to.be.a('function');
+        expect(evt.validate).to.be.a('function');
         
       });
 
@@ -153,6 +155,74 @@ describe('event definition', function () {
       });
       
     });
+
+    describe('calling defineValidation', function () {
+
+      describe('without a function', function () {
+
+        it('it should throw an error', function () {
+
+          var evt = api.defineEvent({}, function () {});
+
+          expect(function () {
+            evt.defineValidation();
+          }).to.throwError(/function/);
+
+        });
+
+      });
+
+    });
+
+    describe('validating an event', function () {
+
+      describe('without a validator', function () {
+
+        it('it should return nothing', function () {
+
+          var evt = api.defineEvent({}, function () {});
+
+          expect(evt.validate({ my: 'event' })).not.to.be.ok();
+
+        });
+
+      });
+
+      describe('with default payload', function () {
+
+        it('it should pass the whole event to the validator', function () {
+
+          var evtObj = { my: 'event', with: { deep: 'value' } };
+          var evt = api.defineEvent({}, function () {});
+          evt.defineValidation(function (data) {
+            expect(data).to.eql(evtObj);
+            return 'invalid';
+          });
+
+          expect(evt.validate(evtObj)).to.eql('invalid');
+
+        });
+
+      });
+
+      describe('with custom payload', function () {
+
+        it('it should pass the payload to the validator', function () {
+
+          var evtObj = { my: 'event', with: { deep: 'value' } };
+          var evt = api.defineEvent({ payload: 'with' }, function () {});
+          evt.defineValidation(function (data) {
+            expect(data).to.eql({ deep: 'value' });
+            return null;
+          });
+
+          expect(evt.validate(evtObj)).to.eql(null);
+
+        });
+
+      });
+
+    });
     
   });
 
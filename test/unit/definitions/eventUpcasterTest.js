@@ -0,0 +1,135 @@
+var expect = require('expect.js'),
+  _ = require('lodash'),
+  DefinitionBase = require('../../../lib/definitionBase'),
+  EventUpcaster = require('../../../lib/definitions/eventUpcaster'),
+  api = require('../../../');
+
+describe('event upcaster definition', function () {
+
+  describe('creating a new event upcaster definition', function () {
+
+    describe('without any arguments', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          api.defineEventUpcaster();
+        }).to.throwError(/function/);
+
+      });
+
+    });
+
+    describe('with a wrong upcast function', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          api.defineEventUpcaster(null, 'not a function');
+        }).to.throwError(/function/);
+
+      });
+
+    });
+
+    describe('with a toVersion not greater than the fromVersion', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          api.defineEventUpcaster({ name: 'evt', fromVersion: 2, toVersion: 2 }, function () {});
+        }).to.throwError(/toVersion/);
+
+      });
+
+    });
+
+    describe('with a correct upcast function', function () {
+
+      it('it should not throw an error', function () {
+
+        expect(function () {
+          api.defineEventUpcaster(null, function () {});
+        }).not.to.throwError();
+
+      });
+
+      it('it should return a correct object', function () {
+
+        var upFn = function () {};
+        var up = api.defineEventUpcaster(null, upFn);
+        expect(up).to.be.a(DefinitionBase);
+        expect(up).to.be.an(EventUpcaster);
+        expect(up.upcastFn).to.eql(upFn);
+        expect(up.fromVersion).to.eql(0);
+        expect(up.toVersion).to.eql(1);
+        expect(up.definitions).to.be.an('object');
+        expect(up.definitions.command).to.be.an('object');
+        expect(up.definitions.event).to.be.an('object');
+        expect(up.defineCommand).to.be.a('function');
+        expect(up.defineEvent).to.be.a('function');
+        expect(up.defineOptions).to.be.a('function');
+
+        expect(up.upcast).to.be.a('function');
+
+      });
+
+    });
+
+    describe('with some meta infos and a correct upcast function', function () {
+
+      it('it should return a correct object', function () {
+
+        var upFn = function () {};
+        var up = api.defineEventUpcaster({ name: 'eventName', fromVersion: 2, toVersion: 4 }, upFn);
+        expect(up).to.be.an(EventUpcaster);
+        expect(up.name).to.eql('eventName');
+        expect(up.fromVersion).to.eql(2);
+        expect(up.toVersion).to.eql(4);
+
+      });
+
+    });
+
+    describe('calling upcast', function () {
+
+      describe('having an upcast function that returns the event', function () {
+
+        it('it should return the new event and not touch the passed one', function () {
+
+          var up = api.defineEventUpcaster({ name: 'eventName' }, function (evt) {
+            return { name: evt.name, payload: { fullName: evt.payload.first + ' ' + evt.payload.last } };
+          });
+
+          var evt = { name: 'eventName', payload: { first: 'jack', last: 'doe' } };
+          var res = up.upcast(evt);
+          expect(res).to.eql({ name: 'eventName', payload: { fullName: 'jack doe' } });
+          expect(evt.payload.first).to.eql('jack');
+
+        });
+
+      });
+
+      describe('having an upcast function that only modifies the event', function () {
+
+        it('it should return the modified copy of the event', function () {
+
+          var up = api.defineEventUpcaster({ name: 'eventName' }, function (evt) {
+            evt.payload.email = evt.payload.mail;
+            delete evt.payload.mail;
+          });
+
+          var evt = { name: 'eventName', payload: { mail: 'jack@doe.com' } };
+          var res = up.upcast(evt);
+          expect(res).to.eql({ name: 'eventName', payload: { email: 'jack@doe.com' } });
+          expect(evt.payload.mail).to.eql('jack@doe.com');
+
+        });
+
+      });
+
+    });
+
+  });
+
+});
@@ -325,6 +325,70 @@ describe('pre-condition definition', function () {
 
         });
 
+        describe('returns a promise', function () {
+
+          describe('that resolves', function () {
+
+            it('it should callback as expected', function (done) {
+
+              var pcFn = function (agg, command) {
+                return Promise.resolve();
+              };
+              var pc = api.definePreCondition({ priority: 3, description: 'bla bla bla' }, pcFn);
+
+              pc.check({ changed: 'changed' }, { cmd: 'cmd1' }, function (err) {
+                expect(err).not.to.be.ok();
+                done();
+              });
+
+            });
+
+          });
+
+          describe('that rejects with', function () {
+
+            describe('an error with message', function () {
+
+              it('it should callback as expected', function (done) {
+
+                var pcFn = function (agg, command) {
+                  return Promise.reject(new Error('errorMsg'));
+                };
+                var pc = api.definePreCondition({ priority: 3, description: 'bla bla bla' }, pcFn);
+
+                pc.check({ changed: 'changed' }, { cmd: 'cmd1' }, function (err) {
+                  expect(err).to.be.a(BusinessRuleError);
+                  expect(err.message).to.eql('errorMsg');
+                  done();
+                });
+
+              });
+
+            });
+
+            describe('a string', function () {
+
+              it('it should callback as expected', function (done) {
+
+                var pcFn = function (agg, command) {
+                  return Promise.reject('errorMsg');
+                };
+                var pc = api.definePreCondition({ priority: 3, description: 'bla bla bla' }, pcFn);
+
+                pc.check({ changed: 'changed' }, { cmd: 'cmd1' }, function (err) {
+                  expect(err).to.be.a(BusinessRuleError);
+                  expect(err.message).to.eql('errorMsg');
+                  done();
+                });
+
+              });
+
+            });
+
+          });
+
+        });
+
       });
 
     });
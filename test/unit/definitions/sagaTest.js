@@ -0,0 +1,405 @@
+var expect = require('expect.js'),
+  DefinitionBase = require('../../../lib/definitionBase'),
+  Saga = require('../../../lib/definitions/saga'),
+  SagaModel = require('../../../lib/sagaModel'),
+  api = require('../../../');
+
+describe('saga definition', function () {
+
+  describe('creating a new saga definition', function () {
+
+    describe('without any arguments', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          api.defineSaga();
+        }).to.throwError(/function/);
+
+      });
+
+    });
+
+    describe('with a wrong saga function', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          api.defineSaga(null, 'not a function');
+        }).to.throwError(/function/);
+
+      });
+
+    });
+
+    describe('with a correct saga function', function () {
+
+      it('it should not throw an error', function () {
+
+        expect(function () {
+          api.defineSaga(null, function () {});
+        }).not.to.throwError();
+
+      });
+
+      it('it should return a correct object', function () {
+
+        var sagaFn = function () {};
+        var saga = api.defineSaga(null, sagaFn);
+        expect(saga).to.be.a(DefinitionBase);
+        expect(saga).to.be.a(Saga);
+        expect(saga.sagaFn).to.eql(sagaFn);
+        expect(saga.version).to.eql(0);
+        expect(saga.existing).to.eql(false);
+        expect(saga.priority).to.eql(Infinity);
+        expect(saga.definitions).to.be.an('object');
+        expect(saga.definitions.command).to.be.an('object');
+        expect(saga.definitions.event).to.be.an('object');
+        expect(saga.defineCommand).to.be.a('function');
+        expect(saga.defineEvent).to.be.a('function');
+        expect(saga.defineOptions).to.be.a('function');
+
+        expect(saga.canHandle).to.be.a('function');
+        expect(saga.getSagaId).to.be.a('function');
+        expect(saga.getKey).to.be.a('function');
+        expect(saga.handle).to.be.a('function');
+        expect(saga.defineTimeoutHandler).to.be.a('function');
+        expect(saga.defineCompensation).to.be.a('function');
+        expect(saga.handleTimeout).to.be.a('function');
+        expect(saga.compensate).to.be.a('function');
+
+      });
+
+    });
+
+    describe('with some meta infos and a correct saga function', function () {
+
+      it('it should not throw an error', function () {
+
+        expect(function () {
+          api.defineSaga({ name: 'orderPlaced', version: 2, context: 'shop', aggregate: 'order', id: 'payload.orderId', existing: true, priority: 3 }, function () {});
+        }).not.to.throwError();
+
+      });
+
+      it('it should return a correct object', function () {
+
+        var saga = api.defineSaga({ name: 'orderPlaced', version: 2, context: 'shop', aggregate: 'order', id: 'payload.orderId', existing: true, priority: 3 }, function () {});
+        expect(saga.name).to.eql('orderPlaced');
+        expect(saga.version).to.eql(2);
+        expect(saga.context).to.eql('shop');
+        expect(saga.aggregate).to.eql('order');
+        expect(saga.id).to.eql('payload.orderId');
+        expect(saga.existing).to.eql(true);
+        expect(saga.priority).to.eql(3);
+        expect(saga.getKey()).to.eql('orderPlaced_v2');
+
+      });
+
+    });
+
+    describe('calling canHandle', function () {
+
+      var saga;
+
+      beforeEach(function () {
+        saga = api.defineSaga({ name: 'orderPlaced', context: 'shop', aggregate: 'order' }, function () {});
+        saga.defineEvent({ name: 'name', version: 'version', context: 'context.name', aggregate: 'aggregate.name' });
+      });
+
+      describe('with a matching event', function () {
+
+        it('it should return true', function () {
+
+          expect(saga.canHandle({ name: 'orderPlaced', context: { name: 'shop' }, aggregate: { name: 'order' } })).to.eql(true);
+
+        });
+
+      });
+
+      describe('with an event of an other name', function () {
+
+        it('it should return false', function () {
+
+          expect(saga.canHandle({ name: 'orderCancelled', context: { name: 'shop' }, aggregate: { name: 'order' } })).to.eql(false);
+
+        });
+
+      });
+
+      describe('with an event of an other version', function () {
+
+        it('it should return false', function () {
+
+          expect(saga.canHandle({ name: 'orderPlaced', version: 1, context: { name: 'shop' }, aggregate: { name: 'order' } })).to.eql(false);
+
+        });
+
+      });
+
+      describe('with an event of an other aggregate', function () {
+
+        it('it should return false', function () {
+
+          expect(saga.canHandle({ name: 'orderPlaced', context: { name: 'shop' }, aggregate: { name: 'payment' } })).to.eql(false);
+
+        });
+
+      });
+
+      describe('with an event of an other context', function () {
+
+        it('it should return false', function () {
+
+          expect(saga.canHandle({ name: 'orderPlaced', context: { name: 'hr' }, aggregate: { name: 'order' } })).to.eql(false);
+
+        });
+
+      });
+
+    });
+
+    describe('calling getSagaId', function () {
+
+      describe('without a defined id path', function () {
+
+        it('it should return the correlation id of the event', function () {
+
+          var saga = api.defineSaga({ name: 'orderPlaced' }, function () {});
+          saga.defineEvent({ correlationId: 'meta.correlationId' });
+          expect(saga.getSagaId({ meta: { correlationId: 'corr1' } })).to.eql('corr1');
+
+        });
+
+      });
+
+      describe('with a defined id path', function () {
+
+        it('it should return the value of that path', function () {
+
+          var saga = api.defineSaga({ name: 'orderPlaced', id: 'payload.orderId' }, function () {});
+          expect(saga.getSagaId({ payload: { orderId: 123 } })).to.eql('123');
+
+        });
+
+      });
+
+      describe('with an event that does not contain the id', function () {
+
+        it('it should return null', function () {
+
+          var saga = api.defineSaga({ name: 'orderPlaced', id: 'payload.orderId' }, function () {});
+          expect(saga.getSagaId({ payload: {} })).to.eql(null);
+
+        });
+
+      });
+
+    });
+
+    describe('calling handle', function () {
+
+      var evt = { name: 'orderPlaced', payload: { orderId: 'o1' } };
+
+      describe('with a synchronous saga function', function () {
+
+        it('it should callback after the function has been called', function (done) {
+
+          var saga = api.defineSaga({ name: 'orderPlaced' }, function (e, s) {
+            expect(e).to.eql(evt);
+            expect(e).not.to.be(evt);
+            s.set('orderId', e.payload.orderId);
+          });
+
+          var sagaModel = new SagaModel('o1');
+          saga.handle(evt, sagaModel, function (err) {
+            expect(err).not.to.be.ok();
+            expect(sagaModel.get('orderId')).to.eql('o1');
+            done();
+          });
+
+        });
+
+        describe('that throws an error', function () {
+
+          it('it should callback with that error', function (done) {
+
+            var saga = api.defineSaga({ name: 'orderPlaced' }, function () {
+              throw new Error('failed');
+            });
+
+            saga.handle(evt, new SagaModel('o1'), function (err) {
+              expect(err).to.be.ok();
+              expect(err.message).to.eql('failed');
+              done();
+            });
+
+          });
+
+        });
+
+      });
+
+      describe('with an asynchronous saga function', function () {
+
+        it('it should callback after the function has called back', function (done) {
+
+          var saga = api.defineSaga({ name: 'orderPlaced' }, function (e, s, callback) {
+            setTimeout(function () {
+              s.set('orderId', e.payload.orderId);
+              callback(null);
+            }, 1);
+          });
+
+          var sagaModel = new SagaModel('o1');
+          saga.handle(evt, sagaModel, function (err) {
+            expect(err).not.to.be.ok();
+            expect(sagaModel.get('orderId')).to.eql('o1');
+            done();
+          });
+
+        });
+
+      });
+
+      describe('with a saga function returning a promise', function () {
+
+        it('it should callback after the promise has been resolved', function (done) {
+
+          var saga = api.defineSaga({ name: 'orderPlaced' }, function (e, s) {
+            return new Promise(function (resolve) {
+              s.set('orderId', e.payload.orderId);
+              resolve();
+            });
+          });
+
+          var sagaModel = new SagaModel('o1');
+          saga.handle(evt, sagaModel, function (err) {
+            expect(err).not.to.be.ok();
+            expect(sagaModel.get('orderId')).to.eql('o1');
+            done();
+          });
+
+        });
+
+        describe('that is rejected', function () {
+
+          it('it should callback with the error', function (done) {
+
+            var saga = api.defineSaga({ name: 'orderPlaced' }, function () {
+              return Promise.reject(new Error('failed'));
+            });
+
+            saga.handle(evt, new SagaModel('o1'), function (err) {
+              expect(err).to.be.ok();
+              expect(err.message).to.eql('failed');
+              done();
+            });
+
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling defineTimeoutHandler', function () {
+
+      describe('with a wrong argument', function () {
+
+        it('it should throw an error', function () {
+
+          var saga = api.defineSaga(null, function () {});
+          expect(function () {
+            saga.defineTimeoutHandler('not a function');
+          }).to.throwError(/function/);
+
+        });
+
+      });
+
+      describe('with a function', function () {
+
+        it('it should be called on handleTimeout', function (done) {
+
+          var saga = api.defineSaga(null, function () {});
+          var res = saga.defineTimeoutHandler(function (s) {
+            s.set('timedOut', true);
+          });
+          expect(res).to.be(saga);
+
+          var sagaModel = new SagaModel('o1');
+          saga.handleTimeout(sagaModel, function (err) {
+            expect(err).not.to.be.ok();
+            expect(sagaModel.get('timedOut')).to.eql(true);
+            done();
+          });
+
+        });
+
+      });
+
+      describe('not called', function () {
+
+        it('handleTimeout should callback without an error', function (done) {
+
+          var saga = api.defineSaga(null, function () {});
+          saga.handleTimeout(new SagaModel('o1'), function (err) {
+            expect(err).not.to.be.ok();
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling defineCompensation', function () {
+
+      describe('with a wrong argument', function () {
+
+        it('it should throw an error', function () {
+
+          var saga = api.defineSaga(null, function () {});
+          expect(function () {
+            saga.defineCompensation('not a function');
+          }).to.throwError(/function/);
+
+        });
+
+      });
+
+      describe('with a function', function () {
+
+        it('it should be called on compensate', function (done) {
+
+          var error = new Error('rejected');
+          var cmd = { name: 'pay' };
+
+          var saga = api.defineSaga(null, function () {});
+          var res = saga.defineCompensation(function (err, c, s, callback) {
+            expect(err).to.be(error);
+            expect(c).to.eql(cmd);
+            s.set('compensated', true);
+            callback(null);
+          });
+          expect(res).to.be(saga);
+
+          var sagaModel = new SagaModel('o1');
+          saga.compensate(error, cmd, sagaModel, function (err) {
+            expect(err).not.to.be.ok();
+            expect(sagaModel.get('compensated')).to.eql(true);
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+  });
+
+});
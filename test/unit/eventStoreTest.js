@@ -0,0 +1,122 @@
+var expect = require('expect.js'),
+  eventstore = require('../../lib/eventStore'),
+  Base = require('../../lib/eventStore/base'),
+  InMemory = require('../../lib/eventStore/databases/inmemory'),
+  Eventstore = require('../../lib/eventStore/databases/eventstore'),
+  conformance = require('../../lib/eventStore/conformance');
+
+describe('EventStore', function() {
+
+  it('it should have the correct interface', function() {
+
+    expect(eventstore).to.be.an('object');
+    expect(eventstore.create).to.be.a('function');
+    expect(eventstore.isAdapter).to.be.a('function');
+    expect(eventstore.EventStore).to.eql(Base);
+    expect(eventstore.InMemory).to.eql(InMemory);
+    expect(eventstore.Eventstore).to.eql(Eventstore);
+
+  });
+
+  describe('calling create', function() {
+
+    describe('without options', function() {
+
+      it('it should return with the in memory store', function() {
+
+        var store = eventstore.create();
+        expect(store).to.be.a(InMemory);
+        expect(store).to.be.a(Base);
+
+      });
+
+    });
+
+    describe('with options of an own implementation', function() {
+
+      it('it should return with an instance of that implementation', function() {
+
+        var store = eventstore.create({ type: InMemory });
+        expect(store).to.be.a(InMemory);
+
+      });
+
+    });
+
+    describe('with options of a database of the eventstore package', function() {
+
+      it('it should return with the adapter of the eventstore package', function() {
+
+        var store = eventstore.create({ type: 'tingodb' });
+        expect(store).to.be.a(Eventstore);
+        expect(store.es).to.be.an('object');
+
+      });
+
+    });
+
+    describe('with a factory method', function() {
+
+      describe('returning an adapter', function() {
+
+        it('it should return that adapter', function() {
+
+          var own = new InMemory();
+          var store = eventstore.create(function () { return own; });
+          expect(store).to.be(own);
+
+        });
+
+      });
+
+      describe('returning an instance of the eventstore package', function() {
+
+        it('it should wrap it in the adapter of the eventstore package', function() {
+
+          var es = require('eventstore')();
+          var store = eventstore.create(function () { return es; });
+          expect(store).to.be.a(Eventstore);
+          expect(store.es).to.be(es);
+
+        });
+
+      });
+
+      describe('returning something else', function() {
+
+        it('it should throw an error', function() {
+
+          expect(function() {
+            eventstore.create(function () { return { init: function () {} }; });
+          }).to.throwError(/eventStore/);
+
+        });
+
+      });
+
+    });
+
+  });
+
+  describe('having the base implementation', function() {
+
+    it('it should throw when calling a not implemented function', function() {
+
+      var store = new Base();
+      expect(function() {
+        store.commit({}, [], function () {});
+      }).to.throwError(/implement/);
+
+    });
+
+  });
+
+  conformance('the in memory store', function () {
+    return new InMemory();
+  });
+
+  conformance('the adapter of the eventstore package', function () {
+    return new Eventstore({ type: 'inmemory' });
+  });
+
+});
@@ -0,0 +1,255 @@
+var expect = require('expect.js'),
+  idempotencystore = require('../../lib/idempotencyStore'),
+  Base = require('../../lib/idempotencyStore/base'),
+  InMemory = require('../../lib/idempotencyStore/databases/inmemory');
+
+describe('IdempotencyStore', function() {
+
+  it('it should have the correct interface', function() {
+
+    expect(idempotencystore).to.be.an('object');
+    expect(idempotencystore.create).to.be.a('function');
+    expect(idempotencystore.Store).to.eql(Base);
+
+  });
+
+  describe('calling create', function() {
+
+    describe('without options', function() {
+
+      it('it should return with the in memory store', function() {
+
+        var store = idempotencystore.create();
+        expect(store).to.be.a(InMemory);
+        expect(store.retention).to.eql(24 * 60 * 60 * 1000);
+        expect(store.reservationTimeout).to.eql(60 * 1000);
+
+      });
+
+    });
+
+    describe('with a retention', function() {
+
+      it('it should return a store with that retention', function() {
+
+        var store = idempotencystore.create({ retention: 1000 });
+        expect(store.retention).to.eql(1000);
+
+      });
+
+    });
+
+    describe('with options of a non existing db implementation', function() {
+
+      it('it should throw an error', function() {
+
+        expect(function() {
+          idempotencystore.create({ type: 'strangeDb' });
+        }).to.throwError();
+
+      });
+
+    });
+
+    describe('with options of an own db implementation', function() {
+
+      it('it should return with the an instance of that implementation', function() {
+
+        var store = idempotencystore.create({ type: InMemory });
+        expect(store).to.be.a(InMemory);
+
+      });
+
+    });
+
+  });
+
+  describe('having an in memory store', function() {
+
+    var store;
+
+    before(function(done) {
+      store = idempotencystore.create({ type: 'inmemory', retention: 1000 });
+      expect(store).to.be.a(Base);
+      expect(store.connect).to.be.a('function');
+      expect(store.disconnect).to.be.a('function');
+      expect(store.getNewId).to.be.a('function');
+      expect(store.isExpired).to.be.a('function');
+      expect(store.get).to.be.a('function');
+      expect(store.reserve).to.be.a('function');
+      expect(store.remove).to.be.a('function');
+      expect(store.save).to.be.a('function');
+      expect(store.removeExpired).to.be.a('function');
+      expect(store.clear).to.be.a('function');
+      store.connect(done);
+    });
+
+    beforeEach(function(done) {
+      store.clear(done);
+    });
+
+    describe('calling get', function() {
+
+      describe('for a non existing entry', function() {
+
+        it('it should callback with null', function(done) {
+
+          store.get('notExisting', function(err, entry) {
+            expect(err).not.to.be.ok();
+            expect(entry).to.eql(null);
+            done();
+          });
+
+        });
+
+      });
+
+      describe('for an existing entry', function() {
+
+        it('it should callback with the entry', function(done) {
+
+          store.save({ id: 'cmdId', events: [{ my: 'evt' }], aggregateData: { my: 'agg' }, meta: {}, handledAt: new Date() }, function(err) {
+            expect(err).not.to.be.ok();
+
+            store.get('cmdId', function(err, entry) {
+              expect(err).not.to.be.ok();
+              expect(entry.id).to.eql('cmdId');
+              expect(entry.events).to.eql([{ my: 'evt' }]);
+              expect(entry.aggregateData).to.eql({ my: 'agg' });
+              done();
+            });
+          });
+
+        });
+
+      });
+
+      describe('for an expired entry', function() {
+
+        it('it should callback with null', function(done) {
+
+          store.save({ id: 'cmdId', events: [], handledAt: new Date(Date.now() - 2000) }, function(err) {
+            expect(err).not.to.be.ok();
+
+            store.get('cmdId', function(err, entry) {
+              expect(err).not.to.be.ok();
+              expect(entry).to.eql(null);
+              done();
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling reserve', function() {
+
+      describe('for a non existing entry', function() {
+
+        it('it should save the marker and callback with true', function(done) {
+
+          store.reserve({ id: 'cmdId', inProgress: true, reservedAt: new Date() }, function(err, reserved) {
+            expect(err).not.to.be.ok();
+            expect(reserved).to.eql(true);
+
+            store.get('cmdId', function(err, entry) {
+              expect(err).not.to.be.ok();
+              expect(entry.inProgress).to.eql(true);
+              done();
+            });
+          });
+
+        });
+
+      });
+
+      describe('for an existing entry', function() {
+
+        it('it should callback with false', function(done) {
+
+          store.reserve({ id: 'cmdId', inProgress: true, reservedAt: new Date() }, function(err) {
+            expect(err).not.to.be.ok();
+
+            store.reserve({ id: 'cmdId', inProgress: true, reservedAt: new Date() }, function(err, reserved) {
+              expect(err).not.to.be.ok();
+              expect(reserved).to.eql(false);
+              done();
+            });
+          });
+
+        });
+
+      });
+
+      describe('for an expired marker', function() {
+
+        it('it should callback with true', function(done) {
+
+          store.reservationTimeout = 1000;
+
+          store.reserve({ id: 'cmdId', inProgress: true, reservedAt: new Date(Date.now() - 2000) }, function(err) {
+            expect(err).not.to.be.ok();
+
+            store.reserve({ id: 'cmdId', inProgress: true, reservedAt: new Date() }, function(err, reserved) {
+              expect(err).not.to.be.ok();
+              expect(reserved).to.eql(true);
+              done();
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling remove', function() {
+
+      it('it should remove the entry', function(done) {
+
+        store.reserve({ id: 'cmdId', inProgress: true, reservedAt: new Date() }, function(err) {
+          expect(err).not.to.be.ok();
+
+          store.remove('cmdId', function(err) {
+            expect(err).not.to.be.ok();
+
+            store.get('cmdId', function(err, entry) {
+              expect(err).not.to.be.ok();
+              expect(entry).to.eql(null);
+              done();
+            });
+          });
+        });
+
+      });
+
+    });
+
+    describe('calling removeExpired', function() {
+
+      it('it should remove only the expired entries', function(done) {
+
+        store.save({ id: 'valid', events: [], handledAt: new Date() }, function(err) {
+          expect(err).not.to.be.ok();
+
+          store.save({ id: 'expired', events: [], handledAt: new Date(Date.now() - 2000) }, function(err) {
+            expect(err).not.to.be.ok();
+
+            store.removeExpired(function(err) {
+              expect(err).not.to.be.ok();
+              expect(store.store.expired).not.to.be.ok();
+              expect(store.store.valid).to.be.ok();
+              done();
+            });
+          });
+        });
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,286 @@
+var expect = require('expect.js'),
+  _ = require('lodash'),
+  api = require('../../'),
+  sagastore = require('../../lib/sagaStore'),
+  SagaDispatcher = require('../../lib/sagaDispatcher');
+
+describe('sagaDispatcher', function () {
+
+  describe('creating a new instance', function () {
+
+    describe('without tree argument', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          new SagaDispatcher();
+        }).to.throwError(/tree/);
+
+      });
+
+    });
+
+    describe('without saga store argument', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          new SagaDispatcher({ getSagas: function () {} });
+        }).to.throwError(/saga store/);
+
+      });
+
+    });
+
+    describe('with all correct arguments', function () {
+
+      it('it should not throw an error', function () {
+
+        expect(function () {
+          new SagaDispatcher({ getSagas: function () {} }, sagastore.create());
+        }).not.to.throwError();
+
+      });
+
+    });
+
+  });
+
+  describe('having an instance', function () {
+
+    var store, sagas, dispatcher;
+
+    function createSaga (meta, fn) {
+      var saga = api.defineSaga(meta, fn);
+      saga.defineEvent({ correlationId: 'correlationId', name: 'name', payload: 'payload' });
+      return saga;
+    }
+
+    beforeEach(function () {
+      store = sagastore.create();
+      sagas = [];
+      dispatcher = new SagaDispatcher({ getSagas: function () { return sagas; } }, store);
+    });
+
+    describe('calling getSagas', function () {
+
+      it('it should return the matching sagas ordered by priority', function () {
+
+        var first = createSaga({ name: 'orderPlaced', priority: 1 }, function () {});
+        var second = createSaga({ name: 'orderPlaced', priority: 2 }, function () {});
+        var other = createSaga({ name: 'orderCancelled' }, function () {});
+        sagas.push(second, other, first);
+
+        var res = dispatcher.getSagas({ name: 'orderPlaced' });
+        expect(res).to.have.length(2);
+        expect(res[0]).to.be(first);
+        expect(res[1]).to.be(second);
+
+      });
+
+    });
+
+    describe('calling dispatch', function () {
+
+      describe('without event', function () {
+
+        it('it should throw an error', function () {
+
+          expect(function () {
+            dispatcher.dispatch();
+          }).to.throwError(/event/);
+
+        });
+
+      });
+
+      describe('without callback', function () {
+
+        it('it should throw an error', function () {
+
+          expect(function () {
+            dispatcher.dispatch({ name: 'orderPlaced' });
+          }).to.throwError(/callback/);
+
+        });
+
+      });
+
+      describe('with an event that starts a saga', function () {
+
+        it('it should save the saga and callback with the commands to send', function (done) {
+
+          var saga = createSaga({ name: 'orderPlaced' }, function (evt, s) {
+            s.set('state', 'paying');
+            s.addCommandToSend({ name: 'pay' });
+            s.defineTimeout(1000);
+          });
+          sagas.push(saga);
+
+          dispatcher.dispatch({ name: 'orderPlaced', correlationId: 'corr1' }, function (err, cmds) {
+            expect(err).not.to.be.ok();
+            expect(cmds).to.have.length(1);
+            expect(cmds[0].command).to.eql({ name: 'pay' });
+            expect(cmds[0].saga).to.be(saga);
+            expect(cmds[0].sagaId).to.eql('corr1');
+
+            store.get('corr1', function (err, data) {
+              expect(err).not.to.be.ok();
+              expect(data.data.state).to.eql('paying');
+              expect(data.timeoutAt).to.be.a(Date);
+              expect(data.timeoutBy).to.eql('orderPlaced_v0');
+              done();
+            });
+          });
+
+        });
+
+      });
+
+      describe('with an event for a saga that must exist', function () {
+
+        describe('but does not exist', function () {
+
+          it('it should not call the saga function', function (done) {
+
+            var called = false;
+            sagas.push(createSaga({ name: 'paid', existing: true }, function () {
+              called = true;
+            }));
+
+            dispatcher.dispatch({ name: 'paid', correlationId: 'corr1' }, function (err, cmds) {
+              expect(err).not.to.be.ok();
+              expect(cmds).to.eql([]);
+              expect(called).to.eql(false);
+              done();
+            });
+
+          });
+
+        });
+
+        describe('and is destroyed by the saga function', function () {
+
+          it('it should remove the saga', function (done) {
+
+            sagas.push(createSaga({ name: 'paid', existing: true }, function (evt, s) {
+              expect(s.get('state')).to.eql('paying');
+              s.destroy();
+            }));
+
+            store.save({ id: 'corr1', data: { state: 'paying' } }, function (err) {
+              expect(err).not.to.be.ok();
+
+              dispatcher.dispatch({ name: 'paid', correlationId: 'corr1' }, function (err) {
+                expect(err).not.to.be.ok();
+
+                store.get('corr1', function (err, data) {
+                  expect(err).not.to.be.ok();
+                  expect(data).to.eql(null);
+                  done();
+                });
+              });
+            });
+
+          });
+
+        });
+
+      });
+
+      describe('with a failing saga function', function () {
+
+        it('it should callback with the error and not save the saga', function (done) {
+
+          sagas.push(createSaga({ name: 'orderPlaced' }, function (evt, s) {
+            s.set('state', 'paying');
+            throw new Error('failed');
+          }));
+
+          dispatcher.dispatch({ name: 'orderPlaced', correlationId: 'corr1' }, function (err) {
+            expect(err).to.be.ok();
+            expect(err.message).to.eql('failed');
+
+            store.get('corr1', function (err, data) {
+              expect(err).not.to.be.ok();
+              expect(data).to.eql(null);
+              done();
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling compensate', function () {
+
+      it('it should let the saga compensate and callback with the commands to send', function (done) {
+
+        var saga = createSaga({ name: 'orderPlaced' }, function () {});
+        saga.defineCompensation(function (err, cmd, s) {
+          s.addCommandToSend({ name: 'cancelOrder', reason: err.message });
+          s.destroy();
+        });
+        sagas.push(saga);
+
+        store.save({ id: 'corr1', data: {} }, function (err) {
+          expect(err).not.to.be.ok();
+
+          dispatcher.compensate({ command: { name: 'pay' }, saga: saga, sagaId: 'corr1' }, new Error('rejected'), function (err, cmds) {
+            expect(err).not.to.be.ok();
+            expect(_.pluck(cmds, 'command')).to.eql([{ name: 'cancelOrder', reason: 'rejected' }]);
+
+            store.get('corr1', function (err, data) {
+              expect(err).not.to.be.ok();
+              expect(data).to.eql(null);
+              done();
+            });
+          });
+        });
+
+      });
+
+    });
+
+    describe('calling checkTimeouts', function () {
+
+      it('it should call the timeout handler of the sagas whose timeout has elapsed', function (done) {
+
+        var saga = createSaga({ name: 'orderPlaced' }, function () {});
+        saga.defineTimeoutHandler(function (s) {
+          s.set('state', 'timedOut');
+          s.addCommandToSend({ name: 'cancelOrder' });
+        });
+        sagas.push(saga);
+
+        store.save({ id: 'elapsed', data: {}, timeoutAt: new Date(Date.now() - 1000), timeoutBy: 'orderPlaced_v0' }, function (err) {
+          expect(err).not.to.be.ok();
+
+          store.save({ id: 'pending', data: {}, timeoutAt: new Date(Date.now() + 60000), timeoutBy: 'orderPlaced_v0' }, function (err) {
+            expect(err).not.to.be.ok();
+
+            dispatcher.checkTimeouts(function (err, cmds) {
+              expect(err).not.to.be.ok();
+              expect(cmds).to.have.length(1);
+              expect(cmds[0].sagaId).to.eql('elapsed');
+
+              store.get('elapsed', function (err, data) {
+                expect(err).not.to.be.ok();
+                expect(data.data.state).to.eql('timedOut');
+                expect(data.timeoutAt).to.eql(null);
+                expect(data.timeoutBy).to.eql(null);
+                done();
+              });
+            });
+          });
+        });
+
+      });
+
+    });
+
+  });
+
+});
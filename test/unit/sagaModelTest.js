@@ -0,0 +1,190 @@
+var expect = require('expect.js'),
+  SagaModel = require('../../lib/sagaModel');
+
+describe('saga model', function () {
+
+  describe('creating a new instance', function () {
+
+    describe('without id', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          new SagaModel();
+        }).to.throwError(/id/);
+
+      });
+
+    });
+
+    describe('with an id', function () {
+
+      it('it should return a new saga', function () {
+
+        var saga = new SagaModel('sagaId');
+        expect(saga.id).to.eql('sagaId');
+        expect(saga.get('id')).to.eql('sagaId');
+        expect(saga.isNew).to.eql(true);
+        expect(saga.isDestroyed()).to.eql(false);
+        expect(saga.getTimeoutAt()).to.eql(null);
+        expect(saga.getCommandsToSend()).to.eql([]);
+
+      });
+
+    });
+
+    describe('with an id and persisted data', function () {
+
+      it('it should return the restored saga', function () {
+
+        var timeoutAt = new Date(Date.now() + 1000);
+        var saga = new SagaModel('sagaId', { id: 'sagaId', data: { state: 'paying' }, timeoutAt: timeoutAt, timeoutBy: 'orderPlaced_v0' });
+        expect(saga.isNew).to.eql(false);
+        expect(saga.get('state')).to.eql('paying');
+        expect(saga.getTimeoutAt().getTime()).to.eql(timeoutAt.getTime());
+        expect(saga.timeoutBy).to.eql('orderPlaced_v0');
+
+      });
+
+    });
+
+  });
+
+  describe('having an instance', function () {
+
+    var saga;
+
+    beforeEach(function () {
+      saga = new SagaModel('sagaId');
+    });
+
+    describe('calling set and get', function () {
+
+      it('it should work as expected', function () {
+
+        saga.set('a', 'b');
+        saga.set({ 'c.d': 'e' });
+        expect(saga.get('a')).to.eql('b');
+        expect(saga.get('c.d')).to.eql('e');
+        expect(saga.has('a')).to.eql(true);
+        expect(saga.has('x')).to.eql(false);
+
+      });
+
+    });
+
+    describe('calling destroy', function () {
+
+      it('it should mark the saga as destroyed', function () {
+
+        saga.destroy();
+        expect(saga.isDestroyed()).to.eql(true);
+
+      });
+
+    });
+
+    describe('calling addCommandToSend', function () {
+
+      describe('with a wrong argument', function () {
+
+        it('it should throw an error', function () {
+
+          expect(function () {
+            saga.addCommandToSend('cmd');
+          }).to.throwError(/command/);
+
+        });
+
+      });
+
+      describe('with a command', function () {
+
+        it('it should add the command', function () {
+
+          saga.addCommandToSend({ name: 'pay' });
+          expect(saga.getCommandsToSend()).to.eql([{ name: 'pay' }]);
+
+        });
+
+      });
+
+    });
+
+    describe('calling defineTimeout', function () {
+
+      describe('with a wrong argument', function () {
+
+        it('it should throw an error', function () {
+
+          expect(function () {
+            saga.defineTimeout('tomorrow');
+          }).to.throwError(/date/);
+
+        });
+
+      });
+
+      describe('with an amount of ms', function () {
+
+        it('it should set the timeout relative to now', function () {
+
+          var before = Date.now();
+          saga.defineTimeout(1000);
+          expect(saga.getTimeoutAt().getTime()).to.be.within(before + 1000, Date.now() + 1000);
+
+        });
+
+      });
+
+      describe('with a date', function () {
+
+        it('it should set that date', function () {
+
+          var date = new Date(2015, 0, 1);
+          saga.defineTimeout(date);
+          expect(saga.getTimeoutAt()).to.eql(date);
+
+        });
+
+      });
+
+    });
+
+    describe('calling removeTimeout', function () {
+
+      it('it should remove the timeout', function () {
+
+        saga.defineTimeout(1000);
+        saga.timeoutBy = 'orderPlaced_v0';
+        saga.removeTimeout();
+        expect(saga.getTimeoutAt()).to.eql(null);
+        expect(saga.timeoutBy).to.eql(null);
+
+      });
+
+    });
+
+    describe('calling toStoreObject', function () {
+
+      it('it should return the object to be persisted', function () {
+
+        var date = new Date(2015, 0, 1);
+        saga.set('state', 'paying');
+        saga.defineTimeout(date);
+        saga.timeoutBy = 'orderPlaced_v0';
+
+        expect(saga.toStoreObject()).to.eql({
+          id: 'sagaId',
+          data: { id: 'sagaId', state: 'paying' },
+          timeoutAt: date,
+          timeoutBy: 'orderPlaced_v0'
+        });
+
+      });
+
+    });
+
+  });
+
+});
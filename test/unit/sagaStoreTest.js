@@ -0,0 +1,186 @@
+var expect = require('expect.js'),
+  sagastore = require('../../lib/sagaStore'),
+  Base = require('../../lib/sagaStore/base'),
+  InMemory = require('../../lib/sagaStore/databases/inmemory');
+
+describe('SagaStore', function() {
+
+  it('it should have the correct interface', function() {
+
+    expect(sagastore).to.be.an('object');
+    expect(sagastore.create).to.be.a('function');
+    expect(sagastore.Store).to.eql(Base);
+
+  });
+
+  describe('calling create', function() {
+
+    describe('without options', function() {
+
+      it('it should return with the in memory store', function() {
+
+        var store = sagastore.create();
+        expect(store).to.be.a(InMemory);
+
+      });
+
+    });
+
+    describe('with options of a non existing db implementation', function() {
+
+      it('it should throw an error', function() {
+
+        expect(function() {
+          sagastore.create({ type: 'strangeDb' });
+        }).to.throwError();
+
+      });
+
+    });
+
+    describe('with options of an own db implementation', function() {
+
+      it('it should return with the an instance of that implementation', function() {
+
+        var store = sagastore.create({ type: InMemory });
+        expect(store).to.be.a(InMemory);
+
+      });
+
+    });
+
+  });
+
+  describe('having an in memory store', function() {
+
+    var store;
+
+    before(function(done) {
+      store = sagastore.create({ type: 'inmemory' });
+      expect(store).to.be.a(Base);
+      expect(store.connect).to.be.a('function');
+      expect(store.disconnect).to.be.a('function');
+      expect(store.getNewId).to.be.a('function');
+      expect(store.get).to.be.a('function');
+      expect(store.save).to.be.a('function');
+      expect(store.remove).to.be.a('function');
+      expect(store.getTimeoutedSagas).to.be.a('function');
+      expect(store.clear).to.be.a('function');
+      store.connect(done);
+    });
+
+    beforeEach(function(done) {
+      store.clear(done);
+    });
+
+    describe('calling getNewId', function() {
+
+      it('it should callback with a new id', function(done) {
+
+        store.getNewId(function(err, id) {
+          expect(err).not.to.be.ok();
+          expect(id).to.be.a('string');
+          done();
+        });
+
+      });
+
+    });
+
+    describe('calling get', function() {
+
+      describe('for a non existing saga', function() {
+
+        it('it should callback with null', function(done) {
+
+          store.get('notExisting', function(err, saga) {
+            expect(err).not.to.be.ok();
+            expect(saga).to.eql(null);
+            done();
+          });
+
+        });
+
+      });
+
+      describe('for an existing saga', function() {
+
+        it('it should callback with a copy of the saga', function(done) {
+
+          store.save({ id: 'sagaId', data: { a: 'b' }, timeoutAt: null, timeoutBy: null }, function(err) {
+            expect(err).not.to.be.ok();
+
+            store.get('sagaId', function(err, saga) {
+              expect(err).not.to.be.ok();
+              expect(saga.id).to.eql('sagaId');
+              expect(saga.data.a).to.eql('b');
+
+              saga.data.a = 'changed';
+
+              store.get('sagaId', function(err, saga) {
+                expect(err).not.to.be.ok();
+                expect(saga.data.a).to.eql('b');
+                done();
+              });
+            });
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling remove', function() {
+
+      it('it should remove the saga', function(done) {
+
+        store.save({ id: 'sagaId', data: {} }, function(err) {
+          expect(err).not.to.be.ok();
+
+          store.remove('sagaId', function(err) {
+            expect(err).not.to.be.ok();
+
+            store.get('sagaId', function(err, saga) {
+              expect(err).not.to.be.ok();
+              expect(saga).to.eql(null);
+              done();
+            });
+          });
+        });
+
+      });
+
+    });
+
+    describe('calling getTimeoutedSagas', function() {
+
+      it('it should callback only with the sagas whose timeout has elapsed', function(done) {
+
+        store.save({ id: 'elapsed', data: {}, timeoutAt: new Date(Date.now() - 1000), timeoutBy: 'saga_v0' }, function(err) {
+          expect(err).not.to.be.ok();
+
+          store.save({ id: 'pending', data: {}, timeoutAt: new Date(Date.now() + 60000), timeoutBy: 'saga_v0' }, function(err) {
+            expect(err).not.to.be.ok();
+
+            store.save({ id: 'withoutTimeout', data: {} }, function(err) {
+              expect(err).not.to.be.ok();
+
+              store.getTimeoutedSagas(function(err, sagas) {
+                expect(err).not.to.be.ok();
+                expect(sagas).to.have.length(1);
+                expect(sagas[0].id).to.eql('elapsed');
+                expect(sagas[0].timeoutBy).to.eql('saga_v0');
+                done();
+              });
+            });
+          });
+        });
+
+      });
+
+    });
+
+  });
+
+});
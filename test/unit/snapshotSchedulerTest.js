@@ -0,0 +1,180 @@
+var expect = require('expect.js'),
+  SnapshotScheduler = require('../../lib/snapshotScheduler');
+
+describe('snapshotScheduler', function () {
+
+  describe('creating a new instance', function () {
+
+    describe('without options', function () {
+
+      it('it should use the default interval', function () {
+
+        var scheduler = new SnapshotScheduler();
+        expect(scheduler.interval).to.eql(1000);
+        expect(scheduler.getPendingCount()).to.eql(0);
+
+      });
+
+    });
+
+    describe('with an interval', function () {
+
+      it('it should use that interval', function () {
+
+        var scheduler = new SnapshotScheduler({ interval: 50 });
+        expect(scheduler.interval).to.eql(50);
+
+      });
+
+    });
+
+  });
+
+  describe('having an instance', function () {
+
+    var scheduler;
+
+    beforeEach(function () {
+      scheduler = new SnapshotScheduler({ interval: 10 });
+    });
+
+    afterEach(function () {
+      scheduler.stop();
+    });
+
+    describe('calling schedule', function () {
+
+      describe('without a key', function () {
+
+        it('it should throw an error', function () {
+
+          expect(function () {
+            scheduler.schedule(null, function () {});
+          }).to.throwError(/key/);
+
+        });
+
+      });
+
+      describe('without a task', function () {
+
+        it('it should throw an error', function () {
+
+          expect(function () {
+            scheduler.schedule('aggId');
+          }).to.throwError(/task/);
+
+        });
+
+      });
+
+      describe('twice for the same key', function () {
+
+        it('it should only keep the latest task', function (done) {
+
+          var called = [];
+
+          scheduler.schedule('aggId', function (callback) {
+            called.push('first');
+            callback(null);
+          });
+          scheduler.schedule('aggId', function (callback) {
+            called.push('second');
+            callback(null);
+          });
+
+          expect(scheduler.getPendingCount()).to.eql(1);
+
+          scheduler.flush(function (err) {
+            expect(err).not.to.be.ok();
+            expect(called).to.eql(['second']);
+            expect(scheduler.getPendingCount()).to.eql(0);
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling flush', function () {
+
+      describe('with a failing task', function () {
+
+        it('it should run the other tasks and callback with the error', function (done) {
+
+          var called = [];
+
+          scheduler.schedule('agg1', function (callback) {
+            called.push('agg1');
+            callback(new Error('failed'));
+          });
+          scheduler.schedule('agg2', function (callback) {
+            called.push('agg2');
+            callback(null);
+          });
+
+          scheduler.flush(function (err) {
+            expect(err).to.be.ok();
+            expect(err.message).to.eql('failed');
+            expect(called).to.eql(['agg1', 'agg2']);
+            done();
+          });
+
+        });
+
+      });
+
+      describe('while it is already flushing', function () {
+
+        it('it should callback after the running and the newly scheduled tasks are completed', function (done) {
+
+          var completed = [];
+
+          scheduler.schedule('agg1', function (callback) {
+            setTimeout(function () {
+              completed.push('agg1');
+              callback(null);
+            }, 20);
+          });
+
+          scheduler.flush();
+
+          scheduler.schedule('agg2', function (callback) {
+            completed.push('agg2');
+            callback(null);
+          });
+
+          scheduler.flush(function (err) {
+            expect(err).not.to.be.ok();
+            expect(completed).to.eql(['agg1', 'agg2']);
+            expect(scheduler.getPendingCount()).to.eql(0);
+            done();
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('calling start', function () {
+
+      it('it should run the scheduled tasks periodically', function (done) {
+
+        scheduler.start();
+
+        scheduler.schedule('aggId', function (callback) {
+          callback(null);
+          expect(scheduler.getPendingCount()).to.eql(0);
+          done();
+        });
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,177 @@
+var expect = require('expect.js'),
+  strategies = require('../../lib/snapshotStrategies');
+
+describe('snapshot strategies', function () {
+
+  it('it should have the correct interface', function () {
+
+    expect(strategies.revisions).to.be.a('function');
+    expect(strategies.events).to.be.a('function');
+    expect(strategies.size).to.be.a('function');
+    expect(strategies.age).to.be.a('function');
+
+  });
+
+  describe('calling revisions', function () {
+
+    describe('without an amount of revisions', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          strategies.revisions();
+        }).to.throwError(/every/);
+
+      });
+
+    });
+
+    describe('with an amount of revisions', function () {
+
+      var strategy = strategies.revisions({ every: 10 });
+
+      it('it should return true if the aggregate passed a multiple of it since the last snapshot', function () {
+
+        expect(strategy({ revision: 10, snapshotRevision: 0 })).to.eql(true);
+        expect(strategy({ revision: 21, snapshotRevision: 19 })).to.eql(true);
+
+      });
+
+      it('it should return false if the aggregate did not pass a multiple of it since the last snapshot', function () {
+
+        expect(strategy({ revision: 9, snapshotRevision: 0 })).to.eql(false);
+        expect(strategy({ revision: 19, snapshotRevision: 10 })).to.eql(false);
+
+      });
+
+    });
+
+  });
+
+  describe('calling events', function () {
+
+    describe('without event names', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          strategies.events({ names: [] });
+        }).to.throwError(/event names/);
+
+      });
+
+    });
+
+    describe('with event names', function () {
+
+      var strategy = strategies.events({ names: ['orderClosed'] });
+
+      it('it should return true if one of these events has been applied', function () {
+
+        expect(strategy({ eventNames: ['orderPlaced', 'orderClosed'] })).to.eql(true);
+
+      });
+
+      it('it should return false if none of these events has been applied', function () {
+
+        expect(strategy({ eventNames: ['orderPlaced'] })).to.eql(false);
+
+      });
+
+    });
+
+  });
+
+  describe('calling size', function () {
+
+    describe('without an amount of bytes', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          strategies.size({ maxBytes: 'big' });
+        }).to.throwError(/maxBytes/);
+
+      });
+
+    });
+
+    describe('with an amount of bytes', function () {
+
+      var strategy = strategies.size({ maxBytes: 20 });
+
+      it('it should return true if the serialized aggregate state reaches it', function () {
+
+        expect(strategy({ aggregateData: { name: 'a rather long name' } })).to.eql(true);
+
+      });
+
+      it('it should return false if the serialized aggregate state is smaller', function () {
+
+        expect(strategy({ aggregateData: { name: 'short' } })).to.eql(false);
+
+      });
+
+      it('it should return false if the state has not grown by it since the last snapshot', function () {
+
+        expect(strategy({
+          aggregateData: { name: 'a rather long name!' },
+          snapshotData: { name: 'a rather long name' }
+        })).to.eql(false);
+
+      });
+
+      it('it should return true if the state has grown by it since the last snapshot', function () {
+
+        expect(strategy({
+          aggregateData: { name: 'a rather long name, that has grown a lot' },
+          snapshotData: { name: 'a rather long name' }
+        })).to.eql(true);
+
+      });
+
+    });
+
+  });
+
+  describe('calling age', function () {
+
+    describe('without an amount of ms', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          strategies.age({});
+        }).to.throwError(/ms/);
+
+      });
+
+    });
+
+    describe('with an amount of ms', function () {
+
+      var strategy = strategies.age({ ms: 1000 });
+
+      it('it should return true if the last snapshot is older', function () {
+
+        expect(strategy({ events: [{}], lastSnapshotAt: new Date(Date.now() - 2000) })).to.eql(true);
+
+      });
+
+      it('it should return false if the last snapshot is younger', function () {
+
+        expect(strategy({ events: [{}], lastSnapshotAt: new Date() })).to.eql(false);
+
+      });
+
+      it('it should return false if no events have been applied since the last snapshot', function () {
+
+        expect(strategy({ events: [], lastSnapshotAt: new Date(Date.now() - 2000) })).to.eql(false);
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,255 @@
+var expect = require('expect.js'),
+  testing = require('../../testing'),
+  BusinessRuleError = require('../../lib/errors/businessRuleError');
+
+describe('testing', function () {
+
+  var domainPath = __dirname + '/../integration/fixture/set4';
+
+  var definitions = {
+    command: {
+      id: 'id',
+      name: 'name',
+      aggregateId: 'aggregate.id',
+      payload: 'payload'
+    },
+    event: {
+      correlationId: 'correlationId',
+      id: 'id',
+      name: 'name',
+      aggregateId: 'aggregate.id',
+      payload: 'payload',
+      revision: 'revision'
+    }
+  };
+
+  it('it should have the correct interface', function () {
+
+    expect(testing.loadAggregate).to.be.a('function');
+
+  });
+
+  describe('calling loadAggregate', function () {
+
+    describe('without aggregate', function () {
+
+      it('it should callback with an error', function (done) {
+
+        testing.loadAggregate({ domainPath: domainPath }, function (err) {
+          expect(err).to.be.ok();
+          expect(err.message).to.match(/aggregate/);
+          done();
+        });
+
+      });
+
+    });
+
+    describe('with an unknown aggregate', function () {
+
+      it('it should callback with an error', function (done) {
+
+        testing.loadAggregate({ domainPath: domainPath, context: 'shop', aggregate: 'unknown' }, function (err) {
+          expect(err).to.be.ok();
+          expect(err.message).to.match(/unknown/);
+          done();
+        });
+
+      });
+
+    });
+
+  });
+
+  describe('having loaded an aggregate', function () {
+
+    var payment, order;
+
+    before(function (done) {
+      testing.loadAggregate({
+        domainPath: domainPath,
+        context: 'shop',
+        aggregate: 'payment',
+        command: definitions.command,
+        event: definitions.event
+      }, function (err, fixture) {
+        if (err) return done(err);
+        payment = fixture;
+
+        testing.loadAggregate({
+          domainPath: domainPath,
+          context: 'shop',
+          aggregate: 'order',
+          command: definitions.command,
+          event: definitions.event
+        }, function (err, fixture) {
+          order = fixture;
+          done(err);
+        });
+      });
+    });
+
+    describe('handling a command that succeeds', function () {
+
+      it('it should check the events and the state', function (done) {
+
+        payment
+          .when({ name: 'pay', payload: { orderId: 'o1', amount: 10 } })
+          .expect({
+            events: [{ name: 'paid', payload: { orderId: 'o1', amount: 10 }, revision: 1 }],
+            state: { orderId: 'o1', amount: 10 }
+          }, done);
+
+      });
+
+      it('it should callback with an error if the events do not match', function (done) {
+
+        payment
+          .when({ name: 'pay', payload: { orderId: 'o1', amount: 10 } })
+          .expect({ events: [{ name: 'paid', payload: { amount: 11 } }] }, function (err, res) {
+            expect(err).to.be.ok();
+            expect(err.message).to.match(/Unexpected events/);
+            expect(res.events.length).to.eql(1);
+            done();
+          });
+
+      });
+
+      it('it should callback with an error if an error is expected', function (done) {
+
+        payment
+          .when({ name: 'pay', payload: { orderId: 'o1', amount: 10 } })
+          .expect({ error: 'BusinessRuleError' }, function (err) {
+            expect(err).to.be.ok();
+            expect(err.message).to.match(/rejected/);
+            done();
+          });
+
+      });
+
+    });
+
+    describe('having prior events', function () {
+
+      it('it should load the aggregate from them', function (done) {
+
+        order
+          .given([
+            { name: 'orderPlaced', payload: { orderId: 'o1', amount: 20 } }
+          ])
+          .when({ name: 'confirmOrder', payload: {} })
+          .expect({
+            events: [{ name: 'orderConfirmed', revision: 2 }],
+            state: { orderId: 'o1', amount: 20, state: 'confirmed' }
+          }, done);
+
+      });
+
+    });
+
+    describe('handling a command that breaks a business rule', function () {
+
+      it('it should check the error', function (done) {
+
+        payment
+          .when({ name: 'pay', payload: { orderId: 'o1', amount: 200 } })
+          .expect({ error: BusinessRuleError }, done);
+
+      });
+
+    });
+
+    describe('handling a command that leads to an invalid event', function () {
+
+      it('it should check the error and the message', function (done) {
+
+        payment
+          .when({ name: 'pay', payload: { amount: 10 } })
+          .expect({ error: 'ValidationError', message: /orderId/ }, done);
+
+      });
+
+    });
+
+    describe('handling an unknown command', function () {
+
+      it('it should check the error', function (done) {
+
+        payment
+          .when({ name: 'unknown' })
+          .expect({ error: 'CommandNotFoundError' }, done);
+
+      });
+
+    });
+
+    describe('checking the result without callback', function () {
+
+      it('it should resolve if the expectation is met', function () {
+
+        return payment
+          .when({ name: 'pay', payload: { orderId: 'o1', amount: 10 } })
+          .expect({ events: [{ name: 'paid', payload: { amount: 10 } }] })
+          .then(function (res) {
+            expect(res.events.length).to.eql(1);
+          });
+
+      });
+
+      it('it should reject if the events do not match', function (done) {
+
+        payment
+          .when({ name: 'pay', payload: { orderId: 'o1', amount: 10 } })
+          .expect({ events: [{ name: 'paid', payload: { amount: 11 } }] })
+          .then(function () {
+            done(new Error('should have been rejected'));
+          }, function (err) {
+            expect(err.message).to.match(/Unexpected events/);
+            done();
+          });
+
+      });
+
+      it('it should reject if the check function throws', function (done) {
+
+        payment
+          .when({ name: 'pay', payload: { orderId: 'o1', amount: 10 } })
+          .expect(function (err, events) {
+            expect(events.length).to.eql(2);
+          })
+          .then(function () {
+            done(new Error('should have been rejected'));
+          }, function (err) {
+            expect(err).to.be.ok();
+            done();
+          });
+
+      });
+
+      it('it should not be a thenable scenario', function () {
+
+        expect(payment.when({ name: 'pay' }).then).to.be(undefined);
+
+      });
+
+    });
+
+    describe('checking the result with a function', function () {
+
+      it('it should pass the error, events and state', function (done) {
+
+        payment
+          .when({ name: 'pay', aggregate: { id: 'pay1' }, payload: { orderId: 'o1', amount: 5 } })
+          .expect(function (err, events, state) {
+            expect(err).to.eql(null);
+            expect(events[0].aggregate.id).to.eql('pay1');
+            expect(state.id).to.eql('pay1');
+          }, done);
+
+      });
+
+    });
+
+  });
+
+});
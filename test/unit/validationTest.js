@@ -0,0 +1,135 @@
+var expect = require('expect.js'),
+  util = require('util'),
+  _ = require('lodash'),
+  validation = require('../../lib/validation'),
+  Base = require('../../lib/validation/base'),
+  Tv4 = require('../../lib/validation/engines/tv4');
+
+describe('validation', function () {
+
+  it('it should have the correct interface', function () {
+
+    expect(validation).to.be.an('object');
+    expect(validation.create).to.be.a('function');
+    expect(validation.Validator).to.eql(Base);
+
+  });
+
+  describe('calling create', function () {
+
+    describe('without options', function () {
+
+      it('it should return with the tv4 engine', function () {
+
+        var validator = validation.create();
+        expect(validator).to.be.a(Tv4);
+        expect(validator.getEngine().validateMultiple).to.be.a('function');
+
+      });
+
+    });
+
+    describe('with options of a non existing engine', function () {
+
+      it('it should throw an error', function () {
+
+        expect(function () {
+          validation.create({ type: 'strangeEngine' });
+        }).to.throwError(/strangeengine/);
+
+      });
+
+    });
+
+    describe('with options of an own engine', function () {
+
+      function Custom (options) {
+        Base.call(this, options);
+      }
+
+      util.inherits(Custom, Base);
+
+      _.extend(Custom.prototype, {
+
+        addSchema: function () {},
+
+        validate: function (data, schema) {
+          return { errors: [] };
+        }
+
+      });
+
+      it('it should return with an instance of that engine', function () {
+
+        var validator = validation.create({ type: Custom, strict: true });
+        expect(validator).to.be.a(Custom);
+        expect(validator.options.strict).to.eql(true);
+        expect(validator.getEngine()).to.eql(null);
+
+      });
+
+    });
+
+    describe('with options of an engine not implementing the interface', function () {
+
+      it('it should throw an error', function () {
+
+        function Empty () {}
+
+        expect(function () {
+          validation.create({ type: Empty });
+        }).to.throwError(/implement/);
+
+      });
+
+    });
+
+  });
+
+  describe('having the tv4 engine', function () {
+
+    var validator;
+
+    beforeEach(function () {
+      validator = validation.create({ type: 'tv4' });
+    });
+
+    describe('calling validate', function () {
+
+      it('it should return the normalized errors', function () {
+
+        var res = validator.validate({ age: 'old' }, {
+          type: 'object',
+          properties: {
+            age: { type: 'number' }
+          },
+          required: ['name']
+        });
+
+        expect(res.missing).to.eql([]);
+        expect(res.errors).to.eql([
+          { path: '/name', keyword: 'required', message: 'Missing required property: name', params: { key: 'name' }, dataPath: '' },
+          { path: '/age', keyword: 'type', message: 'Invalid type: string (expected number)', params: { type: 'string', expected: 'number' }, dataPath: '/age' }
+        ]);
+
+      });
+
+      it('it should resolve the added schemas', function () {
+
+        validator.addSchema('/person', { type: 'object', required: ['name'] });
+
+        var res = validator.validate({}, { $ref: '/person' });
+        expect(res.missing).to.eql([]);
+        expect(res.errors.length).to.eql(1);
+        expect(res.errors[0].path).to.eql('/name');
+
+        res = validator.validate({}, { $ref: '/unknown' });
+        expect(res.missing).to.eql(['/unknown']);
+
+      });
+
+    });
+
+  });
+
+});
@@ -101,12 +101,118 @@ describe('validator', function () {
 
           });
 
+          it('it should report all errors normalized', function () {
+
+            var res = val({ lastName: 4 });
+            expect(res.message).to.eql('/firstName => Missing required property: firstName, /lastName => Invalid type: number (expected string)');
+            expect(res.more).to.eql([
+              { path: '/firstName', keyword: 'required', message: 'Missing required property: firstName', params: { key: 'firstName' }, dataPath: '' },
+              { path: '/lastName', keyword: 'type', message: 'Invalid type: number (expected string)', params: { type: 'number', expected: 'string' }, dataPath: '/lastName' }
+            ]);
+
+          });
+
+          it('it should keep the original tv4 dataPath of a required error', function () {
+
+            var res = val({ lastName: 4 });
+            expect(res.more[0].keyword).to.eql('required');
+            expect(res.more[0].path).to.eql('/firstName');
+            expect(res.more[0].dataPath).to.eql('');
+
+          });
+
+        });
+
+        describe('a wrong object with a message formatter', function () {
+
+          it('it should use the formatted messages', function () {
+
+            var localizedVal = validator(tv4, {
+              type: 'object',
+              properties: {
+                lastName: { type: 'string' },
+                age: { type: 'number', minimum: 0 }
+              },
+              required: ['firstName']
+            }, {
+              formatMessage: function (error, data) {
+                expect(data).to.eql({ lastName: 4, age: -1 });
+                if (error.keyword === 'required') {
+                  return 'Pflichtfeld';
+                }
+              }
+            });
+
+            var res = localizedVal({ lastName: 4, age: -1 });
+            expect(res.more.length).to.eql(3);
+            expect(res.more[0].message).to.eql('Pflichtfeld');
+            expect(res.more[1].message).to.match(/invalid type/i);
+            expect(res.more[2].keyword).to.eql('minimum');
+            expect(res.more[2].path).to.eql('/age');
+            expect(res.message).to.match(/^\/firstName => Pflichtfeld, /);
+
+          });
+
         });
         
       });
 
     });
     
+    describe('with a validator engine', function () {
+
+      var engine = {
+        validate: function (data, schema) {
+          if (data.name) {
+            return { errors: [] };
+          }
+          return { errors: [{ path: '/name', keyword: 'required', message: 'name is missing', params: {} }] };
+        }
+      };
+
+      it('it should use that engine', function () {
+
+        var val = validator(engine, {});
+        expect(val({ name: 'john' })).to.eql(null);
+
+        var res = val({});
+        expect(res.name).to.eql('ValidationError');
+        expect(res.message).to.eql('/name => name is missing');
+        expect(res.more.length).to.eql(1);
+
+      });
+
+      describe('that compiles the schemas', function () {
+
+        it('it should compile each schema only once', function () {
+
+          var compiled = [];
+          var compilingEngine = {
+            validate: function () {
+              throw new Error('should not be called');
+            },
+            compile: function (schema) {
+              compiled.push(schema);
+              return function (data) {
+                return engine.validate(data, schema);
+              };
+            }
+          };
+
+          var schema = { title: 'person' };
+          var val = validator(compilingEngine, schema);
+          expect(compiled.length).to.eql(0);
+
+          expect(val({ name: 'john' })).to.eql(null);
+          expect(val({}).message).to.eql('/name => name is missing');
+          expect(compiled).to.eql([schema]);
+
+        });
+
+      });
+
+    });
+
     describe('with additional tv4 formats', function() {
 
       tv4.addFormat(require('tv4-formats'));